@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * rix-lsp: RiX language server speaking JSON-RPC over stdio
+ */
+
+import { startServer } from "../src/lsp.js";
+
+startServer(process.stdin, process.stdout, {
+  onExit: (code) => process.exit(code),
+});
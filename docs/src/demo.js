@@ -56,13 +56,16 @@ function parseExpression() {
         const tokens = tokenize(expression);
         displayTokens(tokens);
 
-        // Parse to AST
-        const ast = parse(expression);
+        // Parse to AST, collecting every error instead of stopping at the first
+        const { ast, diagnostics } = parse(expression, { recover: true });
         displayAST(ast);
         displayRaw(ast);
 
-        // Clear diagnostics if successful
-        displayDiagnostics([]);
+        displayDiagnostics(diagnostics.map(diagnostic => ({
+            severity: diagnostic.severity,
+            message: `${diagnostic.code}: ${diagnostic.message}`,
+            location: diagnostic.line ? { line: diagnostic.line, column: diagnostic.col } : null
+        })));
     } catch (error) {
         // Display error
         displayError(error);
@@ -355,8 +358,8 @@ function displayError(error) {
     // Display in diagnostics
     displayDiagnostics([{
         severity: 'error',
-        message: error.message,
-        location: error.location
+        message: error.code ? `${error.code}: ${error.detail}` : error.message,
+        location: error.line ? { line: error.line, column: error.col } : null
     }]);
 }
 
@@ -330,10 +330,12 @@ function demonstrateWhileKeyword() {
     
     // Show system configuration
     console.log('\n=== System Configuration ===');
+    const keywords = Array.from(systemLoader.keywordRegistry.values());
+    console.log(`Control keywords: ${keywords.filter(def => def.category === 'control').length}`);
+    console.log(`Comparison operators: ${keywords.filter(def => def.category === 'comparison').length}`);
     const config = systemLoader.exportConfig();
-    console.log(`Control keywords: ${config.keywords.filter(([_, def]) => def.category === 'control').length}`);
-    console.log(`Comparison operators: ${config.keywords.filter(([_, def]) => def.category === 'comparison').length}`);
-    console.log(`Total extensions: ${config.system.length + config.keywords.length + config.operators.length}`);
+    const extensions = ['systems', 'keywords', 'operators'].map(section => Object.keys(config[section]).length);
+    console.log(`Total extensions: ${extensions.reduce((a, b) => a + b, 0)}`);
     
     return { systemLoader, visitor, executor };
 }
@@ -0,0 +1,2404 @@
+// Generated by scripts/build-types.js from src/schema.js. Do not edit.
+
+export type Position = [start: number, valueStart: number, end: number];
+
+/** Where a node's text starts and ends, `end` being just past it */
+export interface SourceLocation {
+  start: LineColumn;
+  end: LineColumn;
+}
+
+/** A 1-based line and column */
+export interface LineColumn {
+  line: number;
+  col: number;
+}
+
+/** Arguments of a call: `F(a, b; n := 2)` */
+export interface Arguments {
+  positional: Node[];
+  keyword: Record<string, Node>;
+}
+
+/** Arguments of a system capability call */
+export interface CapabilityArguments {
+  positional: Node[];
+  keyword: Record<string, Node>;
+  metadata: Record<string, Node>;
+}
+
+/** Parameters of a function: `(x, y ? y > 0; n ?= 2)` */
+export interface Parameters {
+  positional: Parameter[];
+  keyword: Parameter[];
+  conditionals: Node[];
+  metadata: Record<string, Node>;
+}
+
+/** One parameter; `holeDefault` is the `?=` default used for omitted arguments */
+export interface Parameter {
+  name: string | null;
+  defaultValue: Node | null;
+  holeDefault?: Node;
+  isRest?: boolean;
+}
+
+/** One case of a pattern matching function */
+export interface Pattern {
+  parameters: Parameters;
+  body: Node;
+}
+
+/** One change of a mutation: `+key = value` or `-.key` */
+export interface MutationOperation {
+  action: "add" | "remove";
+  key: string;
+  value: Node | null;
+}
+
+/** A row of a tensor and the number of semicolons ending it */
+export interface TensorRow {
+  row: Node[];
+  separatorLevel: number;
+}
+
+/** A variable of a derivative or integral: `[x, y]` */
+export interface Variable {
+  name: string;
+  original: string;
+}
+
+/** Integration constant of an integral */
+export interface IntegralMetadata {
+  integrationConstant: string;
+  defaultValue: number;
+}
+
+/** An import of a block header: `<a~x>` copies `x` into `a`, `<a=x>` aliases it */
+export interface Import {
+  local: string;
+  source: string;
+  mode: string;
+}
+
+/** An input or output binding of a script import */
+export interface Binding {
+  target: string;
+  source: string;
+  mode: string;
+  sourceScope?: string;
+}
+
+/** The exponent `num/den` of a unit power, in lowest terms as written */
+export interface UnitExponent {
+  num: number;
+  den: number;
+}
+
+/** What a mathematical unit adjoins to Q, see parseExtension(): `sqrt2` is a radical with generator `√2` */
+export interface AlgebraicExtension {
+  kind: "imaginary" | "radical" | "rootOfUnity" | "transcendental" | "named";
+  name?: string;
+  index?: number;
+  radicand?: number;
+  order?: number;
+  generator: string | null;
+  field: string;
+}
+
+/** A capability change of a script import: `/+Group, -@Fn/` */
+export interface CapabilityModifier {
+  action: "add" | "remove";
+  targetType: "all" | "function" | "group";
+  target: string;
+}
+
+/** Root of a concrete syntax tree from parse(source, { cst: true }) */
+export interface ProgramNode {
+  type: "Program";
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  pos?: Position;
+  original?: string;
+  body: Node[];
+}
+
+/** An expression ended by `;` */
+export interface StatementNode {
+  type: "Statement";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+}
+
+/** A comment between statements: `## note`, `/* note *\/` */
+export interface CommentNode {
+  type: "Comment";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  value: string;
+  kind: string;
+}
+
+/** Text that failed to parse, in recover mode */
+export interface ErrorNode {
+  type: "ErrorNode";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  code: string;
+  message: string;
+}
+
+/** A number literal; `value` is its text and the other fields its decoded parts (see decodeNumber()) */
+export interface NumberNode {
+  type: "Number";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  value: string;
+  format: "integer" | "decimal" | "repeating" | "rational" | "mixed" | "interval" | "radixShift" | "cf" | "decimalInterval" | "custom" | "quoted";
+  negative?: boolean;
+  base?: number | null;
+  prefix?: string;
+  alphabet?: string;
+  digits?: string;
+  whole?: string;
+  fraction?: string;
+  repeat?: string;
+  num?: string;
+  den?: string;
+  lo?: NumberNode;
+  hi?: NumberNode;
+  mantissa?: NumberNode;
+  exponent?: string;
+  terms?: string[];
+  lower?: string;
+  upper?: string;
+  plus?: string;
+  minus?: string;
+  bounds?: string;
+}
+
+/** A string: `"text"`, `` `text` ``, `:word` */
+export interface StringNode {
+  type: "String";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  value: string;
+  kind: string;
+}
+
+/** A regular expression: `{/pattern/flags}` */
+export interface RegexLiteralNode {
+  type: "RegexLiteral";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  pattern: string;
+  flags: string;
+  mode: string;
+}
+
+/** Text in another language: `` `LANG(context): body` ``; `parsed` is the body parsed by the language's handler, null without one */
+export interface EmbeddedLanguageNode {
+  type: "EmbeddedLanguage";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  language: string;
+  context: string | null;
+  body: string;
+  parsed: Node[] | null;
+}
+
+/** A lowercase name: `x` */
+export interface UserIdentifierNode {
+  type: "UserIdentifier";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+}
+
+/** A capitalized name, with what systemLookup knows of it: `SIN` */
+export interface SystemIdentifierNode {
+  type: "SystemIdentifier";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+  systemInfo: Record<string, unknown>;
+}
+
+/** A system function named without calling it: `@_SIN` */
+export interface SystemFunctionRefNode {
+  type: "SystemFunctionRef";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+}
+
+/** A capability of the system context: `.Name`, `@+` */
+export interface SystemAccessNode {
+  type: "SystemAccess";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  property: string;
+}
+
+/** The system context itself: `.` */
+export interface SystemObjectNode {
+  type: "SystemObject";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** A name from the enclosing scope: `@x` */
+export interface OuterIdentifierNode {
+  type: "OuterIdentifier";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+}
+
+/** A numbered argument slot: `_1` */
+export interface PlaceHolderNode {
+  type: "PlaceHolder";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  place: number;
+}
+
+/** An empty argument or loop slot */
+export interface HoleNode {
+  type: "Hole";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** The null symbol: `_` */
+export interface NULLNode {
+  type: "NULL";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** The current object: `$` */
+export interface SelfRefNode {
+  type: "SelfRef";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** The enclosing object: `$$` */
+export interface ParentSelfRefNode {
+  type: "ParentSelfRef";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** A literal key after `[:`: `obj[:key]` */
+export interface KeyLiteralNode {
+  type: "KeyLiteral";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+}
+
+/** A whole-axis slice: `m[::, 1]` */
+export interface FullSliceNode {
+  type: "FullSlice";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** An infix operation: `a + b`; custom operators carry their definition as `operatorInfo` */
+export interface BinaryOperationNode {
+  type: "BinaryOperation";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  left: Node;
+  right: Node;
+  operatorInfo?: Record<string, unknown>;
+}
+
+/** A prefix operation: `-a`, or a registered postfix operator */
+export interface UnaryOperationNode {
+  type: "UnaryOperation";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+  fixity?: "postfix";
+  operatorInfo?: Record<string, unknown>;
+}
+
+/** A conditional: `c ?? a ?: b` */
+export interface TernaryOperationNode {
+  type: "TernaryOperation";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  condition: Node;
+  trueExpression: Node;
+  falseExpression: Node;
+}
+
+/** Juxtaposed factors: `2x` */
+export interface ImplicitMultiplicationNode {
+  type: "ImplicitMultiplication";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A function applied by juxtaposition: `SIN x` */
+export interface ImplicitApplicationNode {
+  type: "ImplicitApplication";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  callable: Node;
+  argument: Node;
+}
+
+/** A parenthesized expression: `(a + b)` */
+export interface GroupingNode {
+  type: "Grouping";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+}
+
+/** Comma-separated expressions in a temporal block; `end` is where the last one ends */
+export interface SequenceExpressionNode {
+  type: "SequenceExpression";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expressions: Node[];
+  end: number;
+}
+
+/** A spread argument: `...xs` */
+export interface SpreadNode {
+  type: "Spread";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+}
+
+/** A matrix transpose: `m^^` */
+export interface TransposeNode {
+  type: "Transpose";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+}
+
+/** Precision or metadata access: `x@(0.01)` */
+export interface AtNode {
+  type: "At";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  arg: Node;
+}
+
+/** A membership query: `x?(I)` */
+export interface AskNode {
+  type: "Ask";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  arg: Node;
+}
+
+/** A scientific unit: `3~[m/s]`; `unitExpression` is null when `unit` fails to parse, in recover mode */
+export interface ScientificUnitNode {
+  type: "ScientificUnit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  unit: string;
+  unitExpression: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode | null;
+}
+
+/** A mathematical unit: `2~{i}`; `extension` is null when `unit` fails to parse, in recover mode */
+export interface MathematicalUnitNode {
+  type: "MathematicalUnit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  unit: string;
+  extension: AlgebraicExtension | null;
+}
+
+/** A unit symbol, split into an SI prefix and a known unit where it is one: `km` */
+export interface UnitNameNode {
+  type: "UnitName";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+  prefix: string | null;
+  symbol: string;
+}
+
+/** A product of units: `N*m`, `N m` */
+export interface UnitProductNode {
+  type: "UnitProduct";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode;
+  right: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode;
+}
+
+/** A quotient of units: `m/s` */
+export interface UnitQuotientNode {
+  type: "UnitQuotient";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode;
+  right: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode;
+}
+
+/** A unit raised to an integer or rational power: `s^2`, `m^(1/2)`, `s⁻¹` */
+export interface UnitPowerNode {
+  type: "UnitPower";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  base: UnitNameNode | UnitProductNode | UnitQuotientNode | UnitPowerNode | UnitOneNode;
+  exponent: UnitExponent;
+}
+
+/** The `1` of `1/s` */
+export interface UnitOneNode {
+  type: "UnitOne";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+}
+
+/** A pipe: `x |> f` */
+export interface PipeNode {
+  type: "Pipe";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A pipe with placeholders: `(a, b) ||> f(_2, _1)` */
+export interface ExplicitPipeNode {
+  type: "ExplicitPipe";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A map over a list: `xs |>> f` */
+export interface MapNode {
+  type: "Map";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A filter of a list: `xs |>? p` */
+export interface FilterNode {
+  type: "Filter";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A reduction of a list: `xs |>: f`, with an initial value: `xs |:> 0 >: f` */
+export interface ReduceNode {
+  type: "Reduce";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  init?: Node;
+  right: Node;
+}
+
+/** Whether every item passes: `xs |>&& p` */
+export interface EveryNode {
+  type: "Every";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** Whether some item passes: `xs |>|| p` */
+export interface SomeNode {
+  type: "Some";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A sort by comparator: `xs |<> f` */
+export interface SortNode {
+  type: "Sort";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A split of a list: `xs |>/| p` */
+export interface SplitNode {
+  type: "Split";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A split into chunks: `xs |>#| 2` */
+export interface ChunkNode {
+  type: "Chunk";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A strict slice: `xs |>/ 2` */
+export interface SliceStrictNode {
+  type: "SliceStrict";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A clamped slice: `xs |>// 2` */
+export interface SliceClampNode {
+  type: "SliceClamp";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  left: Node;
+  right: Node;
+}
+
+/** A reversed list: `xs |><` */
+export interface ReverseNode {
+  type: "Reverse";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+}
+
+/** Points of an interval by step: `1:10 :+ 2` */
+export interface IntervalSteppingNode {
+  type: "IntervalStepping";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  step: Node;
+}
+
+/** Equally spaced points of an interval: `1:2 :: 5` */
+export interface EquallySpacedNode {
+  type: "equally_spaced";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  count: Node;
+}
+
+/** A partition into subintervals: `1:2 :/: 4` */
+export interface IntervalPartitionNode {
+  type: "IntervalPartition";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  count: Node;
+}
+
+/** A random partition: `1:2 :/% 4` */
+export interface IntervalRandomPartitionNode {
+  type: "IntervalRandomPartition";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  count: Node;
+}
+
+/** Mediants of an interval: `1:2 :~ 3` */
+export interface IntervalMediantsNode {
+  type: "IntervalMediants";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  levels: Node;
+}
+
+/** A mediant partition: `1:2 :~/ 3` */
+export interface IntervalMediantPartitionNode {
+  type: "IntervalMediantPartition";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  levels: Node;
+}
+
+/** Random points of an interval: `1:2 :% 5` */
+export interface IntervalRandomNode {
+  type: "IntervalRandom";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  interval: Node;
+  parameters: Node;
+}
+
+/** An unbounded sequence: `1 ::+ 2` */
+export interface InfiniteSequenceNode {
+  type: "InfiniteSequence";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  start: Node;
+  step: Node;
+}
+
+/** An array generator: `[1 |+ 2 |^ 5]` */
+export interface GeneratorChainNode {
+  type: "GeneratorChain";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  start: Node | null;
+  operators: (GeneratorAddNode | GeneratorMultiplyNode | GeneratorFunctionNode | GeneratorFilterNode | GeneratorLimitNode | GeneratorLazyLimitNode | GeneratorEagerLimitNode | GeneratorPipeNode)[];
+}
+
+/** Arithmetic step: `|+ 2` */
+export interface GeneratorAddNode {
+  type: "GeneratorAdd";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Geometric step: `|* 2` */
+export interface GeneratorMultiplyNode {
+  type: "GeneratorMultiply";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Step by function: `|: f` */
+export interface GeneratorFunctionNode {
+  type: "GeneratorFunction";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Filter: `|? p` */
+export interface GeneratorFilterNode {
+  type: "GeneratorFilter";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Count or stop condition: `|^ 5` */
+export interface GeneratorLimitNode {
+  type: "GeneratorLimit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Lazy limit: `|^: 5` */
+export interface GeneratorLazyLimitNode {
+  type: "GeneratorLazyLimit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Eager limit: `|; 5` */
+export interface GeneratorEagerLimitNode {
+  type: "GeneratorEagerLimit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** Pipe of the generated items: `|> f` */
+export interface GeneratorPipeNode {
+  type: "GeneratorPipe";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  operator: string;
+  operand: Node;
+}
+
+/** An array: `[1, 2, 3]` */
+export interface ArrayNode {
+  type: "Array";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  elements: Node[];
+}
+
+/** A tuple: `(1, 2)` */
+export interface TupleNode {
+  type: "Tuple";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  elements: Node[];
+}
+
+/** A matrix: `[1, 2; 3, 4]` */
+export interface MatrixNode {
+  type: "Matrix";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  rows: Node[][];
+}
+
+/** A tensor: `[1, 2;; 3, 4]`; `maxDimension` is the longest semicolon run */
+export interface TensorNode {
+  type: "Tensor";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  structure: TensorRow[];
+  maxDimension: number;
+}
+
+/** A shaped tensor, elements in row-major order: `{:2x2: 1, 2; 3, 4}` */
+export interface TensorLiteralNode {
+  type: "TensorLiteral";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  shape: number[];
+  header?: SemanticHeaderNode;
+  elements: Node[];
+}
+
+/** A value with metadata: `[x, name := "a"]` */
+export interface WithMetadataNode {
+  type: "WithMetadata";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  primary: Node;
+  metadata: Record<string, Node>;
+}
+
+/** A code block: `{; a; b }`, `{ a; b }` */
+export interface BlockContainerNode {
+  type: "BlockContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil?: string;
+  name?: string;
+  imports?: Import[];
+  elements: Node[];
+}
+
+/** An array constructor: `{.. 1, 2 }`; `tensorShape` when used as a shaped destructuring target */
+export interface ArrayContainerNode {
+  type: "ArrayContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  tensorShape?: number[];
+  header?: SemanticHeaderNode;
+  elements: Node[];
+}
+
+/** A map: `{= a=1, b=2 }` */
+export interface MapContainerNode {
+  type: "MapContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  header?: SemanticHeaderNode;
+  elements: Node[];
+}
+
+/** A case block: `{? x < 0 ? -1; 1 }` */
+export interface CaseContainerNode {
+  type: "CaseContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  elements: Node[];
+}
+
+/** A set: `{| 1, 2 |}` */
+export interface SetContainerNode {
+  type: "SetContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  header?: SemanticHeaderNode;
+  elements: Node[];
+}
+
+/** A tuple constructor: `{: 1, 2 }` */
+export interface TupleContainerNode {
+  type: "TupleContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  header?: SemanticHeaderNode;
+  elements: Node[];
+}
+
+/** A loop: `{@ i := 0; i < 3; i; i += 1 }`, with an iteration limit: `{@:100@ ... }` */
+export interface LoopContainerNode {
+  type: "LoopContainer";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  name?: string;
+  maxIterations?: number;
+  unlimited?: boolean;
+  imports?: Import[];
+  elements: Node[];
+}
+
+/** A key and value of a map: `a=1`, `a:=x` */
+export interface MapEntryNode {
+  type: "MapEntry";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  key: Node;
+  value: Node;
+  captureMode: string | null;
+}
+
+/** A constructor element with a capture mode: `:=x` */
+export interface CapturedEntryNode {
+  type: "CapturedEntry";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  captureMode: string;
+  expression: Node;
+}
+
+/** An index or key: `obj[1]`, `obj[:key]` */
+export interface PropertyAccessNode {
+  type: "PropertyAccess";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+  property: Node;
+}
+
+/** A property: `obj.name` */
+export interface DotAccessNode {
+  type: "DotAccess";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+  property: string;
+}
+
+/** All meta properties: `obj..` */
+export interface ExternalAccessNode {
+  type: "ExternalAccess";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+  property: null;
+}
+
+/** Several indices or slices: `m[1, 2:3]` */
+export interface BracketIndexNode {
+  type: "BracketIndex";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+  specs: Node[];
+}
+
+/** A slice: `2:3` in an index */
+export interface SliceSpecNode {
+  type: "SliceSpec";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  start: Node;
+  end: Node;
+}
+
+/** The keys of an object: `obj.|` */
+export interface KeySetNode {
+  type: "KeySet";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+}
+
+/** The values of an object: `obj|.` */
+export interface ValueSetNode {
+  type: "ValueSet";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+}
+
+/** A copy with changes, or a change in place: `obj{= +a=1, -.b }`, `obj{! +a=1 }` */
+export interface MutationNode {
+  type: "Mutation";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  mutate: boolean;
+  operations: MutationOperation[];
+}
+
+/** A call of a named function: `F(a, b; n := 2)` */
+export interface FunctionCallNode {
+  type: "FunctionCall";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  function: Node;
+  arguments: Arguments;
+  fromBrace?: boolean;
+}
+
+/** A call through the system context: `.SIN(x)`, `@_SIN(x)` */
+export interface SystemCallNode {
+  type: "SystemCall";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+  arguments: Arguments;
+  viaSystemContext?: boolean;
+}
+
+/** Evaluation through the system context: `@@ expr` */
+export interface SystemCapabilityCallNode {
+  type: "SystemCapabilityCall";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  property: string;
+  arguments: CapabilityArguments;
+}
+
+/** A call of an expression other than a name: `$(x)` */
+export interface CallNode {
+  type: "Call";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+  arguments: Arguments;
+}
+
+/** A method call: `obj.name(x)` */
+export interface MethodCallNode {
+  type: "MethodCall";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  object: Node;
+  method: string;
+  arguments: Arguments;
+}
+
+/** Parameters in parentheses, told apart from a tuple by a `;`: `(x; n)` */
+export interface ParameterListNode {
+  type: "ParameterList";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  parameters: Parameters;
+}
+
+/** A named function: `F(x) :-> x^2` */
+export interface FunctionDefinitionNode {
+  type: "FunctionDefinition";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: Node;
+  parameters: Parameters;
+  prep: Node | null;
+  prepStrict: boolean;
+  variantName?: string;
+  body: Node;
+}
+
+/** A variant added to a named function: `F(x) ?- [x > 0] /Positive/ => x` */
+export interface FunctionVariantDefinitionNode {
+  type: "FunctionVariantDefinition";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: Node;
+  parameters: Parameters;
+  prep: Node | null;
+  prepStrict: boolean;
+  variantName: string;
+  mode: string;
+  body: Node;
+}
+
+/** An anonymous function: `(x) -> x^2` */
+export interface FunctionLambdaNode {
+  type: "FunctionLambda";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  parameters: Parameters;
+  prep: Node | null;
+  prepStrict: boolean;
+  variantName?: string;
+  body: Node;
+}
+
+/** A function by cases: `g :=> [ (x ? x < 0) -> -x, (x) -> x ]` */
+export interface PatternMatchingFunctionNode {
+  type: "PatternMatchingFunction";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: Node;
+  parameters: Parameters;
+  patterns: Pattern[];
+  metadata: Record<string, Node>;
+}
+
+/** A derivative: `f'`, `f'[x]`, `f'(2)` */
+export interface DerivativeNode {
+  type: "Derivative";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  function: Node;
+  order: number;
+  variables: Variable[] | null;
+  evaluation: Node[] | null;
+  operations: Node[] | null;
+}
+
+/** An integral: `'f`, `'f[x]` */
+export interface IntegralNode {
+  type: "Integral";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  function: Node;
+  order: number;
+  variables: Variable[] | null;
+  evaluation: Node[] | null;
+  operations: Node[] | null;
+  metadata: IntegralMetadata;
+}
+
+/** A control keyword called in functional form, with the functionalForms option: `WHILE(c, body)` */
+export interface ControlStructureNode {
+  type: "ControlStructure";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  keyword: string;
+  structure: string;
+  functionalOrigin: boolean;
+  init?: Node;
+  condition: Node;
+  increment?: Node;
+  thenBranch?: Node;
+  elseBranch?: Node;
+  body?: Node;
+}
+
+/** An early exit with a value: `{! x }`, `{!@ x }`, `{!name! x}` */
+export interface BreakBlockNode {
+  type: "BreakBlock";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  targetType?: "block" | "loop" | "case";
+  targetName?: string;
+  value: Node;
+}
+
+/** A block kept unevaluated: `@{; a; b }` */
+export interface DeferredBlockNode {
+  type: "DeferredBlock";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  body: Node;
+}
+
+/** A semantic header of a constructor: `/#name ::Type :trait/` */
+export interface SemanticHeaderNode {
+  type: "SemanticHeader";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  captureMode: string | null;
+  name: string | null;
+  typeName: string | null;
+  traits: HeaderTraitNode[];
+}
+
+/** A trait of a semantic header */
+export interface HeaderTraitNode {
+  type: "HeaderTrait";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+  checkMode: string | null;
+  order: number;
+}
+
+/** A value with a semantic header: `{^ /::Point/ x }` */
+export interface ValueOutfitNode {
+  type: "ValueOutfit";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  header: SemanticHeaderNode;
+  expression: Node;
+}
+
+/** A semantic type query: `x ? :rational` */
+export interface SemanticHasNode {
+  type: "SemanticHas";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+  name: string;
+}
+
+/** A soft conversion: `x ~: :rational` */
+export interface SemanticConvertSoftNode {
+  type: "SemanticConvertSoft";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+  typeName: string;
+}
+
+/** A strict conversion: `x ~!: :rational` */
+export interface SemanticConvertStrictNode {
+  type: "SemanticConvertStrict";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  expression: Node;
+  typeName: string;
+}
+
+/** A system specification: `{# p = x + 1 }` */
+export interface SystemSpecLiteralNode {
+  type: "SystemSpecLiteral";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sigil: string;
+  imports?: Import[];
+  inputs: string[];
+  outputs: string[];
+  outputsDeclared: boolean;
+  statements: SpecAssignNode[];
+}
+
+/** An assignment of a system spec: `p = x + 1` */
+export interface SpecAssignNode {
+  type: "SpecAssign";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: string;
+  expr: Node;
+}
+
+/** A script import: `<"path" /+Group/ a, b; c>` */
+export interface ScriptImportExpressionNode {
+  type: "ScriptImportExpression";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  path: StringNode;
+  capabilityModifiers?: CapabilityModifier[];
+  inputs?: Binding[];
+  outputs?: Binding[];
+}
+
+/** The bindings a script takes: `<a, b>` */
+export interface ScriptBindingsDeclarationNode {
+  type: "ScriptBindingsDeclaration";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  bindings: Binding[];
+}
+
+/** A name to bind */
+export interface DestructureVariableTargetNode {
+  type: "DestructureVariableTarget";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  name: string;
+}
+
+/** The rest of a list: `...rest` */
+export interface DestructureRestTargetNode {
+  type: "DestructureRestTarget";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  target: Node;
+}
+
+/** A target with a binding mode */
+export interface DestructureBindingModeTargetNode {
+  type: "DestructureBindingModeTarget";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  bindingMode: string;
+  target: Node;
+}
+
+/** A target with a semantic header */
+export interface DestructureSemanticTargetNode {
+  type: "DestructureSemanticTarget";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  header: SemanticHeaderNode;
+  target: Node;
+}
+
+/** A target taken from indices: `a[1]` */
+export interface DestructureIndexedTargetNode {
+  type: "DestructureIndexedTarget";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  wholeTarget: Node | null;
+  specs: Node[];
+  nestedTarget: Node | null;
+}
+
+/** An array pattern: `[a, b, ...rest] := xs` */
+export interface DestructureArrayPatternNode {
+  type: "DestructureArrayPattern";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  entries: Node[];
+  rest: Node | null;
+}
+
+/** A tuple pattern: `(a, b) := t` */
+export interface DestructureTuplePatternNode {
+  type: "DestructureTuplePattern";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  entries: Node[];
+  rest: Node | null;
+}
+
+/** A map pattern: `{= a, b=c } := m` */
+export interface DestructureMapPatternNode {
+  type: "DestructureMapPattern";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  entries: DestructureMapEntryNode[];
+  rest: Node | null;
+}
+
+/** A key of a map pattern and where its value goes */
+export interface DestructureMapEntryNode {
+  type: "DestructureMapEntry";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  sourceKey: Node;
+  wholeTarget: Node | null;
+  nestedTarget: Node | null;
+}
+
+/** A matrix pattern: `{:2x2: a, b; c, d} := m` */
+export interface DestructureTensorPatternNode {
+  type: "DestructureTensorPattern";
+  pos: Position;
+  original: string;
+  loc?: SourceLocation;
+  tokens?: Record<string, unknown>[];
+  leadingTrivia?: Record<string, unknown>[];
+  trailingTrivia?: Record<string, unknown>[];
+  tokenRange?: number[] | null;
+  shape: number[];
+  rows: Node[][];
+}
+
+/** Any node of the AST, told apart by `type` */
+export type Node =
+  | ProgramNode
+  | StatementNode
+  | CommentNode
+  | ErrorNode
+  | NumberNode
+  | StringNode
+  | RegexLiteralNode
+  | EmbeddedLanguageNode
+  | UserIdentifierNode
+  | SystemIdentifierNode
+  | SystemFunctionRefNode
+  | SystemAccessNode
+  | SystemObjectNode
+  | OuterIdentifierNode
+  | PlaceHolderNode
+  | HoleNode
+  | NULLNode
+  | SelfRefNode
+  | ParentSelfRefNode
+  | KeyLiteralNode
+  | FullSliceNode
+  | BinaryOperationNode
+  | UnaryOperationNode
+  | TernaryOperationNode
+  | ImplicitMultiplicationNode
+  | ImplicitApplicationNode
+  | GroupingNode
+  | SequenceExpressionNode
+  | SpreadNode
+  | TransposeNode
+  | AtNode
+  | AskNode
+  | ScientificUnitNode
+  | MathematicalUnitNode
+  | UnitNameNode
+  | UnitProductNode
+  | UnitQuotientNode
+  | UnitPowerNode
+  | UnitOneNode
+  | PipeNode
+  | ExplicitPipeNode
+  | MapNode
+  | FilterNode
+  | ReduceNode
+  | EveryNode
+  | SomeNode
+  | SortNode
+  | SplitNode
+  | ChunkNode
+  | SliceStrictNode
+  | SliceClampNode
+  | ReverseNode
+  | IntervalSteppingNode
+  | EquallySpacedNode
+  | IntervalPartitionNode
+  | IntervalRandomPartitionNode
+  | IntervalMediantsNode
+  | IntervalMediantPartitionNode
+  | IntervalRandomNode
+  | InfiniteSequenceNode
+  | GeneratorChainNode
+  | GeneratorAddNode
+  | GeneratorMultiplyNode
+  | GeneratorFunctionNode
+  | GeneratorFilterNode
+  | GeneratorLimitNode
+  | GeneratorLazyLimitNode
+  | GeneratorEagerLimitNode
+  | GeneratorPipeNode
+  | ArrayNode
+  | TupleNode
+  | MatrixNode
+  | TensorNode
+  | TensorLiteralNode
+  | WithMetadataNode
+  | BlockContainerNode
+  | ArrayContainerNode
+  | MapContainerNode
+  | CaseContainerNode
+  | SetContainerNode
+  | TupleContainerNode
+  | LoopContainerNode
+  | MapEntryNode
+  | CapturedEntryNode
+  | PropertyAccessNode
+  | DotAccessNode
+  | ExternalAccessNode
+  | BracketIndexNode
+  | SliceSpecNode
+  | KeySetNode
+  | ValueSetNode
+  | MutationNode
+  | FunctionCallNode
+  | SystemCallNode
+  | SystemCapabilityCallNode
+  | CallNode
+  | MethodCallNode
+  | ParameterListNode
+  | FunctionDefinitionNode
+  | FunctionVariantDefinitionNode
+  | FunctionLambdaNode
+  | PatternMatchingFunctionNode
+  | DerivativeNode
+  | IntegralNode
+  | ControlStructureNode
+  | BreakBlockNode
+  | DeferredBlockNode
+  | SemanticHeaderNode
+  | HeaderTraitNode
+  | ValueOutfitNode
+  | SemanticHasNode
+  | SemanticConvertSoftNode
+  | SemanticConvertStrictNode
+  | SystemSpecLiteralNode
+  | SpecAssignNode
+  | ScriptImportExpressionNode
+  | ScriptBindingsDeclarationNode
+  | DestructureVariableTargetNode
+  | DestructureRestTargetNode
+  | DestructureBindingModeTargetNode
+  | DestructureSemanticTargetNode
+  | DestructureIndexedTargetNode
+  | DestructureArrayPatternNode
+  | DestructureTuplePatternNode
+  | DestructureMapPatternNode
+  | DestructureMapEntryNode
+  | DestructureTensorPatternNode;
+
+export type NodeType = Node["type"];
+
+/** The interface of each node type */
+export interface NodeTypes {
+  Program: ProgramNode;
+  Statement: StatementNode;
+  Comment: CommentNode;
+  ErrorNode: ErrorNode;
+  Number: NumberNode;
+  String: StringNode;
+  RegexLiteral: RegexLiteralNode;
+  EmbeddedLanguage: EmbeddedLanguageNode;
+  UserIdentifier: UserIdentifierNode;
+  SystemIdentifier: SystemIdentifierNode;
+  SystemFunctionRef: SystemFunctionRefNode;
+  SystemAccess: SystemAccessNode;
+  SystemObject: SystemObjectNode;
+  OuterIdentifier: OuterIdentifierNode;
+  PlaceHolder: PlaceHolderNode;
+  Hole: HoleNode;
+  NULL: NULLNode;
+  SelfRef: SelfRefNode;
+  ParentSelfRef: ParentSelfRefNode;
+  KeyLiteral: KeyLiteralNode;
+  FullSlice: FullSliceNode;
+  BinaryOperation: BinaryOperationNode;
+  UnaryOperation: UnaryOperationNode;
+  TernaryOperation: TernaryOperationNode;
+  ImplicitMultiplication: ImplicitMultiplicationNode;
+  ImplicitApplication: ImplicitApplicationNode;
+  Grouping: GroupingNode;
+  SequenceExpression: SequenceExpressionNode;
+  Spread: SpreadNode;
+  Transpose: TransposeNode;
+  At: AtNode;
+  Ask: AskNode;
+  ScientificUnit: ScientificUnitNode;
+  MathematicalUnit: MathematicalUnitNode;
+  UnitName: UnitNameNode;
+  UnitProduct: UnitProductNode;
+  UnitQuotient: UnitQuotientNode;
+  UnitPower: UnitPowerNode;
+  UnitOne: UnitOneNode;
+  Pipe: PipeNode;
+  ExplicitPipe: ExplicitPipeNode;
+  Map: MapNode;
+  Filter: FilterNode;
+  Reduce: ReduceNode;
+  Every: EveryNode;
+  Some: SomeNode;
+  Sort: SortNode;
+  Split: SplitNode;
+  Chunk: ChunkNode;
+  SliceStrict: SliceStrictNode;
+  SliceClamp: SliceClampNode;
+  Reverse: ReverseNode;
+  IntervalStepping: IntervalSteppingNode;
+  equally_spaced: EquallySpacedNode;
+  IntervalPartition: IntervalPartitionNode;
+  IntervalRandomPartition: IntervalRandomPartitionNode;
+  IntervalMediants: IntervalMediantsNode;
+  IntervalMediantPartition: IntervalMediantPartitionNode;
+  IntervalRandom: IntervalRandomNode;
+  InfiniteSequence: InfiniteSequenceNode;
+  GeneratorChain: GeneratorChainNode;
+  GeneratorAdd: GeneratorAddNode;
+  GeneratorMultiply: GeneratorMultiplyNode;
+  GeneratorFunction: GeneratorFunctionNode;
+  GeneratorFilter: GeneratorFilterNode;
+  GeneratorLimit: GeneratorLimitNode;
+  GeneratorLazyLimit: GeneratorLazyLimitNode;
+  GeneratorEagerLimit: GeneratorEagerLimitNode;
+  GeneratorPipe: GeneratorPipeNode;
+  Array: ArrayNode;
+  Tuple: TupleNode;
+  Matrix: MatrixNode;
+  Tensor: TensorNode;
+  TensorLiteral: TensorLiteralNode;
+  WithMetadata: WithMetadataNode;
+  BlockContainer: BlockContainerNode;
+  ArrayContainer: ArrayContainerNode;
+  MapContainer: MapContainerNode;
+  CaseContainer: CaseContainerNode;
+  SetContainer: SetContainerNode;
+  TupleContainer: TupleContainerNode;
+  LoopContainer: LoopContainerNode;
+  MapEntry: MapEntryNode;
+  CapturedEntry: CapturedEntryNode;
+  PropertyAccess: PropertyAccessNode;
+  DotAccess: DotAccessNode;
+  ExternalAccess: ExternalAccessNode;
+  BracketIndex: BracketIndexNode;
+  SliceSpec: SliceSpecNode;
+  KeySet: KeySetNode;
+  ValueSet: ValueSetNode;
+  Mutation: MutationNode;
+  FunctionCall: FunctionCallNode;
+  SystemCall: SystemCallNode;
+  SystemCapabilityCall: SystemCapabilityCallNode;
+  Call: CallNode;
+  MethodCall: MethodCallNode;
+  ParameterList: ParameterListNode;
+  FunctionDefinition: FunctionDefinitionNode;
+  FunctionVariantDefinition: FunctionVariantDefinitionNode;
+  FunctionLambda: FunctionLambdaNode;
+  PatternMatchingFunction: PatternMatchingFunctionNode;
+  Derivative: DerivativeNode;
+  Integral: IntegralNode;
+  ControlStructure: ControlStructureNode;
+  BreakBlock: BreakBlockNode;
+  DeferredBlock: DeferredBlockNode;
+  SemanticHeader: SemanticHeaderNode;
+  HeaderTrait: HeaderTraitNode;
+  ValueOutfit: ValueOutfitNode;
+  SemanticHas: SemanticHasNode;
+  SemanticConvertSoft: SemanticConvertSoftNode;
+  SemanticConvertStrict: SemanticConvertStrictNode;
+  SystemSpecLiteral: SystemSpecLiteralNode;
+  SpecAssign: SpecAssignNode;
+  ScriptImportExpression: ScriptImportExpressionNode;
+  ScriptBindingsDeclaration: ScriptBindingsDeclarationNode;
+  DestructureVariableTarget: DestructureVariableTargetNode;
+  DestructureRestTarget: DestructureRestTargetNode;
+  DestructureBindingModeTarget: DestructureBindingModeTargetNode;
+  DestructureSemanticTarget: DestructureSemanticTargetNode;
+  DestructureIndexedTarget: DestructureIndexedTargetNode;
+  DestructureArrayPattern: DestructureArrayPatternNode;
+  DestructureTuplePattern: DestructureTuplePatternNode;
+  DestructureMapPattern: DestructureMapPatternNode;
+  DestructureMapEntry: DestructureMapEntryNode;
+  DestructureTensorPattern: DestructureTensorPatternNode;
+}
+
+export interface Token {
+  type: string;
+  value: string;
+  original: string;
+  pos: Position;
+  kind?: string;
+  [detail: string]: unknown;
+}
+
+/** What a systemLookup knows of a capitalized name */
+export interface SystemInfo {
+  type?: string;
+  source?: string;
+  arity?: number;
+  functionalArity?: number | [number, number];
+  keywordParams?: string[];
+  suggestions?: string[];
+  [detail: string]: unknown;
+}
+
+export type SystemLookup = (name: string, context?: string) => SystemInfo;
+
+export interface OperatorDefinition {
+  precedence?: number;
+  associativity?: "left" | "right";
+  operatorType?: "infix" | "prefix" | "postfix";
+  [detail: string]: unknown;
+}
+
+export interface TokenizeOptions {
+  onError?: (error: RixSyntaxError, position: number) => void;
+  start?: number;
+  stop?: (position: number) => boolean;
+  bases?: Map<string, string> | Record<string, string>;
+  operators?: Iterable<string> | Map<string, OperatorDefinition>;
+}
+
+export interface ParseOptions {
+  systemLookup?: SystemLookup;
+  recover?: boolean;
+  cst?: boolean;
+  bases?: Map<string, string> | Record<string, string>;
+  operators?: Map<string, OperatorDefinition> | Record<string, OperatorDefinition>;
+  functionalForms?: (name: string, args: Node[], systemInfo: SystemInfo) => Node;
+  context?: string;
+  unknownSystem?: "allow" | "warn" | "error";
+  extensionLookup?: (name: string) => { source?: string; strict?: boolean; [detail: string]: unknown } | undefined;
+  embeddedLanguages?: Map<string, EmbeddedLanguageParser> | Record<string, EmbeddedLanguageParser>;
+}
+
+export type EmbeddedLanguageParser = (
+  body: string,
+  info: { language: string; context: string | null; parse: (text: string) => Node[] },
+) => Node | Node[];
+
+export interface Diagnostic {
+  severity: "error" | "warning";
+  code: string;
+  message: string;
+  span: [start: number, end: number];
+  line?: number;
+  col?: number;
+  suggestions?: string[];
+}
+
+export interface ParseResult {
+  ast: Node[];
+  diagnostics: Diagnostic[];
+}
+
+export function parse(input: string | Token[], options: ParseOptions & { cst: true }): ProgramNode;
+export function parse(input: string | Token[], options: ParseOptions & { recover: true }): ParseResult;
+export function parse(input: string | Token[], options: ParseOptions & { unknownSystem: "warn" }): ParseResult;
+export function parse(input: string | Token[], options?: SystemLookup | ParseOptions): Node[];
+
+export function tokenize(input: string, options?: TokenizeOptions): Token[];
+
+export interface PrintOptions {
+  indent?: number | string;
+  spaceAroundOperators?: boolean;
+  lineWidth?: number;
+}
+
+export function print(ast: Node | Node[] | ParseResult, options?: PrintOptions): string;
+export function printCST(node: Node): string;
+
+export type DocumentOptions = Omit<ParseOptions, "recover" | "cst">;
+
+export class RixDocument {
+  constructor(text: string, options?: DocumentOptions);
+  text: string;
+  version: number;
+  readonly ast: Node[];
+  readonly tokens: Token[];
+  readonly diagnostics: Diagnostic[];
+  applyEdit(edit: { start: number; end?: number; text?: string }): { ast: Node[]; changed: Node[]; removed: Node[] };
+}
+
+export function createDocument(text: string, options?: DocumentOptions): RixDocument;
+
+export type DecodedNumber = Omit<NumberNode, "type" | "pos" | "original" | "value">;
+export interface Rational {
+  num: bigint;
+  den: bigint;
+}
+
+export function decodeNumber(value: string, start?: number, alphabet?: string | null): DecodedNumber;
+export function literalToRational(node: NumberNode | string): Rational | { lo: Rational; hi: Rational };
+
+export interface SemanticRange {
+  start: number;
+  end: number;
+  line: number;
+  character: number;
+  length: number;
+  type: string;
+}
+
+export const SEMANTIC_TOKEN_TYPES: string[];
+export function classify(source: string, options?: { systemLoader?: unknown }): SemanticRange[];
+export function encodeSemanticTokens(ranges: SemanticRange[]): number[];
+
+export function checkCalls(ast: Node | Node[], options?: { systemLookup?: SystemLookup; source?: string }): Diagnostic[];
+
+export interface UnitDefinition {
+  prefixable: boolean;
+  dimension: Record<string, number>;
+  factor?: string | number;
+  offset?: string | number;
+  [detail: string]: unknown;
+}
+
+export function checkDimensions(
+  ast: Node | Node[],
+  options?: { units?: Record<string, UnitDefinition>; source?: string },
+): Diagnostic[];
+
+export function convert(
+  valueNode: ScientificUnitNode | NumberNode,
+  fromUnit: string | null,
+  toUnit: string,
+  options?: { units?: Record<string, UnitDefinition> },
+): ScientificUnitNode;
+
+export function extensionField(node: Node): { generators: AlgebraicExtension[]; field: string } | null;
+
+export interface NodePath<T extends Node = Node> {
+  node: T;
+  parent: Node | null;
+  parentPath: NodePath | null;
+  key: string | null;
+  container: unknown;
+  index: number | string | null;
+  replace(node: Node): void;
+  remove(): void;
+  skip(): void;
+  stop(): void;
+}
+
+export type VisitorCallback<T extends Node = Node> = (path: NodePath<T>) => void;
+export type Visitor<T extends Node = Node> = VisitorCallback<T> | { enter?: VisitorCallback<T>; leave?: VisitorCallback<T> };
+export type Visitors =
+  | VisitorCallback
+  | ({ enter?: VisitorCallback; leave?: VisitorCallback } & { [K in NodeType]?: Visitor<NodeTypes[K]> });
+
+export function visit<T extends Node | Node[]>(ast: T, visitors: Visitors): T | Node;
+export function transform<T extends Node | Node[]>(
+  ast: T,
+  fn: (node: Node, path: { node: Node; parent: Node | null; parentPath: unknown; key: string | null }) => Node | null | undefined,
+): T;
+
+export interface AstProblem {
+  path: string;
+  message: string;
+}
+
+export function validateAst(ast: Node | Node[] | ParseResult): AstProblem[];
+
+export class RixSyntaxError extends SyntaxError {
+  code: string;
+  line: number | null;
+  col: number | null;
+  offset: number | null;
+  endOffset: number | null;
+  token: Token | null;
+  expected: string[];
+  detail: string;
+}
+export class TokenizeError extends RixSyntaxError {}
+export class ParseError extends RixSyntaxError {}
@@ -1,4 +1,38 @@
 import { parse } from "./src/parser.js";
 import { tokenize } from "./src/tokenizer.js";
+import { print } from "./src/printer.js";
+import { printCST } from "./src/cst.js";
+import { createDocument, RixDocument } from "./src/document.js";
+import { decodeNumber, literalToRational } from "./src/numbers.js";
+import { classify, encodeSemanticTokens, SEMANTIC_TOKEN_TYPES } from "./src/classify.js";
+import { checkCalls } from "./src/calls.js";
+import { checkDimensions } from "./src/dimensions.js";
+import { convert } from "./src/conversion.js";
+import { extensionField } from "./src/extensions.js";
+import { visit, transform } from "./src/visit.js";
+import { validateAst } from "./src/schema.js";
+import { RixSyntaxError, ParseError, TokenizeError } from "./src/errors.js";
 
-export { parse, tokenize };
+export {
+  parse,
+  tokenize,
+  print,
+  printCST,
+  createDocument,
+  RixDocument,
+  decodeNumber,
+  literalToRational,
+  classify,
+  encodeSemanticTokens,
+  SEMANTIC_TOKEN_TYPES,
+  checkCalls,
+  checkDimensions,
+  convert,
+  extensionField,
+  visit,
+  transform,
+  validateAst,
+  RixSyntaxError,
+  ParseError,
+  TokenizeError,
+};
@@ -0,0 +1,207 @@
+#!/usr/bin/env bun
+/**
+ * Write index.d.ts: the node declarations generated from src/schema.js,
+ * followed by the declarations of what index.js exports. Run it with
+ * `bun run build:types` after changing AST_SCHEMA.
+ */
+
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { generateTypes } from "../src/schema.js";
+
+const API = `export interface Token {
+  type: string;
+  value: string;
+  original: string;
+  pos: Position;
+  kind?: string;
+  [detail: string]: unknown;
+}
+
+/** What a systemLookup knows of a capitalized name */
+export interface SystemInfo {
+  type?: string;
+  source?: string;
+  arity?: number;
+  functionalArity?: number | [number, number];
+  keywordParams?: string[];
+  suggestions?: string[];
+  [detail: string]: unknown;
+}
+
+export type SystemLookup = (name: string, context?: string) => SystemInfo;
+
+export interface OperatorDefinition {
+  precedence?: number;
+  associativity?: "left" | "right";
+  operatorType?: "infix" | "prefix" | "postfix";
+  [detail: string]: unknown;
+}
+
+export interface TokenizeOptions {
+  onError?: (error: RixSyntaxError, position: number) => void;
+  start?: number;
+  stop?: (position: number) => boolean;
+  bases?: Map<string, string> | Record<string, string>;
+  operators?: Iterable<string> | Map<string, OperatorDefinition>;
+}
+
+export interface ParseOptions {
+  systemLookup?: SystemLookup;
+  recover?: boolean;
+  cst?: boolean;
+  bases?: Map<string, string> | Record<string, string>;
+  operators?: Map<string, OperatorDefinition> | Record<string, OperatorDefinition>;
+  functionalForms?: (name: string, args: Node[], systemInfo: SystemInfo) => Node;
+  context?: string;
+  unknownSystem?: "allow" | "warn" | "error";
+  extensionLookup?: (name: string) => { source?: string; strict?: boolean; [detail: string]: unknown } | undefined;
+  embeddedLanguages?: Map<string, EmbeddedLanguageParser> | Record<string, EmbeddedLanguageParser>;
+}
+
+export type EmbeddedLanguageParser = (
+  body: string,
+  info: { language: string; context: string | null; parse: (text: string) => Node[] },
+) => Node | Node[];
+
+export interface Diagnostic {
+  severity: "error" | "warning";
+  code: string;
+  message: string;
+  span: [start: number, end: number];
+  line?: number;
+  col?: number;
+  suggestions?: string[];
+}
+
+export interface ParseResult {
+  ast: Node[];
+  diagnostics: Diagnostic[];
+}
+
+export function parse(input: string | Token[], options: ParseOptions & { cst: true }): ProgramNode;
+export function parse(input: string | Token[], options: ParseOptions & { recover: true }): ParseResult;
+export function parse(input: string | Token[], options: ParseOptions & { unknownSystem: "warn" }): ParseResult;
+export function parse(input: string | Token[], options?: SystemLookup | ParseOptions): Node[];
+
+export function tokenize(input: string, options?: TokenizeOptions): Token[];
+
+export interface PrintOptions {
+  indent?: number | string;
+  spaceAroundOperators?: boolean;
+  lineWidth?: number;
+}
+
+export function print(ast: Node | Node[] | ParseResult, options?: PrintOptions): string;
+export function printCST(node: Node): string;
+
+export type DocumentOptions = Omit<ParseOptions, "recover" | "cst">;
+
+export class RixDocument {
+  constructor(text: string, options?: DocumentOptions);
+  text: string;
+  version: number;
+  readonly ast: Node[];
+  readonly tokens: Token[];
+  readonly diagnostics: Diagnostic[];
+  applyEdit(edit: { start: number; end?: number; text?: string }): { ast: Node[]; changed: Node[]; removed: Node[] };
+}
+
+export function createDocument(text: string, options?: DocumentOptions): RixDocument;
+
+export type DecodedNumber = Omit<NumberNode, "type" | "pos" | "original" | "value">;
+export interface Rational {
+  num: bigint;
+  den: bigint;
+}
+
+export function decodeNumber(value: string, start?: number, alphabet?: string | null): DecodedNumber;
+export function literalToRational(node: NumberNode | string): Rational | { lo: Rational; hi: Rational };
+
+export interface SemanticRange {
+  start: number;
+  end: number;
+  line: number;
+  character: number;
+  length: number;
+  type: string;
+}
+
+export const SEMANTIC_TOKEN_TYPES: string[];
+export function classify(source: string, options?: { systemLoader?: unknown }): SemanticRange[];
+export function encodeSemanticTokens(ranges: SemanticRange[]): number[];
+
+export function checkCalls(ast: Node | Node[], options?: { systemLookup?: SystemLookup; source?: string }): Diagnostic[];
+
+export interface UnitDefinition {
+  prefixable: boolean;
+  dimension: Record<string, number>;
+  factor?: string | number;
+  offset?: string | number;
+  [detail: string]: unknown;
+}
+
+export function checkDimensions(
+  ast: Node | Node[],
+  options?: { units?: Record<string, UnitDefinition>; source?: string },
+): Diagnostic[];
+
+export function convert(
+  valueNode: ScientificUnitNode | NumberNode,
+  fromUnit: string | null,
+  toUnit: string,
+  options?: { units?: Record<string, UnitDefinition> },
+): ScientificUnitNode;
+
+export function extensionField(node: Node): { generators: AlgebraicExtension[]; field: string } | null;
+
+export interface NodePath<T extends Node = Node> {
+  node: T;
+  parent: Node | null;
+  parentPath: NodePath | null;
+  key: string | null;
+  container: unknown;
+  index: number | string | null;
+  replace(node: Node): void;
+  remove(): void;
+  skip(): void;
+  stop(): void;
+}
+
+export type VisitorCallback<T extends Node = Node> = (path: NodePath<T>) => void;
+export type Visitor<T extends Node = Node> = VisitorCallback<T> | { enter?: VisitorCallback<T>; leave?: VisitorCallback<T> };
+export type Visitors =
+  | VisitorCallback
+  | ({ enter?: VisitorCallback; leave?: VisitorCallback } & { [K in NodeType]?: Visitor<NodeTypes[K]> });
+
+export function visit<T extends Node | Node[]>(ast: T, visitors: Visitors): T | Node;
+export function transform<T extends Node | Node[]>(
+  ast: T,
+  fn: (node: Node, path: { node: Node; parent: Node | null; parentPath: unknown; key: string | null }) => Node | null | undefined,
+): T;
+
+export interface AstProblem {
+  path: string;
+  message: string;
+}
+
+export function validateAst(ast: Node | Node[] | ParseResult): AstProblem[];
+
+export class RixSyntaxError extends SyntaxError {
+  code: string;
+  line: number | null;
+  col: number | null;
+  offset: number | null;
+  endOffset: number | null;
+  token: Token | null;
+  expected: string[];
+  detail: string;
+}
+export class TokenizeError extends RixSyntaxError {}
+export class ParseError extends RixSyntaxError {}
+`;
+
+const header = "// Generated by scripts/build-types.js from src/schema.js. Do not edit.\n\n";
+const path = join(import.meta.dir, "..", "index.d.ts");
+writeFileSync(path, header + generateTypes() + "\n" + API);
+console.log(`Wrote ${path}`);
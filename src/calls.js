@@ -0,0 +1,97 @@
+/**
+ * RiX Call Checking
+ * A pass over a parsed AST that compares the arguments of system function
+ * calls with their registered definitions: the positional count against
+ * `arity` and keyword argument names against `keywordParams`. Calls on
+ * system constants are flagged too.
+ */
+
+import { posToLineCol } from "./tokenizer.js";
+import { defaultSystemLoader } from "./system-loader.js";
+import { visit } from "./visit.js";
+
+/**
+ * Check every FunctionCall of a system identifier and every SystemCall in
+ * `ast` (a node or a list of statements). Returns diagnostics
+ * { severity, code, message, span, line, col }, line and col only when
+ * `source` is given:
+ * - E_ARITY: the number of positional arguments differs from `arity`
+ *   (-1 accepts any number)
+ * - E_UNKNOWN_KEYWORD_ARG: a keyword argument missing from `keywordParams`
+ *   (definitions without `keywordParams` accept any)
+ * - E_NOT_CALLABLE: a call on a constant, such as `PI(2)`
+ * A call's definition is the `systemInfo` the parser attached when that is
+ * a function definition, or else comes from `systemLookup`. Unknown names
+ * are left to the parser's `unknownSystem` option.
+ */
+export function checkCalls(ast, options = {}) {
+  const { systemLookup = defaultSystemLoader.createParserLookup(), source = "" } = options;
+  const diagnostics = [];
+  const report = (code, message, span) => {
+    const diagnostic = { severity: "error", code, message, span };
+    if (source) {
+      const { line, col } = posToLineCol(source, span[0]);
+      diagnostic.line = line;
+      diagnostic.col = col;
+    }
+    diagnostics.push(diagnostic);
+  };
+
+  visit(ast, ({ node }) => {
+    const call = systemCall(node, systemLookup);
+    if (call?.definition.type === "constant") {
+      report("E_NOT_CALLABLE", `${call.name} is a constant and cannot be called`, call.span);
+    } else if (call) {
+      checkCall(call, node.arguments, report);
+    }
+  });
+  return diagnostics;
+}
+
+// The name, definition and span of the callee when `node` calls a known
+// system function or constant
+function systemCall(node, systemLookup) {
+  let name;
+  let callee;
+  let definition;
+  if (node.type === "FunctionCall" && node.function.type === "SystemIdentifier") {
+    callee = node.function;
+    name = callee.name;
+    // The parser's default lookup attaches {type: "identifier"} to every
+    // name, so only a function definition it attached is taken as is
+    definition = callee.systemInfo?.type === "function" ? callee.systemInfo : systemLookup(name);
+  } else if (node.type === "SystemCall") {
+    callee = node;
+    name = node.name;
+    definition = systemLookup(name);
+  } else {
+    return null;
+  }
+  if (!definition || definition.source === "unknown" || !["function", "constant"].includes(definition.type)) {
+    return null;
+  }
+  return { name, definition, span: nodeSpan(callee) };
+}
+
+function checkCall({ name, definition, span }, args, report) {
+  const { arity, keywordParams } = definition;
+  const count = args.positional.length;
+  if (typeof arity === "number" && arity >= 0 && count !== arity) {
+    report("E_ARITY", `${name} takes ${arity} ${arity === 1 ? "argument" : "arguments"}, got ${count}`, span);
+  }
+  if (!Array.isArray(keywordParams)) {
+    return;
+  }
+  for (const [keyword, value] of Object.entries(args.keyword)) {
+    if (keywordParams.includes(keyword)) continue;
+    const accepted =
+      keywordParams.length > 0 ? `; it takes ${keywordParams.join(", ")}` : "; it takes none";
+    report("E_UNKNOWN_KEYWORD_ARG", `${name} has no keyword parameter ${keyword}${accepted}`, nodeSpan(value));
+  }
+}
+
+// Source span of a node from its value start to its end
+function nodeSpan(node) {
+  const [, start, end] = node.pos ?? [0, 0, 0];
+  return [start, end];
+}
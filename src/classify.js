@@ -0,0 +1,218 @@
+/**
+ * RiX Semantic Tokens
+ * Classifies source text into ranges for syntax highlighting, telling apart
+ * the number forms, system identifier kinds, sigils and operators that a
+ * TextMate-style grammar cannot.
+ */
+
+import { tokenize, embeddedHeaderLength } from "./tokenizer.js";
+import { defaultSystemLoader } from "./system-loader.js";
+import { decodeNumber } from "./numbers.js";
+import { textStart } from "./spans.js";
+
+/**
+ * Token types in the order their indices are encoded, as announced in an LSP
+ * `SemanticTokensLegend`.
+ */
+export const SEMANTIC_TOKEN_TYPES = [
+  "number",
+  "rational",
+  "interval",
+  "continuedFraction",
+  "baseNumber",
+  "systemFunction",
+  "systemConstant",
+  "systemConstructor",
+  "systemIdentifier",
+  "keyword",
+  "keywordOperator",
+  "variable",
+  "outerVariable",
+  "placeholder",
+  "containerSigil",
+  "pipeOperator",
+  "operator",
+  "unit",
+  "string",
+  "comment",
+  "regexp",
+  "embeddedLanguage",
+  "embedded",
+];
+
+const PIPE_OPERATORS = new Set(["||>", "|:>", "|<>", "|+", "|*", "|:", "|;", "|^", "|?", "|^:"]);
+
+// Brackets and separators are left to the editor's own grammar
+const PUNCTUATION = new Set(["(", ")", "[", "]", "{", "}", ",", ";"]);
+
+const OPENERS = new Set(["(", "[", "{", "~[", "~{"]);
+const CLOSERS = new Set([")", "]", "}", "|}"]);
+
+function numberType(value) {
+  const { format, prefix } = decodeNumber(value);
+  if (format === "interval" || format === "decimalInterval") return "interval";
+  if (format === "cf") return "continuedFraction";
+  if (prefix) return "baseNumber";
+  if (format === "rational" || format === "mixed") return "rational";
+  return "number";
+}
+
+function identifierType(token, systemLoader) {
+  if (token.type === "OuterIdentifier") return "outerVariable";
+  if (token.kind !== "System") return "variable";
+  const info = systemLoader.lookup(token.value);
+  if (info.controlType) return "keyword";
+  switch (info.type) {
+    case "operator":
+      return "keywordOperator";
+    case "function":
+      return "systemFunction";
+    case "constant":
+      return "systemConstant";
+    case "constructor":
+      return "systemConstructor";
+    default:
+      return "systemIdentifier";
+  }
+}
+
+/**
+ * Classify `source` into semantic token ranges, in source order. Each range is
+ * `{ start, end, line, character, length, type }` with `type` one of
+ * SEMANTIC_TOKEN_TYPES; a token spanning several lines gives one range per
+ * line. Text the tokenizer rejects is skipped rather than thrown on.
+ *
+ * Options:
+ * - `systemLoader`: resolves capitalized identifiers (defaults to
+ *   `defaultSystemLoader`)
+ */
+export function classify(source, options = {}) {
+  const systemLoader = options.systemLoader ?? defaultSystemLoader;
+  const tokens = tokenize(source, {
+    bases: systemLoader.baseAlphabets(),
+    operators: systemLoader.operatorDefinitions(),
+    onError: () => {},
+  });
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") lineStarts.push(i + 1);
+  }
+
+  const ranges = [];
+  let line = 0;
+  const push = (start, end, type) => {
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= start) line++;
+    while (start < end) {
+      const next = lineStarts[line + 1];
+      const stop = next !== undefined && next <= end ? next - 1 : end;
+      if (stop > start) {
+        const piece = source[stop - 1] === "\r" ? stop - 1 : stop;
+        ranges.push({
+          start,
+          end: piece,
+          line,
+          character: start - lineStarts[line],
+          length: piece - start,
+          type,
+        });
+      }
+      if (stop === end) break;
+      start = next;
+      line++;
+    }
+  };
+
+  // Class of each open bracket, so its closer is highlighted to match
+  const open = [];
+  let unitDepth = 0;
+
+  for (const token of tokens) {
+    if (token.type === "End") break;
+    const start = textStart(token);
+    const end = token.pos[2];
+
+    if (token.type === "Symbol") {
+      const value = token.value;
+      if (CLOSERS.has(value)) {
+        const type = open.pop() ?? (value === "|}" ? "containerSigil" : null);
+        if (type === "unit") unitDepth--;
+        if (type) push(start, end, type);
+        continue;
+      }
+      const sigil = value.length > 1 && value.startsWith("{");
+      if (OPENERS.has(value) || sigil) {
+        let type = null;
+        if (unitDepth > 0 || value === "~[" || value === "~{") type = "unit";
+        else if (sigil) type = "containerSigil";
+        if (type === "unit") unitDepth++;
+        open.push(type);
+        if (type) push(start, end, type);
+        continue;
+      }
+      if (unitDepth > 0) push(start, end, "unit");
+      else if (value.startsWith("|>") || PIPE_OPERATORS.has(value)) push(start, end, "pipeOperator");
+      else if (!PUNCTUATION.has(value)) push(start, end, "operator");
+      continue;
+    }
+
+    if (unitDepth > 0) {
+      push(start, end, "unit");
+      continue;
+    }
+
+    switch (token.type) {
+      case "Number":
+        push(start, end, numberType(token.value));
+        break;
+      case "Identifier":
+      case "OuterIdentifier":
+        push(start, end, identifierType(token, systemLoader));
+        break;
+      case "PlaceHolder":
+        push(start, end, "placeholder");
+        break;
+      case "RegexLiteral":
+        push(start, end, "regexp");
+        break;
+      case "String":
+        if (token.kind === "comment") {
+          push(start, end, "comment");
+        } else if (token.kind === "backtick") {
+          // Delimiters and header, then the body, then the closing delimiters
+          const bodyStart = token.pos[1] + embeddedHeaderLength(token.value);
+          const bodyEnd = Math.max(bodyStart, end - (token.pos[1] - start));
+          push(start, bodyStart, "embeddedLanguage");
+          push(bodyStart, bodyEnd, "embedded");
+          push(bodyEnd, end, "embeddedLanguage");
+        } else {
+          push(start, end, "string");
+        }
+        break;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Encode ranges from classify() as the relative integer array of an LSP
+ * `SemanticTokens` result: line delta, start delta, length, type index and
+ * modifiers for each range.
+ */
+export function encodeSemanticTokens(ranges) {
+  const data = [];
+  let line = 0;
+  let character = 0;
+  for (const range of ranges) {
+    const deltaLine = range.line - line;
+    data.push(
+      deltaLine,
+      deltaLine === 0 ? range.character - character : range.character,
+      range.length,
+      SEMANTIC_TOKEN_TYPES.indexOf(range.type),
+      0,
+    );
+    line = range.line;
+    character = range.character;
+  }
+  return data;
+}
@@ -0,0 +1,456 @@
+/**
+ * RiX System Config Format
+ * The versioned, reviewable form of a SystemLoader's vocabulary, as written
+ * by exportConfig() and read by importConfig(): the schema, validation,
+ * migration of older versions and diffs between configs.
+ */
+
+import { checkBaseAlphabet } from "./numbers.js";
+import { UNITS, checkUnitDefinition } from "./units.js";
+import { checkExtensionDefinition } from "./extensions.js";
+
+export const CONFIG_FORMAT = "rix-system-config";
+export const CONFIG_VERSION = 2;
+
+// Precedences outside this range would bind looser than statements or
+// tighter than property access
+export const PRECEDENCE_RANGE = [1, 200];
+
+/**
+ * Whether `value` is the functional arity of a control keyword: how many
+ * arguments its functional form takes, or the fewest and most as a
+ * `[min, max]` pair, such as IF's `[2, 3]`.
+ */
+export function isFunctionalArity(value) {
+  const counts = Array.isArray(value) ? value : [value, value];
+  return counts.length === 2 && counts.every((count) => Number.isInteger(count) && count >= 0) && counts[0] <= counts[1];
+}
+
+const DEFINITION_TYPES = ["function", "constant", "constructor", "operator", "control"];
+const CONFIG_FIELDS = new Set([
+  "format",
+  "version",
+  "settings",
+  "systems",
+  "keywords",
+  "operators",
+  "bases",
+  "units",
+  "extensions",
+  "contexts",
+]);
+
+const definitionSchema = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { enum: DEFINITION_TYPES },
+    arity: { type: "integer", minimum: -1 },
+    functionalArity: {
+      oneOf: [
+        { type: "integer", minimum: 0 },
+        { type: "array", items: { type: "integer", minimum: 0 }, minItems: 2, maxItems: 2 },
+      ],
+    },
+    keywordParams: { type: "array", items: { type: "string" } },
+    precedence: { type: "number", minimum: PRECEDENCE_RANGE[0], maximum: PRECEDENCE_RANGE[1] },
+    associativity: { enum: ["left", "right"] },
+    operatorType: { enum: ["infix", "prefix", "postfix", "ternary"] },
+    category: { type: "string" },
+    structure: { type: "string" },
+  },
+};
+
+const definitionsSchema = { type: "object", additionalProperties: definitionSchema };
+
+/**
+ * JSON Schema of the current config format, for editors and other tools.
+ * importConfig() checks the same rules, plus the ones a schema cannot
+ * express: operator symbols, base alphabets, context parents and
+ * operator-vs-function conflicts between sections.
+ */
+export const CONFIG_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "RiX system config",
+  type: "object",
+  required: ["format", "version"],
+  additionalProperties: false,
+  properties: {
+    format: { const: CONFIG_FORMAT },
+    version: { const: CONFIG_VERSION },
+    settings: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        allowUserOverrides: { type: "boolean" },
+        strictMode: { type: "boolean" },
+      },
+    },
+    systems: definitionsSchema,
+    keywords: definitionsSchema,
+    operators: {
+      type: "object",
+      additionalProperties: {
+        ...definitionSchema,
+        properties: {
+          ...definitionSchema.properties,
+          type: { const: "operator" },
+          operatorType: { enum: ["infix", "prefix", "postfix"] },
+        },
+      },
+    },
+    bases: {
+      type: "object",
+      propertyNames: { pattern: "^[A-Z]$" },
+      additionalProperties: { type: "string" },
+    },
+    units: {
+      type: "object",
+      propertyNames: { pattern: "^[\\p{L}°%]+$" },
+      additionalProperties: {
+        type: "object",
+        required: ["dimension"],
+        properties: {
+          dimension: { type: "object", additionalProperties: { type: "number" } },
+          prefixable: { type: "boolean" },
+          factor: { type: ["string", "number"] },
+          offset: { type: ["string", "number"] },
+        },
+      },
+    },
+    extensions: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        properties: {
+          minimalPolynomial: { type: "string", minLength: 1 },
+        },
+      },
+    },
+    contexts: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          parent: { type: ["string", "null"] },
+          systems: definitionsSchema,
+          operators: { $ref: "#/properties/operators" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Raised by importConfig() when a config does not validate. `errors` lists
+ * every problem as { path, message }; nothing is imported.
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+    super(`Invalid system config at ${first.path || "top level"}: ${first.message}${more}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Bring a config of any known version to the current one. Version 1 is the
+ * unversioned export of earlier releases, with registries as [name, definition]
+ * entry lists; its core registry and loader options are dropped.
+ */
+export function migrateConfig(config) {
+  if (!isRecord(config)) {
+    throw new ConfigError([{ path: "", message: "A config must be an object" }]);
+  }
+  const version = config.version ?? 1;
+  if (version === CONFIG_VERSION) {
+    return config;
+  }
+  if (version !== 1) {
+    throw new ConfigError([
+      { path: "version", message: `Unsupported config version ${version}; this loader reads up to ${CONFIG_VERSION}` },
+    ]);
+  }
+
+  const definitions = (entries = []) =>
+    Object.fromEntries(entries.map(([name, definition]) => [name, plainDefinition(definition)]));
+  const settings = {};
+  for (const key of ["allowUserOverrides", "strictMode"]) {
+    if (typeof config.config?.[key] === "boolean") settings[key] = config.config[key];
+  }
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    settings,
+    systems: definitions(config.system),
+    keywords: definitions(config.keywords),
+    operators: definitions(config.operators),
+    bases: Object.fromEntries((config.bases ?? []).map(([letter, def]) => [letter, def.alphabet ?? def])),
+    units: {},
+    extensions: {},
+    contexts: {},
+  };
+}
+
+/**
+ * Check a current-version config against the schema and against `loader`,
+ * which it would be imported into. Returns a list of { path, message }.
+ */
+export function validateConfig(config, loader) {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  if (!isRecord(config)) {
+    report("", "A config must be an object");
+    return errors;
+  }
+  for (const field of Object.keys(config)) {
+    if (!CONFIG_FIELDS.has(field)) report(field, `Unknown config field "${field}"`);
+  }
+  if (config.format !== CONFIG_FORMAT) report("format", `Format must be "${CONFIG_FORMAT}"`);
+  if (config.version !== CONFIG_VERSION) report("version", `Version must be ${CONFIG_VERSION}`);
+  if (config.settings !== undefined) {
+    if (!isRecord(config.settings)) {
+      report("settings", "Settings must be an object");
+    } else {
+      for (const [key, value] of Object.entries(config.settings)) {
+        if (!["allowUserOverrides", "strictMode"].includes(key)) report(`settings.${key}`, `Unknown setting "${key}"`);
+        else if (typeof value !== "boolean") report(`settings.${key}`, "Settings must be true or false");
+      }
+    }
+  }
+
+  const systems = section(config, "systems", report);
+  const keywords = section(config, "keywords", report);
+  for (const [name, definition] of Object.entries(systems)) {
+    const path = `systems.${name}`;
+    checkDefinition(definition, path, report);
+    if (loader.config.strictMode && loader.coreRegistry.has(name.toUpperCase())) {
+      report(path, `Cannot override core system symbol: ${name.toUpperCase()}`);
+    }
+    // A keyword of the same name shadows the system symbol
+    const keyword = keywords[name] ?? loader.keywordRegistry.get(name.toUpperCase());
+    if (isRecord(definition) && isRecord(keyword) && (definition.type === "operator") !== (keyword.type === "operator")) {
+      report(path, `${name} is ${article(definition.type)} here but ${article(keyword.type)} keyword`);
+    }
+  }
+  for (const [name, definition] of Object.entries(keywords)) {
+    checkDefinition(definition, `keywords.${name}`, report);
+  }
+  checkOperators(section(config, "operators", report), "operators", loader, report);
+
+  for (const [letter, alphabet] of Object.entries(section(config, "bases", report))) {
+    try {
+      checkBaseAlphabet(letter, alphabet);
+    } catch (error) {
+      report(`bases.${letter}`, error.message);
+    }
+  }
+
+  for (const [symbol, definition] of Object.entries(section(config, "units", report))) {
+    const path = `units.${symbol}`;
+    try {
+      checkUnitDefinition(symbol, definition);
+    } catch (error) {
+      report(path, error.message);
+    }
+    if (loader.config.strictMode && Object.hasOwn(UNITS, symbol)) {
+      report(path, `Cannot override built-in unit: ${symbol}`);
+    }
+  }
+
+  for (const [name, definition] of Object.entries(section(config, "extensions", report))) {
+    try {
+      checkExtensionDefinition(name, definition);
+    } catch (error) {
+      report(`extensions.${name}`, error.message);
+    }
+  }
+
+  const contexts = section(config, "contexts", report);
+  for (const [name, context] of Object.entries(contexts)) {
+    const path = `contexts.${name}`;
+    // createContext() reserves "global" for the loader's own registries
+    if (name === "" || name === "global") {
+      report(path, 'Context name must be a non-empty string other than "global"');
+    }
+    if (!isRecord(context)) {
+      report(path, "A context must be an object");
+      continue;
+    }
+    for (const field of Object.keys(context)) {
+      if (!["parent", "systems", "operators"].includes(field)) report(`${path}.${field}`, `Unknown context field "${field}"`);
+    }
+    const parent = context.parent ?? null;
+    if (parent !== null && !(parent in contexts) && !loader.contexts.has(parent)) {
+      report(`${path}.parent`, `Unknown parent context: ${parent}`);
+    } else if (hasCycle(name, contexts)) {
+      report(`${path}.parent`, `Context ${name} is its own ancestor`);
+    }
+    const shadows = !loader.config.allowUserOverrides;
+    for (const [symbol, definition] of Object.entries(section(context, "systems", report, path))) {
+      checkDefinition(definition, `${path}.systems.${symbol}`, report);
+      const upper = symbol.toUpperCase();
+      if (shadows && (upper in systems || upper in keywords || loader.isGlobalSymbol(upper))) {
+        report(`${path}.systems.${symbol}`, `Context "${name}" cannot shadow system symbol: ${upper}`);
+      }
+    }
+    const contextOperators = section(context, "operators", report, path);
+    checkOperators(contextOperators, `${path}.operators`, loader, report);
+    for (const symbol of Object.keys(contextOperators)) {
+      if (shadows && (symbol in (config.operators ?? {}) || loader.operatorRegistry.has(symbol))) {
+        report(`${path}.operators.${symbol}`, `Context "${name}" cannot shadow operator: ${symbol}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Differences between two current-version configs, as a list of
+ * { path, change, before, after } with `change` one of "added", "removed"
+ * or "changed" and `path` such as "systems.MEAN" or "contexts.alice.operators.⊕".
+ */
+export function diffConfigs(before, after) {
+  const changes = [];
+  const compare = (path, a = {}, b = {}) => {
+    const names = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    for (const name of names) {
+      const entry = `${path}.${name}`;
+      if (!(name in b)) changes.push({ path: entry, change: "removed", before: a[name] });
+      else if (!(name in a)) changes.push({ path: entry, change: "added", after: b[name] });
+      else if (stableJson(a[name]) !== stableJson(b[name])) {
+        changes.push({ path: entry, change: "changed", before: a[name], after: b[name] });
+      }
+    }
+  };
+  for (const name of ["settings", "systems", "keywords", "operators", "bases", "units", "extensions"]) {
+    compare(name, before[name], after[name]);
+  }
+  // Contexts in both configs are compared symbol by symbol
+  const contextsBefore = before.contexts ?? {};
+  const contextsAfter = after.contexts ?? {};
+  const shared = Object.keys(contextsBefore).filter((name) => name in contextsAfter);
+  compare(
+    "contexts",
+    omit(contextsBefore, shared),
+    omit(contextsAfter, shared),
+  );
+  for (const name of shared.sort()) {
+    const a = contextsBefore[name];
+    const b = contextsAfter[name];
+    compare(`contexts.${name}`, { parent: a.parent ?? null }, { parent: b.parent ?? null });
+    compare(`contexts.${name}.systems`, a.systems, b.systems);
+    compare(`contexts.${name}.operators`, a.operators, b.operators);
+  }
+  return changes;
+}
+
+/**
+ * A registry definition as stored in a config: without the bookkeeping the
+ * loader adds when registering
+ */
+export function plainDefinition(definition) {
+  const { source, registered, ...plain } = definition;
+  return plain;
+}
+
+function checkDefinition(definition, path, report) {
+  if (!isRecord(definition)) {
+    report(path, "A definition must be an object");
+    return;
+  }
+  const { type, arity, functionalArity, keywordParams, precedence, associativity, operatorType } = definition;
+  if (!DEFINITION_TYPES.includes(type)) {
+    report(`${path}.type`, `Type must be one of ${DEFINITION_TYPES.join(", ")}`);
+  }
+  if (arity !== undefined && !(Number.isInteger(arity) && arity >= -1)) {
+    report(`${path}.arity`, "Arity must be an integer, -1 for any number of arguments");
+  }
+  if (functionalArity !== undefined && !isFunctionalArity(functionalArity)) {
+    report(`${path}.functionalArity`, "Functional arity must be a number of arguments or a [min, max] pair");
+  }
+  if (keywordParams !== undefined && !(Array.isArray(keywordParams) && keywordParams.every((name) => typeof name === "string"))) {
+    report(`${path}.keywordParams`, "Keyword parameters must be a list of names");
+  }
+  if (precedence !== undefined || type === "operator") {
+    const [low, high] = PRECEDENCE_RANGE;
+    if (!(typeof precedence === "number" && precedence >= low && precedence <= high)) {
+      report(`${path}.precedence`, `Precedence must be a number from ${low} to ${high}`);
+    }
+  }
+  if (associativity !== undefined && !["left", "right"].includes(associativity)) {
+    report(`${path}.associativity`, 'Associativity must be "left" or "right"');
+  }
+  if (operatorType !== undefined && !["infix", "prefix", "postfix", "ternary"].includes(operatorType)) {
+    report(`${path}.operatorType`, "Operator type must be infix, prefix, postfix or ternary");
+  }
+}
+
+function checkOperators(operators, path, loader, report) {
+  for (const [symbol, definition] of Object.entries(operators)) {
+    const entry = `${path}.${symbol}`;
+    try {
+      loader.validateOperatorSymbol(symbol);
+    } catch (error) {
+      report(entry, error.message);
+    }
+    checkDefinition(definition, entry, report);
+    if (isRecord(definition)) {
+      if (definition.type !== "operator") {
+        report(`${entry}.type`, `${symbol} is in "operators" but is ${article(definition.type)}`);
+      }
+      if (definition.operatorType === "ternary") {
+        report(`${entry}.operatorType`, "Operator type must be infix, prefix or postfix");
+      }
+    }
+  }
+}
+
+// An object-valued section of `config`, reported and treated as empty when malformed
+function section(config, name, report, prefix = "") {
+  const value = config[name];
+  if (value === undefined) return {};
+  if (!isRecord(value)) {
+    report(prefix ? `${prefix}.${name}` : name, `"${name}" must be an object`);
+    return {};
+  }
+  return value;
+}
+
+function omit(record, names) {
+  return Object.fromEntries(Object.entries(record).filter(([name]) => !names.includes(name)));
+}
+
+function hasCycle(name, contexts) {
+  const seen = new Set();
+  let current = name;
+  while (current !== null && current !== undefined && current in contexts) {
+    if (seen.has(current)) return true;
+    seen.add(current);
+    current = contexts[current]?.parent ?? null;
+  }
+  return false;
+}
+
+function article(type) {
+  if (typeof type !== "string") return "untyped";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// JSON with object keys sorted, so equal definitions compare equal
+function stableJson(value) {
+  return JSON.stringify(value, (_key, inner) =>
+    isRecord(inner)
+      ? Object.fromEntries(Object.keys(inner).sort().map((key) => [key, inner[key]]))
+      : inner,
+  );
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,189 @@
+/**
+ * RiX Unit Conversion
+ * Converts quantities between units of the same dimension with exact
+ * rational arithmetic, using the factors of the bundled unit table (see
+ * UNITS in units.js) and of units registered with a SystemLoader.
+ */
+
+import { literalToRational, numberNode, rational } from "./numbers.js";
+import { SI_PREFIXES, UNITS, lookupUnit, parseFactor, parseUnit } from "./units.js";
+import { formatDimension, sameDimension, unitExpressionDimension } from "./dimensions.js";
+
+const ONE = { num: 1n, den: 1n };
+const ZERO = { num: 0n, den: 1n };
+
+/**
+ * The size of a unit in SI: `{ factor, offset, dimension }`, where a value
+ * `v` in the unit is `v * factor + offset` in the coherent SI unit of
+ * `dimension`. `unit` is unit text or a unit expression (see parseUnit()).
+ *
+ * Only a unit on a shifted scale standing alone, `°C` but not `°C/s`, has a
+ * nonzero offset; within a compound unit it measures a difference. Throws
+ * for unknown units, units without a factor, and rational powers whose
+ * factor is not rational.
+ */
+export function unitScale(unit, units = UNITS) {
+  const node = typeof unit === "string" ? parseUnit(unit) : unit;
+  const dimension = unitExpressionDimension(node, units, (_severity, _code, message) => {
+    throw new Error(message);
+  });
+  let offset = ZERO;
+  if (node.type === "UnitName") {
+    const { definition } = lookupUnit(node.name, units);
+    if (definition.offset !== undefined) offset = parseFactor(definition.offset);
+  }
+  return { factor: unitFactor(node, units), offset, dimension };
+}
+
+function unitFactor(node, units) {
+  switch (node.type) {
+    case "UnitOne":
+      return ONE;
+    case "UnitName": {
+      const { prefix, definition } = lookupUnit(node.name, units);
+      if (definition.factor === undefined) {
+        throw new Error(`Unit ${node.name} has no exact conversion factor`);
+      }
+      const factor = parseFactor(definition.factor);
+      return prefix ? multiply(factor, powerOfTen(SI_PREFIXES[prefix])) : factor;
+    }
+    case "UnitPower":
+      return power(unitFactor(node.base, units), node.exponent, node);
+    case "UnitProduct":
+      return multiply(unitFactor(node.left, units), unitFactor(node.right, units));
+    case "UnitQuotient":
+      return divide(unitFactor(node.left, units), unitFactor(node.right, units));
+  }
+  throw new Error(`Unknown unit node type ${node.type}`);
+}
+
+/**
+ * Convert an exact value `{ num, den }` (BigInts) from one unit to another
+ * of the same dimension, returning the exact result in lowest terms.
+ */
+export function convertRational(value, fromUnit, toUnit, units = UNITS) {
+  const from = unitScale(fromUnit, units);
+  const to = unitScale(toUnit, units);
+  if (!sameDimension(from.dimension, to.dimension)) {
+    throw new Error(
+      `Cannot convert ${unitText(fromUnit)} (${formatDimension(from.dimension)}) to ${unitText(toUnit)} (${formatDimension(to.dimension)})`,
+    );
+  }
+  const si = add(multiply(value, from.factor), from.offset);
+  return divide(subtract(si, to.offset), to.factor);
+}
+
+/**
+ * Convert a quantity to `toUnit`, as `CONVERT(100~[m], "m", "ft")` does.
+ * `valueNode` is a ScientificUnit of a number literal, such as the parser
+ * gives for `100~[m]`, or a Number node whose unit is `fromUnit`. For a
+ * ScientificUnit `fromUnit` may be null; otherwise it must be the node's
+ * unit, or one with the same scale such as `L` for `dm^3`, and a different
+ * unit throws rather than being ignored.
+ *
+ * Returns a new ScientificUnit node of the exact result, its target a
+ * rational Number literal such as `1250/381`, positioned in its own
+ * `original` text. Options: `units`, the unit table (SystemLoader's
+ * unitTable() to include registered units).
+ */
+export function convert(valueNode, fromUnit, toUnit, options = {}) {
+  const { units = UNITS } = options;
+  let value;
+  let source = fromUnit;
+  if (valueNode?.type === "ScientificUnit") {
+    value = literalValue(valueNode.target);
+    source = valueNode.unitExpression ?? valueNode.unit;
+    if (fromUnit !== null && fromUnit !== undefined) {
+      const expected = unitScale(fromUnit, units);
+      const actual = unitScale(source, units);
+      if (!sameDimension(expected.dimension, actual.dimension)) {
+        throw new Error(
+          `Cannot convert a ${formatDimension(actual.dimension)} value from ${unitText(fromUnit)} (${formatDimension(expected.dimension)})`,
+        );
+      }
+      if (!sameRational(expected.factor, actual.factor) || !sameRational(expected.offset, actual.offset)) {
+        throw new Error(`Cannot convert a value in ${valueNode.unit.trim()} from ${unitText(fromUnit)}; its unit is the source`);
+      }
+    }
+  } else {
+    value = literalValue(valueNode);
+    if (fromUnit === null || fromUnit === undefined) {
+      throw new Error("convert needs the unit of a value without one");
+    }
+  }
+  const result = convertRational(value, source, toUnit, units);
+  const text = result.den === 1n ? `${result.num}` : `${result.num}/${result.den}`;
+  const unit = unitText(toUnit).trim();
+  const original = `${text}~[${unit}]`;
+  return {
+    type: "ScientificUnit",
+    pos: [0, 0, original.length],
+    original,
+    target: numberNode(text),
+    unit,
+    unitExpression: parseUnit(unit, text.length + 2),
+  };
+}
+
+function literalValue(node) {
+  const value = node?.type === "Number" ? literalToRational(node) : null;
+  if (!value || value.num === undefined) {
+    throw new Error("convert needs a number literal, such as the 100 of 100~[m]");
+  }
+  return value;
+}
+
+function unitText(unit) {
+  return typeof unit === "string" ? unit : unit.original;
+}
+
+// Exact arithmetic on { num, den } BigInt rationals
+
+function sameRational(a, b) {
+  return a.num === b.num && a.den === b.den;
+}
+
+function multiply(a, b) {
+  return rational(a.num * b.num, a.den * b.den);
+}
+
+function divide(a, b) {
+  return rational(a.num * b.den, a.den * b.num);
+}
+
+function add(a, b) {
+  return rational(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+function subtract(a, b) {
+  return add(a, { num: -b.num, den: b.den });
+}
+
+function powerOfTen(exponent) {
+  return exponent >= 0 ? { num: 10n ** BigInt(exponent), den: 1n } : { num: 1n, den: 10n ** BigInt(-exponent) };
+}
+
+// `value` to the power num/den, which must come out rational
+function power(value, { num, den }, node) {
+  const exponent = BigInt(Math.abs(num));
+  let result = { num: root(value.num ** exponent, den, node), den: root(value.den ** exponent, den, node) };
+  if (num < 0) result = { num: result.den, den: result.num };
+  return rational(result.num, result.den);
+}
+
+// The exact integer n-th root of a non-negative BigInt
+function root(value, n, node) {
+  if (n === 1) return value;
+  let low = 0n;
+  let high = 1n;
+  while (high ** BigInt(n) < value) high *= 2n;
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (mid ** BigInt(n) < value) low = mid + 1n;
+    else high = mid;
+  }
+  if (low ** BigInt(n) !== value) {
+    throw new RangeError(`Factor of ${node.original} is not rational`);
+  }
+  return low;
+}
@@ -0,0 +1,213 @@
+/**
+ * RiX Concrete Syntax Tree
+ * Attaches whitespace and comments (trivia) to the nodes of a parsed AST so
+ * the exact source text can be printed back from the tree.
+ */
+
+import { childNodes as astChildren } from "./visit.js";
+import { isComment, textStart, measureSpans } from "./spans.js";
+
+function commentTrivia(source, token) {
+  const text = source.slice(textStart(token), token.pos[2]);
+  const type = text.startsWith("##") && !/^##\S*##/.test(text) ? "LineComment" : "BlockComment";
+  return { type, text };
+}
+
+// Split source[start, end) into trivia pieces. Comment tokens come from the
+// tokenizer; anything else that is not whitespace was skipped by error recovery.
+function scanTrivia(source, start, end, comments) {
+  const pieces = [];
+  const pushText = (from, to) => {
+    const text = source.slice(from, to);
+    for (const [run] of text.matchAll(/\s+|\S+/g)) {
+      pieces.push({ type: /^\s/.test(run) ? "Whitespace" : "Skipped", text: run });
+    }
+  };
+  let offset = start;
+  for (const comment of comments) {
+    const commentStart = textStart(comment);
+    pushText(offset, commentStart);
+    pieces.push(commentTrivia(source, comment));
+    offset = comment.pos[2];
+  }
+  pushText(offset, end);
+  return pieces;
+}
+
+// Trivia up to the first line break stays with the token before it; the line
+// break and everything after it leads the next token.
+function splitAtLineBreak(pieces) {
+  const trailing = [];
+  for (let i = 0; i < pieces.length; i++) {
+    const piece = pieces[i];
+    const newline = piece.type === "Whitespace" ? piece.text.indexOf("\n") : -1;
+    if (newline === -1) {
+      trailing.push(piece);
+      continue;
+    }
+    if (newline > 0) {
+      trailing.push({ type: "Whitespace", text: piece.text.slice(0, newline) });
+    }
+    const leading = [{ type: "Whitespace", text: piece.text.slice(newline) }, ...pieces.slice(i + 1)];
+    return { trailing, leading };
+  }
+  return { trailing, leading: [] };
+}
+
+// Significant tokens with their text and trivia, indexed like the parser's
+// token list minus comments
+function buildTokens(tokens, source) {
+  const result = [];
+  let comments = [];
+  let previousEnd = 0;
+  tokens.forEach((token) => {
+    if (isComment(token)) {
+      comments.push(token);
+      return;
+    }
+    const start = token.type === "End" ? token.pos[2] : textStart(token);
+    const pieces = scanTrivia(source, previousEnd, start, comments);
+    const entry = {
+      type: token.type,
+      value: token.value,
+      text: source.slice(start, token.pos[2]),
+      leadingTrivia: pieces,
+      trailingTrivia: [],
+    };
+    if (result.length > 0) {
+      const { trailing, leading } = splitAtLineBreak(pieces);
+      result[result.length - 1].trailingTrivia = trailing;
+      entry.leadingTrivia = leading;
+    }
+    result.push(entry);
+    comments = [];
+    previousEnd = token.pos[2];
+  });
+  return result;
+}
+
+function childNodes(node) {
+  // The decoded parts of a number literal share its single token
+  return node.type === "Number" ? [] : astChildren(node);
+}
+
+/**
+ * Turn the parser's statements into a CST rooted at a Program node.
+ *
+ * `createdAt` maps nodes to the parser's token index when they were created;
+ * it bounds where each node ends. Every significant token is owned by exactly
+ * one node (`node.tokens`), and the trivia around a node's first and last
+ * token moves to `leadingTrivia` / `trailingTrivia` of the outermost node
+ * starting or ending there.
+ */
+export function buildCST(statements, tokens, source, createdAt) {
+  const cstTokens = buildTokens(tokens, source);
+  const endIndex = cstTokens.length - 1;
+  const { spans } = measureSpans(statements, tokens, createdAt);
+
+  // Hand out tokens in source order: each node takes the tokens of its span
+  // that no earlier node or child has taken
+  const seen = new Set();
+  let cursor = 0;
+  const claim = (node) => {
+    seen.add(node);
+    node.tokens = [];
+    node.leadingTrivia = [];
+    node.trailingTrivia = [];
+    node.tokenRange = null;
+    const span = spans.get(node);
+    const children = childNodes(node)
+      .filter((child) => !seen.has(child) && spans.get(child))
+      .sort((a, b) => spans.get(a)[0] - spans.get(b)[0]);
+    const takeUntil = (index) => {
+      while (cursor <= index) {
+        node.tokens.push({ index: cursor, ...cstTokens[cursor] });
+        cursor++;
+      }
+    };
+    for (const child of children) {
+      if (seen.has(child)) continue;
+      takeUntil(spans.get(child)[0] - 1);
+      claim(child);
+    }
+    if (span) takeUntil(span[1]);
+    const first = firstIndex(node);
+    if (first !== null) {
+      node.tokenRange = [first, cursor - 1];
+    }
+  };
+
+  const program = {
+    type: "Program",
+    body: statements,
+  };
+  spans.set(program, [0, endIndex - 1]);
+  claim(program);
+  program.tokens.push({ index: endIndex, ...cstTokens[endIndex] });
+
+  for (const item of cstItems(program)) {
+    if (item.node) moveTrivia(item.node);
+  }
+  // Trivia after the last statement belongs to the Program
+  const endToken = program.tokens[program.tokens.length - 1];
+  program.trailingTrivia = endToken.leadingTrivia;
+  endToken.leadingTrivia = [];
+  return program;
+}
+
+// Index of the first token a node or its descendants own
+function firstIndex(node) {
+  const own = node.tokens?.[0]?.index ?? Infinity;
+  let first = own;
+  for (const child of childNodes(node)) {
+    if (child.tokenRange) first = Math.min(first, child.tokenRange[0]);
+  }
+  return first === Infinity ? null : first;
+}
+
+// Move the trivia at a node's edges onto the node itself. Children are
+// handled first, so the outermost node starting or ending at a token wins.
+function moveTrivia(node) {
+  const items = cstItems(node);
+  for (const item of items) {
+    if (item.node) moveTrivia(item.node);
+  }
+  if (items.length === 0) return;
+  const first = items[0].token ?? items[0].node;
+  const last = items[items.length - 1].token ?? items[items.length - 1].node;
+  node.leadingTrivia = first.leadingTrivia;
+  first.leadingTrivia = [];
+  node.trailingTrivia = last.trailingTrivia;
+  last.trailingTrivia = [];
+}
+
+// Owned tokens and CST children of a node, in source order
+function cstItems(node) {
+  const items = (node.tokens ?? []).map((token) => ({ index: token.index, token }));
+  for (const child of childNodes(node)) {
+    if (child.tokenRange && child.tokens) {
+      items.push({ index: child.tokenRange[0], node: child });
+    }
+  }
+  return items.sort((a, b) => a.index - b.index);
+}
+
+function printTrivia(pieces) {
+  return (pieces ?? []).map((piece) => piece.text).join("");
+}
+
+/**
+ * Print a CST (from `parse(source, { cst: true })`) or any node in it back to
+ * the exact source text it was parsed from.
+ */
+export function printCST(node) {
+  let text = printTrivia(node.leadingTrivia);
+  for (const item of cstItems(node)) {
+    if (item.token) {
+      text += printTrivia(item.token.leadingTrivia) + item.token.text + printTrivia(item.token.trailingTrivia);
+    } else {
+      text += printCST(item.node);
+    }
+  }
+  return text + printTrivia(node.trailingTrivia);
+}
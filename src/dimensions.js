@@ -0,0 +1,252 @@
+/**
+ * RiX Dimensional Analysis
+ * A pass over a parsed AST that works out the physical dimension of
+ * expressions from the units attached with `~[...]` and reports sums,
+ * comparisons and conversions of quantities whose dimensions differ.
+ */
+
+import { posToLineCol } from "./tokenizer.js";
+import { RixSyntaxError } from "./errors.js";
+import { literalToRational } from "./numbers.js";
+import { BASE_DIMENSIONS, UNITS, lookupUnit, parseUnit } from "./units.js";
+import { childNodes } from "./visit.js";
+
+// Operators whose operands must share a dimension
+const SAME_DIMENSION = new Set(["+", "-", "=", "==", "!=", "<", ">", "<=", ">="]);
+
+/**
+ * Check the dimensions of the expressions in `ast` (a node or a list of
+ * statements). Returns diagnostics { severity, code, message, span, line,
+ * col }, line and col only when `source` is given:
+ * - E_DIMENSION_MISMATCH: operands of `+`, `-` or a comparison, or the
+ *   value given to CONVERT, differ in dimension (`3~[m] + 2~[s]`)
+ * - E_INCOMPATIBLE_UNITS: the units of `CONVERT(value, "from", "to")`
+ *   differ in dimension
+ * - E_UNKNOWN_UNIT (a warning): a unit missing from `units`
+ * - E_UNIT_SYNTAX: a unit string of CONVERT that does not parse
+ *
+ * Numbers are dimensionless and `x := 3~[m]` gives `x` a dimension for
+ * the statements after it. Expressions of unknown dimension, such as
+ * unassigned names and calls, are not checked. `units` is the unit table,
+ * the built-in UNITS by default or SystemLoader's unitTable().
+ */
+export function checkDimensions(ast, options = {}) {
+  const { units = UNITS, source = "" } = options;
+  const diagnostics = [];
+  const report = (severity, code, message, span) => {
+    const diagnostic = { severity, code, message, span };
+    if (source) {
+      const { line, col } = posToLineCol(source, span[0]);
+      diagnostic.line = line;
+      diagnostic.col = col;
+    }
+    diagnostics.push(diagnostic);
+  };
+  const variables = new Map();
+
+  const unitDimension = (node) => unitExpressionDimension(node, units, report);
+
+  // The dimension of a node, or null when it is unknown
+  const infer = (node) => {
+    switch (node.type) {
+      case "Number":
+        return {};
+      case "Grouping":
+        return infer(node.expression);
+      case "UserIdentifier":
+        return variables.get(node.name) ?? null;
+      case "ScientificUnit": {
+        const target = infer(node.target);
+        const unit = node.unitExpression ? unitDimension(node.unitExpression) : null;
+        return unit && target ? multiply(target, unit) : unit;
+      }
+      case "UnaryOperation": {
+        const operand = infer(node.operand);
+        return node.operator === "-" || node.operator === "+" ? operand : null;
+      }
+      case "ImplicitMultiplication": {
+        const left = infer(node.left);
+        const right = infer(node.right);
+        return left && right ? multiply(left, right) : null;
+      }
+      case "BinaryOperation":
+        return inferOperation(node);
+      case "FunctionCall":
+        if (node.function.type === "SystemIdentifier" && node.function.name === "CONVERT") {
+          return inferConvert(node);
+        }
+        break;
+    }
+    childNodes(node).forEach(infer);
+    return null;
+  };
+
+  const inferOperation = (node) => {
+    const { operator } = node;
+    if (operator === ":=") {
+      const value = infer(node.right);
+      if (node.left.type === "UserIdentifier") {
+        if (value) variables.set(node.left.name, value);
+        else variables.delete(node.left.name);
+      } else {
+        infer(node.left);
+      }
+      return value;
+    }
+    const left = infer(node.left);
+    const right = infer(node.right);
+    if (SAME_DIMENSION.has(operator)) {
+      if (left && right && !sameDimension(left, right)) {
+        report(
+          "error",
+          "E_DIMENSION_MISMATCH",
+          `Dimension mismatch: ${formatDimension(left)} ${operator} ${formatDimension(right)}`,
+          nodeSpan(node),
+        );
+      }
+      return operator === "+" || operator === "-" ? (left ?? right) : null;
+    }
+    if (operator === "*") {
+      return left && right ? multiply(left, right) : null;
+    }
+    if (operator === "/") {
+      return left && right ? multiply(left, power(right, -1)) : null;
+    }
+    if (operator === "^" || operator === "**") {
+      const exponent = literalExponent(node.right);
+      if (left && Object.keys(left).length === 0) return {};
+      return left && exponent !== null ? power(left, exponent) : null;
+    }
+    return null;
+  };
+
+  const inferConvert = (node) => {
+    const [value, from, to] = node.arguments.positional;
+    const dimensions = node.arguments.positional.map(infer);
+    Object.values(node.arguments.keyword).forEach(infer);
+    const fromDimension = convertUnit(from);
+    const toDimension = convertUnit(to);
+    if (fromDimension && toDimension && !sameDimension(fromDimension, toDimension)) {
+      report(
+        "error",
+        "E_INCOMPATIBLE_UNITS",
+        `Cannot convert ${from.value} (${formatDimension(fromDimension)}) to ${to.value} (${formatDimension(toDimension)})`,
+        nodeSpan(node),
+      );
+    }
+    if (dimensions[0] && fromDimension && !sameDimension(dimensions[0], fromDimension)) {
+      report(
+        "error",
+        "E_DIMENSION_MISMATCH",
+        `Cannot convert a ${formatDimension(dimensions[0])} value from ${from.value} (${formatDimension(fromDimension)})`,
+        nodeSpan(value),
+      );
+    }
+    return toDimension ?? null;
+  };
+
+  // Dimension of a unit string argument of CONVERT, null when unknown
+  const convertUnit = (node) => {
+    if (node?.type !== "String") return null;
+    try {
+      return unitDimension(parseUnit(node.value, node.pos[1]));
+    } catch (error) {
+      if (!(error instanceof RixSyntaxError)) throw error;
+      report("error", error.code, error.detail, [error.offset, error.endOffset]);
+      return null;
+    }
+  };
+
+  for (const node of Array.isArray(ast) ? ast : [ast]) {
+    infer(node);
+  }
+  return diagnostics;
+}
+
+/**
+ * The dimension of a unit expression (see parseUnit()) as powers of base
+ * dimensions, `{ length: 1, time: -2 }` for `m/s^2`, or null when it uses
+ * a unit missing from `units`. Each missing unit is passed to `report`.
+ */
+export function unitExpressionDimension(node, units = UNITS, report = () => {}) {
+  switch (node.type) {
+    case "UnitOne":
+      return {};
+    case "UnitName": {
+      const unit = lookupUnit(node.name, units);
+      if (!unit) {
+        report("warning", "E_UNKNOWN_UNIT", `Unknown unit ${node.name}`, nodeSpan(node));
+        return null;
+      }
+      return unit.definition.dimension;
+    }
+    case "UnitPower": {
+      const base = unitExpressionDimension(node.base, units, report);
+      return base && power(base, node.exponent.num / node.exponent.den);
+    }
+    default: {
+      const left = unitExpressionDimension(node.left, units, report);
+      const right = unitExpressionDimension(node.right, units, report);
+      if (!left || !right) return null;
+      return multiply(left, node.type === "UnitQuotient" ? power(right, -1) : right);
+    }
+  }
+}
+
+/**
+ * Write a dimension with base dimensions first: "length·time^-2", or
+ * "dimensionless"
+ */
+export function formatDimension(dimension) {
+  const names = Object.keys(dimension).sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0));
+  if (names.length === 0) return "dimensionless";
+  return names
+    .map((name) => (dimension[name] === 1 ? name : `${name}^${+dimension[name].toFixed(6)}`))
+    .join("·");
+}
+
+function rank(name) {
+  const index = BASE_DIMENSIONS.indexOf(name);
+  return index === -1 ? BASE_DIMENSIONS.length : index;
+}
+
+// Powers are sums of small fractions; anything closer than this is equal
+const EPSILON = 1e-9;
+
+function multiply(a, b) {
+  const result = { ...a };
+  for (const [name, exponent] of Object.entries(b)) {
+    const sum = (result[name] ?? 0) + exponent;
+    if (Math.abs(sum) < EPSILON) delete result[name];
+    else result[name] = sum;
+  }
+  return result;
+}
+
+function power(dimension, exponent) {
+  if (exponent === 0) return {};
+  return Object.fromEntries(Object.entries(dimension).map(([name, power]) => [name, power * exponent]));
+}
+
+/** Whether two dimensions are the same */
+export function sameDimension(a, b) {
+  const quotient = multiply(a, power(b, -1));
+  return Object.keys(quotient).length === 0;
+}
+
+// The value of a number literal exponent, or null for anything else
+function literalExponent(node) {
+  if (node.type !== "Number") return null;
+  try {
+    const value = literalToRational(node);
+    return value.num !== undefined ? Number(value.num) / Number(value.den) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Source span of a node from its value start to its end
+function nodeSpan(node) {
+  const [, start, end] = node.pos ?? [0, 0, 0];
+  return [start, end];
+}
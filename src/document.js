@@ -0,0 +1,339 @@
+/**
+ * RiX Incremental Documents
+ * Keeps an editor buffer's tokens and top-level statements so an edit only
+ * re-tokenizes and re-parses the statements it touches.
+ */
+
+import { tokenize, posToLineCol } from "./tokenizer.js";
+import { parseChunks } from "./parser.js";
+import { RixSyntaxError } from "./errors.js";
+import { addLoc, isComment } from "./spans.js";
+
+// The document is a list of chunks that tile its tokens in order. A chunk is
+// one top-level statement with the comments that follow it:
+// { start, reach, tokens, nodes, diagnostics, lexDiagnostics }
+// `start` is where the previous chunk ended: characters the tokenizer skipped
+// are in no token, so a chunk also answers for the gap before it.
+
+function chunkEnd(chunk) {
+  return chunk.tokens[chunk.tokens.length - 1].pos[2];
+}
+
+// The parser starts from a clean slate after a top-level `;`, so whatever
+// follows such a chunk parses the same regardless of what came before.
+function endsWithSemicolon(chunk) {
+  for (let i = chunk.tokens.length - 1; i >= 0; i--) {
+    const token = chunk.tokens[i];
+    if (!isComment(token)) {
+      return token.type === "Symbol" && token.value === ";";
+    }
+  }
+  return false;
+}
+
+// Braces a chunk leaves open. Error recovery skips to a `;` outside any
+// brace, so a chunk that ends inside one would have run on past it.
+function openBraces(chunk) {
+  let depth = 0;
+  for (const token of chunk.tokens) {
+    const value = token.type === "Symbol" ? token.value : null;
+    if (value === null) continue;
+    if (value.startsWith("{") || value === "~{") depth++;
+    else if (value === "}" || value === "|}") depth--;
+  }
+  return depth;
+}
+
+function lexDiagnostic(error, position, text) {
+  const span =
+    error instanceof RixSyntaxError
+      ? [error.offset, error.endOffset]
+      : [position, position + 1];
+  const code = error instanceof RixSyntaxError ? error.code : "E_TOKENIZE";
+  return { severity: "error", code, message: error.message, span, ...posToLineCol(text, span[0]) };
+}
+
+// Move every position in a parsed chunk by `delta` characters, with `loc`
+// now counted in the edited `text`
+function shiftChunk(chunk, delta, text, shifted) {
+  const shiftPos = (pos) => {
+    if (Array.isArray(pos) && !shifted.has(pos)) {
+      shifted.add(pos);
+      for (let i = 0; i < pos.length; i++) pos[i] += delta;
+    }
+  };
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object" && !shifted.has(value)) {
+      shifted.add(value);
+      if (Array.isArray(value.pos)) addLoc(value, text);
+      for (const [key, inner] of Object.entries(value)) {
+        if (key === "pos") shiftPos(inner);
+        // SequenceExpression records where its last expression ends
+        else if (key === "end" && typeof inner === "number") value.end += delta;
+        else if (key !== "systemInfo" && key !== "operatorInfo" && typeof inner === "object") visit(inner);
+      }
+    }
+  };
+  chunk.tokens.forEach((token) => shiftPos(token.pos));
+  visit(chunk.nodes);
+  for (const diagnostic of [...chunk.diagnostics, ...chunk.lexDiagnostics]) {
+    if (!shifted.has(diagnostic)) {
+      shifted.add(diagnostic);
+      diagnostic.span = diagnostic.span.map((offset) => offset + delta);
+      Object.assign(diagnostic, posToLineCol(text, diagnostic.span[0]));
+    }
+  }
+}
+
+/**
+ * An editor buffer parsed in recover mode. Read `text`, `ast`, `tokens` and
+ * `diagnostics`; change it with applyEdit().
+ */
+export class RixDocument {
+  constructor(text, options = {}) {
+    this.options = options;
+    this.bases = options.bases;
+    this.operators = options.operators;
+    this.text = text;
+    this.version = 0;
+    const lexDiagnostics = [];
+    const tokens = tokenize(text, {
+      bases: this.bases,
+      operators: this.operators,
+      onError: (error, position) => lexDiagnostics.push(lexDiagnostic(error, position, text)),
+    });
+    const region = this.parseRegion(text, tokens, lexDiagnostics, 0);
+    this.chunks = region.chunks;
+    this.endToken = tokens[tokens.length - 1];
+    this.endDiagnostics = region.endDiagnostics;
+  }
+
+  get ast() {
+    return this.chunks.flatMap((chunk) => chunk.nodes);
+  }
+
+  get tokens() {
+    return [...this.chunks.flatMap((chunk) => chunk.tokens), this.endToken];
+  }
+
+  get diagnostics() {
+    return [...this.chunks.flatMap((chunk) => chunk.diagnostics), ...this.endDiagnostics].sort(
+      (a, b) => a.span[0] - b.span[0],
+    );
+  }
+
+  // Parse a run of tokens scanned from `regionStart` into chunks. The tokens
+  // end with the document's End token, or stop at a statement boundary and
+  // get a stand-in End token.
+  parseRegion(text, tokens, lexDiagnostics, regionStart) {
+    const last = tokens[tokens.length - 1];
+    const atEnd = last?.type === "End";
+    const regionEnd = last ? last.pos[2] : 0;
+    const input = atEnd
+      ? tokens
+      : [...tokens, { type: "End", original: "", value: null, pos: [regionEnd, regionEnd, regionEnd] }];
+    const chunks = parseChunks(input, text, this.options);
+
+    // A statement that read past its own tokens depends on text up to `reach`
+    const result = chunks.map((chunk, index) => ({
+      start: index === 0 ? regionStart : input[chunk.start - 1].pos[2],
+      reach: input[Math.min(Math.max(chunk.reach, chunk.end - 1), input.length - 1)].pos[2],
+      tokens: input.slice(chunk.start, chunk.end),
+      nodes: chunk.nodes,
+      diagnostics: [...chunk.diagnostics],
+      lexDiagnostics: [],
+    }));
+    // Lexer diagnostics go to the chunk whose extent holds them
+    const endDiagnostics = [];
+    for (const diagnostic of lexDiagnostics) {
+      let chunk = result.find((candidate) => chunkEnd(candidate) > diagnostic.span[0]);
+      chunk ??= result[result.length - 1];
+      if (chunk) {
+        chunk.lexDiagnostics.push(diagnostic);
+        chunk.diagnostics.push(diagnostic);
+      } else {
+        endDiagnostics.push(diagnostic);
+      }
+    }
+    // Whether a statement read the stand-in End where more text follows
+    const lookedPast =
+      !atEnd && chunks.some((chunk) => chunk.reach >= input.length - 1 && chunk.reach >= chunk.end);
+    return { chunks: result, endDiagnostics, regionEnd, lookedPast };
+  }
+
+  /**
+   * Replace text[start, end) with `text`. Tokens outside the damaged region
+   * are reused and only the top-level statements it touches are re-parsed.
+   *
+   * Returns { ast, changed, removed }: the updated statement list, the newly
+   * parsed statements and the statements they replaced.
+   */
+  applyEdit({ start, end = start, text = "" }) {
+    if (!(start >= 0 && start <= end && end <= this.text.length)) {
+      throw new RangeError(`Edit range [${start}, ${end}) is outside the document`);
+    }
+    const oldChunks = this.chunks;
+    const newText = this.text.slice(0, start) + text + this.text.slice(end);
+    const delta = text.length - (end - start);
+    const editEnd = start + text.length;
+
+    // First chunk the edit touches (the last one owns any text after it),
+    // moved back until the chunk before it ends with `;` so nothing before
+    // the region can parse differently
+    let first = oldChunks.findIndex((chunk) => chunk.reach >= start);
+    if (first === -1) first = Math.max(0, oldChunks.length - 1);
+    // A malformed token may have been judged by looking ahead to the end of
+    // the text (an unclosed string, say), so it is scanned again as well
+    const lexError = oldChunks.findIndex((chunk) => chunk.lexDiagnostics.length > 0);
+    if (lexError !== -1 && lexError < first) first = lexError;
+    while (first > 0 && !endsWithSemicolon(oldChunks[first - 1])) first--;
+    const scanStart = first < oldChunks.length ? oldChunks[first].start : 0;
+
+    // Re-tokenize until the scan lines up with the start of an old chunk
+    // after the edit; from there on the old tokens are still valid
+    let reuse = Math.min(first + 1, oldChunks.length);
+    const lexDiagnostics = [];
+    let tokens = tokenize(newText, {
+      bases: this.bases,
+      operators: this.operators,
+      start: scanStart,
+      onError: (error, position) => lexDiagnostics.push(lexDiagnostic(error, position, newText)),
+      stop: (position) => {
+        if (position < editEnd) return false;
+        while (reuse < oldChunks.length && oldChunks[reuse].start + delta < position) reuse++;
+        return reuse < oldChunks.length && oldChunks[reuse].start + delta === position;
+      },
+    });
+    if (tokens[tokens.length - 1]?.type === "End") {
+      reuse = oldChunks.length;
+    }
+
+    // Everything after the region keeps its tokens, moved by the edit
+    const moved = oldChunks.slice(reuse);
+    const shift = (by, source) => {
+      const shifted = new Set();
+      for (const chunk of moved) {
+        chunk.start += by;
+        chunk.reach += by;
+        shiftChunk(chunk, by, source, shifted);
+      }
+      shiftChunk({ tokens: [this.endToken], nodes: [], diagnostics: [], lexDiagnostics: [] }, by, source, shifted);
+    };
+    const relex = (index, source) => {
+      const chunk = oldChunks[index];
+      if (chunk.lexDiagnostics.length > 0) {
+        const to = index + 1 < oldChunks.length ? chunkEnd(chunk) : Infinity;
+        this.relexDiagnostics(chunk, source, [chunk.start, to]);
+      }
+    };
+    const reused = reuse;
+    if (reuse < oldChunks.length) shift(delta, newText);
+
+    // Re-parse the region, taking in more old chunks while its last statement
+    // runs into the end of the region (an unclosed bracket, a missing `;`) or
+    // the parser gives up on it
+    let region;
+    try {
+      region = this.tryParseRegion(newText, tokens, lexDiagnostics, scanStart, reuse === oldChunks.length);
+      while (reuse < oldChunks.length && !(region && this.endsCleanly(region))) {
+        const count = Math.min(Math.max(1, reuse - first), oldChunks.length - reuse);
+        for (let i = 0; i < count; i++, reuse++) {
+          relex(reuse, newText);
+          tokens = tokens.concat(oldChunks[reuse].tokens);
+          lexDiagnostics.push(...oldChunks[reuse].lexDiagnostics);
+        }
+        if (reuse === oldChunks.length) tokens = tokens.concat([this.endToken]);
+        region = this.tryParseRegion(newText, tokens, lexDiagnostics, scanStart, reuse === oldChunks.length);
+      }
+    } catch (error) {
+      // Leave the document as it was before the edit
+      if (reused < oldChunks.length) shift(-delta, this.text);
+      for (let index = reused; index < oldChunks.length; index++) relex(index, this.text);
+      throw error;
+    }
+
+    const tail = oldChunks.slice(reuse);
+    for (let index = reuse; index < oldChunks.length; index++) relex(index, newText);
+    if (tokens[tokens.length - 1]?.type === "End") {
+      this.endToken = tokens[tokens.length - 1];
+    }
+    // Only a document without statements keeps diagnostics outside a chunk
+    const before = oldChunks[first - 1];
+    if (region.chunks.length === 0 && before) {
+      before.lexDiagnostics.push(...region.endDiagnostics);
+      before.diagnostics.push(...region.endDiagnostics);
+      this.endDiagnostics = [];
+    } else if (reuse === oldChunks.length) {
+      this.endDiagnostics = region.endDiagnostics;
+    }
+
+    const removed = oldChunks.slice(first, reuse).flatMap((chunk) => chunk.nodes);
+    this.chunks = [...oldChunks.slice(0, first), ...region.chunks, ...tail];
+    this.text = newText;
+    this.version++;
+    return {
+      ast: this.ast,
+      changed: region.chunks.flatMap((chunk) => chunk.nodes),
+      removed,
+    };
+  }
+
+  // A region cut off before the end of the text may trip the parser where
+  // the whole text would not; that only counts once the region is final
+  tryParseRegion(text, tokens, lexDiagnostics, regionStart, final) {
+    try {
+      return this.parseRegion(text, tokens, lexDiagnostics, regionStart);
+    } catch (error) {
+      if (final) throw error;
+      return null;
+    }
+  }
+
+  // Tokenizer messages quote line and column, so scan a moved chunk again to
+  // word its diagnostics for the new position
+  relexDiagnostics(chunk, text, [from, to]) {
+    const fresh = [];
+    tokenize(text, {
+      bases: this.bases,
+      operators: this.operators,
+      start: from,
+      stop: (position) => position >= to,
+      onError: (error, position) => fresh.push(lexDiagnostic(error, position, text)),
+    });
+    const stale = new Set(chunk.lexDiagnostics);
+    chunk.diagnostics = [...chunk.diagnostics.filter((diagnostic) => !stale.has(diagnostic)), ...fresh];
+    chunk.lexDiagnostics = fresh;
+  }
+
+  // Whether the region's last statement ended on its own, so the statements
+  // after the region parse exactly as before
+  endsCleanly(region) {
+    const last = region.chunks[region.chunks.length - 1];
+    if (!last) return region.endDiagnostics.length === 0;
+    return (
+      !region.lookedPast &&
+      endsWithSemicolon(last) &&
+      !region.chunks.some((chunk) =>
+        chunk.diagnostics.some((diagnostic) => diagnostic.span[0] >= region.regionEnd),
+      ) &&
+      (last.diagnostics.length === 0 || openBraces(last) <= 0)
+    );
+  }
+}
+
+/**
+ * Create an incremental document for an editor buffer.
+ *
+ * Options are those of parse() but `recover` and `cst`: the document is
+ * always parsed in recover mode. Among them:
+ * - systemLookup: resolves system identifiers
+ * - bases: digit alphabets of user-defined base prefixes, as for tokenize()
+ * - operators: registered custom operators
+ * - unknownSystem, extensionLookup, embeddedLanguages, functionalForms and
+ *   context, reported in and shaping `diagnostics` and `ast` as for parse()
+ */
+export function createDocument(text, options = {}) {
+  return new RixDocument(text, options);
+}
@@ -0,0 +1,112 @@
+/**
+ * RiX Embedded Languages
+ * Handlers that parse the body of a backtick literal, the `x^2 + 1` of
+ * `` `P(x):x^2 + 1` ``, into nodes, and the built-in ones for RiX itself,
+ * polynomials and fractions.
+ *
+ * A handler is called as `handler(body, { language, context, parse })`:
+ * `context` is the text between the header's parentheses or null, and
+ * `parse(text)` parses RiX text with the vocabulary of the enclosing parse.
+ * It returns a node or a list of nodes positioned within `body`, which the
+ * parser moves to their place in the source, and throws a RixSyntaxError
+ * whose offsets are within `body` when the body is malformed.
+ */
+
+import { ParseError } from "./errors.js";
+import { numberNode } from "./numbers.js";
+
+// Throw an E_EMBEDDED_SYNTAX error over [offset, endOffset) of a body
+function fail(detail, offset, endOffset = offset) {
+  throw new ParseError(`${detail} (position ${offset})`, {
+    code: "E_EMBEDDED_SYNTAX",
+    offset,
+    endOffset,
+    detail,
+  });
+}
+
+/** RiX code, parsed to its statements as any other source */
+export function parseRixBody(body, { parse }) {
+  return parse(body);
+}
+
+/**
+ * A polynomial in the variables named by the context, `P(x, y)`, or in any
+ * lowercase names without one: a single expression of numbers and the
+ * variables built with `+`, `-`, `*`, division by a number, and powers by a
+ * non-negative integer. Gives the expression.
+ */
+export function parsePolynomial(body, { context, parse }) {
+  const variables = context ? context.split(",").map((name) => name.trim()).filter(Boolean) : null;
+  const statements = parse(body);
+  if (statements.length !== 1) {
+    fail("A polynomial is a single expression", 0, body.length);
+  }
+  const [statement] = statements;
+  const expression = statement.type === "Statement" ? statement.expression : statement;
+  const span = (node) => [node.pos[1], node.pos[2]];
+  const check = (node) => {
+    switch (node.type) {
+      case "Number":
+        return;
+      case "UserIdentifier":
+        if (variables && !variables.includes(node.name)) {
+          fail(`${node.name} is not a variable of the polynomial in ${variables.join(", ")}`, ...span(node));
+        }
+        return;
+      case "Grouping":
+        return check(node.expression);
+      case "UnaryOperation":
+        if (node.operator === "-" || node.operator === "+") return check(node.operand);
+        break;
+      case "ImplicitMultiplication":
+        check(node.left);
+        return check(node.right);
+      case "BinaryOperation":
+        if (["+", "-", "*"].includes(node.operator)) {
+          check(node.left);
+          return check(node.right);
+        }
+        if (node.operator === "/") {
+          if (node.right.type !== "Number") fail("A polynomial can only be divided by a number", ...span(node.right));
+          return check(node.left);
+        }
+        if (node.operator === "^" || node.operator === "**") {
+          const { right } = node;
+          if (right.type !== "Number" || right.format !== "integer" || right.negative) {
+            fail("Powers in a polynomial must be non-negative integers", ...span(right));
+          }
+          return check(node.left);
+        }
+        break;
+    }
+    fail("Not a term of a polynomial", ...span(node));
+  };
+  check(expression);
+  return expression;
+}
+
+/** A fraction such as `6/8` or `-3/4`, kept as written in a Number node */
+export function parseFraction(body) {
+  const start = body.length - body.trimStart().length;
+  const text = body.trim();
+  const end = start + text.length;
+  if (!/^-?\d+\/\d+$/.test(text)) {
+    fail("Expected a fraction such as 6/8", start, end);
+  }
+  if (/^0+$/.test(text.slice(text.indexOf("/") + 1))) {
+    fail("Fraction has a zero denominator", start, end);
+  }
+  return numberNode(text, start);
+}
+
+/**
+ * The built-in handlers by language name. A body without a language header
+ * is RiX-String, parsed as RiX.
+ */
+export const EMBEDDED_LANGUAGES = {
+  "RiX-String": parseRixBody,
+  RiX: parseRixBody,
+  P: parsePolynomial,
+  F: parseFraction,
+};
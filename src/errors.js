@@ -0,0 +1,47 @@
+/**
+ * RiX syntax errors
+ * Structured errors thrown by the tokenizer and parser. The message text is
+ * meant for people; tools should read the fields instead.
+ */
+
+/**
+ * Base class for every error the tokenizer or parser throws.
+ *
+ * Fields:
+ * - code: stable identifier such as "E_UNCLOSED_BRACE"
+ * - line, col: 1-based location of the offending text
+ * - offset, endOffset: source range [offset, endOffset) of the offending text
+ * - token: the offending token, or null when the error is not tied to one
+ * - expected: what would have been accepted at this point (may be empty)
+ * - detail: the message without the location prefix
+ */
+export class RixSyntaxError extends SyntaxError {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "RixSyntaxError";
+    this.code = details.code ?? "E_SYNTAX";
+    this.line = details.line ?? null;
+    this.col = details.col ?? null;
+    this.offset = details.offset ?? null;
+    this.endOffset = details.endOffset ?? details.offset ?? null;
+    this.token = details.token ?? null;
+    this.expected = details.expected ?? [];
+    this.detail = details.detail ?? message;
+  }
+}
+
+// Raised while splitting source text into tokens
+export class TokenizeError extends RixSyntaxError {
+  constructor(message, details = {}) {
+    super(message, { code: "E_TOKENIZE", ...details });
+    this.name = "TokenizeError";
+  }
+}
+
+// Raised while building the AST from tokens
+export class ParseError extends RixSyntaxError {
+  constructor(message, details = {}) {
+    super(message, { code: "E_PARSE", ...details });
+    this.name = "ParseError";
+  }
+}
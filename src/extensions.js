@@ -0,0 +1,211 @@
+/**
+ * RiX Algebraic Extensions
+ * Parses the text of a mathematical unit, the `sqrt2` of `3~{sqrt2}`, into
+ * a descriptor of the number it adjoins to the rationals, and works out the
+ * field an expression of such numbers lies in.
+ */
+
+import { ParseError } from "./errors.js";
+
+/** Names with a fixed meaning, which user extensions cannot take */
+export const BUILTIN_EXTENSIONS = {
+  i: { kind: "imaginary", generator: "i" },
+  pi: { kind: "transcendental", generator: "π" },
+  π: { kind: "transcendental", generator: "π" },
+  e: { kind: "transcendental", generator: "e" },
+};
+
+// Radicals by the name of their root, with their index and the sign written
+const RADICALS = {
+  sqrt: { index: 2, sign: "√" },
+  "√": { index: 2, sign: "√" },
+  cbrt: { index: 3, sign: "∛" },
+  "∛": { index: 3, sign: "∛" },
+};
+
+// A radical or root of unity and the text of its argument, as in `sqrt[2]`
+const ROOT = /^(sqrt|cbrt|zeta|√|∛|ζ)([\d[(].*)?$/su;
+
+const NAME = /^\p{L}[\p{L}\p{N}_]*$/u;
+
+/**
+ * Whether `name` can name a user extension: a letter followed by letters,
+ * digits or `_`, other than the built-in names and roots such as `sqrt2`.
+ */
+export function isExtensionName(name) {
+  return typeof name === "string" && NAME.test(name) && !Object.hasOwn(BUILTIN_EXTENSIONS, name) && !ROOT.test(name);
+}
+
+/**
+ * Check a user extension: a free name and an object definition, whose
+ * `minimalPolynomial`, if given, is text such as "x^2 - x - 1". Throws on
+ * the first problem; returns a copy of the definition.
+ */
+export function checkExtensionDefinition(name, definition = {}) {
+  if (!isExtensionName(name)) {
+    throw new Error(`Invalid extension name: ${name}`);
+  }
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    throw new Error(`Extension ${name} needs an object definition such as { minimalPolynomial: "x^2 - 2" }`);
+  }
+  const { minimalPolynomial } = definition;
+  if (minimalPolynomial !== undefined && (typeof minimalPolynomial !== "string" || minimalPolynomial.trim() === "")) {
+    throw new Error(`Minimal polynomial of extension ${name} must be text such as "x^2 - 2"`);
+  }
+  return { ...definition };
+}
+
+/**
+ * Parse the text of a mathematical unit. `start` is the offset of `text` in
+ * the source and positions errors. Returns one of:
+ * - `{ kind: "imaginary", generator: "i" }` for `i`
+ * - `{ kind: "radical", index, radicand, generator }` for `sqrt2`,
+ *   `sqrt[2]`, `sqrt(2)`, `√2` and the cube roots `cbrt2`, `∛2`; generator
+ *   "√2" or "∛2". The generator is the root of the radicand without its
+ *   square (cube) factors up to POWER_FREE_LIMIT, so `sqrt8` = 2√2 has
+ *   generator "√2", and null for a rational root such as `sqrt4`
+ * - `{ kind: "rootOfUnity", order, generator }` for the primitive root of
+ *   unity `zeta5`, `zeta[5]` or `ζ5`; generator "ζ5", or null for the
+ *   rational `zeta1` = 1 and `zeta2` = -1. Roots generating the same field
+ *   share a generator: `zeta4` = i has "i", and `zeta6` = -ζ3 has "ζ3", as
+ *   does every ζ2m for odd m
+ * - `{ kind: "transcendental", generator }` for `pi` (`π`) and `e`
+ * - `{ kind: "named", name, generator }` for any other name, such as one
+ *   registered with SystemLoader.registerExtension()
+ *
+ * Each also has `field`, the extension of Q it generates, such as "Q(√2)",
+ * or "Q" when the generator is null.
+ * Throws a ParseError with code E_EXTENSION_SYNTAX whose offset is that of
+ * the offending character.
+ */
+export function parseExtension(text, start = 0) {
+  const leading = text.length - text.trimStart().length;
+  const body = text.trim();
+  const fail = (message, at, length = 1) => {
+    const offset = start + leading + at;
+    throw new ParseError(`${message} (position ${offset})`, {
+      code: "E_EXTENSION_SYNTAX",
+      offset,
+      endOffset: offset + Math.max(0, Math.min(length, body.length - at)),
+      detail: message,
+    });
+  };
+  const describe = (at) => (at >= body.length ? "end of unit" : `"${body[at]}"`);
+
+  // The positive integer argument of a root, written `N`, `[N]` or `(N)`
+  // from `at`, at least `minimum`
+  const argument = (at, what, minimum) => {
+    const close = { "[": "]", "(": ")" }[body[at]];
+    const from = close ? at + 1 : at;
+    let end = from;
+    while (/[0-9]/.test(body[end] ?? "")) end++;
+    if (end === from) fail(`Expected ${what}, found ${describe(from)}`, from);
+    const value = Number(body.slice(from, end));
+    if (!Number.isSafeInteger(value) || value < minimum) {
+      fail(`Expected ${what} of at least ${minimum}`, from, end - from);
+    }
+    if (close) {
+      if (body[end] !== close) fail(`Expected "${close}" after ${what}, found ${describe(end)}`, end);
+      end++;
+    }
+    if (end < body.length) fail(`Unexpected ${describe(end)} in mathematical unit`, end);
+    return value;
+  };
+
+  if (body.length === 0) fail("Empty mathematical unit", 0, 0);
+  if (Object.hasOwn(BUILTIN_EXTENSIONS, body)) {
+    const { kind, generator } = BUILTIN_EXTENSIONS[body];
+    return { kind, generator, field: `Q(${generator})` };
+  }
+  const root = body.match(ROOT);
+  if (root) {
+    const [, name] = root;
+    if (Object.hasOwn(RADICALS, name)) {
+      const { index, sign } = RADICALS[name];
+      const radicand = argument(name.length, "a radicand", 2);
+      const free = powerFree(radicand, index);
+      const generator = free === 1 ? null : `${sign}${free}`;
+      return { kind: "radical", index, radicand, generator, field: fieldOf(generator) };
+    }
+    const order = argument(name.length, "the order of a root of unity", 1);
+    const generator = unityGenerator(order);
+    return { kind: "rootOfUnity", order, generator, field: fieldOf(generator) };
+  }
+  if (!NAME.test(body)) {
+    const bad = body.search(/^[^\p{L}]|[^\p{L}\p{N}_]/u);
+    fail(`Unexpected ${describe(bad)} in mathematical unit`, bad);
+  }
+  return { kind: "named", name: body, generator: body, field: `Q(${body})` };
+}
+
+// Largest base whose powers powerFree() divides out; trial division up to
+// the root of a large radicand would take too long
+const POWER_FREE_LIMIT = 10000;
+
+// What is left of `n` after dividing out every factor p^index with p up to
+// POWER_FREE_LIMIT; a larger repeated factor stays in the cofactor
+function powerFree(n, index) {
+  let rest = n;
+  for (let p = 2; p <= POWER_FREE_LIMIT && p ** index <= rest; p++) {
+    while (rest % p ** index === 0) rest /= p ** index;
+  }
+  return rest;
+}
+
+// The generator of the field of the primitive root of unity of `order`:
+// ζ2m = -ζm for odd m, ζ4 = i, and ζ1 and ζ2 are rational
+function unityGenerator(order) {
+  const reduced = order % 4 === 2 ? order / 2 : order;
+  if (reduced <= 2) return null;
+  return reduced === 4 ? "i" : `ζ${reduced}`;
+}
+
+function fieldOf(generator) {
+  return generator === null ? "Q" : `Q(${generator})`;
+}
+
+// Operators under which the rationals extended by some numbers stay closed
+const FIELD_OPERATORS = new Set(["+", "-", "*", "/"]);
+
+/**
+ * The field an arithmetic expression of rationals and mathematical units
+ * lies in: `{ generators, field }`, where `generators` are the extension
+ * descriptors (see parseExtension()) it adjoins to Q, the first for each
+ * generator, and `field` is written like "Q(√2, i)", or "Q" without any.
+ * `1 + 3~{sqrt8}` lies in Q(√2), and `sqrt4` and `zeta2` adjoin nothing.
+ *
+ * Returns null when the expression is not built from number literals and
+ * mathematical units by `+`, `-`, `*`, `/`, integer powers and grouping,
+ * or has a mathematical unit whose text did not parse.
+ */
+export function extensionField(node) {
+  const generators = new Map();
+  const collect = (node) => {
+    switch (node?.type) {
+      case "Number":
+        return true;
+      case "MathematicalUnit":
+        if (!node.extension || !collect(node.target)) return false;
+        if (node.extension.generator !== null && !generators.has(node.extension.generator)) {
+          generators.set(node.extension.generator, node.extension);
+        }
+        return true;
+      case "Grouping":
+        return collect(node.expression);
+      case "UnaryOperation":
+        return (node.operator === "-" || node.operator === "+") && collect(node.operand);
+      case "ImplicitMultiplication":
+        return collect(node.left) && collect(node.right);
+      case "BinaryOperation":
+        if (node.operator === "^" || node.operator === "**") {
+          return node.right.type === "Number" && node.right.format === "integer" && collect(node.left);
+        }
+        return FIELD_OPERATORS.has(node.operator) && collect(node.left) && collect(node.right);
+    }
+    return false;
+  };
+  if (!collect(node)) return null;
+  const list = [...generators.values()];
+  const field = list.length === 0 ? "Q" : `Q(${list.map((extension) => extension.generator).join(", ")})`;
+  return { generators: list, field };
+}
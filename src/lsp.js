@@ -0,0 +1,490 @@
+/**
+ * RiX Language Server
+ * Language Server Protocol over JSON-RPC: diagnostics, hover for system
+ * identifiers, go-to-definition, document symbols, completion and semantic
+ * tokens.
+ */
+
+import { parse } from "./parser.js";
+import { tokenize } from "./tokenizer.js";
+import { createDocument } from "./document.js";
+import { SystemLoader } from "./system-loader.js";
+import { classify, encodeSemanticTokens, SEMANTIC_TOKEN_TYPES } from "./classify.js";
+import { childNodes } from "./visit.js";
+
+const SEVERITY = { error: 1, warning: 2, information: 3, hint: 4 };
+
+const TEXT_DOCUMENT_SYNC_INCREMENTAL = 2;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+// Protocol methods and the server methods that handle them
+const METHODS = {
+  initialize: "initialize",
+  initialized: "initialized",
+  shutdown: "shutdown",
+  exit: "exit",
+  "textDocument/didOpen": "didOpen",
+  "textDocument/didChange": "didChange",
+  "textDocument/didClose": "didClose",
+  "textDocument/hover": "hover",
+  "textDocument/definition": "definition",
+  "textDocument/documentSymbol": "documentSymbol",
+  "textDocument/completion": "completion",
+  "textDocument/semanticTokens/full": "semanticTokens",
+};
+
+const SYMBOL_KINDS = {
+  BlockContainer: 3, // Namespace
+  LoopContainer: 3,
+  CaseContainer: 10, // Enum
+  MapContainer: 19, // Object
+  SetContainer: 18, // Array
+  ArrayContainer: 18,
+  TupleContainer: 18,
+};
+
+const COMPLETION_KINDS = {
+  function: 3, // Function
+  constructor: 4, // Constructor
+  constant: 21, // Constant
+  operator: 24, // Operator
+};
+const KEYWORD_COMPLETION_KIND = 14;
+
+// Offsets where each line starts. LSP positions count UTF-16 code units,
+// which is what string indexes count too.
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+}
+
+function offsetAt(text, starts, { line, character }) {
+  if (line >= starts.length) return text.length;
+  const lineEnd = line + 1 < starts.length ? starts[line + 1] - 1 : text.length;
+  return Math.min(starts[Math.max(line, 0)] + Math.max(character, 0), lineEnd);
+}
+
+function positionAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low, character: offset - starts[low] };
+}
+
+function describeArity(arity) {
+  return arity === -1 ? "variadic" : String(arity);
+}
+
+/**
+ * An open text document: the incremental document that keeps diagnostics
+ * current, plus a concrete syntax tree built on demand for navigation.
+ * Should the document fail to build, it stays open with the failure as its
+ * only diagnostic, and is built afresh on the next change.
+ */
+class OpenDocument {
+  // `options` are the parse() options to parse with
+  constructor(uri, text, version, options) {
+    this.uri = uri;
+    this.version = version;
+    this.options = options;
+    this.load(text);
+  }
+
+  get text() {
+    return this.document?.text ?? this.failure.text;
+  }
+
+  // Build the incremental document of `text` from scratch
+  load(text) {
+    try {
+      this.document = createDocument(text, this.options);
+      this.failure = null;
+    } catch (error) {
+      this.document = null;
+      this.failure = { text, message: `Cannot analyze document: ${error.message}` };
+    }
+    this.starts = lineStarts(text);
+    this.analysis = null;
+  }
+
+  // Content changes are either { range, text } or a whole new { text }
+  applyChange(change) {
+    if (!change.range) {
+      this.load(change.text);
+      return;
+    }
+    const start = offsetAt(this.text, this.starts, change.range.start);
+    const end = offsetAt(this.text, this.starts, change.range.end);
+    const text = this.text.slice(0, start) + change.text + this.text.slice(end);
+    if (!this.document) {
+      this.load(text);
+      return;
+    }
+    try {
+      this.document.applyEdit({ start, end, text: change.text });
+    } catch {
+      this.load(text);
+      return;
+    }
+    this.starts = lineStarts(this.text);
+    this.analysis = null;
+  }
+
+  range(start, end) {
+    return { start: positionAt(this.starts, start), end: positionAt(this.starts, Math.max(start, end)) };
+  }
+
+  offsetAt(position) {
+    return offsetAt(this.text, this.starts, position);
+  }
+
+  diagnostics() {
+    if (!this.document) {
+      return [
+        { range: this.range(0, 0), severity: SEVERITY.error, code: "E_INTERNAL", source: "rix", message: this.failure.message },
+      ];
+    }
+    return this.document.diagnostics.map((diagnostic) => ({
+      range: this.range(diagnostic.span[0], diagnostic.span[1]),
+      severity: SEVERITY[diagnostic.severity] ?? SEVERITY.error,
+      code: diagnostic.code,
+      source: "rix",
+      message: diagnostic.message,
+    }));
+  }
+
+  // CST of the current text with the source range of every token and the
+  // node that owns it
+  analyze() {
+    if (this.analysis) return this.analysis;
+    if (!this.document) {
+      this.analysis = { program: { type: "Program", body: [], tokens: [] }, spans: [], owners: [] };
+      return this.analysis;
+    }
+    const text = this.text;
+    let program;
+    try {
+      program = parse(text, { ...this.options, recover: true, cst: true }).ast;
+    } catch {
+      program = { type: "Program", body: [], tokens: [] };
+    }
+    const spans = tokenize(text, { bases: this.options.bases, operators: this.options.operators, onError: () => {} })
+      .filter((token) => !(token.type === "String" && token.kind === "comment"))
+      .map((token) => [token.type === "End" ? token.pos[2] : token.pos[1], token.pos[2]]);
+    const owners = [];
+    const visit = (node) => {
+      for (const token of node.tokens ?? []) owners[token.index] = node;
+      childNodes(node).forEach(visit);
+    };
+    visit(program);
+    this.analysis = { program, spans, owners };
+    return this.analysis;
+  }
+
+  // The node of type `type` owning the token under `offset`, or the token
+  // just before it when the cursor sits at the end of a word
+  nodeAt(offset, type) {
+    const { spans, owners } = this.analyze();
+    const under = spans.findIndex(([start, end]) => start <= offset && offset < end);
+    const before = spans.findIndex(([start, end]) => start < offset && end === offset);
+    const index = [under, before].find((candidate) => owners[candidate]?.type === type);
+    return index === undefined ? null : { node: owners[index], index };
+  }
+
+  tokenRange(index) {
+    const [start, end] = this.analyze().spans[index];
+    return this.range(start, end);
+  }
+
+  // Identifier nodes that a `:=` assignment or a function definition binds
+  definitions() {
+    const found = [];
+    const visit = (node) => {
+      if (node.type === "BinaryOperation" && node.operator === ":=" && node.left?.type === "UserIdentifier") {
+        found.push(node.left);
+      } else if (
+        (node.type === "FunctionDefinition" || node.type === "PatternMatchingFunction") &&
+        node.name?.type === "UserIdentifier"
+      ) {
+        found.push(node.name);
+      }
+      childNodes(node).forEach(visit);
+    };
+    visit(this.analyze().program);
+    return found.filter((node) => node.tokens?.length > 0);
+  }
+
+  symbols() {
+    const collect = (node) => {
+      const children = childNodes(node).flatMap(collect);
+      if (typeof node.name !== "string" || !SYMBOL_KINDS[node.type] || !node.tokenRange) {
+        return children;
+      }
+      const { spans } = this.analyze();
+      const [first, last] = node.tokenRange;
+      const opener = node.tokens[0]?.index ?? first;
+      return [
+        {
+          name: node.name,
+          detail: node.type,
+          kind: SYMBOL_KINDS[node.type],
+          range: this.range(spans[first][0], spans[last][1]),
+          selectionRange: this.tokenRange(opener),
+          children,
+        },
+      ];
+    };
+    return collect(this.analyze().program);
+  }
+}
+
+/**
+ * Handles Language Server Protocol messages. `send(message)` receives the
+ * notifications the server publishes on its own (diagnostics).
+ *
+ * Options:
+ * - systemLoader: SystemLoader used for parsing, hover and completion
+ * - parseOptions: further parse() options for every document, such as
+ *   `unknownSystem: "warn"` or `functionalForms`
+ * - send: callback for server-initiated messages
+ */
+export class RixLanguageServer {
+  constructor(options = {}) {
+    this.systemLoader = options.systemLoader ?? new SystemLoader();
+    this.systemLookup = this.systemLoader.createParserLookup();
+    this.parseOptions = options.parseOptions ?? {};
+    this.send = options.send ?? (() => {});
+    this.documents = new Map();
+    this.shutdownRequested = false;
+    this.exited = false;
+  }
+
+  /**
+   * Handle one decoded JSON-RPC message. Returns the response for a request
+   * and null for a notification.
+   */
+  handleMessage(message) {
+    if (!message || typeof message !== "object" || typeof message.method !== "string") {
+      // Replies from the client need no answer
+      if (message && ("result" in message || "error" in message)) return null;
+      return this.error(message?.id ?? null, INVALID_REQUEST, "Invalid request");
+    }
+    const { id, method, params = {} } = message;
+    const isRequest = id !== undefined && id !== null;
+    const handler = METHODS[method];
+    if (!handler) {
+      return isRequest ? this.error(id, METHOD_NOT_FOUND, `Unhandled method ${method}`) : null;
+    }
+    let result;
+    try {
+      result = this[handler](params);
+    } catch (error) {
+      return isRequest ? this.error(id, INTERNAL_ERROR, error.message) : null;
+    }
+    return isRequest ? { jsonrpc: "2.0", id, result: result ?? null } : null;
+  }
+
+  error(id, code, message) {
+    return { jsonrpc: "2.0", id, error: { code, message } };
+  }
+
+  publishDiagnostics(open) {
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: { uri: open.uri, version: open.version, diagnostics: open.diagnostics() },
+    });
+  }
+
+  document(params) {
+    const open = this.documents.get(params.textDocument?.uri);
+    if (!open) throw new Error(`Unknown document ${params.textDocument?.uri}`);
+    return open;
+  }
+
+  hoverText(node) {
+    const info = node.systemInfo ?? this.systemLoader.lookup(node.name);
+    if (info.source === "unknown") {
+      return `**${node.name}** — unknown system identifier`;
+    }
+    const kind = info.controlType ?? info.type;
+    const details = [kind];
+    if (info.category) details.push(`category: ${info.category}`);
+    if (info.arity !== undefined) details.push(`arity: ${describeArity(info.arity)}`);
+    return `**${node.name}** — ${details.join(", ")}`;
+  }
+
+  completionItems() {
+    const { coreRegistry, systemRegistry, keywordRegistry } = this.systemLoader;
+    const items = new Map();
+    for (const [name, definition] of [...coreRegistry, ...systemRegistry]) {
+      items.set(name, {
+        label: name,
+        kind: COMPLETION_KINDS[definition.type] ?? COMPLETION_KINDS.function,
+        detail: [definition.type, definition.category].filter(Boolean).join(" · "),
+      });
+    }
+    for (const [name, definition] of keywordRegistry) {
+      items.set(name, {
+        label: name,
+        kind: KEYWORD_COMPLETION_KIND,
+        detail: ["keyword", definition.category].filter(Boolean).join(" · "),
+      });
+    }
+    return [...items.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  initialize() {
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: TEXT_DOCUMENT_SYNC_INCREMENTAL },
+        hoverProvider: true,
+        definitionProvider: true,
+        documentSymbolProvider: true,
+        completionProvider: { triggerCharacters: ["@"] },
+        semanticTokensProvider: {
+          legend: { tokenTypes: SEMANTIC_TOKEN_TYPES, tokenModifiers: [] },
+          full: true,
+        },
+      },
+      serverInfo: { name: "rix-lsp", version: "0.1.0" },
+    };
+  }
+
+  initialized() {}
+
+  shutdown() {
+    this.shutdownRequested = true;
+    return null;
+  }
+
+  exit() {
+    this.exited = true;
+  }
+
+  didOpen({ textDocument }) {
+    const open = new OpenDocument(textDocument.uri, textDocument.text, textDocument.version, {
+      ...this.parseOptions,
+      systemLookup: this.systemLookup,
+      bases: this.systemLoader.baseAlphabets(),
+      operators: this.systemLoader.operatorDefinitions(),
+      extensionLookup: this.systemLoader.createExtensionLookup(),
+      embeddedLanguages: this.systemLoader.embeddedLanguages(),
+    });
+    this.documents.set(textDocument.uri, open);
+    this.publishDiagnostics(open);
+  }
+
+  didChange(params) {
+    const open = this.document(params);
+    for (const change of params.contentChanges) {
+      open.applyChange(change);
+    }
+    open.version = params.textDocument.version;
+    this.publishDiagnostics(open);
+  }
+
+  didClose(params) {
+    this.documents.delete(params.textDocument.uri);
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: { uri: params.textDocument.uri, diagnostics: [] },
+    });
+  }
+
+  hover(params) {
+    const open = this.document(params);
+    const found = open.nodeAt(open.offsetAt(params.position), "SystemIdentifier");
+    if (!found) return null;
+    return {
+      contents: { kind: "markdown", value: this.hoverText(found.node) },
+      range: open.tokenRange(found.index),
+    };
+  }
+
+  definition(params) {
+    const open = this.document(params);
+    const found = open.nodeAt(open.offsetAt(params.position), "UserIdentifier");
+    if (!found) return null;
+    return open
+      .definitions()
+      .filter((node) => node.name === found.node.name)
+      .map((node) => ({ uri: open.uri, range: open.tokenRange(node.tokens[0].index) }));
+  }
+
+  documentSymbol(params) {
+    return this.document(params).symbols();
+  }
+
+  completion() {
+    return { isIncomplete: false, items: this.completionItems() };
+  }
+
+  semanticTokens(params) {
+    const ranges = classify(this.document(params).text, { systemLoader: this.systemLoader });
+    return { data: encodeSemanticTokens(ranges) };
+  }
+}
+
+/**
+ * Serve the protocol over a pair of streams using the base protocol's
+ * `Content-Length` framing (stdin/stdout for an editor).
+ *
+ * Options are passed to RixLanguageServer; `onExit(code)` is called after
+ * the client's `exit` notification.
+ */
+export function startServer(input, output, options = {}) {
+  const write = (message) => {
+    const json = JSON.stringify(message);
+    output.write(`Content-Length: ${Buffer.byteLength(json, "utf8")}\r\n\r\n${json}`);
+  };
+  const server = new RixLanguageServer({ ...options, send: write });
+
+  let buffer = Buffer.alloc(0);
+  input.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, typeof chunk === "string" ? Buffer.from(chunk) : chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+      const header = buffer.subarray(0, headerEnd).toString("ascii");
+      const match = /Content-Length:\s*(\d+)/i.exec(header);
+      if (!match) {
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+      const length = Number(match[1]);
+      const bodyStart = headerEnd + 4;
+      if (buffer.length < bodyStart + length) return;
+      const body = buffer.subarray(bodyStart, bodyStart + length).toString("utf8");
+      buffer = buffer.subarray(bodyStart + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        write({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } });
+        continue;
+      }
+      const response = server.handleMessage(message);
+      if (response) write(response);
+      if (server.exited) {
+        options.onExit?.(server.shutdownRequested ? 0 : 1);
+        return;
+      }
+    }
+  });
+  return server;
+}
@@ -0,0 +1,274 @@
+/**
+ * RiX Extension Module Manifests
+ * A declarative description of the systems, keywords, operators, categories
+ * and aliases an extension module adds, written as JSON or as a RiX map
+ * literal. Manifests are read and checked without running any code.
+ */
+
+import { parse } from "./parser.js";
+import { literalToRational } from "./numbers.js";
+import { PRECEDENCE_RANGE } from "./config.js";
+
+const MANIFEST_FIELDS = new Set([
+  "name",
+  "version",
+  "description",
+  "systems",
+  "keywords",
+  "operators",
+  "categories",
+  "aliases",
+]);
+
+const DEFINITION_FIELDS = new Set([
+  "type",
+  "arity",
+  "keywordParams",
+  "precedence",
+  "associativity",
+  "operatorType",
+  "category",
+  "structure",
+  "value",
+  "description",
+  "meta",
+]);
+
+/**
+ * Raised when an extension module cannot be loaded. `errors` lists every
+ * problem found as { code, path, message }, where `path` locates the field,
+ * e.g. "systems.MEAN.precedence".
+ */
+export class ModuleLoadError extends Error {
+  constructor(moduleSpec, errors) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+    super(`Cannot load module ${moduleSpec}: ${first.message}${more}`);
+    this.name = "ModuleLoadError";
+    this.code = first.code;
+    this.moduleSpec = moduleSpec;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read a manifest given as an object, JSON text or the text of a RiX map
+ * literal such as `{= name = "stats", systems = {= MEAN = {= type = "function" } } }`.
+ * Throws a ModuleLoadError with code E_INVALID_MANIFEST when it cannot be read.
+ */
+export function readManifest(source, moduleSpec = "<manifest>") {
+  if (typeof source !== "string") {
+    return source;
+  }
+  try {
+    return JSON.parse(source);
+  } catch {
+    // Not JSON; try a RiX literal
+  }
+  let statements;
+  try {
+    statements = parse(source);
+  } catch (error) {
+    throw new ModuleLoadError(moduleSpec, [
+      { code: "E_INVALID_MANIFEST", path: "", message: error.detail ?? error.message },
+    ]);
+  }
+  const expressions = statements.map((stmt) => (stmt.type === "Statement" ? stmt.expression : stmt));
+  if (expressions.length !== 1) {
+    throw new ModuleLoadError(moduleSpec, [
+      { code: "E_INVALID_MANIFEST", path: "", message: "A manifest must be a single map literal" },
+    ]);
+  }
+  const errors = [];
+  const manifest = literalValue(expressions[0], "", errors);
+  if (errors.length > 0) {
+    throw new ModuleLoadError(moduleSpec, errors);
+  }
+  return manifest;
+}
+
+// Plain value of a RiX literal node; anything but strings, numbers, arrays
+// and maps is reported
+function literalValue(node, path, errors) {
+  switch (node?.type) {
+    case "String":
+      return node.value;
+    case "Number":
+      return numberValue(node, 1, path, errors);
+    case "UnaryOperation":
+      if ((node.operator === "-" || node.operator === "+") && node.operand.type === "Number") {
+        return numberValue(node.operand, node.operator === "-" ? -1 : 1, path, errors);
+      }
+      break;
+    case "Array":
+      return node.elements.map((element, i) => literalValue(element, `${path}[${i}]`, errors));
+    case "MapContainer": {
+      const map = {};
+      for (const entry of node.elements) {
+        const key = literalKey(entry.key);
+        if (key === null) {
+          errors.push({ code: "E_INVALID_MANIFEST", path, message: "Map keys must be names or strings" });
+          continue;
+        }
+        map[key] = literalValue(entry.value, path ? `${path}.${key}` : key, errors);
+      }
+      return map;
+    }
+  }
+  errors.push({
+    code: "E_INVALID_MANIFEST",
+    path,
+    message: `Only strings, numbers, arrays and maps are allowed in a manifest${path ? ` (at ${path})` : ""}`,
+  });
+  return null;
+}
+
+// A manifest number is a single rational value, read as a JavaScript number
+function numberValue(node, sign, path, errors) {
+  const at = path ? ` (at ${path})` : "";
+  let value;
+  try {
+    value = literalToRational(node);
+  } catch (error) {
+    errors.push({ code: "E_INVALID_MANIFEST", path, message: `Cannot read the number ${node.value}: ${error.message}${at}` });
+    return null;
+  }
+  if (value.lo !== undefined) {
+    errors.push({ code: "E_INVALID_MANIFEST", path, message: `Numbers in a manifest must be single values, not the interval ${node.value}${at}` });
+    return null;
+  }
+  const number = (sign * Number(value.num)) / Number(value.den);
+  if (!Number.isFinite(number)) {
+    errors.push({ code: "E_INVALID_MANIFEST", path, message: `The number ${node.value} is too large for a manifest${at}` });
+    return null;
+  }
+  return number;
+}
+
+// Identifier keys keep the case they are written in, unlike identifier names
+function literalKey(key) {
+  if (key.type === "UserIdentifier" || key.type === "SystemIdentifier") {
+    return key.original.trim();
+  }
+  if (key.type === "Grouping" && key.expression.type === "String") {
+    return key.expression.value;
+  }
+  return null;
+}
+
+/**
+ * Check a manifest against a loader, returning a list of problems
+ * { code, path, message } (empty when it can be applied):
+ * - E_INVALID_MANIFEST: the manifest or one of its sections is malformed
+ * - E_UNKNOWN_FIELD: a field the format does not define
+ * - E_CORE_COLLISION: a name already in the loader's core registry
+ * - E_INVALID_PRECEDENCE: a precedence that is not a number from 1 to 200
+ * - E_INVALID_DEFINITION: a definition the loader rejects
+ * - E_UNKNOWN_NAME: a category member or alias target that is not defined
+ */
+export function checkManifest(manifest, loader) {
+  const errors = [];
+  const report = (code, path, message) => errors.push({ code, path, message });
+
+  if (!isRecord(manifest)) {
+    report("E_INVALID_MANIFEST", "", "A manifest must be an object");
+    return errors;
+  }
+  for (const field of Object.keys(manifest)) {
+    if (!MANIFEST_FIELDS.has(field)) {
+      report("E_UNKNOWN_FIELD", field, `Unknown manifest field "${field}"`);
+    }
+  }
+  if (typeof manifest.name !== "string" || manifest.name === "") {
+    report("E_INVALID_MANIFEST", "name", "A manifest must have a name");
+  }
+
+  const defined = new Set();
+  for (const section of ["systems", "keywords", "operators"]) {
+    const entries = manifest[section] ?? {};
+    if (!isRecord(entries)) {
+      report("E_INVALID_MANIFEST", section, `"${section}" must be a map of definitions`);
+      continue;
+    }
+    for (const [name, definition] of Object.entries(entries)) {
+      const path = `${section}.${name}`;
+      if (!isRecord(definition)) {
+        report("E_INVALID_DEFINITION", path, `Definition of ${name} must be an object`);
+        continue;
+      }
+      for (const field of Object.keys(definition)) {
+        if (!DEFINITION_FIELDS.has(field)) {
+          report("E_UNKNOWN_FIELD", `${path}.${field}`, `Unknown field "${field}" in definition of ${name}`);
+        }
+      }
+      if (section !== "operators" && loader.coreRegistry.has(name.toUpperCase())) {
+        report("E_CORE_COLLISION", path, `${name} collides with the core system symbol ${name.toUpperCase()}`);
+      }
+      // Operators registered as such default to precedence 50
+      const needsPrecedence = definition.type === "operator" && section !== "operators";
+      if (definition.precedence !== undefined ? !isPrecedence(definition.precedence) : needsPrecedence) {
+        const [low, high] = PRECEDENCE_RANGE;
+        report("E_INVALID_PRECEDENCE", `${path}.precedence`, `Precedence of ${name} must be a number from ${low} to ${high}`);
+      }
+      try {
+        if (section === "operators") {
+          loader.validateOperatorSymbol(name);
+          loader.validateOperatorDefinition(definition);
+        } else {
+          loader.validateDefinition(definition);
+        }
+      } catch (error) {
+        if (!errors.some((e) => e.path === path || e.path.startsWith(`${path}.`))) {
+          report("E_INVALID_DEFINITION", path, error.message);
+        }
+      }
+      if (section !== "operators") defined.add(name.toUpperCase());
+    }
+  }
+
+  const categories = manifest.categories ?? {};
+  if (!isRecord(categories)) {
+    report("E_INVALID_MANIFEST", "categories", '"categories" must map category names to lists of names');
+  } else {
+    for (const [category, names] of Object.entries(categories)) {
+      if (!Array.isArray(names)) {
+        report("E_INVALID_MANIFEST", `categories.${category}`, `Category ${category} must list names`);
+        continue;
+      }
+      names.forEach((name, i) => {
+        if (typeof name !== "string" || !defined.has(name.toUpperCase())) {
+          report("E_UNKNOWN_NAME", `categories.${category}[${i}]`, `${name} is not defined in this manifest`);
+        }
+      });
+    }
+  }
+
+  const aliases = manifest.aliases ?? {};
+  if (!isRecord(aliases)) {
+    report("E_INVALID_MANIFEST", "aliases", '"aliases" must map alias names to target names');
+  } else {
+    for (const [alias, target] of Object.entries(aliases)) {
+      const path = `aliases.${alias}`;
+      if (loader.coreRegistry.has(alias.toUpperCase())) {
+        report("E_CORE_COLLISION", path, `${alias} collides with the core system symbol ${alias.toUpperCase()}`);
+      }
+      if (
+        typeof target !== "string" ||
+        (!defined.has(target.toUpperCase()) && loader.lookup(target).source === "unknown")
+      ) {
+        report("E_UNKNOWN_NAME", path, `Alias target ${target} is not defined`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function isPrecedence(value) {
+  const [low, high] = PRECEDENCE_RANGE;
+  return typeof value === "number" && value >= low && value <= high;
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
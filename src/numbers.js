@@ -0,0 +1,412 @@
+/**
+ * RiX Number Literals
+ * Decodes the text of a Number token into its format and parts, so consumers
+ * never have to re-lex literal values, and evaluates literals to exact rationals.
+ */
+
+/**
+ * Bases of the lowercase `0<letter>` prefixes. `0z[N]` gives base N; capital
+ * prefixes are left for user-defined bases.
+ */
+export const BASE_PREFIXES = {
+  b: 2,
+  t: 3,
+  q: 4,
+  f: 5,
+  s: 7,
+  d: 10,
+  x: 16,
+  c: 12,
+  m: 60,
+  y: 64,
+  u: 36,
+  j: 20,
+};
+
+const PREFIX = /^(?:0z\[(\d+)\]|0([a-zA-Z]))/;
+
+// Characters that give a number literal its shape, so never digits
+const STRUCTURAL = new Set([".", "/", "#", "~", "_", "^", ":", "+", "-", '"', "\\"]);
+
+/**
+ * Check a user-defined base prefix and its digit alphabet, returning
+ * `[letter, alphabet]`. The prefix is a capital letter, with or without its
+ * `0`; the alphabet lists the digits in order, one character each, so its
+ * length is the base. Digits may be any non-space Unicode characters other
+ * than those that structure a literal (`. / # ~ _ ^ : + - " \`).
+ */
+export function checkBaseAlphabet(prefix, alphabet) {
+  const letter = typeof prefix === "string" ? prefix.replace(/^0/, "") : "";
+  if (!/^[A-Z]$/.test(letter)) {
+    throw new Error(`Base prefix must be a capital letter such as "A" or "0A", not ${JSON.stringify(prefix)}`);
+  }
+  const digitList = typeof alphabet === "string" ? Array.from(alphabet) : alphabet;
+  if (!Array.isArray(digitList) || digitList.length < 2) {
+    throw new Error(`Alphabet for base prefix 0${letter} needs at least two digits`);
+  }
+  const seen = new Set();
+  for (const digit of digitList) {
+    if (typeof digit !== "string" || Array.from(digit).length !== 1) {
+      throw new Error(`Digits of base prefix 0${letter} must be single characters`);
+    }
+    if (STRUCTURAL.has(digit) || /\s/u.test(digit)) {
+      throw new Error(`${JSON.stringify(digit)} cannot be a digit of base prefix 0${letter}`);
+    }
+    if (seen.has(digit)) {
+      throw new Error(`Digit ${JSON.stringify(digit)} appears twice in the alphabet of base prefix 0${letter}`);
+    }
+    seen.add(digit);
+  }
+  return [letter, digitList.join("")];
+}
+
+// Digit separators are only allowed in radix shift mantissas and exponents
+function digits(text) {
+  return text.replace(/_/g, "");
+}
+
+// A part of a prefixed rational or mixed number may repeat the leading prefix
+function stripPrefix(part, prefix) {
+  return prefix && part.startsWith(prefix) ? part.slice(prefix.length) : part;
+}
+
+/**
+ * A Number node for literal text `value` starting at source offset `start`.
+ * Used for the parts of intervals and radix shifts.
+ */
+export function numberNode(value, start = 0) {
+  return {
+    type: "Number",
+    pos: [start, start, start + value.length],
+    original: value,
+    value,
+    ...decodeNumber(value, start),
+  };
+}
+
+function unescapeQuoted(text) {
+  return text.replace(/\\(.)/gu, "$1");
+}
+
+/**
+ * Decode the text of a number literal as produced by the tokenizer.
+ *
+ * Returns `{ format, ... }` where format is one of:
+ * - "integer": `{ negative, base, digits }`
+ * - "decimal": `{ negative, base, whole, fraction }`
+ * - "repeating" (`0.12#45`): `{ negative, base, whole, fraction, repeat }`
+ * - "rational" (`3/4`): `{ negative, base, num, den }`
+ * - "mixed" (`1..3/4`): `{ negative, base, whole, num, den }`
+ * - "interval" (`2:5`): `{ lo, hi }`, both Number nodes
+ * - "radixShift" (`1_^2`): `{ mantissa, exponent }`, mantissa a Number node
+ * - "cf" (`1.~2~3`): `{ base, terms }`, the first term carrying any sign
+ * - "decimalInterval" (`1.23[56:67]`, `1.23[+5,-6]`): `{ negative, whole,
+ *   fraction }` plus `lower`/`upper` or `plus`/`minus`
+ * - "custom" (`0A4A.F`) and "quoted" (`0A"..."`): `{ negative, prefix, digits }`
+ *   for a user-defined base whose alphabet is not known
+ *
+ * Base-prefixed literals add `prefix` ("0x", "0z[23]") and set `base` to the
+ * prefix's base, or null for an unassigned letter. Digit strings are kept as
+ * written, without sign, prefix or digit separators. `start` is the offset of
+ * `value` in the source and positions the nested Number nodes.
+ *
+ * Given the `alphabet` of a user-defined prefix (see checkBaseAlphabet), a
+ * `0A` literal decodes like any other, with `base` the alphabet's length and
+ * the alphabet itself in `alphabet`.
+ */
+export function decodeNumber(value, start = 0, alphabet = null) {
+  const custom = value.match(/^(-?)0([A-Z])(?:"((?:[^"\\]|\\.)*)"|(.*))$/su);
+  if (custom && !alphabet) {
+    const quoted = custom[3] !== undefined;
+    return {
+      format: quoted ? "quoted" : "custom",
+      negative: custom[1] === "-",
+      prefix: `0${custom[2]}`,
+      digits: quoted ? unescapeQuoted(custom[3]) : custom[4],
+    };
+  }
+  if (custom) {
+    const body = custom[3] !== undefined ? unescapeQuoted(custom[3]) : custom[4];
+    return decodeDigits(body, custom[1] === "-", Array.from(alphabet).length, `0${custom[2]}`, alphabet);
+  }
+
+  let match;
+
+  match = value.match(/^(-?)(\d+)\.(\d+)\[([^\]]+)\]$/);
+  if (match) {
+    const result = {
+      format: "decimalInterval",
+      negative: match[1] === "-",
+      whole: match[2],
+      fraction: match[3],
+    };
+    const bounds = match[4];
+    const range = bounds.match(/^(\d+):(\d+)$/);
+    const offsets = bounds.match(/^\+(\d+),-(\d+)$/);
+    if (range) Object.assign(result, { lower: range[1], upper: range[2] });
+    else if (offsets) Object.assign(result, { plus: offsets[1], minus: offsets[2] });
+    else result.bounds = bounds;
+    return result;
+  }
+
+  const colon = value.indexOf(":");
+  if (colon !== -1) {
+    return {
+      format: "interval",
+      lo: numberNode(value.slice(0, colon), start),
+      hi: numberNode(value.slice(colon + 1), start + colon + 1),
+    };
+  }
+
+  const shift = value.indexOf("_^");
+  if (shift !== -1) {
+    return {
+      format: "radixShift",
+      mantissa: numberNode(value.slice(0, shift), start),
+      exponent: digits(value.slice(shift + 2)),
+    };
+  }
+
+  let body = value;
+  if (body.startsWith("~")) body = body.slice(1);
+  const negative = body.startsWith("-");
+  if (negative) body = body.slice(1);
+
+  let base = 10;
+  let prefix = null;
+  match = body.match(PREFIX);
+  if (match) {
+    prefix = match[0];
+    base = match[1] !== undefined ? Number(match[1]) : (BASE_PREFIXES[match[2]] ?? null);
+    body = body.slice(prefix.length);
+  }
+  return decodeDigits(body, negative, base, prefix, null);
+}
+
+// The format and parts of an unsigned, unprefixed literal body
+function decodeDigits(body, negative, base, prefix, alphabet) {
+  const withBase = (parts) => ({
+    base,
+    ...(prefix && { prefix }),
+    ...(alphabet && { alphabet }),
+    ...parts,
+  });
+  const zero = alphabet ? Array.from(alphabet)[0] : "0";
+  let match;
+
+  if (body.includes(".~")) {
+    const [first, rest] = body.split(".~");
+    const terms = [(negative ? "-" : "") + first, ...rest.split("~")];
+    return { format: "cf", ...withBase({}), terms };
+  }
+
+  match = body.match(/^(.*)\.\.(.*)\/(.*)$/);
+  if (match) {
+    return {
+      format: "mixed",
+      negative,
+      ...withBase({
+        whole: digits(match[1]),
+        num: stripPrefix(digits(match[2]), prefix),
+        den: stripPrefix(digits(match[3]), prefix),
+      }),
+    };
+  }
+
+  const slash = body.indexOf("/");
+  if (slash !== -1) {
+    return {
+      format: "rational",
+      negative,
+      ...withBase({
+        num: digits(body.slice(0, slash)),
+        den: stripPrefix(digits(body.slice(slash + 1)), prefix),
+      }),
+    };
+  }
+
+  match = body.match(/^([^.#]*)(?:\.([^#]*))?#(.+)$/);
+  if (match) {
+    return {
+      format: "repeating",
+      negative,
+      ...withBase({
+        whole: digits(match[1]) || zero,
+        fraction: digits(match[2] ?? ""),
+        repeat: digits(match[3]),
+      }),
+    };
+  }
+
+  const dot = body.indexOf(".");
+  if (dot !== -1) {
+    return {
+      format: "decimal",
+      negative,
+      ...withBase({ whole: digits(body.slice(0, dot)) || zero, fraction: digits(body.slice(dot + 1)) }),
+    };
+  }
+
+  return { format: "integer", negative, ...withBase({ digits: digits(body) }) };
+}
+
+// Digits of bases up to 64; bases up to 36 ignore letter case
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz@&";
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// `num/den` in lowest terms, the denominator positive
+export function rational(num, den) {
+  if (den === 0n) throw new RangeError("Number literal has a zero denominator");
+  if (den < 0n) [num, den] = [-num, -den];
+  const divisor = gcd(num < 0n ? -num : num, den) || 1n;
+  return { num: num / divisor, den: den / divisor };
+}
+
+function checkBase(base, prefix) {
+  if (base === null) throw new RangeError(`Unknown base prefix ${prefix}`);
+  if (!(base >= 2 && base <= DIGITS.length)) {
+    throw new RangeError(`Base ${base} needs a registered alphabet`);
+  }
+}
+
+// Value of a digit string in `base`, read with `alphabet` when one is given
+function parseDigits(text, base, alphabet = null) {
+  const radix = BigInt(base);
+  const digitList = alphabet ? Array.from(alphabet) : null;
+  let value = 0n;
+  for (const char of text) {
+    const digit = digitList ? digitList.indexOf(char) : DIGITS.indexOf(base <= 36 ? char.toUpperCase() : char);
+    if (digit === -1 || digit >= base) {
+      throw new RangeError(`Digit "${char}" is not valid in base ${base}`);
+    }
+    value = value * radix + BigInt(digit);
+  }
+  return value;
+}
+
+// A numerator or denominator after the first may carry its own base prefix
+function parsePart(text, base, alphabet) {
+  const match = alphabet ? null : text.match(PREFIX);
+  if (match && (match[1] !== undefined || match[2] in BASE_PREFIXES)) {
+    base = match[1] !== undefined ? Number(match[1]) : BASE_PREFIXES[match[2]];
+    checkBase(base, match[0]);
+    text = text.slice(match[0].length);
+  }
+  return parseDigits(text, base, alphabet);
+}
+
+// whole.fraction#repeat in `base`, unsigned
+function positional(whole, fraction, repeat, base, alphabet = null) {
+  const radix = BigInt(base);
+  const scale = radix ** BigInt(Array.from(fraction).length);
+  const fixed = parseDigits(whole + fraction, base, alphabet);
+  if (!repeat) return rational(fixed, scale);
+  const period = radix ** BigInt(Array.from(repeat).length) - 1n;
+  return rational(parseDigits(whole + fraction + repeat, base, alphabet) - fixed, scale * period);
+}
+
+function negate(value, negative) {
+  return negative ? { num: -value.num, den: value.den } : value;
+}
+
+function signedTerm(term, base, alphabet) {
+  return term.startsWith("-") ? -parseDigits(term.slice(1), base, alphabet) : parseDigits(term, base, alphabet);
+}
+
+/**
+ * Exact value of a number literal, given its Number node or literal text.
+ *
+ * Returns `{ num, den }` as BigInts in lowest terms with a positive
+ * denominator, or `{ lo, hi }` of those for an interval (`a:b`) or decimal
+ * interval. `1.23[56:67]` spans 1.2356 to 1.2367; the offsets of
+ * `1.23[+5,-6]` count in units of the next digit, giving 1.224 to 1.235.
+ *
+ * Throws a TypeError for a node other than a Number, such as the
+ * ImplicitMultiplication of `5E6`, and a RangeError for digits outside the
+ * literal's base, a zero denominator, or a base prefix without a known
+ * alphabet. A user-defined base is read with the `alphabet` its Number node
+ * carries.
+ */
+export function literalToRational(node) {
+  if (typeof node === "string") {
+    return exactValue({ value: node, ...decodeNumber(node) });
+  }
+  if (node?.type !== "Number") {
+    throw new TypeError(`Expected a Number node or literal text, not ${node?.type ?? typeof node}`);
+  }
+  return exactValue(node);
+}
+
+// Exact value of a Number node or of the decoded parts of one
+function exactValue(literal) {
+  const { format } = literal;
+
+  switch (format) {
+    case "interval":
+      return { lo: exactValue(literal.lo), hi: exactValue(literal.hi) };
+    case "radixShift": {
+      const mantissa = exactValue(literal.mantissa);
+      const radix = BigInt(literal.mantissa.base ?? 10);
+      const exponent = BigInt(literal.exponent);
+      return exponent < 0n
+        ? rational(mantissa.num, mantissa.den * radix ** -exponent)
+        : rational(mantissa.num * radix ** exponent, mantissa.den);
+    }
+    case "decimalInterval": {
+      const { whole, fraction, negative } = literal;
+      let lo;
+      let hi;
+      if (literal.lower !== undefined) {
+        lo = positional(whole, fraction + literal.lower, "", 10);
+        hi = positional(whole, fraction + literal.upper, "", 10);
+      } else if (literal.plus !== undefined) {
+        const scale = 10n ** BigInt(fraction.length + 1);
+        const point = parseDigits(whole + fraction + "0", 10);
+        lo = rational(point - BigInt(literal.minus), scale);
+        hi = rational(point + BigInt(literal.plus), scale);
+      } else {
+        throw new RangeError(`Cannot read the bounds of ${literal.value}`);
+      }
+      return negative ? { lo: negate(hi, true), hi: negate(lo, true) } : { lo, hi };
+    }
+    case "custom":
+    case "quoted":
+      throw new RangeError(`Base prefix ${literal.prefix} has no registered alphabet`);
+  }
+
+  const { base, prefix, negative, alphabet = null } = literal;
+  if (!alphabet) checkBase(base, prefix);
+  switch (format) {
+    case "integer":
+      return negate(rational(parseDigits(literal.digits, base, alphabet), 1n), negative);
+    case "decimal":
+      return negate(positional(literal.whole, literal.fraction, "", base, alphabet), negative);
+    case "repeating":
+      return negate(positional(literal.whole, literal.fraction, literal.repeat, base, alphabet), negative);
+    case "rational":
+      return negate(
+        rational(parseDigits(literal.num, base, alphabet), parsePart(literal.den, base, alphabet)),
+        negative,
+      );
+    case "mixed": {
+      const whole = parseDigits(literal.whole, base, alphabet);
+      const den = parsePart(literal.den, base, alphabet);
+      return negate(rational(whole * den + parsePart(literal.num, base, alphabet), den), negative);
+    }
+    case "cf": {
+      const terms = literal.terms.map((term) => signedTerm(term, base, alphabet));
+      let num = terms[terms.length - 1];
+      let den = 1n;
+      for (let i = terms.length - 2; i >= 0; i--) {
+        [num, den] = [terms[i] * num + den, num];
+      }
+      return rational(num, den);
+    }
+    default:
+      throw new RangeError(`Unknown number format ${format}`);
+  }
+}
@@ -3,7 +3,15 @@
  * Implements a Pratt parser for the RiX mathematical expression language
  */
 
-import { tokenize, posToLineCol } from "./tokenizer.js";
+import { tokenize, posToLineCol, embeddedHeaderLength } from "./tokenizer.js";
+import { RixSyntaxError, ParseError } from "./errors.js";
+import { buildCST } from "./cst.js";
+import { assignSpans } from "./spans.js";
+import { decodeNumber } from "./numbers.js";
+import { parseUnit } from "./units.js";
+import { parseExtension } from "./extensions.js";
+import { EMBEDDED_LANGUAGES } from "./embedded.js";
+import { childNodes } from "./visit.js";
 
 // Precedence levels (higher numbers bind tighter)
 const PRECEDENCE = {
@@ -477,10 +485,33 @@ const SYMBOL_TABLE = {
 };
 
 class Parser {
-  constructor(tokens, systemLookup, source = "") {
+  constructor(tokens, systemLookup, source = "", options = {}) {
     this.tokens = tokens;
-    this.systemLookup = systemLookup || (() => ({ type: "identifier" }));
+    const lookup = systemLookup || (() => ({ type: "identifier" }));
+    // A named context is passed along to every lookup
+    this.systemLookup = options.context ? (name) => lookup(name, options.context) : lookup;
     this.source = source;
+    this.recover = options.recover === true;
+    this.cst = options.cst === true;
+    // Turns functional-form control calls such as WHILE(cond, body) into nodes
+    this.functionalForms = options.functionalForms ?? null;
+    // What to do with system identifiers the lookup does not know
+    this.unknownSystem = options.unknownSystem ?? "allow";
+    // Resolves the named extensions of mathematical units such as ~{phi}
+    this.extensionLookup = options.extensionLookup ?? null;
+    // Handlers parsing the bodies of backtick literals, language -> handler
+    this.embeddedLanguages = options.embeddedLanguages instanceof Map
+      ? options.embeddedLanguages
+      : new Map(Object.entries(options.embeddedLanguages ?? EMBEDDED_LANGUAGES));
+    // Digit alphabets of user-defined bases, for RiX in embedded bodies
+    this.bases = options.bases ?? null;
+    // Registered custom operators, symbol -> definition
+    this.operators = options.operators instanceof Map
+      ? options.operators
+      : new Map(Object.entries(options.operators ?? {}));
+    // Token index current at each node's creation, bounding where it ends
+    this.createdAt = new WeakMap();
+    this.diagnostics = [];
     this.position = 0;
     this.current = null;
     this.skippedComments = [];
@@ -527,21 +558,172 @@ class Parser {
       original: properties.original || this.current.original,
       ...properties,
     };
+    this.createdAt.set(node, this.position - 1);
     return node;
   }
 
-  error(message) {
-    const pos = this.current ? this.current.pos : [0, 0, 0];
+  // A node standing for `token` alone, such as the function name implied by
+  // a sigil, however far the parser has read since
+  createTokenNode(type, token, properties = {}) {
+    const node = this.createNode(type, { ...properties, pos: token.pos, original: token.original });
+    this.createdAt.delete(node);
+    return node;
+  }
+
+  // Nodes built from already parsed ones end where `source` does, not at the
+  // token the parser has since reached
+  endWith(node, source) {
+    if (source && this.createdAt.has(source)) {
+      this.createdAt.set(node, this.createdAt.get(source));
+    }
+    return node;
+  }
+
+  // Throw a ParseError at `token`, the current token by default
+  error(message, code = "E_PARSE", expected = [], token = this.current ?? null) {
+    const [offset, endOffset] = tokenSpan(token);
+    let text;
+    let location = {};
     if (this.source) {
-      const { line, col } = posToLineCol(this.source, pos[0]);
-      throw new Error(`Parse error at line ${line}, column ${col} (position ${pos[0]}): ${message}`);
+      location = posToLineCol(this.source, offset);
+      text = `Parse error at line ${location.line}, column ${location.col} (position ${offset}): ${message}`;
+    } else {
+      text = `Parse error at position ${offset}: ${message}`;
+    }
+    throw new ParseError(text, {
+      code,
+      ...location,
+      offset,
+      endOffset,
+      token,
+      expected,
+      detail: message,
+    });
+  }
+
+  // Record a diagnostic; line/col are filled in when the source text is known
+  report(severity, code, message, span) {
+    const diagnostic = { severity, code, message, span };
+    if (this.source) {
+      const { line, col } = posToLineCol(this.source, span[0]);
+      diagnostic.line = line;
+      diagnostic.col = col;
+    }
+    this.diagnostics.push(diagnostic);
+    return diagnostic;
+  }
+
+  // Look up the system identifier `token`, reporting it as E_UNKNOWN_SYSTEM
+  // when the lookup marks it unknown and unknownSystem is "warn" or "error".
+  // An error throws unless the parser recovers.
+  lookupSystem(token) {
+    const systemInfo = this.systemLookup(token.value);
+    if (this.unknownSystem === "allow" || systemInfo?.source !== "unknown") {
+      return systemInfo;
+    }
+    const suggestions = systemInfo.suggestions ?? [];
+    const hint = suggestions.length > 0 ? `; did you mean ${suggestions.join(" or ")}?` : "";
+    const message = `Unknown system identifier ${token.value}${hint}`;
+    if (this.unknownSystem === "error" && !this.recover) {
+      this.error(message, "E_UNKNOWN_SYSTEM", [], token);
+    }
+    const severity = this.unknownSystem === "error" ? "error" : "warning";
+    this.report(severity, "E_UNKNOWN_SYSTEM", message, tokenSpan(token)).suggestions = suggestions;
+    return systemInfo;
+  }
+
+  // Run one statement-level parse step. In recover mode a parse error is
+  // recorded as a diagnostic, the parser skips ahead to the next `;` or `}`
+  // and an ErrorNode stands in for the skipped source. Any other error thrown
+  // while parsing the step is recovered from the same way, as E_INTERNAL at
+  // the current token, so that recovering never throws.
+  parseRecoverable(parseStep, insideBlock = false) {
+    if (!this.recover) {
+      return parseStep();
+    }
+    const startIndex = this.position - 1;
+    try {
+      return parseStep();
+    } catch (error) {
+      const syntax = error instanceof RixSyntaxError;
+      const code = syntax ? error.code : "E_INTERNAL";
+      const detail = syntax ? error.detail : `Internal parser error: ${error.message}`;
+      this.report("error", code, detail, syntax ? [error.offset, error.endOffset] : tokenSpan(this.current));
+      const errorIndex = Math.min(this.position - 1, this.tokens.length - 1);
+      return this.synchronize(startIndex, errorIndex, insideBlock, { code, detail });
     }
-    throw new Error(`Parse error at position ${pos[0]}: ${message}`);
+  }
+
+  // Skip from startIndex to the first `;` (or unmatched closing brace) at the
+  // same brace depth that lies at or after errorIndex. Inside a block the
+  // separator/closer is left for the enclosing loop; at top level it is consumed.
+  synchronize(startIndex, errorIndex, insideBlock, error) {
+    let depth = 0;
+    let index = startIndex;
+    let lastSkipped = -1;
+
+    for (; index < this.tokens.length; index++) {
+      const token = this.tokens[index];
+      if (token.type === "End") break;
+      if (token.type === "String" && token.kind === "comment") continue;
+
+      const value = token.type === "Symbol" ? token.value : null;
+      const isCloser = value === "}" || value === "|}";
+      if (depth === 0) {
+        if (isCloser) break;
+        if ((value === ";" || token.type === "SemicolonSequence") && index >= errorIndex) break;
+      }
+      if (value !== null && (value.startsWith("{") || value === "~{")) {
+        depth++;
+      } else if (isCloser) {
+        depth--;
+      }
+      lastSkipped = index;
+    }
+
+    const stopToken = this.tokens[Math.min(index, this.tokens.length - 1)];
+    if (!insideBlock && stopToken && stopToken.type !== "End") {
+      // Consume the separator or stray closer at top level, along with a `;`
+      // directly following a stray closer
+      lastSkipped = index;
+      index++;
+      if (stopToken.value === "}" || stopToken.value === "|}") {
+        if (this.tokens[index]?.value === ";" || this.tokens[index]?.type === "SemicolonSequence") {
+          lastSkipped = index;
+          index++;
+        }
+      }
+    }
+
+    const covered = lastSkipped >= startIndex
+      ? this.tokens.slice(startIndex, lastSkipped + 1)
+      : [this.tokens[Math.min(errorIndex, this.tokens.length - 1)]];
+    const first = covered[0];
+    const last = covered[covered.length - 1];
+
+    this.position = index;
+    this.advance();
+
+    return this.createNode("ErrorNode", {
+      code: error.code,
+      message: error.detail,
+      pos: [first.pos[0], first.pos[1], last.pos[2]],
+      original: covered.map((token) => token.original ?? "").join(""),
+    });
   }
 
   // Get symbol info, including system identifier lookup
   getSymbolInfo(token) {
     if (token.type === "Symbol") {
+      const definition = this.operators.get(token.value);
+      if (definition && definition.operatorType !== "prefix") {
+        return {
+          precedence: definition.precedence || PRECEDENCE.MULTIPLICATION,
+          associativity: definition.associativity || "left",
+          type: definition.operatorType || "infix",
+          definition,
+        };
+      }
       return SYMBOL_TABLE[token.value] || { precedence: 0, type: "unknown" };
     } else if (token.type === "SemicolonSequence") {
       // Semicolon sequences should not be treated as binary operators
@@ -586,7 +768,7 @@ class Parser {
 
   parseMethodName() {
     if (this.current.type !== "Identifier") {
-      this.error("Expected property name after '.'");
+      this.error("Expected property name after '.'", "E_EXPECTED_PROPERTY");
     }
     const baseName = this.current.value;
     const baseOriginal = this.current.original;
@@ -669,7 +851,9 @@ class Parser {
         this.advance();
         return this.createNode("Number", {
           value: token.value,
+          pos: token.pos,
           original: token.original,
+          ...decodeNumber(token.value, token.pos[1], token.alphabet),
         });
 
       case "String":
@@ -680,6 +864,7 @@ class Parser {
           return this.createNode("String", {
             value: token.value,
             kind: token.kind,
+            pos: token.pos,
             original: token.original,
           });
         }
@@ -696,20 +881,24 @@ class Parser {
       case "Identifier":
         this.advance();
         if (token.kind === "SystemFunction") {
+          this.lookupSystem(token);
           return this.createNode("SystemFunctionRef", {
             name: token.value,
+            pos: token.pos,
             original: token.original,
           });
         } else if (token.kind === "System") {
-          const systemInfo = this.systemLookup(token.value);
+          const systemInfo = this.lookupSystem(token);
           return this.createNode("SystemIdentifier", {
             name: token.value,
             systemInfo: systemInfo,
+            pos: token.pos,
             original: token.original,
           });
         } else {
           return this.createNode("UserIdentifier", {
             name: token.value,
+            pos: token.pos,
             original: token.original,
           });
         }
@@ -729,7 +918,9 @@ class Parser {
         });
 
       case "Symbol":
-        if (token.value === "...") {
+        if (this.operators.get(token.value)?.operatorType === "prefix") {
+          return this.parseUnaryOperator(this.operators.get(token.value));
+        } else if (token.value === "...") {
           this.advance();
           // The precedence here ensures we capture the trailing expression.
           const expr = this.parseExpression(PRECEDENCE.POSTFIX);
@@ -823,6 +1014,7 @@ class Parser {
             // @+ is a read-only alias for .ADD — produce SystemAccess node
             return this.createNode("SystemAccess", {
               property: sysName,
+              pos: token.pos,
               original: token.original + opToken.original,
             });
           }
@@ -846,6 +1038,7 @@ class Parser {
             const property = this.parseMethodName();
             return this.createNode("SystemAccess", {
               property: property.name,
+              pos: token.pos,
               original: token.original + property.original,
             });
           }
@@ -880,17 +1073,18 @@ class Parser {
             return this.createNode("String", {
               value: rawText,
               kind: "colon",
+              pos: token.pos,
               original: token.original + valToken.original,
             });
           }
-          this.error(`Expected identifier or number after ':' in colon-string`);
+          this.error(`Expected identifier or number after ':' in colon-string`, "E_EXPECTED_IDENTIFIER", ["identifier", "number"]);
         } else {
-          this.error(`Unexpected token in prefix position: ${token.value}`);
+          this.error(`Unexpected token in prefix position: ${token.value}`, "E_UNEXPECTED_TOKEN");
         }
         break;
 
       default:
-        this.error(`Unexpected token: ${token.type}`);
+        this.error(`Unexpected token: ${token.type}`, "E_UNEXPECTED_TOKEN");
     }
   }
 
@@ -898,6 +1092,10 @@ class Parser {
   parseInfix(left, symbolInfo) {
     const operator = this.current;
 
+    if (symbolInfo.definition) {
+      return this.parseRegisteredOperator(left, symbolInfo);
+    }
+
     // Special case for function calls - check if we have an identifier followed by '('
     if (
       operator.value === "(" &&
@@ -920,10 +1118,15 @@ class Parser {
       this.advance(); // consume '('
       const args = this.parseFunctionCallArgs();
       if (this.current.value !== ")") {
-        this.error("Expected closing parenthesis in function call");
+        this.error("Expected closing parenthesis in function call", "E_UNCLOSED_PAREN", [")"]);
       }
       this.advance(); // consume ')'
 
+      if (this.functionalForms && left.type === "SystemIdentifier" && left.systemInfo?.functionalForm) {
+        const control = this.parseFunctionalForm(left, args, left.original + operator.original);
+        if (control) return control;
+      }
+
       // SystemFunctionRef calls produce SystemCall nodes
       if (left.type === "SystemFunctionRef") {
         return this.createNode("SystemCall", {
@@ -948,14 +1151,14 @@ class Parser {
         ? this.parseArray()
         : this.parseExpression(PRECEDENCE.ARROW + 1);
       if (!prep || prep.type !== "Array") {
-        this.error("Function prep phase must be written as an array literal: ?- [ ... ]");
+        this.error("Function prep phase must be written as an array literal: ?- [ ... ]", "E_FUNCTION_PREP", ["["]);
       }
       let variantName = null;
       if (this.current.value === "/") {
         variantName = this.parseFunctionVariantHeader();
       }
       if (!["->", "=>", "^=>"].includes(this.current.value)) {
-        this.error("Expected '->', '=>', or '^=>' after function prep phase");
+        this.error("Expected '->', '=>', or '^=>' after function prep phase", "E_FUNCTION_PREP", ["->", "=>", "^=>"]);
       }
       const arrow = this.current.value;
       this.advance(); // consume arrow
@@ -969,13 +1172,13 @@ class Parser {
       if (fnNode) {
         return fnNode;
       }
-      this.error("Prep phase can only be attached to a function definition or lambda");
+      this.error("Prep phase can only be attached to a function definition or lambda", "E_FUNCTION_PREP");
     }
 
     if (operator.value === "/" && this.looksLikeFunctionVariantHeader() && this.canHaveFunctionVariantHeader(left)) {
       const variantName = this.parseFunctionVariantHeader();
       if (!["->", "=>", "^=>"].includes(this.current.value)) {
-        this.error("Expected '->', '=>', or '^=>' after function variant name");
+        this.error("Expected '->', '=>', or '^=>' after function variant name", "E_FUNCTION_VARIANT", ["->", "=>", "^=>"]);
       }
       const arrow = this.current.value;
       this.advance();
@@ -984,7 +1187,7 @@ class Parser {
       if (fnNode) {
         return fnNode;
       }
-      this.error("Variant names can only be attached to a function definition or lambda");
+      this.error("Variant names can only be attached to a function definition or lambda", "E_FUNCTION_VARIANT");
     }
 
     this.advance();
@@ -1001,17 +1204,22 @@ class Parser {
         this.current.value === ":" &&
         ["Identifier", "Number", "String"].includes(this.peek().type)
       ) {
+        const colon = this.current;
         this.advance(); // consume ':'
         const keyName = this.current.value;
-        const keyOriginal = this.current.original;
         this.advance(); // consume identifier
+        const property = this.createNode("KeyLiteral", {
+          name: keyName,
+          pos: colon.pos,
+          original: colon.original,
+        });
         if (this.current.value !== "]") {
-          this.error("Expected ] after key literal");
+          this.error("Expected ] after key literal", "E_UNCLOSED_BRACKET", ["]"]);
         }
         this.advance(); // consume ']'
         return this.createNode("PropertyAccess", {
           object: left,
-          property: { type: "KeyLiteral", name: keyName, original: ":" + keyOriginal },
+          property,
           pos: left.pos,
           original: left.original + operator.original,
         });
@@ -1032,8 +1240,14 @@ class Parser {
         return fnNode;
       }
       if (operator.value === "=>" || operator.value === "^=>") {
-        this.error("Append/prepend syntax requires a named function signature like F(x) => body");
+        this.error("Append/prepend syntax requires a named function signature like F(x) => body", "E_FUNCTION_APPEND");
       }
+      this.error(
+        `Function definition requires a signature like f(x) ${operator.value} body or a parameter list like (x) ${operator.value} body`,
+        "E_FUNCTION_SIGNATURE",
+        [],
+        operator,
+      );
     } else if (operator.value === ":=>") {
       // Pattern matching function definition
       right = this.parseExpression(rightPrec);
@@ -1276,7 +1490,7 @@ class Parser {
 
       const nextOp = this.current;
       if (nextOp.type !== "Symbol" || nextOp.value !== ">:") {
-        this.error("Expected '>:' after start value in '|:>' reduce expression, found " + nextOp.value);
+        this.error("Expected '>:' after start value in '|:>' reduce expression, found " + nextOp.value, "E_EXPECTED_TOKEN", [">:"]);
       } else {
         this.advance(); // consume `>:`
       }
@@ -1347,7 +1561,7 @@ class Parser {
       // Interval mediants
       right = this.parseExpression(rightPrec);
       if (right?.type === "String" && right.kind === "colon") {
-        this.error("':~' is the interval mediants operator. For semantic conversion, use '~:' as in 'x ~: :Type'.");
+        this.error("':~' is the interval mediants operator. For semantic conversion, use '~:' as in 'x ~: :Type'.", "E_OPERATOR_MISUSE", ["~:"]);
       }
       return this.createNode("IntervalMediants", {
         interval: left,
@@ -1359,7 +1573,7 @@ class Parser {
       // Interval mediant partition
       right = this.parseExpression(rightPrec);
       if (right?.type === "String" && right.kind === "colon") {
-        this.error("':~/' is the interval mediant partition operator. For semantic conversion, use '~:' as in 'x ~: :Type'.");
+        this.error("':~/' is the interval mediant partition operator. For semantic conversion, use '~:' as in 'x ~: :Type'.", "E_OPERATOR_MISUSE", ["~:"]);
       }
       return this.createNode("IntervalMediantPartition", {
         interval: left,
@@ -1401,7 +1615,7 @@ class Parser {
       const trueExpr = this.parseExpression(PRECEDENCE.CONDITION + 5);
 
       if (this.current.value !== "?:") {
-        this.error('Expected "?:" in ternary operator after true expression');
+        this.error('Expected "?:" in ternary operator after true expression', "E_EXPECTED_TOKEN", ["?:"]);
       }
 
       this.advance(); // consume '?:'
@@ -1431,7 +1645,7 @@ class Parser {
       // Double-dot: obj.. returns all meta properties as a map
       // obj..name is no longer supported (use obj.name for meta access)
       if (this.current.type === "Identifier") {
-        this.error("a..name is no longer supported; use a.name for meta property access");
+        this.error("a..name is no longer supported; use a.name for meta property access", "E_UNSUPPORTED_SYNTAX", ["."]);
       }
       // obj.. → META_ALL
       return this.createNode("ExternalAccess", {
@@ -1475,7 +1689,7 @@ class Parser {
     } else if (operator.value === "~:" || operator.value === "~!:") {
       right = this.parseExpression(rightPrec);
       if (!(right?.type === "String" && right.kind === "colon")) {
-        this.error(`Semantic conversion target must be a colon-string like :rational after '${operator.value}'`);
+        this.error(`Semantic conversion target must be a colon-string like :rational after '${operator.value}'`, "E_SEMANTIC_TARGET");
       }
 
       return this.createNode(operator.value === "~:" ? "SemanticConvertSoft" : "SemanticConvertStrict", {
@@ -1597,7 +1811,7 @@ class Parser {
     }
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis");
+      this.error("Expected closing parenthesis", "E_UNCLOSED_PAREN", [")"]);
     }
     this.advance(); // consume ')'
 
@@ -1618,7 +1832,7 @@ class Parser {
       // Check for consecutive commas (syntax error)
       if (this.current.value === "," || this.current.value === ")") {
         if (this.current.value === ",") {
-          this.error("Consecutive commas not allowed in tuples");
+          this.error("Consecutive commas not allowed in tuples", "E_CONSECUTIVE_COMMAS");
         }
         // Trailing comma case - we're done
         break;
@@ -1644,7 +1858,7 @@ class Parser {
     const result = this.parseMatrixOrArray(startToken);
 
     if (this.current.value !== "]") {
-      this.error("Expected closing bracket");
+      this.error("Expected closing bracket", "E_UNCLOSED_BRACKET", ["]"]);
     }
     this.advance(); // consume ']'
 
@@ -1882,12 +2096,12 @@ class Parser {
       "|>": "GeneratorPipe",
     };
 
-    return this.createNode(typeMap[operator], {
+    return this.endWith(this.createNode(typeMap[operator], {
       operator: operator,
       operand: operand,
       pos: token.pos,
       original: token.original,
-    });
+    }), operand);
   }
 
   convertBinaryChainToGeneratorChain(binaryOp) {
@@ -1902,11 +2116,13 @@ class Parser {
       current.type === "BinaryOperation" &&
       this.isGeneratorOperator(current.operator)
     ) {
-      // Add this operator to the front of the list (since we're traversing backwards)
+      // Add this operator to the front of the list (since we're traversing backwards).
+      // Its token was the current one when the left operand was finished.
+      const operatorToken = this.tokens[this.createdAt.get(current.left)];
       const operatorNode = this.createGeneratorOperatorNode(
         current.operator,
         current.right,
-        current,
+        operatorToken?.value === current.operator ? operatorToken : current,
       );
       operators.unshift(operatorNode);
 
@@ -1989,6 +2205,7 @@ class Parser {
           if (hasSemicolons) {
             this.error(
               "Cannot mix matrix/tensor syntax with metadata - use nested array syntax",
+              "E_METADATA_MIX",
             );
           }
           hasMetadata = true;
@@ -2001,7 +2218,7 @@ class Parser {
           } else if (element.left.type === "String") {
             key = element.left.value;
           } else {
-            this.error("Metadata key must be an identifier or string");
+            this.error("Metadata key must be an identifier or string", "E_METADATA_KEY");
           }
           metadataMap[key] = element.right;
         } else {
@@ -2010,6 +2227,7 @@ class Parser {
           if (hasMetadata) {
             this.error(
               "Cannot mix array elements with metadata - use nested array syntax like [[1,2,3], key := value]",
+              "E_METADATA_MIX",
             );
           }
           if (nonMetadataCount === 1) {
@@ -2034,7 +2252,7 @@ class Parser {
           this.current.type === "SemicolonSequence"
         ) {
           if (hasMetadata) {
-            this.error("Cannot mix matrix/tensor syntax with metadata");
+            this.error("Cannot mix matrix/tensor syntax with metadata", "E_METADATA_MIX");
           }
           hasSemicolons = true;
           const semicolonCount = this.consumeSemicolonSequence();
@@ -2063,6 +2281,7 @@ class Parser {
     if (hasMetadata && nonMetadataCount > 1) {
       this.error(
         "Cannot mix array elements with metadata - use nested array syntax like [[1,2,3], key := value]",
+        "E_METADATA_MIX",
       );
     }
 
@@ -2071,11 +2290,7 @@ class Parser {
       return this.createNode("WithMetadata", {
         primary:
           primaryElement ||
-          this.createNode("Array", {
-            elements: [],
-            pos: startToken.pos,
-            original: startToken.original,
-          }),
+          this.createTokenNode("Array", startToken, { elements: [] }),
         metadata: metadataMap,
         pos: startToken.pos,
         original: startToken.original,
@@ -2130,11 +2345,11 @@ class Parser {
   }
 
   createDestructureTargetNode(type, props, sourceNode = null) {
-    return this.createNode(type, {
+    return this.endWith(this.createNode(type, {
       ...props,
       ...(sourceNode?.pos ? { pos: sourceNode.pos } : {}),
       ...(sourceNode?.original ? { original: sourceNode.original } : {}),
-    });
+    }), sourceNode);
   }
 
   wrapDestructureTarget(target, wrappers) {
@@ -2144,12 +2359,12 @@ class Parser {
         wrapped = this.createDestructureTargetNode("DestructureBindingModeTarget", {
           bindingMode: wrapper.bindingMode,
           target: wrapped,
-        }, wrapped);
+        }, wrapper.source);
       } else if (wrapper.type === "semantic") {
         wrapped = this.createDestructureTargetNode("DestructureSemanticTarget", {
           header: wrapper.header,
           target: wrapped,
-        }, wrapped);
+        }, wrapper.source);
       }
     }
     return wrapped;
@@ -2164,23 +2379,20 @@ class Parser {
 
   normalizeStandaloneIndexSpec(node) {
     if (node?.type === "BinaryOperation" && node.operator === ":") {
-      return this.createNode("SliceSpec", {
+      return this.endWith(this.createNode("SliceSpec", {
         start: node.left,
         end: node.right,
         pos: node.pos,
         original: node.original,
-      });
+      }), node);
     }
-    if (node?.type === "Number" && typeof node.value === "string" && node.value.includes(":")) {
-      const parts = node.value.split(":");
-      if (parts.length === 2) {
-        return this.createNode("SliceSpec", {
-          start: this.createNode("Number", { value: parts[0], original: parts[0] }),
-          end: this.createNode("Number", { value: parts[1], original: parts[1] }),
-          pos: node.pos,
-          original: node.original,
-        });
-      }
+    if (node?.type === "Number" && node.format === "interval") {
+      return this.endWith(this.createNode("SliceSpec", {
+        start: node.lo,
+        end: node.hi,
+        pos: node.pos,
+        original: node.original,
+      }), node);
     }
     return node;
   }
@@ -2193,11 +2405,12 @@ class Parser {
     if (selectorNode?.type === "PropertyAccess") {
       const property =
         selectorNode.property?.type === "KeyLiteral"
-          ? this.createNode("String", {
+          ? this.endWith(this.createNode("String", {
             value: selectorNode.property.name,
             kind: "colon",
-            original: selectorNode.property.original || `:${selectorNode.property.name}`,
-          })
+            pos: selectorNode.property.pos,
+            original: selectorNode.property.original,
+          }), selectorNode.property)
           : this.normalizeStandaloneIndexSpec(selectorNode.property);
       return this.createDestructureTargetNode("DestructureIndexedTarget", {
         wholeTarget: this.convertExpressionToDestructureTarget(selectorNode.object),
@@ -2232,12 +2445,12 @@ class Parser {
 
     while (current?.type === "CapturedEntry" || current?.type === "ValueOutfit" || current?.type === "Grouping") {
       if (current.type === "CapturedEntry") {
-        wrappers.push({ type: "capture", bindingMode: current.captureMode });
+        wrappers.push({ type: "capture", bindingMode: current.captureMode, source: current });
         current = current.expression;
       } else if (current.type === "Grouping") {
         current = current.expression;
       } else {
-        wrappers.push({ type: "semantic", header: current.header || null });
+        wrappers.push({ type: "semantic", header: current.header || null, source: current });
         current = current.expression;
       }
     }
@@ -2253,7 +2466,7 @@ class Parser {
       if (indexed) {
         target = indexed;
       } else {
-        this.error("Invalid destructuring target");
+        this.error("Invalid destructuring target", "E_DESTRUCTURE");
       }
     } else if (current?.type === "UserIdentifier" || current?.type === "SystemIdentifier") {
       target = this.createDestructureTargetNode("DestructureVariableTarget", {
@@ -2281,8 +2494,8 @@ class Parser {
       for (let i = 0; i < elements.length; i++) {
         const entry = this.convertExpressionToDestructureTarget(elements[i]);
         if (entry.type === "DestructureRestTarget") {
-          if (rest) this.error("Destructuring patterns allow at most one rest capture");
-          if (i !== elements.length - 1) this.error("Rest capture must be in final position");
+          if (rest) this.error("Destructuring patterns allow at most one rest capture", "E_DESTRUCTURE_REST");
+          if (i !== elements.length - 1) this.error("Rest capture must be in final position", "E_DESTRUCTURE_REST");
           rest = entry;
         } else {
           entries.push(entry);
@@ -2299,8 +2512,8 @@ class Parser {
       for (let i = 0; i < elements.length; i++) {
         const entry = this.convertExpressionToDestructureTarget(elements[i]);
         if (entry.type === "DestructureRestTarget") {
-          if (rest) this.error("Destructuring patterns allow at most one rest capture");
-          if (i !== elements.length - 1) this.error("Rest capture must be in final position");
+          if (rest) this.error("Destructuring patterns allow at most one rest capture", "E_DESTRUCTURE_REST");
+          if (i !== elements.length - 1) this.error("Rest capture must be in final position", "E_DESTRUCTURE_REST");
           rest = entry;
         } else {
           entries.push(entry);
@@ -2316,8 +2529,8 @@ class Parser {
       for (let i = 0; i < current.elements.length; i++) {
         const entry = this.convertMapDestructureEntry(current.elements[i]);
         if (entry.type === "DestructureRestTarget") {
-          if (rest) this.error("Destructuring patterns allow at most one rest capture");
-          if (i !== current.elements.length - 1) this.error("Rest capture must be in final position");
+          if (rest) this.error("Destructuring patterns allow at most one rest capture", "E_DESTRUCTURE_REST");
+          if (i !== current.elements.length - 1) this.error("Rest capture must be in final position", "E_DESTRUCTURE_REST");
           rest = entry;
         } else {
           entries.push(entry);
@@ -2329,11 +2542,11 @@ class Parser {
       }, current);
     } else if (current?.type === "TensorLiteral") {
       if (current.shape.length !== 2) {
-        this.error("Tensor destructuring currently supports rank-2 patterns only");
+        this.error("Tensor destructuring currently supports rank-2 patterns only", "E_DESTRUCTURE");
       }
       const [rows, cols] = current.shape;
       if (current.elements.length !== rows * cols) {
-        this.error("Malformed tensor destructure");
+        this.error("Malformed tensor destructure", "E_DESTRUCTURE");
       }
       const rowTargets = [];
       for (let row = 0; row < rows; row++) {
@@ -2348,7 +2561,7 @@ class Parser {
         rows: rowTargets,
       }, current);
     } else {
-      this.error("Invalid destructuring target");
+      this.error("Invalid destructuring target", "E_DESTRUCTURE");
     }
 
     return this.wrapDestructureTarget(target, wrappers);
@@ -2360,10 +2573,10 @@ class Parser {
 
     while (current?.type === "CapturedEntry" || current?.type === "ValueOutfit") {
       if (current.type === "CapturedEntry") {
-        wrappers.push({ type: "capture", bindingMode: current.captureMode });
+        wrappers.push({ type: "capture", bindingMode: current.captureMode, source: current });
         current = current.expression;
       } else {
-        wrappers.push({ type: "semantic", header: current.header || null });
+        wrappers.push({ type: "semantic", header: current.header || null, source: current });
         current = current.expression;
       }
     }
@@ -2401,11 +2614,12 @@ class Parser {
     ) {
       return this.wrapDestructureTarget(
         makeEntry(
-          this.createNode("String", {
+          this.endWith(this.createNode("String", {
             value: current.property.name,
             kind: "colon",
-            original: current.property.original || `:${current.property.name}`,
-          }),
+            pos: current.property.pos,
+            original: current.property.original,
+          }), current.property),
           this.createDestructureTargetNode("DestructureVariableTarget", { name: current.object.name }, current.object),
           null,
           current,
@@ -2447,11 +2661,12 @@ class Parser {
       ) {
         return this.wrapDestructureTarget(
           makeEntry(
-            this.createNode("String", {
+            this.endWith(this.createNode("String", {
               value: current.key.property.name,
               kind: "colon",
-              original: current.key.property.original || `:${current.key.property.name}`,
-            }),
+              pos: current.key.property.pos,
+              original: current.key.property.original,
+            }), current.key.property),
             this.createDestructureTargetNode("DestructureVariableTarget", { name: current.key.object.name }, current.key.object),
             this.convertExpressionToDestructureTarget(current.value),
             current,
@@ -2461,7 +2676,7 @@ class Parser {
       }
     }
 
-    this.error("Malformed map rename/nested syntax");
+    this.error("Malformed map rename/nested syntax", "E_DESTRUCTURE");
   }
 
   consumeSemicolonSequence() {
@@ -2493,7 +2708,7 @@ class Parser {
           continue;
         }
 
-        const element = this.parseExpression(0);
+        const element = this.parseRecoverable(() => this.parseExpression(0), true);
         elements.push(element);
 
         if (this.current.value === ";" || this.current.value === ",") {
@@ -2506,7 +2721,7 @@ class Parser {
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected closing brace for block");
+      this.error("Expected closing brace for block", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance(); // consume '}'
 
@@ -2534,13 +2749,13 @@ class Parser {
         if (this.current.value === ",") {
           this.advance();
         } else if (this.current.value !== "}") {
-          this.error("Expected ',' or '}' in brace sequence");
+          this.error("Expected ',' or '}' in brace sequence", "E_EXPECTED_TOKEN", [",", "}"]);
         }
       } while (this.current.value !== "}" && this.current.type !== "End");
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected '}'");
+      this.error("Expected '}'", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance();
 
@@ -2556,10 +2771,9 @@ class Parser {
     else if (sigil === "{>>") sysName = "MAX";
 
     return this.createNode("FunctionCall", {
-      function: this.createNode("SystemIdentifier", {
+      function: this.createTokenNode("SystemIdentifier", startToken, {
         name: sysName,
         systemInfo: this.systemLookup(sysName),
-        original: sigil,
       }),
       arguments: {
         positional: elements,
@@ -2586,6 +2800,7 @@ class Parser {
 
   parseCapturedConstructorElement() {
     let captureMode = null;
+    const startToken = this.current;
     if (this.isConstructorCaptureOperator(this.current.value)) {
       captureMode = this.captureModeFromOperator(this.current.value);
       this.advance();
@@ -2595,13 +2810,14 @@ class Parser {
     return this.createNode("CapturedEntry", {
       captureMode,
       expression,
-      pos: expression.pos,
-      original: expression.original,
+      pos: startToken.pos,
+      original: startToken.original,
     });
   }
 
   parseMapConstructorEntry() {
     let prefixCaptureMode = null;
+    const startToken = this.current;
     if (this.isConstructorCaptureOperator(this.current.value)) {
       prefixCaptureMode = this.captureModeFromOperator(this.current.value);
       this.advance();
@@ -2630,8 +2846,8 @@ class Parser {
       return this.createNode("CapturedEntry", {
         captureMode: prefixCaptureMode,
         expression: key,
-        pos: key.pos,
-        original: key.original,
+        pos: startToken.pos,
+        original: startToken.original,
       });
     }
 
@@ -2651,19 +2867,19 @@ class Parser {
     return this.createNode("CapturedEntry", {
       captureMode: prefixCaptureMode,
       expression: entry,
-      pos: entry.pos,
-      original: entry.original,
+      pos: startToken.pos,
+      original: startToken.original,
     });
   }
 
   parseHeaderDirectiveName() {
     const token = this.current;
     if (token.type !== "Identifier") {
-      this.error("Expected identifier in header");
+      this.error("Expected identifier in header", "E_HEADER", ["identifier"]);
     }
     const name = token.original.trim();
     if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
-      this.error("Header names must start with a letter and contain only letters, digits, or underscores");
+      this.error("Header names must start with a letter and contain only letters, digits, or underscores", "E_HEADER");
     }
     this.advance();
     return name;
@@ -2686,7 +2902,7 @@ class Parser {
     while (this.current.value !== "/" && this.current.type !== "End") {
       if (this.isConstructorCaptureOperator(this.current.value)) {
         if (captureMode !== null) {
-          this.error("Header may only specify one capture mode");
+          this.error("Header may only specify one capture mode", "E_HEADER");
         }
         captureMode = this.captureModeFromOperator(this.current.value);
         this.advance();
@@ -2696,7 +2912,7 @@ class Parser {
       if (this.current.value === "#") {
         this.advance();
         if (name !== null) {
-          this.error("Header may only specify one name");
+          this.error("Header may only specify one name", "E_HEADER");
         }
         name = this.parseHeaderDirectiveName();
         continue;
@@ -2705,30 +2921,32 @@ class Parser {
       if (this.current.value === "::") {
         this.advance();
         if (typeName !== null) {
-          this.error("Header may only specify one semantic type");
+          this.error("Header may only specify one semantic type", "E_HEADER");
         }
         typeName = this.parseHeaderDirectiveName();
         continue;
       }
 
       if (this.current.value === ":") {
+        const colon = this.current;
         this.advance();
         const traitName = this.parseHeaderDirectiveName();
-        traits.push({
-          type: "HeaderTrait",
+        traits.push(this.createNode("HeaderTrait", {
           name: traitName,
           checkMode: null,
           order,
-        });
+          pos: colon.pos,
+          original: colon.original,
+        }));
         order += 1;
         continue;
       }
 
-      this.error("Invalid directive in /.../ header");
+      this.error("Invalid directive in /.../ header", "E_HEADER");
     }
 
     if (this.current.value !== "/") {
-      this.error("Unterminated /.../ header");
+      this.error("Unterminated /.../ header", "E_UNCLOSED_HEADER", ["/"]);
     }
     this.advance();
 
@@ -2749,7 +2967,7 @@ class Parser {
     const expression = this.parseExpression(0);
 
     if (this.current.value !== "}") {
-      this.error("Expected closing brace for value outfit");
+      this.error("Expected closing brace for value outfit", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance();
 
@@ -2854,7 +3072,9 @@ class Parser {
           continue;
         }
 
-        const element = parseElement();
+        const element = isTemporal
+          ? this.parseRecoverable(parseElement, true)
+          : parseElement();
         if (
           effectiveSigil === "{=" &&
           element &&
@@ -2874,7 +3094,7 @@ class Parser {
             lhsType === "PropertyAccess" ||
             (lhsType === "Array" && Array.isArray(lhs?.elements) && lhs.elements.length === 1);
           if (!isIdentifierSugar && !isParenthesizedExpr && !isDestructureRename) {
-            this.error("Map key expressions must be parenthesized in literals: use {= (expr)=value }");
+            this.error("Map key expressions must be parenthesized in literals: use {= (expr)=value }", "E_MAP_KEY");
           }
         }
         elements.push(element);
@@ -2896,7 +3116,7 @@ class Parser {
         } else if (isCloser(this.current.value)) {
           break;
         } else if (this.current.type === "End") {
-          this.error(`Expected closing ${primaryCloser} for ${nodeType}`);
+          this.error(`Expected closing ${primaryCloser} for ${nodeType}`, "E_UNCLOSED_BRACE", [primaryCloser]);
         } else {
           // Also accept the other separator type for flexibility
           const altSep = isTemporal ? "," : ";";
@@ -2911,7 +3131,7 @@ class Parser {
     }
 
     if (!isCloser(this.current.value)) {
-      this.error(`Expected closing ${primaryCloser} for ${nodeType}`);
+      this.error(`Expected closing ${primaryCloser} for ${nodeType}`, "E_UNCLOSED_BRACE", [primaryCloser]);
     }
     this.advance(); // consume closer
     return this.createNode(nodeType, {
@@ -2963,7 +3183,7 @@ class Parser {
         } else if (this.current.value === "}") {
           break;
         } else if (this.current.type === "End") {
-          this.error("Expected closing } for system spec literal");
+          this.error("Expected closing } for system spec literal", "E_UNCLOSED_BRACE", ["}"]);
         } else {
           break;
         }
@@ -2971,7 +3191,7 @@ class Parser {
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected closing } for system spec literal");
+      this.error("Expected closing } for system spec literal", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance();
 
@@ -2993,7 +3213,7 @@ class Parser {
       const seen = new Set();
       for (const name of names) {
         if (seen.has(name)) {
-          this.error(`Duplicate ${label} '${name}' in system spec header`);
+          this.error(`Duplicate ${label} '${name}' in system spec header`, `E_SPEC_DUP_${label.toUpperCase()}`);
         }
         seen.add(name);
       }
@@ -3005,19 +3225,19 @@ class Parser {
     const inputs = new Set(header.inputs);
     for (const name of header.outputs) {
       if (inputs.has(name)) {
-        this.error(`System spec header name '${name}' cannot be both an input and an output`);
+        this.error(`System spec header name '${name}' cannot be both an input and an output`, "E_SPEC_INPUT_OUTPUT");
       }
     }
   }
 
   parseSystemSpecStatement(expression) {
     if (!expression || expression.type !== "BinaryOperation" || expression.operator !== "=") {
-      this.error("System spec bodies only support symbolic assignments of the form name = expr");
+      this.error("System spec bodies only support symbolic assignments of the form name = expr", "E_SPEC_STATEMENT");
     }
 
     const target = expression.left;
     if (target.type !== "UserIdentifier" && target.type !== "SystemIdentifier") {
-      this.error("System spec assignment targets must be bare identifiers");
+      this.error("System spec assignment targets must be bare identifiers", "E_SPEC_TARGET");
     }
 
     return this.createNode("SpecAssign", {
@@ -3036,10 +3256,10 @@ class Parser {
     for (const statement of statements) {
       const target = statement.target;
       if (assigned.has(target)) {
-        this.error(`System spec output '${target}' is assigned more than once`);
+        this.error(`System spec output '${target}' is assigned more than once`, "E_SPEC_DUP_ASSIGNMENT");
       }
       if (header.outputsDeclared && !declaredOutputs.has(target)) {
-        this.error(`System spec assignment target '${target}' is not a declared output`);
+        this.error(`System spec assignment target '${target}' is not a declared output`, "E_SPEC_UNDECLARED_OUTPUT");
       }
       assigned.add(target);
       if (!header.outputsDeclared) {
@@ -3050,7 +3270,7 @@ class Parser {
     if (header.outputsDeclared) {
       for (const output of header.outputs) {
         if (!assigned.has(output)) {
-          this.error(`System spec declared output '${output}' is never assigned`);
+          this.error(`System spec declared output '${output}' is never assigned`, "E_SPEC_UNASSIGNED_OUTPUT");
         }
       }
     }
@@ -3083,7 +3303,7 @@ class Parser {
       const value = this.parseExpression(0);
 
       if (this.current.value !== "}") {
-        this.error("Expected closing } for break block");
+        this.error("Expected closing } for break block", "E_UNCLOSED_BRACE", ["}"]);
       }
       this.advance();
 
@@ -3106,7 +3326,7 @@ class Parser {
     const value = this.parseExpression(0);
 
     if (this.current.value !== "}") {
-      this.error("Expected closing } for break block");
+      this.error("Expected closing } for break block", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance();
 
@@ -3123,7 +3343,7 @@ class Parser {
     const shape = headerText.split("x").map((part) => {
       const dim = Number(part);
       if (!Number.isInteger(dim) || dim < 0) {
-        this.error(`Invalid tensor dimension '${part}'`);
+        this.error(`Invalid tensor dimension '${part}'`, "E_TENSOR_SHAPE");
       }
       return dim;
     });
@@ -3136,6 +3356,7 @@ class Parser {
       if (this.current.value !== "}") {
         this.error(
           `Tensor literal shape ${shape.join("x")} has size 0 and must not contain elements`,
+          "E_TENSOR_SHAPE", ["}"],
         );
       }
     } else if (this.current.value !== "}") {
@@ -3148,7 +3369,7 @@ class Parser {
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected closing brace for tensor literal");
+      this.error("Expected closing brace for tensor literal", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance();
 
@@ -3167,12 +3388,12 @@ class Parser {
     for (let row = 0; row < rows; row++) {
       const rowExpr = this.parseArray();
       if (rowExpr.type !== "Array" || rowExpr.elements.length !== cols) {
-        this.error(`Malformed tensor destructure row: expected [..] with ${cols} entries`);
+        this.error(`Malformed tensor destructure row: expected [..] with ${cols} entries`, "E_DESTRUCTURE");
       }
       elements.push(...rowExpr.elements);
       if (row < rows - 1) {
         if (this.current.value !== ",") {
-          this.error(`Tensor destructuring shape ${shape.join("x")} expects ',' between row arrays`);
+          this.error(`Tensor destructuring shape ${shape.join("x")} expects ',' between row arrays`, "E_DESTRUCTURE", [","]);
         }
         this.advance();
       }
@@ -3215,6 +3436,7 @@ class Parser {
           if (this.current.value !== ",") {
             this.error(
               `Tensor literal shape ${shape.join("x")} expects ${level.size} columns per row`,
+              "E_TENSOR_SHAPE", [","],
             );
           }
           this.advance();
@@ -3232,6 +3454,7 @@ class Parser {
           const sepText = ";".repeat(level.separatorCount);
           this.error(
             `Tensor literal shape ${shape.join("x")} expects '${sepText}' between ${level.label}s`,
+            "E_TENSOR_SHAPE",
           );
         }
       }
@@ -3283,7 +3506,7 @@ class Parser {
         if (this.current.value === ",") {
           this.advance();
           if (this.current.value === "]") {
-            this.error("Trailing comma is not allowed in bracket indexing");
+            this.error("Trailing comma is not allowed in bracket indexing", "E_TRAILING_COMMA");
           }
           continue;
         }
@@ -3292,7 +3515,7 @@ class Parser {
     }
 
     if (this.current.value !== "]") {
-      this.error("Expected closing bracket");
+      this.error("Expected closing bracket", "E_UNCLOSED_BRACKET", ["]"]);
     }
     this.advance();
 
@@ -3378,7 +3601,7 @@ class Parser {
     }
 
     if (endIndex === -1) {
-      this.error("Unterminated import header");
+      this.error("Unterminated import header", "E_UNCLOSED_HEADER");
     }
 
     this.position = endIndex + 1;
@@ -3386,7 +3609,7 @@ class Parser {
 
     const text = raw.trim();
     if (!text.length) {
-      this.error("Import header cannot be empty");
+      this.error("Import header cannot be empty", "E_IMPORT_HEADER");
     }
 
     const seenLocals = new Set();
@@ -3396,11 +3619,11 @@ class Parser {
     for (const piece of pieces) {
       const spec = piece.trim();
       if (!spec.length) {
-        this.error("Trailing comma is not allowed in import header");
+        this.error("Trailing comma is not allowed in import header", "E_TRAILING_COMMA");
       }
       const match = spec.match(/^([\p{L}_][\p{L}\p{N}_]*)(?:\s*([~=])\s*([\p{L}_][\p{L}\p{N}_]*)?)?$/u);
       if (!match) {
-        this.error("Malformed import header");
+        this.error("Malformed import header", "E_IMPORT_HEADER");
       }
 
       const [, rawLocal, operator, rawExplicitSource] = match;
@@ -3412,7 +3635,7 @@ class Parser {
       const source = explicitSource || local;
 
       if (seenLocals.has(local)) {
-        this.error(`Duplicate import target '${local}' in block import header`);
+        this.error(`Duplicate import target '${local}' in block import header`, "E_DUPLICATE_IMPORT");
       }
       seenLocals.add(local);
       imports.push({ local, source, mode });
@@ -3426,7 +3649,7 @@ class Parser {
     this.advance(); // consume '<'
 
     if (this.current.value === ">") {
-      this.error("Angle form cannot be empty");
+      this.error("Angle form cannot be empty", "E_SCRIPT");
     }
 
     if (this.current.type === "String" && this.current.kind !== "comment" && this.current.kind !== "backtick") {
@@ -3435,7 +3658,7 @@ class Parser {
 
     const bindings = this.parseScriptBindingSpecs({ allowOuterSource: false });
     if (this.current.value !== ">") {
-      this.error("Expected closing > for script declaration");
+      this.error("Expected closing > for script declaration", "E_UNCLOSED_ANGLE", [">"]);
     }
     this.advance();
 
@@ -3476,7 +3699,7 @@ class Parser {
     }
 
     if (this.current.value !== ">") {
-      this.error("Expected closing > for script import expression");
+      this.error("Expected closing > for script import expression", "E_UNCLOSED_ANGLE", [">"]);
     }
     this.advance();
 
@@ -3496,7 +3719,7 @@ class Parser {
     const modifiers = [];
     while (this.current.type !== "End" && this.current.value !== "/") {
       if (this.current.value !== "+" && this.current.value !== "-") {
-        this.error("Capability modifiers must start with + or -");
+        this.error("Capability modifiers must start with + or -", "E_CAPABILITY", ["+", "-"]);
       }
 
       const action = this.current.value === "+" ? "add" : "remove";
@@ -3517,7 +3740,7 @@ class Parser {
         target = this.current.original.trim();
         this.advance();
       } else {
-        this.error("Expected capability group name, All, or @Function in capability modifiers");
+        this.error("Expected capability group name, All, or @Function in capability modifiers", "E_CAPABILITY");
       }
 
       modifiers.push({ action, targetType, target });
@@ -3525,15 +3748,15 @@ class Parser {
       if (this.current.value === ",") {
         this.advance();
         if (this.current.value === "/") {
-          this.error("Trailing comma is not allowed in capability modifiers");
+          this.error("Trailing comma is not allowed in capability modifiers", "E_TRAILING_COMMA");
         }
       } else if (this.current.value !== "/") {
-        this.error("Expected ',' or closing / in capability modifiers");
+        this.error("Expected ',' or closing / in capability modifiers", "E_CAPABILITY", [",", "/"]);
       }
     }
 
     if (this.current.value !== "/") {
-      this.error("Unterminated capability modifier list");
+      this.error("Unterminated capability modifier list", "E_UNCLOSED_HEADER", ["/"]);
     }
     this.advance();
     return modifiers;
@@ -3547,7 +3770,7 @@ class Parser {
     while (this.current.type !== "End" && this.current.value !== ">" && this.current.value !== ";") {
       const spec = this.parseScriptBindingSpec({ allowOuterSource });
       if (seenTargets.has(spec.target)) {
-        this.error(`Duplicate binding target '${spec.target}'`);
+        this.error(`Duplicate binding target '${spec.target}'`, "E_DUPLICATE_BINDING");
       }
       seenTargets.add(spec.target);
       specs.push(spec);
@@ -3555,10 +3778,10 @@ class Parser {
       if (this.current.value === ",") {
         this.advance();
         if (this.current.value === ">" || this.current.value === ";") {
-          this.error("Trailing comma is not allowed in script bindings");
+          this.error("Trailing comma is not allowed in script bindings", "E_TRAILING_COMMA");
         }
       } else if (this.current.value !== ">" && this.current.value !== ";") {
-        this.error("Expected ',' or end of script bindings");
+        this.error("Expected ',' or end of script bindings", "E_EXPECTED_TOKEN", [","]);
       }
     }
 
@@ -3627,7 +3850,7 @@ class Parser {
 
   parseScriptBindingName(message) {
     if (this.current.type !== "Identifier") {
-      this.error(message);
+      this.error(message, "E_EXPECTED_IDENTIFIER", ["identifier"]);
     }
     const name = this.current.value;
     this.advance();
@@ -3637,7 +3860,7 @@ class Parser {
   parseScriptBindingSource(allowOuterSource) {
     if (this.current.type === "OuterIdentifier") {
       if (!allowOuterSource) {
-        this.error("Ancestor scope sources are not allowed in this binding list");
+        this.error("Ancestor scope sources are not allowed in this binding list", "E_BINDING");
       }
       const name = this.current.value;
       this.advance();
@@ -3645,7 +3868,7 @@ class Parser {
     }
 
     if (this.current.type !== "Identifier") {
-      this.error("Expected binding source name");
+      this.error("Expected binding source name", "E_EXPECTED_IDENTIFIER", ["identifier"]);
     }
 
     const name = this.current.value;
@@ -3687,7 +3910,7 @@ class Parser {
           op.key = this.current.value;
           this.advance();
         } else {
-          this.error("Expected property name in mutation");
+          this.error("Expected property name in mutation", "E_EXPECTED_PROPERTY");
         }
 
         // Check for = value
@@ -3710,7 +3933,7 @@ class Parser {
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected closing } for mutation");
+      this.error("Expected closing } for mutation", "E_UNCLOSED_BRACE", ["}"]);
     }
     this.advance(); // consume '}'
 
@@ -3723,19 +3946,81 @@ class Parser {
     });
   }
 
-  parseUnaryOperator() {
+  // Control keyword called in functional form, e.g. FOR(init, cond, inc, body).
+  // The transform checks the argument count and throws an E_CONTROL_ARITY
+  // error on a mismatch, located here at the callee; syntax errors keep their
+  // code and other errors pass through. Control keywords take no keyword
+  // arguments.
+  parseFunctionalForm(callee, args, original) {
+    let node;
+    try {
+      node = this.functionalForms(callee.name, args.positional, callee.systemInfo);
+    } catch (error) {
+      if (!(error instanceof RixSyntaxError)) throw error;
+      this.error(error.detail, error.code, error.expected, callee);
+    }
+    if (node?.type !== "ControlStructure") {
+      return null;
+    }
+    const [keyword] = Object.entries(args.keyword);
+    if (keyword) {
+      this.error(
+        `${callee.name} takes no keyword arguments in functional form, got ${keyword[0]}`,
+        "E_UNKNOWN_KEYWORD_ARG",
+        [],
+        keyword[1],
+      );
+    }
+    return this.createNode("ControlStructure", {
+      ...node,
+      pos: callee.pos,
+      original,
+    });
+  }
+
+  // Prefix operators; a registered one binds its operand at its own precedence
+  parseUnaryOperator(definition = null) {
     const operator = this.current;
     this.advance();
-    const operand = this.parseExpression(PRECEDENCE.UNARY);
+    const operand = this.parseExpression(definition?.precedence || PRECEDENCE.UNARY);
 
     return this.createNode("UnaryOperation", {
       operator: operator.value,
       operand: operand,
+      ...(definition ? { operatorInfo: definition } : {}),
       pos: operator.pos,
       original: operator.original,
     });
   }
 
+  // Infix and postfix operators registered through the system loader
+  parseRegisteredOperator(left, symbolInfo) {
+    const operator = this.current;
+    this.advance();
+
+    if (symbolInfo.type === "postfix") {
+      return this.createNode("UnaryOperation", {
+        operator: operator.value,
+        operand: left,
+        fixity: "postfix",
+        operatorInfo: symbolInfo.definition,
+        pos: left.pos,
+        original: left.original + operator.original,
+      });
+    }
+
+    const rightPrec = symbolInfo.associativity === "left" ? symbolInfo.precedence + 1 : symbolInfo.precedence;
+    const right = this.parseExpression(rightPrec);
+    return this.createNode("BinaryOperation", {
+      operator: operator.value,
+      left: left,
+      right: right,
+      operatorInfo: symbolInfo.definition,
+      pos: left.pos,
+      original: left.original + operator.original,
+    });
+  }
+
   // Parse derivatives (postfix quotes)
   parseDerivative(left) {
     const quotes = [];
@@ -3754,7 +4039,7 @@ class Parser {
       this.advance(); // consume '['
       variables = this.parseVariableList();
       if (this.current.value !== "]") {
-        this.error("Expected closing bracket after variable list");
+        this.error("Expected closing bracket after variable list", "E_UNCLOSED_BRACKET", ["]"]);
       }
       originalText += this.current.original;
       this.advance(); // consume ']'
@@ -3800,22 +4085,24 @@ class Parser {
     // Parse the base function/identifier only
     let func = null;
     if (this.current.type === "Identifier") {
-      if (this.current.kind === "System") {
-        const systemInfo = this.systemLookup(this.current.value);
+      const token = this.current;
+      this.advance();
+      if (token.kind === "System") {
         func = this.createNode("SystemIdentifier", {
-          name: this.current.value,
-          systemInfo: systemInfo,
-          original: this.current.original,
+          name: token.value,
+          systemInfo: this.lookupSystem(token),
+          pos: token.pos,
+          original: token.original,
         });
       } else {
         func = this.createNode("UserIdentifier", {
-          name: this.current.value,
-          original: this.current.original,
+          name: token.value,
+          pos: token.pos,
+          original: token.original,
         });
       }
-      this.advance();
     } else {
-      this.error("Expected function name after integral operator");
+      this.error("Expected function name after integral operator", "E_EXPECTED_IDENTIFIER", ["identifier"]);
     }
 
     // Check for bracket notation for variables: 'f[x,y]
@@ -3824,7 +4111,7 @@ class Parser {
       this.advance(); // consume '['
       variables = this.parseVariableList();
       if (this.current.value !== "]") {
-        this.error("Expected closing bracket after variable list");
+        this.error("Expected closing bracket after variable list", "E_UNCLOSED_BRACKET", ["]"]);
       }
       originalText += this.current.original;
       this.advance(); // consume ']'
@@ -3869,7 +4156,7 @@ class Parser {
           });
           this.advance();
         } else {
-          this.error("Expected variable name in variable list");
+          this.error("Expected variable name in variable list", "E_EXPECTED_IDENTIFIER", ["identifier"]);
         }
 
         if (this.current.value === ",") {
@@ -3877,7 +4164,7 @@ class Parser {
         } else if (this.current.value === "]") {
           break;
         } else {
-          this.error("Expected comma or closing bracket in variable list");
+          this.error("Expected comma or closing bracket in variable list", "E_EXPECTED_TOKEN", [",", "]"]);
         }
       } while (true);
     }
@@ -3912,7 +4199,7 @@ class Parser {
     }
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis");
+      this.error("Expected closing parenthesis", "E_UNCLOSED_PAREN", [")"]);
     }
 
     originalText += this.current.original;
@@ -3968,7 +4255,7 @@ class Parser {
     }
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in function call");
+      this.error("Expected closing parenthesis in function call", "E_UNCLOSED_PAREN", [")"]);
     }
     this.advance(); // consume ')'
 
@@ -4032,7 +4319,7 @@ class Parser {
       param.name = this.current.value;
       this.advance();
     } else {
-      this.error("Expected parameter name");
+      this.error("Expected parameter name", "E_EXPECTED_IDENTIFIER", ["identifier"]);
     }
 
     // Check for hole-default value: x ?= defaultExpr
@@ -4087,7 +4374,7 @@ class Parser {
             });
           }
         } else {
-          this.error("Expected identifier for keyword argument");
+          this.error("Expected identifier for keyword argument", "E_EXPECTED_IDENTIFIER", ["identifier"]);
         }
       } else {
         // Parse positional argument — check for empty slot (hole)
@@ -4225,15 +4512,15 @@ class Parser {
 
     this.advance(); // consume opening /
     if (this.current.type !== "Identifier") {
-      this.error("Expected variant name inside /.../");
+      this.error("Expected variant name inside /.../", "E_FUNCTION_VARIANT");
     }
     const name = this.current.original.trim();
     if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
-      this.error("Variant names must start with a letter and contain only letters, digits, or underscores");
+      this.error("Variant names must start with a letter and contain only letters, digits, or underscores", "E_FUNCTION_VARIANT");
     }
     this.advance();
     if (this.current.value !== "/") {
-      this.error("Unterminated variant name header");
+      this.error("Unterminated variant name header", "E_UNCLOSED_HEADER", ["/"]);
     }
     this.advance();
     return name;
@@ -4348,58 +4635,22 @@ class Parser {
 
   parseEmbeddedLanguage(token) {
     const content = token.value;
+    const headerLength = embeddedHeaderLength(content);
 
     // If starts with colon or no colon found, treat as RiX-String
-    if (content.startsWith(":") || content.indexOf(":") === -1) {
-      const body = content.startsWith(":") ? content.slice(1) : content;
+    if (headerLength <= 1) {
+      const body = content.slice(headerLength);
       return this.createNode("EmbeddedLanguage", {
         language: "RiX-String",
         context: null,
         body: body,
+        parsed: this.parseEmbeddedBody("RiX-String", null, body, token),
         original: token.original,
       });
     }
 
-    // First, try to find a proper language header with parentheses
-    const parenStart = content.indexOf("(");
-    let colonIndex = -1;
-    let header = "";
-    let body = "";
-
-    if (parenStart !== -1) {
-      // Look for balanced parentheses and then find colon after them
-      let parenCount = 0;
-      let parenEnd = -1;
-
-      for (let i = parenStart; i < content.length; i++) {
-        if (content[i] === "(") {
-          parenCount++;
-        } else if (content[i] === ")") {
-          parenCount--;
-          if (parenCount === 0) {
-            parenEnd = i;
-            break;
-          }
-        }
-      }
-
-      // If we found balanced parentheses, look for colon after them
-      if (parenEnd !== -1) {
-        const afterParens = content.slice(parenEnd + 1);
-        const colonAfterParens = afterParens.indexOf(":");
-        if (colonAfterParens !== -1) {
-          colonIndex = parenEnd + 1 + colonAfterParens;
-        }
-      }
-    }
-
-    // If no parentheses or no colon after parentheses, find first colon
-    if (colonIndex === -1) {
-      colonIndex = content.indexOf(":");
-    }
-
-    header = content.slice(0, colonIndex).trim();
-    body = content.slice(colonIndex + 1);
+    const header = content.slice(0, headerLength - 1).trim();
+    const body = content.slice(headerLength);
 
     // Parse the header to extract language and optional context
     let language = header;
@@ -4411,7 +4662,7 @@ class Parser {
 
     // Check for unmatched closing parenthesis
     if (headerParenEnd !== -1 && headerParenStart === -1) {
-      this.error("Unmatched closing parenthesis in embedded language header");
+      this.error("Unmatched closing parenthesis in embedded language header", "E_EMBEDDED_HEADER");
     }
 
     if (headerParenStart !== -1) {
@@ -4433,12 +4684,13 @@ class Parser {
 
       // Validate parentheses structure
       if (parenEnd === -1) {
-        this.error("Unmatched opening parenthesis in embedded language header");
+        this.error("Unmatched opening parenthesis in embedded language header", "E_EMBEDDED_HEADER");
       }
 
       if (parenEnd !== header.length - 1) {
         this.error(
           "Invalid embedded language header format. Expected: LANGUAGE(CONTEXT):BODY",
+          "E_EMBEDDED_HEADER",
         );
       }
 
@@ -4447,6 +4699,7 @@ class Parser {
       if (afterCloseParen.includes("(")) {
         this.error(
           "Multiple parenthetical groups not allowed in embedded language header",
+          "E_EMBEDDED_HEADER",
         );
       }
 
@@ -4458,10 +4711,64 @@ class Parser {
       language: language || null,
       context: context,
       body: body,
+      parsed: this.parseEmbeddedBody(language, context, body, token),
       original: token.original,
     });
   }
 
+  // Parse the body of the backtick literal `token` with the handler of its
+  // language, moving the nodes it gives from offsets within the body to
+  // offsets in the source. A malformed body is an error located in the source
+  // as for units, with the handler's code; anything else a handler throws is
+  // E_EMBEDDED over the whole body. Languages without a handler stay unparsed,
+  // and so does the body of a headerless literal, which may be plain text,
+  // when it does not parse: that is only a warning when recovering.
+  parseEmbeddedBody(language, context, body, token) {
+    const handler = this.embeddedLanguages.get(language);
+    if (!handler) {
+      return null;
+    }
+    // The body is the end of the literal's content, which starts at pos[1]
+    const start = token.pos[1] + token.value.length - body.length;
+    let result;
+    try {
+      result = handler(body, { language, context, parse: (text) => this.parseEmbeddedRix(text) });
+    } catch (error) {
+      const located = error instanceof RixSyntaxError && error.offset !== null;
+      const span = located ? [start + error.offset, start + error.endOffset] : [start, start + body.length];
+      const detail = located ? error.detail : `Cannot parse ${language} body: ${error.message}`;
+      const code = located ? error.code : "E_EMBEDDED";
+      if (language !== "RiX-String") {
+        this.textError(detail, code, body, start, span);
+      } else if (this.recover) {
+        this.report("warning", code, detail, span);
+      }
+      return null;
+    }
+    const nodes = Array.isArray(result) ? result : [result];
+    const shift = (node) => {
+      if (node.pos) {
+        node.pos = node.pos.map((offset) => offset + start);
+      }
+      childNodes(node).forEach(shift);
+    };
+    nodes.forEach(shift);
+    return nodes;
+  }
+
+  // Parse RiX text of an embedded body with the vocabulary of this parse
+  parseEmbeddedRix(text) {
+    return parse(text, {
+      systemLookup: this.systemLookup,
+      bases: this.bases,
+      operators: this.operators,
+      functionalForms: this.functionalForms,
+      unknownSystem: this.unknownSystem === "error" ? "error" : "allow",
+      extensionLookup: this.extensionLookup,
+      embeddedLanguages: this.embeddedLanguages,
+    });
+  }
+
   parseParameterFromArg(arg, inKeywordSection) {
     const result = {
       param: {
@@ -4480,7 +4787,7 @@ class Parser {
       ) {
         result.param.name = inner.name || inner.value;
       } else {
-        this.error("Rest parameter must be an identifier");
+        this.error("Rest parameter must be an identifier", "E_REST_PARAMETER", ["identifier"]);
       }
     } else if (arg.type === "BinaryOperation" && arg.operator === "?=") {
       // Hole-default: x ?= 2 — used only when arg is omitted or explicitly a hole
@@ -4533,8 +4840,13 @@ class Parser {
     return expr;
   }
 
-  // Drain any buffered comments into the statements array
+  // Drain any buffered comments into the statements array. In CST mode
+  // comments are trivia attached to nodes instead.
   drainComments(statements) {
+    if (this.cst) {
+      this.skippedComments = [];
+      return;
+    }
     while (this.skippedComments.length > 0) {
       const commentToken = this.skippedComments.shift();
       statements.push(
@@ -4551,6 +4863,26 @@ class Parser {
   // Parse the entire program (array of statements)
   parse() {
     const statements = [];
+    // Top-level statements with the token range [start, end) each came from
+    this.chunks = [];
+    let chunkStart = 0;
+    let nodeStart = 0;
+    let diagnosticStart = 0;
+    const closeChunk = () => {
+      const end = this.position - 1;
+      const diagnostics = this.diagnostics.slice(diagnosticStart);
+      const reach = this.lookahead ? this.lookahead(end) : end;
+      if (end > chunkStart || statements.length > nodeStart) {
+        this.chunks.push({ start: chunkStart, end, reach, nodes: statements.slice(nodeStart), diagnostics });
+      } else if (this.chunks.length > 0) {
+        const last = this.chunks[this.chunks.length - 1];
+        last.diagnostics.push(...diagnostics);
+        last.reach = Math.max(last.reach, reach);
+      }
+      chunkStart = end;
+      nodeStart = statements.length;
+      diagnosticStart = this.diagnostics.length;
+    };
 
     // Drain any comments collected during constructor's initial advance()
     this.drainComments(statements);
@@ -4570,17 +4902,22 @@ class Parser {
           }),
         );
         this.drainComments(statements);
+        closeChunk();
         continue;
       }
 
-      const stmt = this.parseStatement();
+      const stmt = this.parseRecoverable(() => this.parseStatement());
       if (stmt) {
         statements.push(stmt);
       }
       // Drain any comments that were skipped during expression parsing
       this.drainComments(statements);
+      closeChunk();
     }
+    closeChunk();
 
+    const text = this.source || this.tokens.map((token) => token.original ?? "").join("");
+    assignSpans(statements, this.tokens, text, this.createdAt);
     return statements;
   }
 
@@ -4609,10 +4946,15 @@ class Parser {
     this.advance(); // consume '('
     const args = this.parseFunctionCallArgs();
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in function call");
+      this.error("Expected closing parenthesis in function call", "E_UNCLOSED_PAREN", [")"]);
     }
     this.advance(); // consume ')'
 
+    if (this.functionalForms && target.type === "SystemIdentifier" && target.systemInfo?.functionalForm) {
+      const control = this.parseFunctionalForm(target, args, target.original + "(...)");
+      if (control) return control;
+    }
+
     // SystemFunctionRef calls produce SystemCall nodes
     if (target.type === "SystemFunctionRef") {
       return this.createNode("SystemCall", {
@@ -4667,14 +5009,14 @@ class Parser {
   parseAt(target) {
     this.advance(); // consume '@'
     if (this.current.value !== "(") {
-      this.error("Expected opening parenthesis after @ operator");
+      this.error("Expected opening parenthesis after @ operator", "E_EXPECTED_TOKEN", ["("]);
     }
     this.advance(); // consume '('
 
     const arg = this.parseExpression(0);
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in @ operator");
+      this.error("Expected closing parenthesis in @ operator", "E_UNCLOSED_PAREN", [")"]);
     }
     this.advance(); // consume ')'
 
@@ -4690,14 +5032,14 @@ class Parser {
   parseAsk(target) {
     this.advance(); // consume '?'
     if (this.current.value !== "(") {
-      this.error("Expected opening parenthesis after ? operator");
+      this.error("Expected opening parenthesis after ? operator", "E_EXPECTED_TOKEN", ["("]);
     }
     this.advance(); // consume '('
 
     const arg = this.parseExpression(0);
 
     if (this.current.value !== ")") {
-      this.error("Expected closing parenthesis in ? operator");
+      this.error("Expected closing parenthesis in ? operator", "E_UNCLOSED_PAREN", [")"]);
     }
     this.advance(); // consume ')'
 
@@ -4720,7 +5062,7 @@ class Parser {
 
     while (this.current.type !== "End") {
       if (this.current.value === "[") {
-        this.error("Nested '[' not allowed inside scientific unit ~[...]");
+        this.error("Nested '[' not allowed inside scientific unit ~[...]", "E_UNIT_NESTING");
       } else if (this.current.value === "]") {
         break;
       }
@@ -4732,18 +5074,36 @@ class Parser {
     }
 
     if (this.current.value !== "]") {
-      this.error("Expected closing bracket ] for scientific unit");
+      this.error("Expected closing bracket ] for scientific unit", "E_UNCLOSED_BRACKET", ["]"]);
     }
+    const unitStart = startToken.pos[2];
+    const unitText = this.source ? this.source.slice(unitStart, tokenSpan(this.current)[0]) : unitOriginal;
     this.advance(); // consume ']'
 
     return this.createNode("ScientificUnit", {
       target: target,
       unit: unitContent.trim(),
+      unitExpression: this.parseUnitExpression(unitText, unitStart),
       pos: target.pos,
       original: target.original + startToken.original + unitOriginal + "]",
     });
   }
 
+  // Parse the text of a scientific unit, which starts at offset `start`. A
+  // malformed unit is an E_UNIT_SYNTAX error at its offending character; when
+  // the parser recovers it is reported and the unit has no expression.
+  parseUnitExpression(text, start) {
+    try {
+      return parseUnit(text, start);
+    } catch (error) {
+      if (!(error instanceof ParseError)) {
+        throw error;
+      }
+      this.textError(error.detail, error.code, text, start, [error.offset, error.endOffset]);
+      return null;
+    }
+  }
+
   // Parse ~{ postfix operator (mathematical unit)
   parseMathematicalUnit(target) {
     const startToken = this.current;
@@ -4755,7 +5115,7 @@ class Parser {
 
     while (this.current.type !== "End") {
       if (this.current.value === "{") {
-        this.error("Nested '{' not allowed inside mathematical unit ~{...}");
+        this.error("Nested '{' not allowed inside mathematical unit ~{...}", "E_UNIT_NESTING");
       } else if (this.current.value === "}") {
         break;
       }
@@ -4767,29 +5127,208 @@ class Parser {
     }
 
     if (this.current.value !== "}") {
-      this.error("Expected closing brace } for mathematical unit");
+      this.error("Expected closing brace } for mathematical unit", "E_UNCLOSED_BRACE", ["}"]);
     }
+    const unitStart = startToken.pos[2];
+    const unitText = this.source ? this.source.slice(unitStart, tokenSpan(this.current)[0]) : unitOriginal;
     this.advance(); // consume '}'
 
     return this.createNode("MathematicalUnit", {
       target: target,
       unit: unitContent.trim(),
+      extension: this.parseExtensionDescriptor(unitText, unitStart),
       pos: target.pos,
       original: target.original + startToken.original + unitOriginal + "}",
     });
   }
+
+  // Parse the text of a mathematical unit, which starts at offset `start`,
+  // into an extension descriptor, reporting malformed text as for scientific
+  // units. A named extension is checked with extensionLookup: a name it does
+  // not know is E_UNKNOWN_EXTENSION when the lookup is strict.
+  parseExtensionDescriptor(text, start) {
+    let extension;
+    try {
+      extension = parseExtension(text, start);
+    } catch (error) {
+      if (!(error instanceof ParseError)) {
+        throw error;
+      }
+      this.textError(error.detail, error.code, text, start, [error.offset, error.endOffset]);
+      return null;
+    }
+    if (extension.kind !== "named" || !this.extensionLookup) {
+      return extension;
+    }
+    const definition = this.extensionLookup(extension.name);
+    if (definition?.source === "unknown" && definition.strict) {
+      const offset = start + text.length - text.trimStart().length;
+      const span = [offset, offset + extension.name.length];
+      this.textError(`Unknown mathematical unit extension ${extension.name}`, "E_UNKNOWN_EXTENSION", text, start, span);
+    }
+    return extension;
+  }
+
+  // Throw a parse error over `span` of unit or embedded text starting at
+  // `start`, or report it when the parser recovers
+  textError(detail, code, text, start, [offset, endOffset]) {
+    if (!this.recover) {
+      const token = { pos: [offset, offset, endOffset], original: text.slice(offset - start, endOffset - start) };
+      this.error(detail, code, [], token);
+    }
+    this.report("error", code, detail, [offset, endOffset]);
+  }
+}
+
+export { PRECEDENCE, SYMBOL_TABLE, JUXTAPOSITION_PRECEDENCE, IMPLICIT_APPLICATION_PRECEDENCE };
+
+// Span [start, end] of a token's own text, excluding its leading whitespace
+function tokenSpan(token) {
+  if (!token) return [0, 0];
+  const end = token.pos[2];
+  if (typeof token.original === "string") {
+    return [end - token.original.trimStart().length, end];
+  }
+  return [token.pos[1], end];
+}
+
+/**
+ * Parse a token list in recover mode, grouped by top-level statement.
+ * Returns chunks { start, end, reach, nodes, diagnostics }: the statements
+ * (and drained comments) parsed from tokens [start, end), the last token
+ * index their parse read, and the diagnostics reported while parsing them.
+ * `options` are those of parse(), which always recovers here.
+ * Used by incremental documents to re-parse only part of a buffer.
+ */
+export function parseChunks(tokens, source, options = {}) {
+  let reads = [];
+  const watched = new Proxy(tokens, {
+    get(target, key, receiver) {
+      if (typeof key === "string" && /^\d+$/.test(key)) reads.push(Number(key));
+      return Reflect.get(target, key, receiver);
+    },
+  });
+  const { systemLookup, ...parserOptions } = options;
+  const parser = new Parser(watched, systemLookup, source, { ...parserOptions, recover: true, cst: false });
+  // Stepping onto the next statement's first token reads it once; any other
+  // read at or past it means the statement looked ahead
+  parser.lookahead = (end) => {
+    let reach = end - 1;
+    let endReads = 0;
+    for (const index of reads) {
+      if (index === end) endReads++;
+      else if (index > reach) reach = index;
+    }
+    if (endReads > 1) reach = Math.max(reach, end);
+    reads = [];
+    return reach;
+  };
+  parser.parse();
+  return parser.chunks;
 }
 
-// Main parse function
-export function parse(input, systemLookup) {
+/**
+ * Main parse function
+ *
+ * The second argument is either a systemLookup function or an options object:
+ * - systemLookup: resolves system identifiers
+ * - recover: when true, parse errors do not throw. The result is
+ *   { ast, diagnostics } where each skipped region is an ErrorNode in the AST
+ *   and each diagnostic carries { severity, code, message, span, line, col }.
+ * - cst: when true, the AST is a lossless concrete syntax tree: a Program node
+ *   whose nodes carry their tokens and surrounding whitespace and comments,
+ *   so printCST() reproduces the source exactly.
+ * - bases: digit alphabets of user-defined base prefixes, as for tokenize()
+ * - context: name of a symbol context, passed to systemLookup as its second
+ *   argument (see SystemLoader.createContext()), so that different sources
+ *   can be parsed against different vocabularies
+ * - functionalForms: a function (name, args, systemInfo) turning a call of a
+ *   control keyword, such as WHILE(cond, body), into a ControlStructure node
+ *   (see SystemLoader.createFunctionalFormTransform()). It throws when the
+ *   argument count is wrong, which is reported as E_CONTROL_ARITY. Keyword
+ *   arguments of a control call are E_UNKNOWN_KEYWORD_ARG.
+ * - unknownSystem: "allow" (the default), "warn" or "error". With "warn" or
+ *   "error", each system identifier or `@_NAME` reference the lookup marks as
+ *   unknown (source "unknown", as SystemLoader.lookup() does) is reported as
+ *   E_UNKNOWN_SYSTEM, with the lookup's spelling suggestions in the message
+ *   and as the diagnostic's `suggestions`. "error" throws a ParseError unless
+ *   recovering. "warn" changes the return value: parse() returns
+ *   { ast, diagnostics }, as in recover mode, instead of the bare AST.
+ * - operators: registered custom operators, as a Map or object from symbol to
+ *   definition { precedence, associativity, operatorType } (see
+ *   SystemLoader.operatorDefinitions()). Infix and postfix uses parse to
+ *   BinaryOperation and UnaryOperation nodes carrying the definition as
+ *   `operatorInfo`, prefix ones to UnaryOperation.
+ * - extensionLookup: resolves the named extension of a mathematical unit
+ *   such as `3~{phi}` (see SystemLoader.createExtensionLookup()). A name it
+ *   marks unknown with `strict` set is an E_UNKNOWN_EXTENSION error.
+ * - embeddedLanguages: handlers parsing the bodies of backtick literals, as a
+ *   Map or object from language name to handler (see embedded.js and
+ *   SystemLoader.embeddedLanguages()); the built-in EMBEDDED_LANGUAGES by
+ *   default. The nodes a handler gives are the literal's `parsed`, positioned
+ *   in the source, and errors in a body are located in the source.
+ */
+export function parse(input, options) {
+  const {
+    systemLookup,
+    recover = false,
+    cst = false,
+    bases,
+    operators,
+    functionalForms,
+    context,
+    unknownSystem = "allow",
+    extensionLookup,
+    embeddedLanguages,
+  } = typeof options === "function" || options == null ? { systemLookup: options } : options;
+  if (!["allow", "warn", "error"].includes(unknownSystem)) {
+    throw new Error(`unknownSystem must be "allow", "warn" or "error", got ${unknownSystem}`);
+  }
+
   let tokens;
   let source = "";
+  const tokenDiagnostics = [];
   if (typeof input === "string") {
     source = input;
-    tokens = tokenize(input);
+    const symbols = operators instanceof Map ? operators : operators && Object.keys(operators);
+    tokens = tokenize(input, recover
+      ? {
+        bases,
+        operators: symbols,
+        onError: (error, position) => {
+          tokenDiagnostics.push({ error, position });
+        },
+      }
+      : { bases, operators: symbols });
   } else {
     tokens = input;
   }
-  const parser = new Parser(tokens, systemLookup, source);
-  return parser.parse();
+  const parser = new Parser(tokens, systemLookup, source, {
+    recover,
+    cst,
+    operators,
+    functionalForms,
+    context,
+    unknownSystem,
+    extensionLookup,
+    embeddedLanguages,
+    bases,
+  });
+  for (const { error, position } of tokenDiagnostics) {
+    if (error instanceof RixSyntaxError) {
+      parser.report("error", error.code, error.message, [error.offset, error.endOffset]);
+    } else {
+      parser.report("error", "E_TOKENIZE", error.message, [position, position + 1]);
+    }
+  }
+  let ast = parser.parse();
+  if (cst) {
+    const text = source || tokens.map((token) => token.original ?? "").join("");
+    ast = buildCST(ast, tokens, text, parser.createdAt);
+  }
+  if (!recover && unknownSystem !== "warn") {
+    return ast;
+  }
+  const diagnostics = parser.diagnostics.sort((a, b) => a.span[0] - b.span[0]);
+  return { ast, diagnostics };
 }
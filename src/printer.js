@@ -0,0 +1,1065 @@
+/**
+ * RiX Pretty Printer
+ * Turns an AST produced by the parser back into canonical RiX source
+ */
+
+import {
+  PRECEDENCE,
+  SYMBOL_TABLE,
+  JUXTAPOSITION_PRECEDENCE,
+  IMPLICIT_APPLICATION_PRECEDENCE,
+} from "./parser.js";
+import { tokenize } from "./tokenizer.js";
+
+const DEFAULT_OPTIONS = {
+  indent: 2, // spaces per level, or the indent string itself
+  spaceAroundOperators: true,
+  lineWidth: 80,
+};
+
+const ATOM_PRECEDENCE = Infinity;
+
+// Node types that print as `left <operator> right`
+const INFIX_NODES = {
+  Pipe: { operator: "|>", left: "left", right: "right" },
+  SliceStrict: { operator: "|>/", left: "left", right: "right" },
+  Split: { operator: "|>/|", left: "left", right: "right" },
+  Chunk: { operator: "|>#|", left: "left", right: "right" },
+  SliceClamp: { operator: "|>//", left: "left", right: "right" },
+  ExplicitPipe: { operator: "||>", left: "left", right: "right" },
+  Map: { operator: "|>>", left: "left", right: "right" },
+  Filter: { operator: "|>?", left: "left", right: "right" },
+  Every: { operator: "|>&&", left: "left", right: "right" },
+  Some: { operator: "|>||", left: "left", right: "right" },
+  Sort: { operator: "|<>", left: "left", right: "right" },
+  IntervalStepping: { operator: ":+", left: "interval", right: "step" },
+  IntervalDivision: { operator: "::", left: "interval", right: "count" },
+  IntervalPartition: { operator: ":/:", left: "interval", right: "count" },
+  IntervalMediants: { operator: ":~", left: "interval", right: "levels" },
+  IntervalMediantPartition: { operator: ":~/", left: "interval", right: "levels" },
+  IntervalRandom: { operator: ":%", left: "interval", right: "parameters" },
+  IntervalRandomPartition: { operator: ":/%", left: "interval", right: "count" },
+  InfiniteSequence: { operator: "::+", left: "start", right: "step" },
+  // The parser tags `::` interval division nodes with this type
+  equally_spaced: { operator: "::", left: "interval", right: "count" },
+};
+
+// Node types that print as `operand<suffix>`
+const POSTFIX_NODES = {
+  Transpose: { operand: "expression", suffix: "^^" },
+  ExternalAccess: { operand: "object", suffix: ".." },
+  KeySet: { operand: "object", suffix: ".|" },
+  ValueSet: { operand: "object", suffix: "|." },
+};
+
+const CAPTURE_OPERATORS = {
+  alias: "==",
+  copy: ":=",
+  refresh: "~=",
+  deep_copy: "::=",
+  deep_refresh: "~~=",
+};
+
+const OPERATOR_BRACES = {
+  ADD: "{+",
+  MUL: "{*",
+  AND: "{&&",
+  OR: "{||",
+  NARY_UNION: "{\\/",
+  NARY_INTERSECT: "{/\\",
+  NARY_CONCAT: "{++",
+  MIN: "{<<",
+  MAX: "{>>",
+};
+
+const REGEX_MODE_SUFFIX = { ONE: "", TEST: "?", ALL: "*", ITER: ":" };
+
+const BINDING_MODE_OPERATORS = {
+  alias: "=",
+  copy: "~",
+  deep_copy: "~~",
+  copy_meta: ":",
+  deep_copy_meta: "::",
+};
+
+// Argument fields of a ControlStructure in the order its functional form takes them
+const CONTROL_ARGUMENTS = {
+  WHILE: ["condition", "body"],
+  IF: ["condition", "thenBranch", "elseBranch"],
+  FOR: ["init", "condition", "increment", "body"],
+};
+
+const IDENTIFIER_PATTERN = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+class Printer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.indentUnit =
+      typeof this.options.indent === "number"
+        ? " ".repeat(this.options.indent)
+        : this.options.indent;
+    this.depth = 0;
+  }
+
+  printStatements(statements) {
+    return statements
+      .filter((statement) => statement != null)
+      .map((statement) => this.print(statement))
+      .join("\n");
+  }
+
+  print(node) {
+    if (node == null) {
+      return "";
+    }
+    if (Array.isArray(node)) {
+      return this.printStatements(node);
+    }
+    const method = this[`print${node.type}`];
+    if (method) {
+      return method.call(this, node);
+    }
+    if (INFIX_NODES[node.type]) {
+      const spec = INFIX_NODES[node.type];
+      return this.printInfix(spec.operator, node[spec.left], node[spec.right], nodePrecedence(node));
+    }
+    if (POSTFIX_NODES[node.type]) {
+      const spec = POSTFIX_NODES[node.type];
+      return this.printOperand(node[spec.operand]) + spec.suffix;
+    }
+    if (node.type.startsWith("Generator") && node.operator) {
+      return `${node.operator} ${this.print(node.operand)}`;
+    }
+    throw new Error(`Cannot print node of type ${node.type}`);
+  }
+
+  // Indented block of already-printed lines, closed at the current depth
+  indented(callback) {
+    this.depth++;
+    try {
+      return callback(this.indentUnit.repeat(this.depth));
+    } finally {
+      this.depth--;
+    }
+  }
+
+  // Print items inline when they fit in the line width, one per line otherwise.
+  // `open` and `close` surround the items; `separator` follows every item but the last.
+  printList(open, items, separator, close, { padded = false } = {}) {
+    const printed = this.indented(() => items.map((item) => this.print(item)));
+    const inline = printed.join(`${separator} `);
+    const pad = padded && inline.length > 0 ? " " : "";
+    const flat = `${open}${pad}${inline}${pad}${close}`;
+    const currentIndent = this.indentUnit.length * this.depth;
+    if (
+      printed.length === 0 ||
+      (!flat.includes("\n") && currentIndent + flat.length <= this.options.lineWidth)
+    ) {
+      return flat;
+    }
+    const inner = this.indented((indent) =>
+      items
+        .map((item, index) => {
+          const text = this.print(item);
+          return indent + text + (index < items.length - 1 ? separator : "");
+        })
+        .join("\n"),
+    );
+    return `${open}\n${inner}\n${this.indentUnit.repeat(this.depth)}${close}`;
+  }
+
+  operator(symbol) {
+    return this.options.spaceAroundOperators ? ` ${symbol} ` : symbol;
+  }
+
+  // Join two operands around an infix operator without letting the tokenizer
+  // merge the operator into a neighbouring token (e.g. `a-3` would lex `-3`)
+  joinInfix(leftText, symbol, rightText) {
+    if (!this.options.spaceAroundOperators && !/^\p{L}/u.test(symbol)) {
+      const compact = leftText + symbol + rightText;
+      if (lexesCleanly(leftText, symbol, rightText)) {
+        return compact;
+      }
+    }
+    return `${leftText} ${symbol} ${rightText}`;
+  }
+
+  printInfix(symbol, left, right, precedence, associativity = "left") {
+    const leftText = needsParens(left, precedence, associativity === "right")
+      ? `(${this.print(left)})`
+      : this.print(left);
+    const rightText = needsParens(right, precedence, associativity === "left")
+      ? `(${this.print(right)})`
+      : this.print(right);
+    return this.joinInfix(leftText, symbol, rightText);
+  }
+
+  // Operand of a postfix form (call target, property access, units, ...)
+  printOperand(node) {
+    const text = this.print(node);
+    return nodePrecedence(node) === ATOM_PRECEDENCE ? text : `(${text})`;
+  }
+
+  // Target of `(...)`, `@(...)` and `?(...)`: a call after juxtaposition
+  // applies to the whole product, so `a b(c)` needs no parentheses
+  printCallee(node) {
+    return node?.type === "ImplicitMultiplication" ? this.print(node) : this.printOperand(node);
+  }
+
+  printArguments(args) {
+    const positional = args?.positional ?? [];
+    const keyword = Object.entries(args?.keyword ?? {});
+    const parts = positional.map((arg) => this.print(arg));
+    let text = parts.join(", ");
+    if (keyword.length > 0) {
+      const keywordText = keyword
+        .map(([name, value]) => `${name} := ${this.print(value)}`)
+        .join(", ");
+      text += `; ${keywordText}`;
+    }
+    return `(${text})`;
+  }
+
+  printParameters(parameters) {
+    const positional = parameters?.positional ?? [];
+    const keyword = parameters?.keyword ?? [];
+    const conditions = assignConditionals(
+      [...positional, ...keyword],
+      parameters?.conditionals ?? [],
+    );
+    const printParam = (param, index) => {
+      let text = (param.isRest ? "..." : "") + param.name;
+      if (param.holeDefault) {
+        text += ` ?= ${this.print(param.holeDefault)}`;
+      }
+      if (param.defaultValue) {
+        text += ` := ${this.print(param.defaultValue)}`;
+      }
+      if (conditions[index]) {
+        text += ` ? ${this.print(conditions[index])}`;
+      }
+      return text;
+    };
+    const positionalText = positional.map((param, index) => printParam(param, index));
+    const keywordText = keyword.map((param, index) => printParam(param, positional.length + index));
+    let text = positionalText.join(", ");
+    if (keywordText.length > 0) {
+      text += "; " + keywordText.join(", ");
+    }
+    return `(${text})`;
+  }
+
+  printFunctionHead(node) {
+    let text = "";
+    if (node.prep) {
+      text += ` ${node.prepStrict ? "?!-" : "?-"} ${this.print(node.prep)}`;
+    }
+    if (node.variantName) {
+      text += ` /${node.variantName}/`;
+    }
+    return text;
+  }
+
+  printSemanticHeaderText(header) {
+    return header ? ` ${this.print(header)}` : "";
+  }
+
+  printImports(imports) {
+    if (!imports || imports.length === 0) {
+      return "";
+    }
+    const specs = imports.map(({ local, source, mode }) => {
+      if (mode === "alias") {
+        return `${local}=${source === local ? "" : source}`;
+      }
+      return source === local ? local : `${local}~${source}`;
+    });
+    return ` <${specs.join(", ")}>`;
+  }
+
+  // --- Statements -------------------------------------------------------
+
+  // Root of a concrete syntax tree from parse(source, { cst: true })
+  printProgram(node) {
+    return this.printStatements(node.body);
+  }
+
+  printStatement(node) {
+    return `${this.print(node.expression)};`;
+  }
+
+  printComment(node) {
+    return (node.original ?? `## ${node.value}`).trim();
+  }
+
+  printErrorNode(node) {
+    return (node.original ?? "").trim();
+  }
+
+  printSequenceExpression(node) {
+    return node.expressions.map((expression) => this.print(expression)).join(", ");
+  }
+
+  // --- Literals and identifiers -----------------------------------------
+
+  printNumber(node) {
+    return String(node.value);
+  }
+
+  printString(node) {
+    if (node.kind === "colon") {
+      return `:${node.value}`;
+    }
+    if (node.kind === "comment") {
+      return (node.original ?? "").trim();
+    }
+    const quotes = delimiterFor('"', node.value);
+    return `${quotes}${node.value}${quotes}`;
+  }
+
+  printEmbeddedLanguage(node) {
+    let content;
+    if (node.language === "RiX-String") {
+      content = node.body.includes(":") ? `:${node.body}` : node.body;
+    } else {
+      const context = node.context != null ? `(${node.context})` : "";
+      content = `${node.language ?? ""}${context}:${node.body}`;
+    }
+    const ticks = delimiterFor("`", content);
+    return `${ticks}${content}${ticks}`;
+  }
+
+  printRegexLiteral(node) {
+    return `{/${node.pattern}/${node.flags ?? ""}${REGEX_MODE_SUFFIX[node.mode] ?? ""}}`;
+  }
+
+  printUserIdentifier(node) {
+    return node.name;
+  }
+
+  printSystemIdentifier(node) {
+    return node.name;
+  }
+
+  printOuterIdentifier(node) {
+    return `@${node.name}`;
+  }
+
+  printSystemFunctionRef(node) {
+    return `@_${node.name}`;
+  }
+
+  printPlaceHolder(node) {
+    return `_${node.place}`;
+  }
+
+  printNULL() {
+    return "_";
+  }
+
+  printSelfRef() {
+    return "$";
+  }
+
+  printParentSelfRef() {
+    return "$$";
+  }
+
+  printSystemObject() {
+    return ".";
+  }
+
+  printSystemAccess(node) {
+    return `.${node.property}`;
+  }
+
+  printHole() {
+    return "";
+  }
+
+  // --- Operators --------------------------------------------------------
+
+  printBinaryOperation(node) {
+    const info = node.operatorInfo ?? SYMBOL_TABLE[node.operator];
+    return this.printInfix(
+      node.operator,
+      node.left,
+      node.right,
+      nodePrecedence(node),
+      info?.associativity ?? "left",
+    );
+  }
+
+  printUnaryOperation(node) {
+    const operandText = needsParens(node.operand, nodePrecedence(node), false)
+      ? `(${this.print(node.operand)})`
+      : this.print(node.operand);
+    if (node.fixity === "postfix") {
+      return `${operandText}${node.operator}`;
+    }
+    if (/^[\p{L}]/u.test(node.operator)) {
+      return `${node.operator} ${operandText}`;
+    }
+    // `- 3` must keep its space, otherwise it lexes as the literal -3
+    const glued = node.operator + operandText;
+    return lexesCleanly("", node.operator, operandText) ? glued : `${node.operator} ${operandText}`;
+  }
+
+  printTernaryOperation(node) {
+    const precedence = PRECEDENCE.CONDITION;
+    const condition = needsParens(node.condition, precedence, true)
+      ? `(${this.print(node.condition)})`
+      : this.print(node.condition);
+    const whenTrue = needsParens(node.trueExpression, precedence + 5, false)
+      ? `(${this.print(node.trueExpression)})`
+      : this.print(node.trueExpression);
+    const whenFalse = needsParens(node.falseExpression, precedence, false)
+      ? `(${this.print(node.falseExpression)})`
+      : this.print(node.falseExpression);
+    return `${condition} ?? ${whenTrue} ?: ${whenFalse}`;
+  }
+
+  printImplicitMultiplication(node) {
+    const leftText = needsParens(node.left, JUXTAPOSITION_PRECEDENCE, false)
+      ? `(${this.print(node.left)})`
+      : this.print(node.left);
+    if (node.right?.type === "Grouping" || node.right?.type === "Tuple") {
+      return leftText + this.print(node.right);
+    }
+    let rightText = this.print(node.right);
+    if (
+      needsParens(node.right, JUXTAPOSITION_PRECEDENCE, true) ||
+      (leftmostNode(node.right)?.type !== "Number" && /^[+-]/.test(rightText))
+    ) {
+      rightText = `(${rightText})`;
+    }
+    return `${leftText} ${rightText}`;
+  }
+
+  printImplicitApplication(node) {
+    const argument = needsParens(node.argument, PRECEDENCE.ADDITION, true)
+      ? `(${this.print(node.argument)})`
+      : this.print(node.argument);
+    return `${this.printOperand(node.callable)} ${argument}`;
+  }
+
+  printSemanticHas(node) {
+    return this.joinInfix(this.printOperand(node.expression), "?", `:${node.name}`);
+  }
+
+  printSemanticConvertSoft(node) {
+    return this.joinInfix(this.printOperand(node.expression), "~:", `:${node.typeName}`);
+  }
+
+  printSemanticConvertStrict(node) {
+    return this.joinInfix(this.printOperand(node.expression), "~!:", `:${node.typeName}`);
+  }
+
+  printReduce(node) {
+    if (node.init) {
+      return `${this.print(node.left)} |:> ${this.print(node.init)} >: ${this.print(node.right)}`;
+    }
+    return this.printInfix("|>:", node.left, node.right, PRECEDENCE.PIPE);
+  }
+
+  printReverse(node) {
+    return `${this.print(node.target)} |><`;
+  }
+
+  printSpread(node) {
+    return `...${this.printOperand(node.expression)}`;
+  }
+
+  printSystemCapabilityCall(node) {
+    const [expression] = node.arguments?.positional ?? [];
+    const text = needsParens(expression, PRECEDENCE.UNARY, false)
+      ? `(${this.print(expression)})`
+      : this.print(expression);
+    return `@@${text}`;
+  }
+
+  printDeferredBlock(node) {
+    return `@${this.print(node.body)}`;
+  }
+
+  // --- Grouping and collections -----------------------------------------
+
+  printGrouping(node) {
+    if (node.expression?.type === "ParameterList") {
+      return this.printParameters(node.expression.parameters);
+    }
+    return `(${this.print(node.expression)})`;
+  }
+
+  printParameterList(node) {
+    return this.printParameters(node.parameters);
+  }
+
+  printTuple(node) {
+    if (node.elements.length === 1) {
+      return `(${this.print(node.elements[0])},)`;
+    }
+    return this.printList("(", node.elements, ",", ")");
+  }
+
+  printArray(node) {
+    return this.printList("[", node.elements, ",", "]");
+  }
+
+  printMatrix(node) {
+    const rows = node.rows.map((row) => row.map((element) => this.print(element)).join(", "));
+    return `[${rows.join("; ")}]`;
+  }
+
+  printTensor(node) {
+    const parts = node.structure.map(({ row, separatorLevel }) => {
+      const text = row.map((element) => this.print(element)).join(", ");
+      return text + ";".repeat(separatorLevel);
+    });
+    return `[${parts.join(" ").trim()}]`;
+  }
+
+  printWithMetadata(node) {
+    const items = [];
+    const primary = node.primary;
+    if (!(primary?.type === "Array" && primary.elements.length === 0)) {
+      items.push(this.print(primary));
+    }
+    for (const [key, value] of Object.entries(node.metadata ?? {})) {
+      const keyText = IDENTIFIER_PATTERN.test(key) ? key : `"${key}"`;
+      items.push(`${keyText} := ${this.print(value)}`);
+    }
+    return `[${items.join(", ")}]`;
+  }
+
+  printGeneratorChain(node) {
+    const parts = [];
+    if (node.start) {
+      parts.push(this.print(node.start));
+    }
+    for (const operator of node.operators) {
+      parts.push(this.print(operator));
+    }
+    return parts.join(" ");
+  }
+
+  printCapturedEntry(node) {
+    return `${CAPTURE_OPERATORS[node.captureMode]} ${this.print(node.expression)}`;
+  }
+
+  printMapEntry(node) {
+    const operator = node.captureMode ? CAPTURE_OPERATORS[node.captureMode] : "=";
+    return `${this.print(node.key)} ${operator} ${this.print(node.value)}`;
+  }
+
+  printSemanticHeader(node) {
+    const parts = [];
+    if (node.captureMode) parts.push(CAPTURE_OPERATORS[node.captureMode]);
+    if (node.name) parts.push(`#${node.name}`);
+    if (node.typeName) parts.push(`::${node.typeName}`);
+    for (const trait of node.traits ?? []) {
+      parts.push(`:${trait.name}`);
+    }
+    return `/${parts.join(" ")}/`;
+  }
+
+  printBlockContainer(node) {
+    return this.printBrace(node.sigil ?? "{", node, ";");
+  }
+
+  printCaseContainer(node) {
+    return this.printBrace(node.sigil, node, ";");
+  }
+
+  printLoopContainer(node) {
+    let opener = "{@";
+    if (node.unlimited) {
+      opener += `${node.name ?? ""}::@`;
+    } else if (node.maxIterations !== undefined) {
+      opener += `${node.name ?? ""}:${node.maxIterations}@`;
+    } else if (node.name) {
+      opener += `${node.name}@`;
+    }
+    return this.printBrace(opener, { ...node, name: undefined }, ";");
+  }
+
+  printMapContainer(node) {
+    return this.printBrace(node.sigil, node, ",");
+  }
+
+  printSetContainer(node) {
+    return this.printBrace(node.sigil, node, ",");
+  }
+
+  printTupleContainer(node) {
+    return this.printBrace(node.sigil, node, ",");
+  }
+
+  printArrayContainer(node) {
+    if (node.tensorShape) {
+      return this.printBrace(`{=:${node.tensorShape.join("x")}:`, node, ",");
+    }
+    return this.printBrace("{..", node, ",");
+  }
+
+  // Brace container `{<sigil>[name<sigil>] [/header/] [<imports>] elements }`
+  printBrace(opener, node, separator) {
+    let head = opener;
+    if (node.name) {
+      head += `${node.name}${opener.slice(1)}`;
+    }
+    head += this.printSemanticHeaderText(node.header);
+    head += this.printImports(node.imports);
+    const elements = node.elements ?? [];
+    if (elements.length === 0) {
+      return head.length > 1 || opener === "{" ? `${head} }` : `${head}}`;
+    }
+    return this.printList(head, elements, separator, "}", { padded: true });
+  }
+
+  printTensorLiteral(node) {
+    const head = `{:${node.shape.join("x")}:${this.printSemanticHeaderText(node.header)}`;
+    if (node.elements.length === 0) {
+      return `${head}}`;
+    }
+    const shape = node.shape;
+    const printed = node.elements.map((element) => this.print(element));
+    if (shape.length === 1) {
+      return `${head} ${printed.join(", ")} }`;
+    }
+    // Display order: higher axes outermost (separated by ;; ;;; ...),
+    // then rows (;) and columns (,)
+    const strides = shape.map((_, axis) => shape.slice(axis + 1).reduce((a, b) => a * b, 1));
+    const levels = [];
+    for (let axis = shape.length - 1; axis >= 2; axis--) levels.push(axis);
+    levels.push(0, 1);
+    const render = (levelIndex, offset) => {
+      const axis = levels[levelIndex];
+      const parts = [];
+      for (let i = 0; i < shape[axis]; i++) {
+        const index = offset + i * strides[axis];
+        parts.push(levelIndex === levels.length - 1 ? printed[index] : render(levelIndex + 1, index));
+      }
+      if (axis === 1) return parts.join(", ");
+      const separatorCount = axis === 0 ? 1 : axis;
+      return parts.join(`${";".repeat(separatorCount)} `);
+    };
+    return `${head} ${render(0, 0)} }`;
+  }
+
+  printValueOutfit(node) {
+    return `{^${this.printSemanticHeaderText(node.header)} ${this.print(node.expression)} }`;
+  }
+
+  printBreakBlock(node) {
+    let head = "{!";
+    if (node.targetType === "loop" && node.targetName) {
+      head += `@${node.targetName}!`;
+    } else {
+      if (node.targetType === "block") head += ";";
+      else if (node.targetType === "loop") head += "@";
+      else if (node.targetType === "case") head += "?";
+      if (node.targetName) head += ` ${node.targetName}!`;
+    }
+    return `${head} ${this.print(node.value)} }`;
+  }
+
+  printSystemSpecLiteral(node) {
+    let head = "{#";
+    const inputs = node.inputs.join(",");
+    if (node.outputsDeclared) {
+      head += `${inputs}:${node.outputs.join(",")}#`;
+    } else if (inputs) {
+      head += `${inputs}#`;
+    }
+    head += this.printImports(node.imports);
+    if (node.statements.length === 0) {
+      return `${head} }`;
+    }
+    return this.printList(head, node.statements, ";", "}", { padded: true });
+  }
+
+  printSpecAssign(node) {
+    return `${node.target} = ${this.print(node.expr)}`;
+  }
+
+  printMutation(node) {
+    const operations = node.operations.map((operation) => {
+      if (operation.action === "remove") {
+        return `-.${operation.key}`;
+      }
+      if (operation.value == null) {
+        return `+${operation.key}`;
+      }
+      const value = needsParens(operation.value, PRECEDENCE.CONDITION + 1, false)
+        ? `(${this.print(operation.value)})`
+        : this.print(operation.value);
+      return `+${operation.key} = ${value}`;
+    });
+    const sigil = node.mutate ? "{!" : "{=";
+    return `${this.printOperand(node.target)}${sigil} ${operations.join(", ")} }`;
+  }
+
+  // --- Access and calls -------------------------------------------------
+
+  printDotAccess(node) {
+    return `${this.printOperand(node.object)}.${node.property}`;
+  }
+
+  printMethodCall(node) {
+    return `${this.printOperand(node.object)}.${node.method}${this.printArguments(node.arguments)}`;
+  }
+
+  printPropertyAccess(node) {
+    const property = node.property;
+    if (property?.type === "KeyLiteral") {
+      return `${this.printOperand(node.object)}[:${property.name}]`;
+    }
+    return `${this.printOperand(node.object)}[${this.print(property)}]`;
+  }
+
+  printBracketIndex(node) {
+    const specs = node.specs.map((spec) => this.print(spec)).join(", ");
+    return `${this.printOperand(node.object)}[${specs}]`;
+  }
+
+  printSliceSpec(node) {
+    return `${this.print(node.start)} : ${this.print(node.end)}`;
+  }
+
+  printFullSlice() {
+    return "::";
+  }
+
+  printFunctionCall(node) {
+    if (node.fromBrace && OPERATOR_BRACES[node.function?.name]) {
+      const elements = node.arguments?.positional ?? [];
+      if (elements.length === 0) {
+        return `${OPERATOR_BRACES[node.function.name]} }`;
+      }
+      return this.printList(OPERATOR_BRACES[node.function.name], elements, ",", "}", { padded: true });
+    }
+    return this.printOperand(node.function) + this.printArguments(node.arguments);
+  }
+
+  printSystemCall(node) {
+    const prefix = node.viaSystemContext ? "." : "@_";
+    return `${prefix}${node.name}${this.printArguments(node.arguments)}`;
+  }
+
+  printCall(node) {
+    return this.printCallee(node.target) + this.printArguments(node.arguments);
+  }
+
+  // A control keyword in functional form, `WHILE(c, body)`
+  printControlStructure(node) {
+    const fields = CONTROL_ARGUMENTS[node.keyword] ?? ["init", "condition", "increment", "thenBranch", "elseBranch", "body"];
+    const positional = fields.map((field) => node[field]).filter((arg) => arg != null);
+    return node.keyword + this.printArguments({ positional });
+  }
+
+  printAt(node) {
+    return `${this.printCallee(node.target)}@(${this.print(node.arg)})`;
+  }
+
+  printAsk(node) {
+    return `${this.printCallee(node.target)}?(${this.print(node.arg)})`;
+  }
+
+  printScientificUnit(node) {
+    return `${this.printOperand(node.target)}~[${node.unit}]`;
+  }
+
+  printMathematicalUnit(node) {
+    return `${this.printOperand(node.target)}~{${node.unit}}`;
+  }
+
+  // --- Functions --------------------------------------------------------
+
+  printFunctionDefinition(node) {
+    const body = needsParens(node.body, PRECEDENCE.ASSIGNMENT, false)
+      ? `(${this.print(node.body)})`
+      : this.print(node.body);
+    return `${this.printOperand(node.name)}${this.printParameters(node.parameters)}${this.printFunctionHead(node)} -> ${body}`;
+  }
+
+  printFunctionVariantDefinition(node) {
+    const arrow = node.mode === "prepend" ? "^=>" : "=>";
+    return `${this.printOperand(node.name)}${this.printParameters(node.parameters)}${this.printFunctionHead(node)} ${arrow} ${this.print(node.body)}`;
+  }
+
+  printFunctionLambda(node) {
+    const body = needsParens(node.body, PRECEDENCE.ARROW, false)
+      ? `(${this.print(node.body)})`
+      : this.print(node.body);
+    return `${this.printParameters(node.parameters)}${this.printFunctionHead(node)} -> ${body}`;
+  }
+
+  printPatternMatchingFunction(node) {
+    const hasParameters =
+      (node.parameters?.positional?.length ?? 0) > 0 || (node.parameters?.keyword?.length ?? 0) > 0;
+    const name = this.printOperand(node.name) + (hasParameters ? this.printParameters(node.parameters) : "");
+    const patterns = node.patterns.map((pattern) =>
+      this.printFunctionLambda({ parameters: pattern.parameters, body: pattern.body }),
+    );
+    const metadata = Object.entries(node.metadata ?? {});
+    if (metadata.length === 0) {
+      return `${name} :=> [${patterns.join(", ")}]`;
+    }
+    const metadataText = metadata.map(([key, value]) => `${key} := ${this.print(value)}`);
+    return `${name} :=> [[${patterns.join(", ")}], ${metadataText.join(", ")}]`;
+  }
+
+  // --- Calculus ---------------------------------------------------------
+
+  printCalculusSuffix(node) {
+    let text = "";
+    if (node.variables) {
+      text += `[${node.variables.map((variable) => variable.name).join(", ")}]`;
+    }
+    const parenthesized = node.evaluation ?? node.operations;
+    if (parenthesized) {
+      text += `(${parenthesized.map((expression) => this.print(expression)).join(", ")})`;
+    }
+    return text;
+  }
+
+  printDerivative(node) {
+    return this.printOperand(node.function) + "'".repeat(node.order) + this.printCalculusSuffix(node);
+  }
+
+  printIntegral(node) {
+    return "'".repeat(node.order) + this.print(node.function) + this.printCalculusSuffix(node);
+  }
+
+  // --- Scripts ----------------------------------------------------------
+
+  printScriptBinding(binding) {
+    const source = binding.sourceScope === "ancestor" ? `@${binding.source}` : binding.source;
+    if (binding.mode === "copy" && binding.source === binding.target && !binding.sourceScope) {
+      return binding.target;
+    }
+    return `${binding.target} ${BINDING_MODE_OPERATORS[binding.mode]} ${source}`;
+  }
+
+  printScriptBindingsDeclaration(node) {
+    return `<${node.bindings.map((binding) => this.printScriptBinding(binding)).join(", ")}>`;
+  }
+
+  printScriptImportExpression(node) {
+    let text = `<${this.print(node.path)}`;
+    if (node.capabilityModifiers) {
+      const modifiers = node.capabilityModifiers.map(({ action, targetType, target }) => {
+        const sign = action === "add" ? "+" : "-";
+        return sign + (targetType === "function" ? `@${target}` : target);
+      });
+      text += ` /${modifiers.join(", ")}/`;
+    }
+    if (node.inputs) {
+      text += ` ${node.inputs.map((binding) => this.printScriptBinding(binding)).join(", ")}`;
+    }
+    if (node.outputs) {
+      text += `; ${node.outputs.map((binding) => this.printScriptBinding(binding)).join(", ")}`;
+    }
+    return `${text}>`;
+  }
+
+  // --- Destructuring targets --------------------------------------------
+
+  printDestructureVariableTarget(node) {
+    return node.name;
+  }
+
+  printDestructureRestTarget(node) {
+    return `...${this.print(node.target)}`;
+  }
+
+  printDestructurePattern(open, node, close) {
+    const items = node.entries.map((entry) => this.print(entry));
+    if (node.rest) {
+      items.push(this.print(node.rest));
+    }
+    return `${open}${items.join(", ")}${close}`;
+  }
+
+  printDestructureArrayPattern(node) {
+    return this.printDestructurePattern("[", node, "]");
+  }
+
+  printDestructureTuplePattern(node) {
+    if (node.entries.length === 1 && !node.rest) {
+      return `(${this.print(node.entries[0])},)`;
+    }
+    return this.printDestructurePattern("(", node, ")");
+  }
+
+  printDestructureMapPattern(node) {
+    return this.printDestructurePattern("{= ", node, " }");
+  }
+
+  printDestructureMapEntry(node) {
+    const { sourceKey, wholeTarget, nestedTarget } = node;
+    let head;
+    if (sourceKey?.type === "String" && sourceKey.kind === "colon") {
+      head = `${this.print(wholeTarget)}[:${sourceKey.value}]`;
+    } else if (wholeTarget) {
+      head = this.print(wholeTarget);
+    } else {
+      head = `[${this.print(sourceKey)}]`;
+    }
+    return nestedTarget ? `${head} = ${this.print(nestedTarget)}` : head;
+  }
+
+  printDestructureIndexedTarget(node) {
+    const specs = node.specs.map((spec) => this.print(spec)).join(", ");
+    const head = node.wholeTarget ? `${this.print(node.wholeTarget)}[${specs}]` : `[${specs}]`;
+    return node.nestedTarget ? `${head} = ${this.print(node.nestedTarget)}` : head;
+  }
+
+  printDestructureBindingModeTarget(node) {
+    return `${CAPTURE_OPERATORS[node.bindingMode]} ${this.print(node.target)}`;
+  }
+
+  printDestructureSemanticTarget(node) {
+    return `{^${this.printSemanticHeaderText(node.header)} ${this.print(node.target)} }`;
+  }
+
+  printDestructureTensorPattern(node) {
+    const rows = node.rows.map((row) => row.map((entry) => this.print(entry)).join(", "));
+    return `{:${node.shape.join("x")}: ${rows.join("; ")} }`;
+  }
+}
+
+// Binding strength of a node when printed bare; atoms and postfix forms never need parentheses
+function nodePrecedence(node) {
+  if (!node) return ATOM_PRECEDENCE;
+  switch (node.type) {
+    case "BinaryOperation":
+      return (node.operatorInfo ?? SYMBOL_TABLE[node.operator])?.precedence ?? ATOM_PRECEDENCE;
+    case "SliceSpec":
+      return PRECEDENCE.INTERVAL;
+    case "UnaryOperation":
+      return node.operatorInfo?.precedence ?? PRECEDENCE.UNARY;
+    case "ImplicitMultiplication":
+      return JUXTAPOSITION_PRECEDENCE;
+    case "ImplicitApplication":
+      return IMPLICIT_APPLICATION_PRECEDENCE;
+    case "TernaryOperation":
+    case "SemanticHas":
+      return PRECEDENCE.CONDITION;
+    case "SemanticConvertSoft":
+    case "SemanticConvertStrict":
+      return PRECEDENCE.CONVERSION;
+    case "Reduce":
+    case "Reverse":
+      return PRECEDENCE.PIPE;
+    case "FunctionLambda":
+      return PRECEDENCE.ARROW;
+    case "FunctionDefinition":
+    case "FunctionVariantDefinition":
+    case "PatternMatchingFunction":
+      return PRECEDENCE.ASSIGNMENT;
+    case "SequenceExpression":
+    case "GeneratorChain":
+      return PRECEDENCE.STATEMENT;
+    case "SystemCapabilityCall":
+    case "Spread":
+      return PRECEDENCE.UNARY;
+    default:
+      if (INFIX_NODES[node.type]) {
+        return INFIX_NODES[node.type].left === "left" ? PRECEDENCE.PIPE : PRECEDENCE.INTERVAL;
+      }
+      return ATOM_PRECEDENCE;
+  }
+}
+
+// First node printed for `node`, following the left edge of postfix forms
+function leftmostNode(node) {
+  let current = node;
+  while (current) {
+    const next =
+      current.left ?? current.target ?? current.object ?? current.function ?? current.callable;
+    if (!next || typeof next !== "object" || !next.type) return current;
+    current = next;
+  }
+  return current;
+}
+
+// Whether `child` must be parenthesized as an operand of an operator of the
+// given precedence. `strict` is set on the side where equal precedence would
+// regroup (the right side of left-associative operators and vice versa).
+function needsParens(child, precedence, strict) {
+  const childPrecedence = nodePrecedence(child);
+  if (childPrecedence === ATOM_PRECEDENCE || precedence === ATOM_PRECEDENCE) {
+    return false;
+  }
+  return strict ? childPrecedence <= precedence : childPrecedence < precedence;
+}
+
+// Match each conditional to the parameter it constrains. Conditions come in
+// parameter order, so pick the next parameter the condition mentions.
+function assignConditionals(parameters, conditionals) {
+  const assigned = new Array(parameters.length).fill(null);
+  let next = 0;
+  for (const condition of conditionals) {
+    const names = collectIdentifierNames(condition);
+    let index = parameters.findIndex((param, i) => i >= next && names.has(param.name));
+    if (index === -1) {
+      index = Math.min(next, parameters.length - 1);
+    }
+    if (index < 0) continue;
+    assigned[index] = condition;
+    next = index + 1;
+  }
+  return assigned;
+}
+
+function collectIdentifierNames(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectIdentifierNames(child, names));
+  } else if (node && typeof node === "object") {
+    if (node.type === "UserIdentifier") names.add(node.name);
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== "pos" && key !== "original" && value && typeof value === "object") {
+        collectIdentifierNames(value, names);
+      }
+    }
+  }
+  return names;
+}
+
+// Shortest run of `char` that does not occur as an exact run inside `content`
+function delimiterFor(char, content) {
+  const runs = new Set((content.match(new RegExp(`\\${char}+`, "g")) ?? []).map((run) => run.length));
+  let count = 1;
+  while (runs.has(count)) count++;
+  return char.repeat(count);
+}
+
+// True when `left + symbol + right` tokenizes with `symbol` as its own token
+function lexesCleanly(leftText, symbol, rightText) {
+  try {
+    const tokens = tokenize(leftText.slice(-3) + symbol + rightText.slice(0, 3));
+    const start = Math.min(leftText.length, 3);
+    return tokens.some(
+      (token) => token.pos[1] === start && token.pos[2] === start + symbol.length,
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Print an AST (a parse() result, a single node, an array of statements or a
+ * CST Program) as RiX source.
+ *
+ * Options:
+ * - indent: spaces per nesting level, or the indent string (default 2)
+ * - spaceAroundOperators: put spaces around infix operators (default true)
+ * - lineWidth: containers longer than this are broken one element per line (default 80)
+ */
+export function print(ast, options = {}) {
+  const printer = new Printer(options);
+  // Recover mode results look like { ast, diagnostics }
+  return printer.print(ast && !ast.type && ast.ast ? ast.ast : ast);
+}
@@ -0,0 +1,941 @@
+/**
+ * RiX AST Schema
+ * The shape of every node parse() produces, as plain data. validateAst()
+ * checks parser output against it and generateTypes() turns it into the
+ * TypeScript declarations of index.d.ts (see scripts/build-types.js).
+ */
+
+/**
+ * Field types are written in a small type language:
+ * - "string", "number", "boolean", "null", and "object" for any plain object
+ * - "position": the [start, valueStart, end] source offsets of a node
+ * - "Node" for any node, a node type such as "SemanticHeader" for a node of
+ *   that type, or the name of one of the `shapes`, plain objects holding
+ *   nodes or other data
+ * - '"add"' for exactly that string
+ * - "T[]" for a list of T, "T{}" for an object whose values are T, and
+ *   "A | B" for either, with parentheses for grouping
+ * A field name ending in "?" may be missing. Every node has the `common`
+ * fields unless it declares a field of the same name itself.
+ */
+// The nodes a unit expression is made of
+const UNIT_EXPRESSION = "UnitName | UnitProduct | UnitQuotient | UnitPower | UnitOne";
+
+export const AST_SCHEMA = {
+  common: {
+    pos: "position",
+    original: "string",
+    // A getter parse() defines on each node, not enumerable
+    "loc?": "SourceLocation",
+    // Added by parse(source, { cst: true }), see buildCST()
+    "tokens?": "object[]",
+    "leadingTrivia?": "object[]",
+    "trailingTrivia?": "object[]",
+    "tokenRange?": "number[] | null",
+  },
+
+  shapes: {
+    SourceLocation: {
+      doc: "Where a node's text starts and ends, `end` being just past it",
+      fields: { start: "LineColumn", end: "LineColumn" },
+    },
+    LineColumn: {
+      doc: "A 1-based line and column",
+      fields: { line: "number", col: "number" },
+    },
+    Arguments: {
+      doc: "Arguments of a call: `F(a, b; n := 2)`",
+      fields: { positional: "Node[]", keyword: "Node{}" },
+    },
+    CapabilityArguments: {
+      doc: "Arguments of a system capability call",
+      fields: { positional: "Node[]", keyword: "Node{}", metadata: "Node{}" },
+    },
+    Parameters: {
+      doc: "Parameters of a function: `(x, y ? y > 0; n ?= 2)`",
+      fields: { positional: "Parameter[]", keyword: "Parameter[]", conditionals: "Node[]", metadata: "Node{}" },
+    },
+    Parameter: {
+      doc: "One parameter; `holeDefault` is the `?=` default used for omitted arguments",
+      fields: { name: "string | null", defaultValue: "Node | null", "holeDefault?": "Node", "isRest?": "boolean" },
+    },
+    Pattern: {
+      doc: "One case of a pattern matching function",
+      fields: { parameters: "Parameters", body: "Node" },
+    },
+    MutationOperation: {
+      doc: "One change of a mutation: `+key = value` or `-.key`",
+      fields: { action: '"add" | "remove"', key: "string", value: "Node | null" },
+    },
+    TensorRow: {
+      doc: "A row of a tensor and the number of semicolons ending it",
+      fields: { row: "Node[]", separatorLevel: "number" },
+    },
+    Variable: {
+      doc: "A variable of a derivative or integral: `[x, y]`",
+      fields: { name: "string", original: "string" },
+    },
+    IntegralMetadata: {
+      doc: "Integration constant of an integral",
+      fields: { integrationConstant: "string", defaultValue: "number" },
+    },
+    Import: {
+      doc: "An import of a block header: `<a~x>` copies `x` into `a`, `<a=x>` aliases it",
+      fields: { local: "string", source: "string", mode: "string" },
+    },
+    Binding: {
+      doc: "An input or output binding of a script import",
+      fields: { target: "string", source: "string", mode: "string", "sourceScope?": "string" },
+    },
+    UnitExponent: {
+      doc: "The exponent `num/den` of a unit power, in lowest terms as written",
+      fields: { num: "number", den: "number" },
+    },
+    AlgebraicExtension: {
+      doc: "What a mathematical unit adjoins to Q, see parseExtension(): `sqrt2` is a radical with generator `√2`",
+      fields: {
+        kind: '"imaginary" | "radical" | "rootOfUnity" | "transcendental" | "named"',
+        "name?": "string",
+        "index?": "number",
+        "radicand?": "number",
+        "order?": "number",
+        generator: "string | null",
+        field: "string",
+      },
+    },
+    CapabilityModifier: {
+      doc: "A capability change of a script import: `/+Group, -@Fn/`",
+      fields: { action: '"add" | "remove"', targetType: '"all" | "function" | "group"', target: "string" },
+    },
+  },
+
+  nodes: {
+    // Statements
+    Program: {
+      doc: "Root of a concrete syntax tree from parse(source, { cst: true })",
+      fields: { "pos?": "position", "original?": "string", body: "Node[]" },
+    },
+    Statement: {
+      doc: "An expression ended by `;`",
+      fields: { expression: "Node" },
+    },
+    Comment: {
+      doc: "A comment between statements: `## note`, `/* note */`",
+      fields: { value: "string", kind: "string" },
+    },
+    ErrorNode: {
+      doc: "Text that failed to parse, in recover mode",
+      fields: { code: "string", message: "string" },
+    },
+
+    // Literals and names
+    Number: {
+      doc: "A number literal; `value` is its text and the other fields its decoded parts (see decodeNumber())",
+      fields: {
+        value: "string",
+        format:
+          '"integer" | "decimal" | "repeating" | "rational" | "mixed" | "interval" | "radixShift" | "cf" | "decimalInterval" | "custom" | "quoted"',
+        "negative?": "boolean",
+        "base?": "number | null",
+        "prefix?": "string",
+        "alphabet?": "string",
+        "digits?": "string",
+        "whole?": "string",
+        "fraction?": "string",
+        "repeat?": "string",
+        "num?": "string",
+        "den?": "string",
+        "lo?": "Number",
+        "hi?": "Number",
+        "mantissa?": "Number",
+        "exponent?": "string",
+        "terms?": "string[]",
+        "lower?": "string",
+        "upper?": "string",
+        "plus?": "string",
+        "minus?": "string",
+        "bounds?": "string",
+      },
+    },
+    String: {
+      doc: 'A string: `"text"`, `` `text` ``, `:word`',
+      fields: { value: "string", kind: "string" },
+    },
+    RegexLiteral: {
+      doc: "A regular expression: `{/pattern/flags}`",
+      fields: { pattern: "string", flags: "string", mode: "string" },
+    },
+    EmbeddedLanguage: {
+      doc: "Text in another language: `` `LANG(context): body` ``; `parsed` is the body parsed by the language's handler, null without one",
+      fields: { language: "string", context: "string | null", body: "string", parsed: "Node[] | null" },
+    },
+    UserIdentifier: {
+      doc: "A lowercase name: `x`",
+      fields: { name: "string" },
+    },
+    SystemIdentifier: {
+      doc: "A capitalized name, with what systemLookup knows of it: `SIN`",
+      fields: { name: "string", systemInfo: "object" },
+    },
+    SystemFunctionRef: {
+      doc: "A system function named without calling it: `@_SIN`",
+      fields: { name: "string" },
+    },
+    SystemAccess: {
+      doc: "A capability of the system context: `.Name`, `@+`",
+      fields: { property: "string" },
+    },
+    SystemObject: {
+      doc: "The system context itself: `.`",
+      fields: {},
+    },
+    OuterIdentifier: {
+      doc: "A name from the enclosing scope: `@x`",
+      fields: { name: "string" },
+    },
+    PlaceHolder: {
+      doc: "A numbered argument slot: `_1`",
+      fields: { place: "number" },
+    },
+    Hole: {
+      doc: "An empty argument or loop slot",
+      fields: {},
+    },
+    NULL: {
+      doc: "The null symbol: `_`",
+      fields: {},
+    },
+    SelfRef: {
+      doc: "The current object: `$`",
+      fields: {},
+    },
+    ParentSelfRef: {
+      doc: "The enclosing object: `$$`",
+      fields: {},
+    },
+    KeyLiteral: {
+      doc: "A literal key after `[:`: `obj[:key]`",
+      fields: { name: "string" },
+    },
+    FullSlice: {
+      doc: "A whole-axis slice: `m[::, 1]`",
+      fields: {},
+    },
+
+    // Operators
+    BinaryOperation: {
+      doc: "An infix operation: `a + b`; custom operators carry their definition as `operatorInfo`",
+      fields: { operator: "string", left: "Node", right: "Node", "operatorInfo?": "object" },
+    },
+    UnaryOperation: {
+      doc: "A prefix operation: `-a`, or a registered postfix operator",
+      fields: { operator: "string", operand: "Node", "fixity?": '"postfix"', "operatorInfo?": "object" },
+    },
+    TernaryOperation: {
+      doc: "A conditional: `c ?? a ?: b`",
+      fields: { condition: "Node", trueExpression: "Node", falseExpression: "Node" },
+    },
+    ImplicitMultiplication: {
+      doc: "Juxtaposed factors: `2x`",
+      fields: { left: "Node", right: "Node" },
+    },
+    ImplicitApplication: {
+      doc: "A function applied by juxtaposition: `SIN x`",
+      fields: { callable: "Node", argument: "Node" },
+    },
+    Grouping: {
+      doc: "A parenthesized expression: `(a + b)`",
+      fields: { expression: "Node" },
+    },
+    SequenceExpression: {
+      doc: "Comma-separated expressions in a temporal block; `end` is where the last one ends",
+      fields: { expressions: "Node[]", end: "number" },
+    },
+    Spread: {
+      doc: "A spread argument: `...xs`",
+      fields: { expression: "Node" },
+    },
+    Transpose: {
+      doc: "A matrix transpose: `m^^`",
+      fields: { expression: "Node" },
+    },
+    At: {
+      doc: "Precision or metadata access: `x@(0.01)`",
+      fields: { target: "Node", arg: "Node" },
+    },
+    Ask: {
+      doc: "A membership query: `x?(I)`",
+      fields: { target: "Node", arg: "Node" },
+    },
+    ScientificUnit: {
+      doc: "A scientific unit: `3~[m/s]`; `unitExpression` is null when `unit` fails to parse, in recover mode",
+      fields: { target: "Node", unit: "string", unitExpression: `${UNIT_EXPRESSION} | null` },
+    },
+    MathematicalUnit: {
+      doc: "A mathematical unit: `2~{i}`; `extension` is null when `unit` fails to parse, in recover mode",
+      fields: { target: "Node", unit: "string", extension: "AlgebraicExtension | null" },
+    },
+
+    // Units of a ScientificUnit, see parseUnit()
+    UnitName: {
+      doc: "A unit symbol, split into an SI prefix and a known unit where it is one: `km`",
+      fields: { name: "string", prefix: "string | null", symbol: "string" },
+    },
+    UnitProduct: { doc: "A product of units: `N*m`, `N m`", fields: { left: UNIT_EXPRESSION, right: UNIT_EXPRESSION } },
+    UnitQuotient: { doc: "A quotient of units: `m/s`", fields: { left: UNIT_EXPRESSION, right: UNIT_EXPRESSION } },
+    UnitPower: {
+      doc: "A unit raised to an integer or rational power: `s^2`, `m^(1/2)`, `s⁻¹`",
+      fields: { base: UNIT_EXPRESSION, exponent: "UnitExponent" },
+    },
+    UnitOne: { doc: "The `1` of `1/s`", fields: {} },
+
+    // Pipes and list operators
+    Pipe: { doc: "A pipe: `x |> f`", fields: { left: "Node", right: "Node" } },
+    ExplicitPipe: { doc: "A pipe with placeholders: `(a, b) ||> f(_2, _1)`", fields: { left: "Node", right: "Node" } },
+    Map: { doc: "A map over a list: `xs |>> f`", fields: { left: "Node", right: "Node" } },
+    Filter: { doc: "A filter of a list: `xs |>? p`", fields: { left: "Node", right: "Node" } },
+    Reduce: {
+      doc: "A reduction of a list: `xs |>: f`, with an initial value: `xs |:> 0 >: f`",
+      fields: { left: "Node", "init?": "Node", right: "Node" },
+    },
+    Every: { doc: "Whether every item passes: `xs |>&& p`", fields: { left: "Node", right: "Node" } },
+    Some: { doc: "Whether some item passes: `xs |>|| p`", fields: { left: "Node", right: "Node" } },
+    Sort: { doc: "A sort by comparator: `xs |<> f`", fields: { left: "Node", right: "Node" } },
+    Split: { doc: "A split of a list: `xs |>/| p`", fields: { left: "Node", right: "Node" } },
+    Chunk: { doc: "A split into chunks: `xs |>#| 2`", fields: { left: "Node", right: "Node" } },
+    SliceStrict: { doc: "A strict slice: `xs |>/ 2`", fields: { left: "Node", right: "Node" } },
+    SliceClamp: { doc: "A clamped slice: `xs |>// 2`", fields: { left: "Node", right: "Node" } },
+    Reverse: { doc: "A reversed list: `xs |><`", fields: { target: "Node" } },
+
+    // Intervals and sequences
+    IntervalStepping: {
+      doc: "Points of an interval by step: `1:10 :+ 2`",
+      fields: { interval: "Node", step: "Node" },
+    },
+    equally_spaced: {
+      doc: "Equally spaced points of an interval: `1:2 :: 5`",
+      fields: { interval: "Node", count: "Node" },
+    },
+    IntervalPartition: {
+      doc: "A partition into subintervals: `1:2 :/: 4`",
+      fields: { interval: "Node", count: "Node" },
+    },
+    IntervalRandomPartition: {
+      doc: "A random partition: `1:2 :/% 4`",
+      fields: { interval: "Node", count: "Node" },
+    },
+    IntervalMediants: {
+      doc: "Mediants of an interval: `1:2 :~ 3`",
+      fields: { interval: "Node", levels: "Node" },
+    },
+    IntervalMediantPartition: {
+      doc: "A mediant partition: `1:2 :~/ 3`",
+      fields: { interval: "Node", levels: "Node" },
+    },
+    IntervalRandom: {
+      doc: "Random points of an interval: `1:2 :% 5`",
+      fields: { interval: "Node", parameters: "Node" },
+    },
+    InfiniteSequence: {
+      doc: "An unbounded sequence: `1 ::+ 2`",
+      fields: { start: "Node", step: "Node" },
+    },
+    GeneratorChain: {
+      doc: "An array generator: `[1 |+ 2 |^ 5]`",
+      fields: {
+        start: "Node | null",
+        operators:
+          "(GeneratorAdd | GeneratorMultiply | GeneratorFunction | GeneratorFilter | GeneratorLimit | GeneratorLazyLimit | GeneratorEagerLimit | GeneratorPipe)[]",
+      },
+    },
+    GeneratorAdd: { doc: "Arithmetic step: `|+ 2`", fields: { operator: "string", operand: "Node" } },
+    GeneratorMultiply: { doc: "Geometric step: `|* 2`", fields: { operator: "string", operand: "Node" } },
+    GeneratorFunction: { doc: "Step by function: `|: f`", fields: { operator: "string", operand: "Node" } },
+    GeneratorFilter: { doc: "Filter: `|? p`", fields: { operator: "string", operand: "Node" } },
+    GeneratorLimit: { doc: "Count or stop condition: `|^ 5`", fields: { operator: "string", operand: "Node" } },
+    GeneratorLazyLimit: { doc: "Lazy limit: `|^: 5`", fields: { operator: "string", operand: "Node" } },
+    GeneratorEagerLimit: { doc: "Eager limit: `|; 5`", fields: { operator: "string", operand: "Node" } },
+    GeneratorPipe: { doc: "Pipe of the generated items: `|> f`", fields: { operator: "string", operand: "Node" } },
+
+    // Collections
+    Array: { doc: "An array: `[1, 2, 3]`", fields: { elements: "Node[]" } },
+    Tuple: { doc: "A tuple: `(1, 2)`", fields: { elements: "Node[]" } },
+    Matrix: { doc: "A matrix: `[1, 2; 3, 4]`", fields: { rows: "Node[][]" } },
+    Tensor: {
+      doc: "A tensor: `[1, 2;; 3, 4]`; `maxDimension` is the longest semicolon run",
+      fields: { structure: "TensorRow[]", maxDimension: "number" },
+    },
+    TensorLiteral: {
+      doc: "A shaped tensor, elements in row-major order: `{:2x2: 1, 2; 3, 4}`",
+      fields: { shape: "number[]", "header?": "SemanticHeader", elements: "Node[]" },
+    },
+    WithMetadata: {
+      doc: "A value with metadata: `[x, name := \"a\"]`",
+      fields: { primary: "Node", metadata: "Node{}" },
+    },
+    BlockContainer: {
+      doc: "A code block: `{; a; b }`, `{ a; b }`",
+      fields: { "sigil?": "string", "name?": "string", "imports?": "Import[]", elements: "Node[]" },
+    },
+    ArrayContainer: {
+      doc: "An array constructor: `{.. 1, 2 }`; `tensorShape` when used as a shaped destructuring target",
+      fields: {
+        sigil: "string",
+        "name?": "string",
+        "tensorShape?": "number[]",
+        "header?": "SemanticHeader",
+        elements: "Node[]",
+      },
+    },
+    MapContainer: {
+      doc: "A map: `{= a=1, b=2 }`",
+      fields: { sigil: "string", "name?": "string", "header?": "SemanticHeader", elements: "Node[]" },
+    },
+    CaseContainer: {
+      doc: "A case block: `{? x < 0 ? -1; 1 }`",
+      fields: { sigil: "string", "name?": "string", elements: "Node[]" },
+    },
+    SetContainer: {
+      doc: "A set: `{| 1, 2 |}`",
+      fields: { sigil: "string", "name?": "string", "header?": "SemanticHeader", elements: "Node[]" },
+    },
+    TupleContainer: {
+      doc: "A tuple constructor: `{: 1, 2 }`",
+      fields: { sigil: "string", "name?": "string", "header?": "SemanticHeader", elements: "Node[]" },
+    },
+    LoopContainer: {
+      doc: "A loop: `{@ i := 0; i < 3; i; i += 1 }`, with an iteration limit: `{@:100@ ... }`",
+      fields: {
+        sigil: "string",
+        "name?": "string",
+        "maxIterations?": "number",
+        "unlimited?": "boolean",
+        "imports?": "Import[]",
+        elements: "Node[]",
+      },
+    },
+    MapEntry: {
+      doc: "A key and value of a map: `a=1`, `a:=x`",
+      fields: { key: "Node", value: "Node", captureMode: "string | null" },
+    },
+    CapturedEntry: {
+      doc: "A constructor element with a capture mode: `:=x`",
+      fields: { captureMode: "string", expression: "Node" },
+    },
+
+    // Access
+    PropertyAccess: {
+      doc: "An index or key: `obj[1]`, `obj[:key]`",
+      fields: { object: "Node", property: "Node" },
+    },
+    DotAccess: { doc: "A property: `obj.name`", fields: { object: "Node", property: "string" } },
+    ExternalAccess: { doc: "All meta properties: `obj..`", fields: { object: "Node", property: "null" } },
+    BracketIndex: { doc: "Several indices or slices: `m[1, 2:3]`", fields: { object: "Node", specs: "Node[]" } },
+    SliceSpec: { doc: "A slice: `2:3` in an index", fields: { start: "Node", end: "Node" } },
+    KeySet: { doc: "The keys of an object: `obj.|`", fields: { object: "Node" } },
+    ValueSet: { doc: "The values of an object: `obj|.`", fields: { object: "Node" } },
+    Mutation: {
+      doc: "A copy with changes, or a change in place: `obj{= +a=1, -.b }`, `obj{! +a=1 }`",
+      fields: { target: "Node", mutate: "boolean", operations: "MutationOperation[]" },
+    },
+
+    // Calls and functions
+    FunctionCall: {
+      doc: "A call of a named function: `F(a, b; n := 2)`",
+      fields: { function: "Node", arguments: "Arguments", "fromBrace?": "boolean" },
+    },
+    SystemCall: {
+      doc: "A call through the system context: `.SIN(x)`, `@_SIN(x)`",
+      fields: { name: "string", arguments: "Arguments", "viaSystemContext?": "boolean" },
+    },
+    SystemCapabilityCall: {
+      doc: "Evaluation through the system context: `@@ expr`",
+      fields: { property: "string", arguments: "CapabilityArguments" },
+    },
+    Call: { doc: "A call of an expression other than a name: `$(x)`", fields: { target: "Node", arguments: "Arguments" } },
+    MethodCall: {
+      doc: "A method call: `obj.name(x)`",
+      fields: { object: "Node", method: "string", arguments: "Arguments" },
+    },
+    ParameterList: {
+      doc: "Parameters in parentheses, told apart from a tuple by a `;`: `(x; n)`",
+      fields: { parameters: "Parameters" },
+    },
+    FunctionDefinition: {
+      doc: "A named function: `F(x) :-> x^2`",
+      fields: {
+        name: "Node",
+        parameters: "Parameters",
+        prep: "Node | null",
+        prepStrict: "boolean",
+        "variantName?": "string",
+        body: "Node",
+      },
+    },
+    FunctionVariantDefinition: {
+      doc: "A variant added to a named function: `F(x) ?- [x > 0] /Positive/ => x`",
+      fields: {
+        name: "Node",
+        parameters: "Parameters",
+        prep: "Node | null",
+        prepStrict: "boolean",
+        variantName: "string",
+        mode: "string",
+        body: "Node",
+      },
+    },
+    FunctionLambda: {
+      doc: "An anonymous function: `(x) -> x^2`",
+      fields: {
+        parameters: "Parameters",
+        prep: "Node | null",
+        prepStrict: "boolean",
+        "variantName?": "string",
+        body: "Node",
+      },
+    },
+    PatternMatchingFunction: {
+      doc: "A function by cases: `g :=> [ (x ? x < 0) -> -x, (x) -> x ]`",
+      fields: { name: "Node", parameters: "Parameters", patterns: "Pattern[]", metadata: "Node{}" },
+    },
+    Derivative: {
+      doc: "A derivative: `f'`, `f'[x]`, `f'(2)`",
+      fields: {
+        function: "Node",
+        order: "number",
+        variables: "Variable[] | null",
+        evaluation: "Node[] | null",
+        operations: "Node[] | null",
+      },
+    },
+    Integral: {
+      doc: "An integral: `'f`, `'f[x]`",
+      fields: {
+        function: "Node",
+        order: "number",
+        variables: "Variable[] | null",
+        evaluation: "Node[] | null",
+        operations: "Node[] | null",
+        metadata: "IntegralMetadata",
+      },
+    },
+
+    // Control
+    ControlStructure: {
+      doc: "A control keyword called in functional form, with the functionalForms option: `WHILE(c, body)`",
+      fields: {
+        keyword: "string",
+        structure: "string",
+        functionalOrigin: "boolean",
+        "init?": "Node",
+        condition: "Node",
+        "increment?": "Node",
+        "thenBranch?": "Node",
+        "elseBranch?": "Node",
+        "body?": "Node",
+      },
+    },
+    BreakBlock: {
+      doc: "An early exit with a value: `{! x }`, `{!@ x }`, `{!name! x}`",
+      fields: { "targetType?": '"block" | "loop" | "case"', "targetName?": "string", value: "Node" },
+    },
+    DeferredBlock: {
+      doc: "A block kept unevaluated: `@{; a; b }`",
+      fields: { body: "Node" },
+    },
+
+    // Semantic headers and system specs
+    SemanticHeader: {
+      doc: "A semantic header of a constructor: `/#name ::Type :trait/`",
+      fields: {
+        captureMode: "string | null",
+        name: "string | null",
+        typeName: "string | null",
+        traits: "HeaderTrait[]",
+      },
+    },
+    HeaderTrait: {
+      doc: "A trait of a semantic header",
+      fields: { name: "string", checkMode: "string | null", order: "number" },
+    },
+    ValueOutfit: {
+      doc: "A value with a semantic header: `{^ /::Point/ x }`",
+      fields: { header: "SemanticHeader", expression: "Node" },
+    },
+    SemanticHas: { doc: "A semantic type query: `x ? :rational`", fields: { expression: "Node", name: "string" } },
+    SemanticConvertSoft: { doc: "A soft conversion: `x ~: :rational`", fields: { expression: "Node", typeName: "string" } },
+    SemanticConvertStrict: {
+      doc: "A strict conversion: `x ~!: :rational`",
+      fields: { expression: "Node", typeName: "string" },
+    },
+    SystemSpecLiteral: {
+      doc: "A system specification: `{# p = x + 1 }`",
+      fields: {
+        sigil: "string",
+        "imports?": "Import[]",
+        inputs: "string[]",
+        outputs: "string[]",
+        outputsDeclared: "boolean",
+        statements: "SpecAssign[]",
+      },
+    },
+    SpecAssign: { doc: "An assignment of a system spec: `p = x + 1`", fields: { target: "string", expr: "Node" } },
+    ScriptImportExpression: {
+      doc: 'A script import: `<"path" /+Group/ a, b; c>`',
+      fields: {
+        path: "String",
+        "capabilityModifiers?": "CapabilityModifier[]",
+        "inputs?": "Binding[]",
+        "outputs?": "Binding[]",
+      },
+    },
+    ScriptBindingsDeclaration: {
+      doc: "The bindings a script takes: `<a, b>`",
+      fields: { bindings: "Binding[]" },
+    },
+
+    // Destructuring targets
+    DestructureVariableTarget: { doc: "A name to bind", fields: { name: "string" } },
+    DestructureRestTarget: { doc: "The rest of a list: `...rest`", fields: { target: "Node" } },
+    DestructureBindingModeTarget: {
+      doc: "A target with a binding mode",
+      fields: { bindingMode: "string", target: "Node" },
+    },
+    DestructureSemanticTarget: {
+      doc: "A target with a semantic header",
+      fields: { header: "SemanticHeader", target: "Node" },
+    },
+    DestructureIndexedTarget: {
+      doc: "A target taken from indices: `a[1]`",
+      fields: { wholeTarget: "Node | null", specs: "Node[]", nestedTarget: "Node | null" },
+    },
+    DestructureArrayPattern: {
+      doc: "An array pattern: `[a, b, ...rest] := xs`",
+      fields: { entries: "Node[]", rest: "Node | null" },
+    },
+    DestructureTuplePattern: {
+      doc: "A tuple pattern: `(a, b) := t`",
+      fields: { entries: "Node[]", rest: "Node | null" },
+    },
+    DestructureMapPattern: {
+      doc: "A map pattern: `{= a, b=c } := m`",
+      fields: { entries: "DestructureMapEntry[]", rest: "Node | null" },
+    },
+    DestructureMapEntry: {
+      doc: "A key of a map pattern and where its value goes",
+      fields: { sourceKey: "Node", wholeTarget: "Node | null", nestedTarget: "Node | null" },
+    },
+    DestructureTensorPattern: {
+      doc: "A matrix pattern: `{:2x2: a, b; c, d} := m`",
+      fields: { shape: "number[]", rows: "Node[][]" },
+    },
+  },
+};
+
+const PRIMITIVES = new Set(["string", "number", "boolean", "null", "object", "position", "Node"]);
+
+/**
+ * Check that `ast` (a node, a list of statements, or a parse() result with
+ * recover) has the shapes AST_SCHEMA describes: known node types, every
+ * required field, no unknown fields and values of the declared types.
+ * Returns a list of { path, message }, empty when it conforms; `path`
+ * names the offending value, such as "0.expression.left".
+ */
+export function validateAst(ast) {
+  const errors = [];
+  const root = isRecord(ast) && !ast.type && Array.isArray(ast.ast) ? ast.ast : ast;
+  if (Array.isArray(root)) {
+    root.forEach((node, index) => checkValue(node, parseType("Node"), String(index), errors));
+  } else {
+    checkValue(root, parseType("Node"), "", errors);
+  }
+  return errors;
+}
+
+function checkValue(value, type, path, errors) {
+  const report = (message) => errors.push({ path, message });
+  switch (type.kind) {
+    case "union": {
+      // A node is checked against the option naming its type, so that the
+      // problems inside it are reported rather than a bare mismatch
+      const matching = type.options.filter((option) => accepts(option, value));
+      if (matching.length === 0) {
+        report(`Expected ${formatType(type)}, got ${describe(value)}`);
+      } else if (!matching.some((option) => conforms(option, value))) {
+        checkValue(value, matching[0], path, errors);
+      }
+      return;
+    }
+    case "literal":
+      if (value !== type.value) report(`Expected ${JSON.stringify(type.value)}, got ${describe(value)}`);
+      return;
+    case "list":
+      if (!Array.isArray(value)) {
+        report(`Expected a list, got ${describe(value)}`);
+      } else {
+        value.forEach((item, index) => checkValue(item, type.of, join(path, index), errors));
+      }
+      return;
+    case "record":
+      if (!isRecord(value) || isNode(value)) {
+        report(`Expected an object, got ${describe(value)}`);
+      } else {
+        for (const [key, item] of Object.entries(value)) checkValue(item, type.of, join(path, key), errors);
+      }
+      return;
+  }
+
+  const { name } = type;
+  if (name === "string" || name === "number" || name === "boolean") {
+    if (typeof value !== name) report(`Expected a ${name}, got ${describe(value)}`);
+  } else if (name === "null") {
+    if (value !== null) report(`Expected null, got ${describe(value)}`);
+  } else if (name === "object") {
+    if (!isRecord(value)) report(`Expected an object, got ${describe(value)}`);
+  } else if (name === "position") {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every((offset) => Number.isInteger(offset))) {
+      report(`Expected a [start, valueStart, end] position, got ${describe(value)}`);
+    }
+  } else if (AST_SCHEMA.shapes[name]) {
+    if (!isRecord(value) || isNode(value)) {
+      report(`Expected ${name}, got ${describe(value)}`);
+    } else {
+      checkFields(value, AST_SCHEMA.shapes[name].fields, path, errors);
+    }
+  } else if (!isNode(value)) {
+    report(`Expected ${name === "Node" ? "a node" : `a ${name} node`}, got ${describe(value)}`);
+  } else if (!AST_SCHEMA.nodes[value.type]) {
+    report(`Unknown node type "${value.type}"`);
+  } else if (name !== "Node" && value.type !== name) {
+    report(`Expected a ${name} node, got ${value.type}`);
+  } else {
+    checkFields(value, nodeFields(value.type), path, errors);
+  }
+}
+
+function checkFields(value, fields, path, errors) {
+  const declared = new Map(Object.entries(fields).map(([key, type]) => [bareName(key), { key, type }]));
+  for (const [name, { key, type }] of declared) {
+    if (name in value) {
+      checkValue(value[name], parseType(type), join(path, name), errors);
+    } else if (!key.endsWith("?")) {
+      errors.push({ path: join(path, name), message: `Missing required field "${name}"` });
+    }
+  }
+  for (const name of Object.keys(value)) {
+    if (name !== "type" && !declared.has(name)) {
+      const owner = isNode(value) ? value.type : "object";
+      errors.push({ path: join(path, name), message: `Unexpected field "${name}" on ${owner}` });
+    }
+  }
+}
+
+// Whether `value` is of the kind `type` describes, without looking inside
+function accepts(type, value) {
+  switch (type.kind) {
+    case "union":
+      return type.options.some((option) => accepts(option, value));
+    case "literal":
+      return value === type.value;
+    case "list":
+      return Array.isArray(value);
+    case "record":
+      return isRecord(value) && !isNode(value);
+  }
+  const { name } = type;
+  if (name === "string" || name === "number" || name === "boolean") return typeof value === name;
+  if (name === "null") return value === null;
+  if (name === "object") return isRecord(value);
+  if (name === "position") return Array.isArray(value);
+  if (AST_SCHEMA.shapes[name]) return isRecord(value) && !isNode(value);
+  return isNode(value) && (name === "Node" || value.type === name);
+}
+
+function conforms(type, value) {
+  const errors = [];
+  checkValue(value, type, "", errors);
+  return errors.length === 0;
+}
+
+// The fields of a node type, its own declarations overriding the common ones
+function nodeFields(type) {
+  const fields = {};
+  const own = AST_SCHEMA.nodes[type].fields;
+  const ownNames = new Set(Object.keys(own).map(bareName));
+  for (const [key, value] of Object.entries(AST_SCHEMA.common)) {
+    if (!ownNames.has(bareName(key))) fields[key] = value;
+  }
+  return { ...fields, ...own };
+}
+
+/**
+ * Paths at which the fields of a node type hold nodes, written as the keys
+ * of CHILD_KEYS in visit.js ("arguments.positional[]"), which they match
+ */
+export function childPaths(type) {
+  const paths = (parsed, prefix) => {
+    switch (parsed.kind) {
+      case "union":
+        return [...new Set(parsed.options.flatMap((option) => paths(option, prefix)))];
+      case "list":
+        return paths(parsed.of, `${prefix}[]`);
+      case "record":
+        return paths(parsed.of, `${prefix}{}`);
+      case "literal":
+        return [];
+    }
+    const shape = AST_SCHEMA.shapes[parsed.name];
+    if (shape) {
+      return Object.entries(shape.fields).flatMap(([key, field]) => paths(parseType(field), `${prefix}.${bareName(key)}`));
+    }
+    return PRIMITIVES.has(parsed.name) && parsed.name !== "Node" ? [] : [prefix];
+  };
+  return Object.entries(AST_SCHEMA.nodes[type].fields).flatMap(([key, field]) =>
+    paths(parseType(field), bareName(key)),
+  );
+}
+
+const parsedTypes = new Map();
+
+// Parse a field type into { kind: "name" | "literal" | "list" | "record" | "union" }
+function parseType(text) {
+  if (parsedTypes.has(text)) return parsedTypes.get(text);
+  const tokens = text.match(/"[^"]*"|\[\]|\{\}|[A-Za-z_]\w*|[()|]/g);
+  let index = 0;
+  const union = () => {
+    const options = [postfix()];
+    while (tokens[index] === "|") {
+      index++;
+      options.push(postfix());
+    }
+    return options.length === 1 ? options[0] : { kind: "union", options };
+  };
+  const postfix = () => {
+    let type = atom();
+    while (tokens[index] === "[]" || tokens[index] === "{}") {
+      type = { kind: tokens[index] === "[]" ? "list" : "record", of: type };
+      index++;
+    }
+    return type;
+  };
+  const atom = () => {
+    const token = tokens[index++];
+    if (token === "(") {
+      const inner = union();
+      index++; // ")"
+      return inner;
+    }
+    if (token.startsWith('"')) return { kind: "literal", value: JSON.parse(token) };
+    if (!PRIMITIVES.has(token) && !AST_SCHEMA.shapes[token] && !AST_SCHEMA.nodes[token]) {
+      throw new Error(`Unknown type ${token} in AST schema type "${text}"`);
+    }
+    return { kind: "name", name: token };
+  };
+  const type = union();
+  parsedTypes.set(text, type);
+  return type;
+}
+
+function formatType(type) {
+  switch (type.kind) {
+    case "union":
+      return type.options.map(formatType).join(" | ");
+    case "literal":
+      return JSON.stringify(type.value);
+    case "list":
+      return `${formatType(type.of)}[]`;
+    case "record":
+      return `${formatType(type.of)}{}`;
+  }
+  return type.name;
+}
+
+/**
+ * TypeScript declarations of every node and shape in AST_SCHEMA: an
+ * interface per node type, named after it with a "Node" suffix
+ * (`BinaryOperationNode`), the discriminated union `Node` of them all and
+ * `NodeTypes`, mapping each `type` to its interface.
+ */
+export function generateTypes() {
+  const lines = ["export type Position = [start: number, valueStart: number, end: number];", ""];
+  const declare = (name, doc, fields, type) => {
+    // A "*/" in the text would end the comment early
+    lines.push(`/** ${doc.replaceAll("*/", "*\\/")} */`, `export interface ${name} {`);
+    if (type) lines.push(`  type: ${JSON.stringify(type)};`);
+    for (const [key, field] of Object.entries(fields)) {
+      const bare = bareName(key);
+      const property = /^[A-Za-z_$][\w$]*$/.test(bare) ? bare : JSON.stringify(bare);
+      lines.push(`  ${property}${key.endsWith("?") ? "?" : ""}: ${tsType(parseType(field))};`);
+    }
+    lines.push("}", "");
+  };
+
+  for (const [name, { doc, fields }] of Object.entries(AST_SCHEMA.shapes)) {
+    declare(name, doc, fields);
+  }
+  const types = Object.keys(AST_SCHEMA.nodes);
+  for (const type of types) {
+    declare(interfaceName(type), AST_SCHEMA.nodes[type].doc, nodeFields(type), type);
+  }
+  lines.push("/** Any node of the AST, told apart by `type` */");
+  lines.push("export type Node =");
+  types.forEach((type, i) => lines.push(`  | ${interfaceName(type)}${i === types.length - 1 ? ";" : ""}`));
+  lines.push("");
+  lines.push("export type NodeType = Node[\"type\"];", "");
+  lines.push("/** The interface of each node type */");
+  lines.push("export interface NodeTypes {");
+  for (const type of types) lines.push(`  ${type}: ${interfaceName(type)};`);
+  lines.push("}", "");
+  return lines.join("\n");
+}
+
+function tsType(type) {
+  switch (type.kind) {
+    case "union":
+      return type.options.map(tsType).join(" | ");
+    case "literal":
+      return JSON.stringify(type.value);
+    case "list": {
+      const item = tsType(type.of);
+      return type.of.kind === "union" ? `(${item})[]` : `${item}[]`;
+    }
+    case "record":
+      return `Record<string, ${tsType(type.of)}>`;
+  }
+  const { name } = type;
+  if (name === "position") return "Position";
+  if (name === "object") return "Record<string, unknown>";
+  if (PRIMITIVES.has(name) || AST_SCHEMA.shapes[name]) return name;
+  return interfaceName(name);
+}
+
+// BinaryOperation -> BinaryOperationNode, equally_spaced -> EquallySpacedNode
+function interfaceName(type) {
+  const name = type.replace(/(?:^|_)(\w)/g, (_, letter) => letter.toUpperCase());
+  return name.endsWith("Node") ? name : `${name}Node`;
+}
+
+function bareName(key) {
+  return key.endsWith("?") ? key.slice(0, -1) : key;
+}
+
+function join(path, key) {
+  return path === "" ? String(key) : `${path}.${key}`;
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (value === undefined) return "undefined";
+  if (Array.isArray(value)) return "a list";
+  if (isNode(value)) return `a ${value.type} node`;
+  if (typeof value === "object") return "an object";
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function isNode(value) {
+  return isRecord(value) && typeof value.type === "string";
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
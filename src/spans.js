@@ -0,0 +1,225 @@
+/**
+ * RiX Source Spans
+ * Works out which tokens each node of a parsed AST covers and gives every
+ * node the position and source text of its whole extent, plus a `loc` with
+ * line and column numbers computed when it is read.
+ */
+
+import { childNodes as astChildren } from "./visit.js";
+
+export function isComment(token) {
+  return token.type === "String" && token.kind === "comment";
+}
+
+// Offset where a token's own text starts, after the whitespace folded into `original`
+export function textStart(token) {
+  const original = token.original ?? "";
+  return token.pos[0] + (original.length - original.trimStart().length);
+}
+
+function isOpener(token) {
+  return (
+    token.type === "Symbol" &&
+    ["(", "[", "~["].includes(token.value) ||
+    (token.type === "Symbol" && /^~?\{/.test(token.value))
+  );
+}
+
+function isCloser(token) {
+  return token.type === "Symbol" && [")", "]", "}", "|}"].includes(token.value);
+}
+
+function closes(opener, closer) {
+  if (closer.value === ")") return opener.value === "(";
+  if (closer.value === "]") return opener.value === "[" || opener.value === "~[";
+  return /^~?\{/.test(opener.value);
+}
+
+// Index of the matching bracket for every opening and closing token. A
+// closer of the wrong kind, as in source being edited, stays unmatched.
+function matchBrackets(tokens) {
+  const partners = new Array(tokens.length).fill(-1);
+  const stack = [];
+  tokens.forEach((token, index) => {
+    if (isOpener(token)) {
+      stack.push(index);
+    } else if (isCloser(token) && stack.length > 0 && closes(tokens[stack[stack.length - 1]], token)) {
+      const opener = stack.pop();
+      partners[opener] = index;
+      partners[index] = opener;
+    }
+  });
+  return partners;
+}
+
+function childNodes(node) {
+  // The decoded parts of a number literal share its single token
+  return node.type === "Number" ? [] : astChildren(node);
+}
+
+/**
+ * Token range [first, last] of every node under `statements`, as indices
+ * into the parser's tokens without comments (the End token included), or
+ * null for nodes without a position. `createdAt` maps nodes to the parser's
+ * token index when they were created; it bounds where each node ends. A
+ * bracket left open by a statement the parser recovered from does not carry
+ * the statement into the ones after it.
+ */
+export function measureSpans(statements, tokens, createdAt) {
+  const significant = [];
+  const rawToSignificant = new Array(tokens.length + 1);
+  tokens.forEach((token, rawIndex) => {
+    rawToSignificant[rawIndex] = significant.length;
+    if (!isComment(token)) significant.push(token);
+  });
+  rawToSignificant[tokens.length] = significant.length;
+  const endIndex = significant.length - 1;
+  const tokenEnds = significant.map((token) => token.pos[2]);
+  const partners = matchBrackets(significant);
+
+  // Grow a span until every bracket inside it is closed inside it, but not
+  // past `limit`. Nodes are often created before their closing bracket is
+  // consumed; a bracket left open when recovering closes outside them.
+  const balance = (first, last, limit) => {
+    for (let i = first; i <= last; i++) {
+      const partner = partners[i];
+      if (partner > last && partner <= limit) last = partner;
+      if (partner !== -1 && partner < first) {
+        first = partner;
+        i = first - 1;
+      }
+    }
+    return [first, last];
+  };
+
+  // First significant token ending after `offset`
+  const tokenAt = (offset) => {
+    let low = 0;
+    let high = endIndex;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tokenEnds[mid] > offset) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  };
+
+  // Token range each node spans, from its position, creation time and
+  // children, balanced no further than `limit`
+  const spans = new Map();
+  const measure = (node, limit) => {
+    if (spans.has(node)) return spans.get(node);
+    spans.set(node, null);
+    const children = childNodes(node);
+    const measureChild = (child) => measure(child, limit);
+    if (node.pos && (!createdAt.has(node) || node.type === "ErrorNode")) {
+      // A node positioned when it was made, such as the function a sigil
+      // stands for or a part of a unit, covers the tokens of its position.
+      // So does the source an ErrorNode skipped, whose brackets need not
+      // balance.
+      children.forEach(measureChild);
+      const span = [tokenAt(node.pos[0]), tokenAt(Math.max(node.pos[0], node.pos[2] - 1))];
+      spans.set(node, span);
+      return span;
+    }
+    let first = Infinity;
+    let last = -Infinity;
+    if (createdAt.has(node)) {
+      last = rawToSignificant[createdAt.get(node)] - 1;
+    }
+    if (node.pos) {
+      const start = tokenAt(node.pos[0]);
+      first = last >= 0 ? Math.min(start, last) : start;
+      if (last < 0) last = start;
+    }
+    for (const child of children) {
+      const span = measureChild(child);
+      if (span) {
+        first = Math.min(first, span[0]);
+        last = Math.max(last, span[1]);
+      }
+    }
+    const span =
+      first <= last ? balance(Math.max(first, 0), Math.min(last, endIndex - 1), limit) : null;
+    spans.set(node, span);
+    return span;
+  };
+
+  // A statement ends before the next one starts
+  statements.forEach((statement, index) => {
+    const next = statements.slice(index + 1).find((node) => node?.pos);
+    measure(statement, next ? tokenAt(next.pos[1]) - 1 : Infinity);
+  });
+  return { spans, significant };
+}
+
+/**
+ * Set `pos` and `original` of every node under `statements` to cover all of
+ * its source, from the whitespace before its first token to the end of its
+ * last, and define `loc` on each. Comment nodes keep their own token's
+ * position and ErrorNodes the skipped source.
+ */
+export function assignSpans(statements, tokens, source, createdAt) {
+  const { spans, significant } = measureSpans(statements, tokens, createdAt);
+  for (const [node, span] of spans) {
+    if (span && node.type !== "Comment" && node.type !== "ErrorNode") {
+      const first = significant[span[0]];
+      const last = significant[span[1]];
+      // A node within a single token keeps its position: strings start
+      // theirs after the quote, and the parts of a number literal are
+      // positioned inside it. So does one positioned when it was made.
+      const withinToken = span[0] === span[1] && node.pos?.[0] >= first.pos[0] && node.pos?.[2] <= first.pos[2];
+      if (createdAt.has(node) && !withinToken) {
+        node.pos = [first.pos[0], textStart(first), last.pos[2]];
+        node.original = source.slice(node.pos[0], node.pos[2]);
+      }
+    }
+    if (node.pos) {
+      addLoc(node, source);
+    }
+  }
+}
+
+// Offsets where each line of the most recently used source starts
+let lineIndex = { source: null, starts: [0] };
+
+function lineStarts(source) {
+  if (lineIndex.source !== source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === "\n") starts.push(i + 1);
+    }
+    lineIndex = { source, starts };
+  }
+  return lineIndex.starts;
+}
+
+// 1-indexed {line, col} of an offset, as posToLineCol() counts them
+function lineCol(source, offset) {
+  const starts = lineStarts(source);
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, col: offset - starts[low] + 1 };
+}
+
+/**
+ * Define `loc` on a node: { start: {line, col}, end: {line, col} } of its
+ * text in `source`, without the leading whitespace. It is not enumerable and
+ * is computed from `pos` each time it is read.
+ */
+export function addLoc(node, source) {
+  Object.defineProperty(node, "loc", {
+    configurable: true,
+    enumerable: false,
+    get() {
+      const original = this.original ?? "";
+      const start = Math.min(this.pos[0] + original.length - original.trimStart().length, this.pos[2]);
+      return { start: lineCol(source, start), end: lineCol(source, this.pos[2]) };
+    },
+  });
+}
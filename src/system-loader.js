@@ -4,34 +4,60 @@
  * Browser-friendly with configurable keywords and extensible hooks
  */
 
+import { checkBaseAlphabet } from "./numbers.js";
+import { UNITS, checkUnitDefinition } from "./units.js";
+import { checkExtensionDefinition } from "./extensions.js";
+import { EMBEDDED_LANGUAGES } from "./embedded.js";
+import { readManifest, checkManifest, ModuleLoadError } from "./manifest.js";
+import {
+  CONFIG_FORMAT,
+  CONFIG_VERSION,
+  ConfigError,
+  migrateConfig,
+  validateConfig,
+  diffConfigs,
+  plainDefinition,
+  PRECEDENCE_RANGE,
+  isFunctionalArity,
+} from "./config.js";
+import { ParseError } from "./errors.js";
+
+export { ModuleLoadError, ConfigError };
+
 // Default System Registry - Core language maintainer level
 const DEFAULT_SYSTEM_REGISTRY = {
   // Mathematical functions
+  // keywordParams names the keyword arguments a function accepts, as in
+  // SIN(x; n:=4); functions without the list accept any
   SIN: {
     type: "function",
     arity: 1,
+    keywordParams: ["n"],
     precedence: 120,
     category: "trigonometric",
   },
   COS: {
     type: "function",
     arity: 1,
+    keywordParams: ["n"],
     precedence: 120,
     category: "trigonometric",
   },
   TAN: {
     type: "function",
     arity: 1,
+    keywordParams: ["n"],
     precedence: 120,
     category: "trigonometric",
   },
-  LOG: { type: "function", arity: 1, precedence: 120, category: "logarithmic" },
-  EXP: { type: "function", arity: 1, precedence: 120, category: "exponential" },
-  SQRT: { type: "function", arity: 1, precedence: 120, category: "arithmetic" },
-  ABS: { type: "function", arity: 1, precedence: 120, category: "arithmetic" },
-  MAX: { type: "function", arity: -1, precedence: 120, category: "aggregate" },
-  MIN: { type: "function", arity: -1, precedence: 120, category: "aggregate" },
-  SUM: { type: "function", arity: -1, precedence: 120, category: "aggregate" },
+  LOG: { type: "function", arity: 1, keywordParams: ["n"], precedence: 120, category: "logarithmic" },
+  EXP: { type: "function", arity: 1, keywordParams: ["n"], precedence: 120, category: "exponential" },
+  SQRT: { type: "function", arity: 1, keywordParams: ["n"], precedence: 120, category: "arithmetic" },
+  ABS: { type: "function", arity: 1, keywordParams: [], precedence: 120, category: "arithmetic" },
+  MAX: { type: "function", arity: -1, keywordParams: [], precedence: 120, category: "aggregate" },
+  MIN: { type: "function", arity: -1, keywordParams: [], precedence: 120, category: "aggregate" },
+  SUM: { type: "function", arity: -1, keywordParams: [], precedence: 120, category: "aggregate" },
+  CONVERT: { type: "function", arity: 3, keywordParams: [], precedence: 120, category: "units" },
 
   // Constants
   PI: { type: "constant", value: Math.PI, category: "mathematical" },
@@ -64,8 +90,13 @@ export class SystemLoader {
     this.systemRegistry = new Map(); // System tinkerer extensions
     this.operatorRegistry = new Map(); // Custom operators
     this.keywordRegistry = new Map(); // Configurable keywords
+    this.baseRegistry = new Map(); // User-defined number bases
+    this.unitRegistry = new Map(); // User-defined scientific units
+    this.extensionRegistry = new Map(); // Named algebraic extensions
+    this.embeddedLanguageRegistry = new Map(); // Parsers of backtick literal bodies
     this.hooks = new Map(); // Extension hooks
     this.contexts = new Map(); // Environment contexts
+    this.contextStack = []; // Names of the pushed contexts, innermost last
 
     // Configuration
     this.config = {
@@ -78,6 +109,8 @@ export class SystemLoader {
 
     // Initialize default keywords
     this.initializeDefaultKeywords();
+    // Kept to leave unchanged defaults out of exported configs
+    this.defaultKeywords = new Map(this.keywordRegistry);
 
     // Set up browser integration if enabled
     if (this.config.browserIntegration) {
@@ -117,6 +150,7 @@ export class SystemLoader {
     this.registerKeyword("IF", {
       type: "control",
       structure: "conditional",
+      functionalArity: [2, 3],
       precedence: 5,
       category: "control",
     });
@@ -169,7 +203,8 @@ export class SystemLoader {
   }
 
   /**
-   * Register a system symbol (System tinkerer level)
+   * Register a system symbol (System tinkerer level). While a context is
+   * pushed, the symbol goes into that context instead.
    */
   registerSystem(name, definition) {
     if (!name || typeof name !== "string") {
@@ -181,6 +216,26 @@ export class SystemLoader {
     // Validate definition
     const validatedDef = this.validateDefinition(definition);
 
+    const context = this.activeContext();
+    if (context) {
+      if (!this.config.allowUserOverrides && this.isGlobalSymbol(normalizedName)) {
+        throw new Error(
+          `Context "${context.name}" cannot shadow system symbol: ${normalizedName}`,
+        );
+      }
+      context.symbols.set(normalizedName, {
+        ...validatedDef,
+        source: "context",
+        registered: Date.now(),
+      });
+      this.triggerHook("system-registered", {
+        name: normalizedName,
+        definition: validatedDef,
+        context: context.name,
+      });
+      return this;
+    }
+
     // Check for conflicts with core registry in strict mode
     if (this.config.strictMode && this.coreRegistry.has(normalizedName)) {
       throw new Error(`Cannot override core system symbol: ${normalizedName}`);
@@ -223,35 +278,155 @@ export class SystemLoader {
   }
 
   /**
-   * Register a custom operator
+   * Register a custom operator. Parsing with this loader's
+   * operatorDefinitions() tokenizes the symbol as one token and parses it
+   * as an infix, prefix or postfix operator. While a context is pushed, the
+   * operator goes into that context instead.
    */
   registerOperator(symbol, definition) {
-    if (!symbol || typeof symbol !== "string") {
-      throw new Error("Operator symbol must be a non-empty string");
-    }
-
+    this.validateOperatorSymbol(symbol);
     const validatedDef = this.validateOperatorDefinition(definition);
 
-    this.operatorRegistry.set(symbol, {
+    const context = this.activeContext();
+    if (context && !this.config.allowUserOverrides && this.operatorRegistry.has(symbol)) {
+      throw new Error(`Context "${context.name}" cannot shadow operator: ${symbol}`);
+    }
+
+    (context ? context.operators : this.operatorRegistry).set(symbol, {
       ...validatedDef,
-      source: "operator",
+      source: context ? "context" : "operator",
       registered: Date.now(),
     });
 
     this.triggerHook("operator-registered", {
       symbol,
       definition: validatedDef,
+      ...(context ? { context: context.name } : {}),
+    });
+
+    return this;
+  }
+
+  /**
+   * Register the digit alphabet of a user-defined base prefix such as `0A`.
+   * The alphabet lists the digits in order; its length is the base.
+   */
+  registerBase(prefix, alphabet) {
+    const [letter, digits] = checkBaseAlphabet(prefix, alphabet);
+
+    this.baseRegistry.set(letter, {
+      alphabet: digits,
+      base: Array.from(digits).length,
+      source: "base",
+      registered: Date.now(),
+    });
+
+    this.triggerHook("base-registered", {
+      prefix: `0${letter}`,
+      alphabet: digits,
+    });
+
+    return this;
+  }
+
+  /**
+   * Register a scientific unit for checkDimensions(): its `dimension` as
+   * powers of base dimensions, such as `{ length: 1 }`, and whether SI
+   * prefixes combine with it (`prefixable`, false by default). In strict
+   * mode a built-in unit cannot be redefined.
+   */
+  registerUnit(symbol, definition) {
+    const validatedDef = checkUnitDefinition(symbol, definition);
+
+    if (this.config.strictMode && Object.hasOwn(UNITS, symbol)) {
+      throw new Error(`Cannot override built-in unit: ${symbol}`);
+    }
+
+    this.unitRegistry.set(symbol, {
+      ...validatedDef,
+      source: "unit",
+      registered: Date.now(),
+    });
+
+    this.triggerHook("unit-registered", {
+      symbol,
+      definition: validatedDef,
     });
 
     return this;
   }
 
   /**
-   * Main system lookup function for parser integration
+   * Register a named algebraic extension of the rationals, so that a
+   * mathematical unit such as `3~{phi}` names it. The definition is an
+   * object, such as `{ minimalPolynomial: "x^2 - x - 1" }`; the parser
+   * attaches it to the unit's extension descriptor. Built-in names such as
+   * `i` and roots such as `sqrt2` cannot be registered.
    */
-  lookup(name) {
+  registerExtension(name, definition = {}) {
+    const validatedDef = checkExtensionDefinition(name, definition);
+
+    this.extensionRegistry.set(name, {
+      ...validatedDef,
+      source: "extension",
+      registered: Date.now(),
+    });
+
+    this.triggerHook("extension-registered", {
+      name,
+      definition: validatedDef,
+    });
+
+    return this;
+  }
+
+  /**
+   * Register the parser of an embedded language, called for the body of
+   * each backtick literal with that language header, such as
+   * `` `JSON:{"a": 1}` ``. See embedded.js for what a parser is given and
+   * returns. In strict mode a built-in language cannot be replaced.
+   */
+  registerEmbeddedLanguage(name, parser) {
+    if (typeof name !== "string" || !/^\p{L}[\p{L}\p{N}_-]*$/u.test(name)) {
+      throw new Error(`Invalid embedded language name: ${name}`);
+    }
+    if (typeof parser !== "function") {
+      throw new Error(`Embedded language ${name} needs a parser function`);
+    }
+
+    if (this.config.strictMode && Object.hasOwn(EMBEDDED_LANGUAGES, name)) {
+      throw new Error(`Cannot override built-in embedded language: ${name}`);
+    }
+
+    this.embeddedLanguageRegistry.set(name, {
+      parser,
+      source: "embedded-language",
+      registered: Date.now(),
+    });
+
+    this.triggerHook("embedded-language-registered", {
+      name,
+      parser,
+    });
+
+    return this;
+  }
+
+  /**
+   * Main system lookup function for parser integration. Symbols of the
+   * context chain, innermost first, come before the global registries; the
+   * context defaults to the current one.
+   */
+  lookup(name, contextName = this.getCurrentContext()) {
     const normalizedName = name.toUpperCase();
 
+    for (const context of this.contextChain(contextName)) {
+      if (context.symbols.has(normalizedName)) {
+        const def = context.symbols.get(normalizedName);
+        return this.enrichDefinition(def, normalizedName, contextName);
+      }
+    }
+
     // Check keyword registry first
     if (this.keywordRegistry.has(normalizedName)) {
       const def = this.keywordRegistry.get(normalizedName);
@@ -266,25 +441,54 @@ export class SystemLoader {
             arity: this.getControlArity(normalizedName, def),
           },
           normalizedName,
+          contextName,
         );
       }
-      return this.enrichDefinition(def, normalizedName);
+      return this.enrichDefinition(def, normalizedName, contextName);
     }
 
     // Check system registry
     if (this.systemRegistry.has(normalizedName)) {
       const def = this.systemRegistry.get(normalizedName);
-      return this.enrichDefinition(def, normalizedName);
+      return this.enrichDefinition(def, normalizedName, contextName);
     }
 
     // Check core registry
     if (this.coreRegistry.has(normalizedName)) {
       const def = this.coreRegistry.get(normalizedName);
-      return this.enrichDefinition(def, normalizedName);
+      return this.enrichDefinition(def, normalizedName, contextName);
     }
 
-    // Default fallback
-    return { type: "identifier", name: normalizedName, source: "unknown" };
+    // Default fallback, with the near misses for "did you mean" messages
+    return {
+      type: "identifier",
+      name: normalizedName,
+      source: "unknown",
+      suggestions: this.suggest(normalizedName, contextName),
+    };
+  }
+
+  /**
+   * Known symbols spelled close to `name`, closest first: core, system and
+   * keyword symbols plus those of the context chain within a small edit
+   * distance (a swap of neighbouring letters counts as one edit).
+   */
+  suggest(name, contextName = this.getCurrentContext(), limit = 3) {
+    const target = name.toUpperCase();
+    const maxDistance = Math.floor((target.length + 1) / 3);
+    const candidates = new Set([
+      ...this.coreRegistry.keys(),
+      ...this.systemRegistry.keys(),
+      ...this.keywordRegistry.keys(),
+      ...this.contextChain(contextName).flatMap((context) => [...context.symbols.keys()]),
+    ]);
+    candidates.delete(target);
+
+    return Array.from(candidates, (candidate) => [candidate, editDistance(target, candidate)])
+      .filter(([, distance]) => distance <= maxDistance)
+      .sort(([a, da], [b, db]) => da - db || (a < b ? -1 : a > b ? 1 : 0))
+      .slice(0, limit)
+      .map(([candidate]) => candidate);
   }
 
   /**
@@ -300,6 +504,12 @@ export class SystemLoader {
       throw new Error("Definition must have a type property");
     }
 
+    const [low, high] = PRECEDENCE_RANGE;
+    const { precedence } = definition;
+    if (typeof precedence === "number" && !(precedence >= low && precedence <= high)) {
+      throw new Error(`Precedence must be a number from ${low} to ${high}`);
+    }
+
     // Type-specific validation
     switch (type) {
       case "operator":
@@ -318,31 +528,53 @@ export class SystemLoader {
         ) {
           throw new Error("Function arity must be a number or undefined");
         }
+        if (
+          definition.keywordParams !== undefined &&
+          !(Array.isArray(definition.keywordParams) &&
+            definition.keywordParams.every((name) => typeof name === "string"))
+        ) {
+          throw new Error("Function keywordParams must be a list of names");
+        }
         break;
 
       case "control":
         if (!definition.structure || typeof definition.structure !== "string") {
           throw new Error("Control definition must have a structure property");
         }
+        if (definition.functionalArity !== undefined && !isFunctionalArity(definition.functionalArity)) {
+          throw new Error("Functional arity must be a number of arguments or a [min, max] pair");
+        }
         break;
     }
 
     return { ...definition };
   }
 
+  /**
+   * Validate operator symbol: the tokenizer only sees symbol characters
+   */
+  validateOperatorSymbol(symbol) {
+    if (!symbol || typeof symbol !== "string") {
+      throw new Error("Operator symbol must be a non-empty string");
+    }
+    if (/[\s\p{L}\p{N}_]/u.test(symbol)) {
+      throw new Error(`Operator symbol "${symbol}" must not contain letters, digits or whitespace`);
+    }
+  }
+
   /**
    * Validate operator definition
    */
   validateOperatorDefinition(definition) {
-    const validated = this.validateDefinition(definition);
-
-    if (validated.type !== "operator") {
-      validated.type = "operator";
+    if (!definition || typeof definition !== "object") {
+      throw new Error("Definition must be an object");
     }
 
-    if (!validated.precedence) {
-      validated.precedence = 50; // Default precedence
-    }
+    const validated = this.validateDefinition({
+      precedence: 50, // Default precedence
+      ...definition,
+      type: "operator",
+    });
 
     if (!validated.associativity) {
       validated.associativity = "left";
@@ -352,18 +584,22 @@ export class SystemLoader {
       validated.operatorType = "infix";
     }
 
+    if (!["infix", "prefix", "postfix"].includes(validated.operatorType)) {
+      throw new Error("Operator type must be infix, prefix or postfix");
+    }
+
     return validated;
   }
 
   /**
    * Enrich definition with runtime information
    */
-  enrichDefinition(definition, name) {
+  enrichDefinition(definition, name, context = this.getCurrentContext()) {
     return {
       ...definition,
       name,
       resolvedAt: Date.now(),
-      context: this.getCurrentContext(),
+      context,
     };
   }
 
@@ -431,60 +667,40 @@ export class SystemLoader {
   }
 
   /**
-   * Create browser-compatible module loader
+   * Create browser-compatible module loader. It fetches manifest text from a
+   * URL, a data: URL or a `text/rix-system` script tag; nothing is executed.
    */
   createBrowserModuleLoader() {
     return {
       async load(moduleSpec) {
-        // Support different module formats
         if (
           moduleSpec.startsWith("http://") ||
           moduleSpec.startsWith("https://")
         ) {
           // Load from URL
           const response = await fetch(moduleSpec);
-          const code = await response.text();
-          return this.evaluateModule(code);
+          return response.text();
         } else if (moduleSpec.startsWith("data:")) {
           // Data URL
-          const code = decodeURIComponent(moduleSpec.split(",")[1]);
-          return this.evaluateModule(code);
+          return decodeURIComponent(moduleSpec.split(",")[1]);
         } else {
           // Try to resolve as a DOM script tag
           const scriptTag = document.getElementById(moduleSpec);
           if (scriptTag && scriptTag.type === "text/rix-system") {
-            return this.evaluateModule(scriptTag.textContent);
+            return scriptTag.textContent;
           }
         }
 
         throw new Error(`Cannot load module: ${moduleSpec}`);
       },
-
-      evaluateModule(code) {
-        // Simple evaluation - in production, you'd want a safer sandbox
-        try {
-          const moduleFunction = new Function(
-            "SystemLoader",
-            "registerSystem",
-            "registerKeyword",
-            "registerOperator",
-            code,
-          );
-          return moduleFunction(
-            this,
-            (name, def) => this.registerSystem(name, def),
-            (name, def) => this.registerKeyword(name, def),
-            (symbol, def) => this.registerOperator(symbol, def),
-          );
-        } catch (error) {
-          throw new Error(`Module evaluation failed: ${error.message}`);
-        }
-      },
     };
   }
 
   /**
-   * Load system extension module
+   * Load system extension module: the configured moduleLoader fetches its
+   * manifest, which is checked and applied with applyManifest(). Failures
+   * are thrown as a ModuleLoadError and reported to the `module-load-error`
+   * hook as { moduleSpec, error, errors }.
    */
   async loadModule(moduleSpec) {
     if (!this.config.moduleLoader) {
@@ -492,36 +708,198 @@ export class SystemLoader {
     }
 
     try {
-      const result = await this.config.moduleLoader.load(moduleSpec);
+      const source = await this.config.moduleLoader.load(moduleSpec);
+      const result = this.applyManifest(readManifest(source, moduleSpec), moduleSpec);
       this.triggerHook("module-loaded", { moduleSpec, result });
       return result;
     } catch (error) {
-      this.triggerHook("module-load-error", { moduleSpec, error });
-      throw error;
+      const loadError =
+        error instanceof ModuleLoadError
+          ? error
+          : new ModuleLoadError(moduleSpec, [
+            { code: "E_MODULE_LOAD", path: "", message: error.message },
+          ]);
+      this.triggerHook("module-load-error", {
+        moduleSpec,
+        error: loadError,
+        errors: loadError.errors,
+      });
+      throw loadError;
     }
   }
 
   /**
-   * Create a new context (for scoped environments)
+   * Check a declarative extension manifest (see manifest.js) and register
+   * its systems, keywords, operators and aliases. Nothing is registered when
+   * the manifest has problems; they are thrown as one ModuleLoadError.
+   * Returns the names registered in each section.
+   */
+  applyManifest(manifest, moduleSpec = manifest?.name ?? "<manifest>") {
+    const errors = checkManifest(manifest, this);
+    if (errors.length > 0) {
+      throw new ModuleLoadError(moduleSpec, errors);
+    }
+
+    const categoryOf = new Map();
+    for (const [category, names] of Object.entries(manifest.categories ?? {})) {
+      names.forEach((name) => categoryOf.set(name.toUpperCase(), category));
+    }
+    const withCategory = (name, definition) => {
+      const category = categoryOf.get(name.toUpperCase());
+      return category ? { ...definition, category } : definition;
+    };
+
+    // Registering can still fail, e.g. on a context shadowing a global
+    // symbol; the registries it writes to are put back as they were then
+    const context = this.activeContext();
+    const registries = [this.systemRegistry, this.keywordRegistry, this.operatorRegistry];
+    if (context) registries.push(context.symbols, context.operators);
+    const saved = registries.map((registry) => new Map(registry));
+
+    const result = { name: manifest.name, systems: [], keywords: [], operators: [], aliases: [] };
+    try {
+      for (const [name, definition] of Object.entries(manifest.systems ?? {})) {
+        this.registerSystem(name, withCategory(name, definition));
+        result.systems.push(name.toUpperCase());
+      }
+      for (const [name, definition] of Object.entries(manifest.keywords ?? {})) {
+        this.registerKeyword(name, withCategory(name, definition));
+        result.keywords.push(name.toUpperCase());
+      }
+      for (const [symbol, definition] of Object.entries(manifest.operators ?? {})) {
+        this.registerOperator(symbol, definition);
+        result.operators.push(symbol);
+      }
+      for (const [alias, target] of Object.entries(manifest.aliases ?? {})) {
+        const targetName = target.toUpperCase();
+        if (this.keywordRegistry.has(targetName)) {
+          const { source, registered, ...definition } = this.keywordRegistry.get(targetName);
+          this.registerKeyword(alias, { ...definition, aliasOf: targetName });
+        } else {
+          const { name, resolvedAt, context, source, registered, ...definition } = this.lookup(targetName);
+          this.registerSystem(alias, { ...definition, aliasOf: targetName });
+        }
+        result.aliases.push(alias.toUpperCase());
+      }
+    } catch (error) {
+      registries.forEach((registry, i) => {
+        registry.clear();
+        saved[i].forEach((definition, name) => registry.set(name, definition));
+      });
+      throw new ModuleLoadError(moduleSpec, [
+        { code: "E_INVALID_DEFINITION", path: "", message: error.message },
+      ]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a new context (for scoped environments). Its symbols and
+   * operators extend those of the parent context, given as a context or its
+   * name, or of the global registries when there is none.
+   *
+   * Throws for a name already in use, rather than replacing the context and
+   * dropping its symbols from under its children, and for "global", which
+   * names the global registries. Delete a context from `contexts` to start
+   * it over.
    */
   createContext(name, parentContext = null) {
+    if (!name || typeof name !== "string" || name === "global") {
+      throw new Error("Context name must be a non-empty string other than \"global\"");
+    }
+    if (this.contexts.has(name)) {
+      throw new Error(`Context already exists: ${name}`);
+    }
+    const parent = typeof parentContext === "string" ? parentContext : parentContext?.name ?? null;
+    if (parent !== null && parent !== "global" && !this.contexts.has(parent)) {
+      throw new Error(`Unknown context: ${parent}`);
+    }
+
     const context = {
       name,
-      parent: parentContext,
+      parent: parent === "global" ? null : parent,
       created: Date.now(),
       symbols: new Map(),
       operators: new Map(),
     };
 
     this.contexts.set(name, context);
+    this.triggerHook("context-created", { name, parent: context.parent });
+    return context;
+  }
+
+  /**
+   * Make a context current, creating it as a child of the current context
+   * when it does not exist yet. Registrations go into the current context
+   * and lookups start there.
+   */
+  pushContext(name) {
+    const context =
+      this.contexts.get(name) ??
+      this.createContext(name, this.activeContext());
+    this.contextStack.push(context.name);
     return context;
   }
 
   /**
-   * Get current context (stub - would be implemented with actual context tracking)
+   * Leave the current context, returning its name
+   */
+  popContext() {
+    if (this.contextStack.length === 0) {
+      throw new Error("No context to pop");
+    }
+    return this.contextStack.pop();
+  }
+
+  /**
+   * Run fn(loader) with a context pushed, popping it again afterwards even
+   * when fn throws. fn runs synchronously; its result is returned.
+   */
+  withContext(name, fn) {
+    this.pushContext(name);
+    try {
+      return fn(this);
+    } finally {
+      this.popContext();
+    }
+  }
+
+  /**
+   * Name of the current context, "global" when none is pushed
    */
   getCurrentContext() {
-    return "global"; // Simplified for now
+    return this.contextStack[this.contextStack.length - 1] ?? "global";
+  }
+
+  // The current context object, or null at global scope
+  activeContext() {
+    const name = this.getCurrentContext();
+    return name === "global" ? null : this.contexts.get(name);
+  }
+
+  // Contexts from `name` up through its ancestors; empty for "global"
+  contextChain(name) {
+    const chain = [];
+    let current = name === "global" ? null : name;
+    while (current !== null) {
+      const context = this.contexts.get(current);
+      if (!context) {
+        throw new Error(`Unknown context: ${current}`);
+      }
+      chain.push(context);
+      current = context.parent;
+    }
+    return chain;
+  }
+
+  // Whether a symbol is defined outside any context
+  isGlobalSymbol(name) {
+    return (
+      this.keywordRegistry.has(name) ||
+      this.systemRegistry.has(name) ||
+      this.coreRegistry.has(name)
+    );
   }
 
   /**
@@ -544,6 +922,37 @@ export class SystemLoader {
     }
   }
 
+  /**
+   * Check the argument count of a control keyword in functional form,
+   * throwing an E_CONTROL_ARITY ParseError when it does not fit. A keyword
+   * takes its definition's functionalArity, a number or a [min, max] pair
+   * such as IF's [2, 3]; without one, exactly its control arity, or any
+   * number when that is -1.
+   */
+  checkFunctionalArity(name, count, definition) {
+    const arity = definition.functionalArity ?? definition.arity ?? this.getControlArity(name, definition);
+    const [min, max] = Array.isArray(arity) ? arity : arity >= 0 ? [arity, arity] : [0, Infinity];
+    if (count >= min && count <= max) {
+      return;
+    }
+    const expected = min === max ? `${min}` : `${min} or ${max}`;
+    const noun = max === 1 ? "argument" : "arguments";
+    throw new ParseError(`${name} takes ${expected} ${noun} in functional form, got ${count}`, {
+      code: "E_CONTROL_ARITY",
+    });
+  }
+
+  /**
+   * Generate the functional form transform for the parser's `functionalForms`
+   * option: checks the arity, then applies transformFunctionalForm()
+   */
+  createFunctionalFormTransform() {
+    return (name, args, definition) => {
+      this.checkFunctionalArity(name, args.length, definition);
+      return this.transformFunctionalForm(name, args, definition);
+    };
+  }
+
   /**
    * Transform functional form calls to control structures
    * WHILE(condition, body) -> WHILE condition DO body
@@ -629,45 +1038,164 @@ export class SystemLoader {
    * Generate system lookup function for parser
    */
   createParserLookup() {
-    return (name) => this.lookup(name);
+    return (name, context) => this.lookup(name, context);
+  }
+
+  /**
+   * Registered base alphabets, for the `bases` option of tokenize() and parse()
+   */
+  baseAlphabets() {
+    return new Map(Array.from(this.baseRegistry, ([letter, { alphabet }]) => [letter, alphabet]));
+  }
+
+  /**
+   * The built-in units with the registered ones, for the `units` option of
+   * checkDimensions()
+   */
+  unitTable() {
+    return { ...UNITS, ...Object.fromEntries(this.unitRegistry) };
   }
 
   /**
-   * Export current configuration
+   * Generate the extension lookup function for the `extensionLookup` option
+   * of parse(). Names not registered come back with source "unknown", and
+   * with `strict` set in strict mode so that the parser rejects them.
+   */
+  createExtensionLookup() {
+    return (name) =>
+      this.extensionRegistry.get(name) ?? { source: "unknown", strict: this.config.strictMode };
+  }
+
+  /**
+   * The built-in embedded language parsers with the registered ones, for
+   * the `embeddedLanguages` option of parse()
+   */
+  embeddedLanguages() {
+    const languages = new Map(Object.entries(EMBEDDED_LANGUAGES));
+    for (const [name, { parser }] of this.embeddedLanguageRegistry) {
+      languages.set(name, parser);
+    }
+    return languages;
+  }
+
+  /**
+   * Registered custom operators, for the `operators` option of tokenize()
+   * and parse(). Operators of the context chain are included, the innermost
+   * winning; the context defaults to the current one.
+   */
+  operatorDefinitions(contextName = this.getCurrentContext()) {
+    const definitions = new Map(this.operatorRegistry);
+    for (const context of this.contextChain(contextName).reverse()) {
+      for (const [symbol, definition] of context.operators) {
+        definitions.set(symbol, definition);
+      }
+    }
+    return definitions;
+  }
+
+  /**
+   * Export the vocabulary added to this loader as a versioned config (see
+   * config.js): system symbols, keywords other than the unchanged defaults,
+   * operators, bases and contexts, with names sorted so that the JSON diffs
+   * cleanly under version control. The core registry is not included.
    */
   exportConfig() {
+    const definitions = (entries) =>
+      Object.fromEntries(
+        Array.from(entries)
+          .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+          .map(([name, definition]) => [name, plainDefinition(definition)]),
+      );
+    const keywords = Array.from(this.keywordRegistry).filter(
+      ([name, definition]) => this.defaultKeywords.get(name) !== definition,
+    );
+
     return {
-      core: Array.from(this.coreRegistry.entries()),
-      system: Array.from(this.systemRegistry.entries()),
-      keywords: Array.from(this.keywordRegistry.entries()),
-      operators: Array.from(this.operatorRegistry.entries()),
-      config: { ...this.config },
+      format: CONFIG_FORMAT,
+      version: CONFIG_VERSION,
+      settings: {
+        allowUserOverrides: this.config.allowUserOverrides,
+        strictMode: this.config.strictMode,
+      },
+      systems: definitions(this.systemRegistry),
+      keywords: definitions(keywords),
+      operators: definitions(this.operatorRegistry),
+      bases: Object.fromEntries(
+        Array.from(this.baseRegistry, ([letter, { alphabet }]) => [letter, alphabet]).sort(),
+      ),
+      units: definitions(this.unitRegistry),
+      extensions: definitions(this.extensionRegistry),
+      contexts: Object.fromEntries(
+        Array.from(this.contexts.values(), (context) => [
+          context.name,
+          {
+            parent: context.parent,
+            systems: definitions(context.symbols),
+            operators: definitions(context.operators),
+          },
+        ]).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+      ),
     };
   }
 
   /**
-   * Import configuration
+   * Import a config from exportConfig(), migrating older versions first.
+   * The whole config is validated before anything is registered; problems
+   * are thrown as one ConfigError listing each { path, message }. The
+   * loader's own settings are kept.
    */
   importConfig(config) {
-    if (config.system) {
-      config.system.forEach(([name, def]) =>
-        this.systemRegistry.set(name, def),
-      );
+    const migrated = migrateConfig(config);
+    const errors = validateConfig(migrated, this);
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
     }
 
-    if (config.keywords) {
-      config.keywords.forEach(([name, def]) =>
-        this.keywordRegistry.set(name, def),
-      );
+    const registered = Date.now();
+    const store = (registry, entries = {}, source, normalize = (name) => name.toUpperCase()) => {
+      for (const [name, definition] of Object.entries(entries)) {
+        registry.set(normalize(name), { ...definition, source, registered });
+      }
+    };
+    store(this.systemRegistry, migrated.systems, "system");
+    store(this.keywordRegistry, migrated.keywords, "keyword");
+    store(this.operatorRegistry, migrated.operators, "operator", (symbol) => symbol);
+    for (const [prefix, alphabet] of Object.entries(migrated.bases ?? {})) {
+      const [letter, digits] = checkBaseAlphabet(prefix, alphabet);
+      this.baseRegistry.set(letter, { alphabet: digits, base: Array.from(digits).length, source: "base", registered });
+    }
+    for (const [symbol, definition] of Object.entries(migrated.units ?? {})) {
+      this.unitRegistry.set(symbol, { ...checkUnitDefinition(symbol, definition), source: "unit", registered });
+    }
+    for (const [name, definition] of Object.entries(migrated.extensions ?? {})) {
+      this.extensionRegistry.set(name, { ...checkExtensionDefinition(name, definition), source: "extension", registered });
     }
 
-    if (config.operators) {
-      config.operators.forEach(([symbol, def]) =>
-        this.operatorRegistry.set(symbol, def),
-      );
+    // Parents first, so every context can be created under its parent
+    const pending = new Map(Object.entries(migrated.contexts ?? {}));
+    while (pending.size > 0) {
+      for (const [name, { parent = null, systems, operators }] of pending) {
+        if (parent !== null && pending.has(parent)) continue;
+        const context = this.contexts.get(name) ?? this.createContext(name, parent);
+        store(context.symbols, systems, "context");
+        store(context.operators, operators, "context", (symbol) => symbol);
+        pending.delete(name);
+      }
     }
 
-    this.triggerHook("config-imported", config);
+    this.triggerHook("config-imported", migrated);
+    return this;
+  }
+
+  /**
+   * Differences from this loader's config to another loader's or to a
+   * config object, as { path, change, before, after } entries (see
+   * config.js), e.g. to review a vocabulary change before committing it.
+   */
+  diffConfig(other) {
+    const target =
+      other instanceof SystemLoader ? other.exportConfig() : migrateConfig(other);
+    return diffConfigs(this.exportConfig(), target);
   }
 }
 
@@ -731,7 +1259,7 @@ export function createWebPageSystemLoader(options = {}) {
     window.RiX.defineControlFlow = () => {
       // Control keywords with functional form support
       const controlKeywords = {
-        IF: { structure: "conditional", precedence: 5 },
+        IF: { structure: "conditional", functionalArity: [2, 3], precedence: 5 },
         ELSE: { structure: "conditional", precedence: 5 },
         WHILE: { structure: "loop", precedence: 5 },
         FOR: { structure: "loop", precedence: 5 },
@@ -745,6 +1273,7 @@ export function createWebPageSystemLoader(options = {}) {
         loader.registerKeyword(keyword, {
           type: "control",
           structure: config.structure,
+          ...(config.functionalArity ? { functionalArity: config.functionalArity } : {}),
           precedence: config.precedence,
           category: "control",
           functionalForm: true,
@@ -771,9 +1300,66 @@ export function createNodeSystemLoader(options = {}) {
   return new SystemLoader({
     browserIntegration: false,
     strictMode: true,
+    moduleLoader: options.moduleDirectory
+      ? createNodeModuleLoader(options.moduleDirectory)
+      : null,
     ...options,
   });
 }
 
+/**
+ * Module loader for Node.js reading manifests from a directory. A module
+ * spec is a path inside the directory; without an extension, `.json` and
+ * then `.rix` are tried.
+ */
+export function createNodeModuleLoader(directory) {
+  return {
+    async load(moduleSpec) {
+      const { readFile } = await import("node:fs/promises");
+      const path = await import("node:path");
+      const root = path.resolve(directory);
+      const base = path.resolve(root, moduleSpec);
+      if (!base.startsWith(root + path.sep)) {
+        throw new ModuleLoadError(moduleSpec, [
+          { code: "E_MODULE_NOT_FOUND", path: "", message: `Module ${moduleSpec} is outside ${directory}` },
+        ]);
+      }
+
+      const candidates = path.extname(base) ? [base] : [`${base}.json`, `${base}.rix`];
+      for (const file of candidates) {
+        try {
+          return await readFile(file, "utf8");
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+        }
+      }
+      throw new ModuleLoadError(moduleSpec, [
+        { code: "E_MODULE_NOT_FOUND", path: "", message: `No module ${moduleSpec} in ${directory}` },
+      ]);
+    },
+  };
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions
+// and swaps of adjacent characters
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > Math.max(a.length, b.length) / 2) {
+    return Math.max(a.length, b.length);
+  }
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+    }
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
 // Export default instance for immediate use
 export const defaultSystemLoader = new SystemLoader();
@@ -3,6 +3,9 @@
  * Implements tokenization according to the specification in tokenizing-spec.txt
  */
 
+import { TokenizeError } from "./errors.js";
+import { checkBaseAlphabet } from "./numbers.js";
+
 // Unicode patterns for identifiers
 const identifierStart = /[\p{L}_]/u;
 const identifierPart = /[\p{L}\p{N}_]/u;
@@ -162,11 +165,36 @@ function posToLineCol(input, pos) {
   return { line, col };
 }
 
-function tokenize(input) {
+/**
+ * Tokenize a RiX source string.
+ *
+ * Options:
+ * - onError(error, position): when given, a malformed token no longer aborts
+ *   tokenization. The error is reported, the offending character is skipped
+ *   and scanning resumes right after it.
+ * - start: offset to begin scanning at; it must be a token boundary (default 0)
+ * - stop(position): called at each token boundary after `start`. Returning
+ *   true ends scanning there, without an End token.
+ * - bases: digit alphabets of user-defined base prefixes, as a Map or object
+ *   from the prefix letter ("A" for `0A`) to the alphabet string. Literals
+ *   with a registered prefix are checked against its alphabet and their
+ *   tokens carry `base` and `alphabet`.
+ * - operators: symbols of registered custom operators, as an iterable of
+ *   strings or a Map keyed by symbol. They take part in maximal munch
+ *   alongside the built-in symbols, so `<=>` is one token rather than `<=`
+ *   and `>`.
+ */
+function tokenize(input, options = {}) {
   const tokens = [];
-  let position = 0;
+  const bases = normalizeBases(options.bases);
+  const operators = normalizeOperators(options.operators);
+  const start = options.start ?? 0;
+  let position = start;
 
   while (position < input.length) {
+    if (options.stop && position > start && options.stop(position)) {
+      return tokens;
+    }
     const startPos = position;
 
     // Skip whitespace
@@ -186,49 +214,16 @@ function tokenize(input) {
     }
 
     let token = null;
-
-    // Try comments FIRST (before numbers, to avoid # conflicts)
-    token = tryMatchComment(input, position);
-    if (!token) {
-      // Try to match numbers first (before strings/identifiers)
-      token = tryMatchNumber(input, position);
-    }
-    if (!token) {
-      // Try to match explicit-start continued fractions (~INT.~...) before ~ is eaten as a symbol
-      token = tryMatchExplicitCF(input, position);
-    }
-    if (!token) {
-      // Try to match strings (quotes, backticks)
-      token = tryMatchString(input, position);
-    }
-    if (!token) {
-      // Try to match @_ system function refs (before identifiers and symbols)
-      token = tryMatchSystemFunctionRef(input, position);
-    }
-    if (!token) {
-      // Try to match @OuterIdentifier
-      token = tryMatchOuterIdentifier(input, position);
-    }
-    if (!token) {
-      // Try to match identifiers
-      token = tryMatchIdentifier(input, position);
-    }
-    if (!token) {
-      // Try to match regex literals first (so '{/' is not seen as '{' followed by '/')
-      token = tryMatchRegexLiteral(input, position);
-    }
-    if (!token) {
-      // Try to match brace forms (sigil containers, operator braces, plain blocks)
-      // This enforces mandatory space after '{' and after sigil sequences.
-      token = tryMatchBrace(input, position);
-    }
-    if (!token) {
-      // Try to match semicolon sequences first (before general symbols)
-      token = tryMatchSemicolonSequence(input, position);
-    }
-    if (!token) {
-      // Try to match symbols
-      token = tryMatchSymbol(input, position);
+    try {
+      token = matchToken(input, position, bases, operators);
+    } catch (error) {
+      if (!options.onError) {
+        throw error;
+      }
+      options.onError(error, position);
+      // Skip the offending character and resume scanning after it
+      position++;
+      continue;
     }
 
     if (token) {
@@ -262,6 +257,54 @@ function tokenize(input) {
   return tokens;
 }
 
+// Try each token matcher in priority order at a non-whitespace position
+function matchToken(input, position, bases, operators) {
+  // Try comments FIRST (before numbers, to avoid # conflicts)
+  let token = tryMatchComment(input, position);
+  if (!token) {
+    // Try to match numbers first (before strings/identifiers)
+    token = tryMatchNumber(input, position, bases);
+  }
+  if (!token) {
+    // Try to match explicit-start continued fractions (~INT.~...) before ~ is eaten as a symbol
+    token = tryMatchExplicitCF(input, position);
+  }
+  if (!token) {
+    // Try to match strings (quotes, backticks)
+    token = tryMatchString(input, position);
+  }
+  if (!token) {
+    // Try to match @_ system function refs (before identifiers and symbols)
+    token = tryMatchSystemFunctionRef(input, position);
+  }
+  if (!token) {
+    // Try to match @OuterIdentifier
+    token = tryMatchOuterIdentifier(input, position);
+  }
+  if (!token) {
+    // Try to match identifiers
+    token = tryMatchIdentifier(input, position);
+  }
+  if (!token) {
+    // Try to match regex literals first (so '{/' is not seen as '{' followed by '/')
+    token = tryMatchRegexLiteral(input, position);
+  }
+  if (!token) {
+    // Try to match brace forms (sigil containers, operator braces, plain blocks)
+    // This enforces mandatory space after '{' and after sigil sequences.
+    token = tryMatchBrace(input, position);
+  }
+  if (!token) {
+    // Try to match semicolon sequences first (before general symbols)
+    token = tryMatchSemicolonSequence(input, position);
+  }
+  if (!token) {
+    // Try to match symbols
+    token = tryMatchSymbol(input, position, operators);
+  }
+  return token;
+}
+
 function tryMatchComment(input, position) {
   const remaining = input.slice(position);
 
@@ -325,8 +368,11 @@ function tryMatchComment(input, position) {
 
     // If we get here, it was meant to be a multi-line comment but was never closed
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
+    throw new TokenizeError(
       `Unclosed multi-line comment with tag "${tag}" at line ${line}:${col}`,
+      {
+        code: "E_UNCLOSED_COMMENT", line, col, offset: position, endOffset: position + tagEndIndex + 2, expected: [openDelimiter],
+      },
     );
   }
 
@@ -369,8 +415,11 @@ function tryMatchString(input, position) {
     }
     // If we reach here, block comment was not closed - throw error
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
+    throw new TokenizeError(
       `Delimiter unmatched at line ${line}:${col}. Need ${starCount} stars followed by slash.`,
+      {
+        code: "E_UNCLOSED_COMMENT", line, col, offset: position, endOffset: position + blockCommentMatch[0].length, expected: ["*".repeat(starCount) + "/"],
+      },
     );
   }
 
@@ -398,8 +447,11 @@ function tryMatchString(input, position) {
     }
     // Unmatched quote delimiter - throw error only if we started parsing quotes
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
+    throw new TokenizeError(
       `Delimiter unmatched at line ${line}:${col}. Need ${quoteCount} closing quotes.`,
+      {
+        code: "E_UNCLOSED_STRING", line, col, offset: position, endOffset: position + quoteCount, expected: [quoteMatch[1]],
+      },
     );
   }
 
@@ -426,14 +478,40 @@ function tryMatchString(input, position) {
     }
     // Unmatched backtick delimiter - throw error only if we started parsing backticks
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
+    throw new TokenizeError(
       `Delimiter unmatched at line ${line}:${col}. Need ${backtickCount} closing backticks.`,
+      {
+        code: "E_UNCLOSED_STRING", line, col, offset: position, endOffset: position + backtickCount, expected: [backtickMatch[1]],
+      },
     );
   }
 
   return null;
 }
 
+/**
+ * Length of the `LANGUAGE(CONTEXT):` header of a backtick literal's value,
+ * its colon included: the first colon after a balanced `(CONTEXT)`, else
+ * the first colon. 0 when there is no colon, for a plain RiX string; 1 for
+ * a leading colon.
+ */
+function embeddedHeaderLength(content) {
+  if (!content.includes(":")) return 0;
+  const parenStart = content.indexOf("(");
+  if (parenStart !== -1) {
+    let depth = 0;
+    for (let i = parenStart; i < content.length; i++) {
+      if (content[i] === "(") depth++;
+      else if (content[i] === ")" && --depth === 0) {
+        const colon = content.indexOf(":", i + 1);
+        if (colon !== -1) return colon + 1;
+        break;
+      }
+    }
+  }
+  return content.indexOf(":") + 1;
+}
+
 function tryMatchExplicitCF(input, position) {
   const remaining = input.slice(position);
   // Explicit-start CF with prefixed base integer part: ~0b101.~11~10, ~-0B4.~3
@@ -460,7 +538,7 @@ function tryMatchExplicitCF(input, position) {
   return null;
 }
 
-function tryMatchNumber(input, position) {
+function tryMatchNumber(input, position, bases) {
   const remaining = input.slice(position);
   let match;
   // console.log("tryMatchNumber", remaining);
@@ -477,8 +555,11 @@ function tryMatchNumber(input, position) {
     const { line, col } = posToLineCol(input, position);
     const cfStr = remaining.match(/^-\d+\.~[\d~]*/)[0];
     const posStr = cfStr.slice(1); // strip leading -
-    throw new Error(
-      `Ambiguous continued fraction at ${line}:${col}: write ~${cfStr} for a negative first coefficient, or -~${posStr} to negate the continued fraction value.`
+    throw new TokenizeError(
+      `Ambiguous continued fraction at ${line}:${col}: write ~${cfStr} for a negative first coefficient, or -~${posStr} to negate the continued fraction value.`,
+      {
+        code: "E_AMBIGUOUS_CF", line, col, offset: position, endOffset: position + cfStr.length,
+      },
     );
   }
 
@@ -487,6 +568,12 @@ function tryMatchNumber(input, position) {
   // Prefix Patterns (0x..., 0b..., 0k..., etc.)
   // Must check these before standard decimal patterns to avoid catching '0' as Integer(0) and 'x' as Identifier
 
+  // Literal in a registered user-defined base
+  const custom = tryMatchCustomBase(input, position, bases);
+  if (custom) {
+    return custom;
+  }
+
   // Prefix continued fraction: 0b101.~11~10
   match = remaining.match(/^-?(?:0z\[\d+\]|0[a-zA-Z])[0-9a-zA-Z]+\.~[0-9a-zA-Z]+(?:~[0-9a-zA-Z]+)*/);
   if (match) {
@@ -709,6 +796,87 @@ function tryMatchNumber(input, position) {
   return null;
 }
 
+// Map of prefix letter to alphabet from the `bases` tokenizer option
+function normalizeBases(bases) {
+  if (!bases) return null;
+  const entries = bases instanceof Map ? bases.entries() : Object.entries(bases);
+  return new Map(Array.from(entries, ([prefix, alphabet]) => checkBaseAlphabet(prefix, alphabet)));
+}
+
+// Custom operator symbols from the `operators` tokenizer option, longest first
+function normalizeOperators(operators) {
+  if (!operators) return null;
+  const list = Array.from(operators instanceof Map ? operators.keys() : operators);
+  return list.length > 0 ? list.sort((a, b) => b.length - a.length) : null;
+}
+
+// Whether a character could be meant as a digit of some base
+function isDigitLike(char, digits) {
+  return digits.has(char) || /[0-9A-Za-z@&]/.test(char);
+}
+
+// User-defined base literal: 0A followed by digits of the registered alphabet
+// (with . .. / # .~ ~ as in other literals), or 0A"..." for alphabets beyond
+// ASCII. Letters and digits outside the alphabet are an error.
+function tryMatchCustomBase(input, position, bases) {
+  const match = bases && input.slice(position).match(/^-?0([A-Z])/);
+  const alphabet = match && bases.get(match[1]);
+  if (!alphabet) {
+    return null;
+  }
+  const digits = new Set(Array.from(alphabet));
+  const bodyStart = position + match[0].length;
+  let end = bodyStart;
+  // [offset, character] of each digit position to check
+  const checks = [];
+
+  if (input[bodyStart] === '"') {
+    end++;
+    while (end < input.length && input[end] !== '"') {
+      const escaped = input[end] === "\\";
+      if (escaped) end++;
+      const char = String.fromCodePoint(input.codePointAt(end) ?? 0);
+      if (escaped || !".#/~".includes(char)) checks.push([end, char]);
+      end += char.length;
+    }
+    if (end >= input.length) {
+      return null;
+    }
+    end++;
+  } else {
+    while (end < input.length) {
+      const char = String.fromCodePoint(input.codePointAt(end));
+      const next = String.fromCodePoint(input.codePointAt(end + char.length) ?? 0);
+      if (isDigitLike(char, digits)) {
+        checks.push([end, char]);
+      } else if (!(".#/~".includes(char) && (isDigitLike(next, digits) || (char === "." && ".#~".includes(next))))) {
+        break;
+      }
+      end += char.length;
+    }
+  }
+
+  for (const [offset, char] of checks) {
+    if (!digits.has(char)) {
+      const { line, col } = posToLineCol(input, offset);
+      throw new TokenizeError(
+        `Invalid digit "${char}" for base prefix 0${match[1]} at ${line}:${col}`,
+        { code: "E_INVALID_DIGIT", line, col, offset, endOffset: offset + char.length },
+      );
+    }
+  }
+
+  const original = input.slice(position, end);
+  return {
+    type: "Number",
+    original,
+    value: original,
+    base: digits.size,
+    alphabet,
+    pos: [position, position, end],
+  };
+}
+
 function tryMatchSystemFunctionRef(input, position) {
   const remaining = input.slice(position);
 
@@ -847,7 +1015,9 @@ function tryMatchBrace(input, position) {
     const after = input[position + 4];
     if (!isWhitespace(after) && after !== "}") {
       const { line, col } = posToLineCol(input, position);
-      throw new Error(`Brace array alias '{=..' must be followed by a space or '}' at line ${line}:${col}`);
+      throw new TokenizeError(`Brace array alias '{=..' must be followed by a space or '}' at line ${line}:${col}`, {
+        code: "E_BRACE_SPACING", line, col, offset: position, endOffset: position + 4, expected: [" ", "}"],
+      });
     }
     return makeAdvancedConstructorToken("{..", position, position + 4, {
       destructureAlias: true,
@@ -865,7 +1035,9 @@ function tryMatchBrace(input, position) {
       const after = input[cursor + 1];
       if (!isWhitespace(after) && after !== "/" && after !== "}") {
         const { line, col } = posToLineCol(input, position);
-        throw new Error(`Brace tensor alias '{=:${name}:' must be followed by a space, header, or '}' at line ${line}:${col}`);
+        throw new TokenizeError(`Brace tensor alias '{=:${name}:' must be followed by a space, header, or '}' at line ${line}:${col}`, {
+          code: "E_BRACE_SPACING", line, col, offset: position, endOffset: cursor + 1, expected: [" ", "/", "}"],
+        });
       }
       return makeAdvancedConstructorToken("{:", position, cursor + 1, {
         containerName: name.toLowerCase(),
@@ -878,7 +1050,9 @@ function tryMatchBrace(input, position) {
     const after = input[position + 3];
     if (!isWhitespace(after) && after !== "}") {
       const { line, col } = posToLineCol(input, position);
-      throw new Error(`Brace array '{..' must be followed by a space or '}' at line ${line}:${col}`);
+      throw new TokenizeError(`Brace array '{..' must be followed by a space or '}' at line ${line}:${col}`, {
+        code: "E_BRACE_SPACING", line, col, offset: position, endOffset: position + 3, expected: [" ", "}"],
+      });
     }
     return makeAdvancedConstructorToken("{..", position, position + 3);
   }
@@ -890,8 +1064,11 @@ function tryMatchBrace(input, position) {
       const after = input[position + 1 + seq.length];
       if (!isWhitespace(after)) {
         const { line, col } = posToLineCol(input, position);
-        throw new Error(
-          `Operator brace '{${seq}' must be followed by a space at line ${line}:${col}`
+        throw new TokenizeError(
+          `Operator brace '{${seq}' must be followed by a space at line ${line}:${col}`,
+          {
+            code: "E_BRACE_SPACING", line, col, offset: position, endOffset: position + 1 + seq.length, expected: [" "],
+          },
         );
       }
       return {
@@ -949,8 +1126,11 @@ function tryMatchBrace(input, position) {
         const afterName = input[closingSigilPos + 1];
         if (!isWhitespace(afterName) && afterName !== "}") {
           const { line, col } = posToLineCol(input, position);
-          throw new Error(
-            `Named container '{${sigil}${name}${sigil}' must be followed by a space or '}' at line ${line}:${col}`
+          throw new TokenizeError(
+            `Named container '{${sigil}${name}${sigil}' must be followed by a space or '}' at line ${line}:${col}`,
+            {
+              code: "E_BRACE_SPACING", line, col, offset: position, endOffset: closingSigilPos + 1, expected: [" ", "}"],
+            },
           );
         }
         const tokenLen = 1 + 1 + nameLen + 1; // { sigil name closingSigil
@@ -964,15 +1144,21 @@ function tryMatchBrace(input, position) {
       }
       // Name not followed by closing sigil → error
       const { line, col } = posToLineCol(input, position);
-      throw new Error(
-        `Brace sigil '{${sigil}' must be followed by a space or 'name${sigil}' (e.g. '{${sigil}myname${sigil} ...') at line ${line}:${col}`
+      throw new TokenizeError(
+        `Brace sigil '{${sigil}' must be followed by a space or 'name${sigil}' (e.g. '{${sigil}myname${sigil} ...') at line ${line}:${col}`,
+        {
+          code: "E_BRACE_SIGIL", line, col, offset: position, endOffset: closingSigilPos, expected: [sigil],
+        },
       );
     }
 
     // 2c. Not whitespace, not alphanumeric → error
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
-      `Brace sigil '{${sigil}' must be followed by a space or a name (e.g. '{${sigil} ...' or '{${sigil}myname${sigil} ...') at line ${line}:${col}`
+    throw new TokenizeError(
+      `Brace sigil '{${sigil}' must be followed by a space or a name (e.g. '{${sigil} ...' or '{${sigil}myname${sigil} ...') at line ${line}:${col}`,
+      {
+        code: "E_BRACE_SIGIL", line, col, offset: position, endOffset: position + 2, expected: [" "],
+      },
     );
   }
 
@@ -996,8 +1182,11 @@ function tryMatchBrace(input, position) {
 
   // 5. All other cases: error (missing space after {)
   const { line, col } = posToLineCol(input, position);
-  throw new Error(
-    `'{' must be followed by a space, a sigil (@;|:=?$#^), or an operator (+, *, &&, ||, \\/, /\\, ++, <<, >>) at line ${line}:${col}`
+  throw new TokenizeError(
+    `'{' must be followed by a space, a sigil (@;|:=?$#^), or an operator (+, *, &&, ||, \\/, /\\, ++, <<, >>) at line ${line}:${col}`,
+    {
+      code: "E_BRACE_SPACING", line, col, offset: position, endOffset: position + 1,
+    },
   );
 }
 
@@ -1021,20 +1210,26 @@ function tryMatchSystemSpecHeader(input, position) {
   const closing = input.indexOf("#", start);
   if (closing === -1) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`System spec header must end with '#' at line ${line}:${col}`);
+    throw new TokenizeError(`System spec header must end with '#' at line ${line}:${col}`, {
+      code: "E_SPEC_HEADER", line, col, offset: position, endOffset: input.length, expected: ["#"],
+    });
   }
 
   const after = input[closing + 1];
   if (!(after === "}" || after === undefined || after === " " || after === "\t" || after === "\n" || after === "\r")) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`System spec header must be followed by a space or '}' at line ${line}:${col}`);
+    throw new TokenizeError(`System spec header must be followed by a space or '}' at line ${line}:${col}`, {
+      code: "E_SPEC_HEADER", line, col, offset: position, endOffset: closing + 1, expected: [" ", "}"],
+    });
   }
 
   const rawHeader = input.slice(start, closing);
   const colonCount = (rawHeader.match(/:/g) || []).length;
   if (colonCount > 1) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Malformed system spec header '${rawHeader}' at line ${line}:${col}`);
+    throw new TokenizeError(`Malformed system spec header '${rawHeader}' at line ${line}:${col}`, {
+      code: "E_SPEC_HEADER", line, col, offset: position, endOffset: closing + 1,
+    });
   }
 
   const parseHeaderList = (text, label) => {
@@ -1044,11 +1239,15 @@ function tryMatchSystemSpecHeader(input, position) {
       const name = piece.trim();
       if (!name) {
         const { line, col } = posToLineCol(input, position);
-        throw new Error(`Malformed ${label} list in system spec header at line ${line}:${col}`);
+        throw new TokenizeError(`Malformed ${label} list in system spec header at line ${line}:${col}`, {
+          code: "E_SPEC_HEADER", line, col, offset: position, endOffset: closing + 1,
+        });
       }
       if (!/^[\p{L}_][\p{L}\p{N}_]*$/u.test(name)) {
         const { line, col } = posToLineCol(input, position);
-        throw new Error(`System spec ${label} must be bare identifiers; got '${name}' at line ${line}:${col}`);
+        throw new TokenizeError(`System spec ${label} must be bare identifiers; got '${name}' at line ${line}:${col}`, {
+          code: "E_SPEC_HEADER", line, col, offset: position, endOffset: closing + 1,
+        });
       }
       return normalizeIdentifierValue(name);
     });
@@ -1096,8 +1295,11 @@ function tryMatchLoopHeader(input, position) {
     }
     if (input[cursor] !== ":") {
       const { line, col } = posToLineCol(input, position);
-      throw new Error(
-        `Brace sigil '{@' must be followed by a space or a valid loop header ('{@name@', '{@:max@', '{@name:max@', '{@::@', '{@name::@') at line ${line}:${col}`
+      throw new TokenizeError(
+        `Brace sigil '{@' must be followed by a space or a valid loop header ('{@name@', '{@:max@', '{@name:max@', '{@::@', '{@name::@') at line ${line}:${col}`,
+        {
+          code: "E_LOOP_HEADER", line, col, offset: position, endOffset: cursor, expected: ["@", ":"],
+        },
       );
     }
     cursor++;
@@ -1110,8 +1312,11 @@ function tryMatchLoopHeader(input, position) {
     cursor++;
     if (input[cursor] !== "@") {
       const { line, col } = posToLineCol(input, position);
-      throw new Error(
-        `Unlimited loop header must end with '{@::@' or '{@name::@' at line ${line}:${col}`
+      throw new TokenizeError(
+        `Unlimited loop header must end with '{@::@' or '{@name::@' at line ${line}:${col}`,
+        {
+          code: "E_LOOP_HEADER", line, col, offset: position, endOffset: cursor, expected: ["@"],
+        },
       );
     }
     return finalizeLoopHeader(input, position, cursor + 1, {
@@ -1128,19 +1333,25 @@ function tryMatchLoopHeader(input, position) {
 
   if (digitsStart === cursor) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Loop max must be a nonnegative integer literal at line ${line}:${col}`);
+    throw new TokenizeError(`Loop max must be a nonnegative integer literal at line ${line}:${col}`, {
+      code: "E_LOOP_MAX", line, col, offset: position, endOffset: cursor,
+    });
   }
 
   if (input[cursor] !== "@") {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Loop header max must end with '@' at line ${line}:${col}`);
+    throw new TokenizeError(`Loop header max must end with '@' at line ${line}:${col}`, {
+      code: "E_LOOP_MAX", line, col, offset: position, endOffset: cursor, expected: ["@"],
+    });
   }
 
   const rawMax = input.slice(digitsStart, cursor);
   const parsedMax = Number(rawMax);
   if (!Number.isSafeInteger(parsedMax) || parsedMax < 0) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Invalid loop max '${rawMax}' at line ${line}:${col}`);
+    throw new TokenizeError(`Invalid loop max '${rawMax}' at line ${line}:${col}`, {
+      code: "E_LOOP_MAX", line, col, offset: position, endOffset: cursor + 1,
+    });
   }
 
   return finalizeLoopHeader(input, position, cursor + 1, {
@@ -1154,8 +1365,11 @@ function finalizeLoopHeader(input, position, end, options) {
   const after = input[end];
   if (!(after === "}" || after === undefined || after === " " || after === "\t" || after === "\n" || after === "\r")) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(
-      `Loop header must be followed by a space or '}' at line ${line}:${col}`
+    throw new TokenizeError(
+      `Loop header must be followed by a space or '}' at line ${line}:${col}`,
+      {
+        code: "E_LOOP_HEADER", line, col, offset: position, endOffset: end, expected: [" ", "}"],
+      },
     );
   }
 
@@ -1170,7 +1384,7 @@ function finalizeLoopHeader(input, position, end, options) {
   };
 }
 
-function tryMatchSymbol(input, position) {
+function tryMatchSymbol(input, position, operators) {
   const remaining = input.slice(position);
   if (/^\/(?:==|:=|~=|::=|~~=)\s*\/(?=[\s}])/.test(remaining)) {
     return {
@@ -1181,16 +1395,18 @@ function tryMatchSymbol(input, position) {
     };
   }
 
-  // Try to match symbols using maximal munch (longest first)
-  for (const symbol of symbols) {
-    if (remaining.startsWith(symbol)) {
-      return {
-        type: "Symbol",
-        original: symbol,
-        value: symbol,
-        pos: [position, position, position + symbol.length],
-      };
-    }
+  // Try to match symbols using maximal munch (longest first). A custom
+  // operator wins over a built-in symbol it extends or equals.
+  const custom = operators?.find((symbol) => remaining.startsWith(symbol));
+  const builtin = symbols.find((symbol) => remaining.startsWith(symbol));
+  const symbol = custom && (!builtin || custom.length >= builtin.length) ? custom : builtin;
+  if (symbol) {
+    return {
+      type: "Symbol",
+      original: symbol,
+      value: symbol,
+      pos: [position, position, position + symbol.length],
+    };
   }
 
   // If no multi-character symbol matches, try single characters
@@ -1298,7 +1514,9 @@ function tryMatchRegexLiteral(input, position) {
 
   if (patternEnd === -1) {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Unterminated regex literal at line ${line}:${col}. Expected closing '/'.`);
+    throw new TokenizeError(`Unterminated regex literal at line ${line}:${col}. Expected closing '/'.`, {
+      code: "E_UNCLOSED_REGEX", line, col, offset: position, endOffset: input.length, expected: ["/"],
+    });
   }
 
   const pattern = remaining.slice(contentStart, patternEnd);
@@ -1317,7 +1535,9 @@ function tryMatchRegexLiteral(input, position) {
 
   if (searchPos >= remaining.length || remaining[searchPos] !== '}') {
     const { line, col } = posToLineCol(input, position);
-    throw new Error(`Unterminated regex literal at line ${line}:${col}. Expected closing '}'.`);
+    throw new TokenizeError(`Unterminated regex literal at line ${line}:${col}. Expected closing '}'.`, {
+      code: "E_UNCLOSED_REGEX", line, col, offset: position, endOffset: input.length, expected: ["}"],
+    });
   }
 
   const flagsAndModeStr = remaining.slice(flagsStart, searchPos).trim();
@@ -1343,7 +1563,9 @@ function tryMatchRegexLiteral(input, position) {
       // For `{/\\ ...}` ambiguity, prefer operator-brace parsing.
       if (remaining.startsWith("{/\\")) return null;
       const { line, col } = posToLineCol(input, position);
-      throw new Error(`Invalid modifier or flag in regex literal at line ${line}:${col}.`);
+      throw new TokenizeError(`Invalid modifier or flag in regex literal at line ${line}:${col}.`, {
+        code: "E_REGEX_FLAGS", line, col, offset: position, endOffset: position + searchPos,
+      });
     }
   }
 
@@ -1360,4 +1582,4 @@ function tryMatchRegexLiteral(input, position) {
   };
 }
 
-export { tokenize, posToLineCol };
+export { tokenize, posToLineCol, embeddedHeaderLength };
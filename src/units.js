@@ -0,0 +1,347 @@
+/**
+ * RiX Units
+ * Parses the text of a scientific unit, the `kg*m/s^2` of `3~[kg*m/s^2]`,
+ * into a tree of unit nodes positioned in the source.
+ */
+
+import { ParseError } from "./errors.js";
+import { rational } from "./numbers.js";
+
+/** SI prefixes and the power of ten each stands for */
+export const SI_PREFIXES = {
+  Q: 30,
+  R: 27,
+  Y: 24,
+  Z: 21,
+  E: 18,
+  P: 15,
+  T: 12,
+  G: 9,
+  M: 6,
+  k: 3,
+  h: 2,
+  da: 1,
+  d: -1,
+  c: -2,
+  m: -3,
+  µ: -6,
+  μ: -6,
+  u: -6,
+  n: -9,
+  p: -12,
+  f: -15,
+  a: -18,
+  z: -21,
+  y: -24,
+  r: -27,
+  q: -30,
+};
+
+/** The base dimensions of the SI, in the order dimensions are written */
+export const BASE_DIMENSIONS = ["length", "mass", "time", "current", "temperature", "amount", "luminosity"];
+
+/**
+ * Unit symbols known to the parser. `prefixable` ones combine with an SI
+ * prefix, so `km` reads as kilo-metre while `min` stays minutes. `dimension`
+ * gives the power of each base dimension, `{}` for a dimensionless unit.
+ *
+ * `factor` is the exact size of a unit in the coherent SI unit of its
+ * dimension (kg, not g, for mass), as decimal or `num/den` text, and
+ * `offset` the SI value of its zero for a shifted scale: a temperature `t`
+ * in °F is `t * 5/9 + 45967/180` kelvin. Degrees of angle have no exact
+ * factor in radians and are left without one.
+ */
+export const UNITS = {
+  // SI base units
+  m: { prefixable: true, dimension: { length: 1 }, factor: "1" },
+  g: { prefixable: true, dimension: { mass: 1 }, factor: "1/1000" },
+  s: { prefixable: true, dimension: { time: 1 }, factor: "1" },
+  A: { prefixable: true, dimension: { current: 1 }, factor: "1" },
+  K: { prefixable: true, dimension: { temperature: 1 }, factor: "1" },
+  mol: { prefixable: true, dimension: { amount: 1 }, factor: "1" },
+  cd: { prefixable: true, dimension: { luminosity: 1 }, factor: "1" },
+  // SI derived units
+  rad: { prefixable: true, dimension: {}, factor: "1" },
+  sr: { prefixable: true, dimension: {}, factor: "1" },
+  Hz: { prefixable: true, dimension: { time: -1 }, factor: "1" },
+  N: { prefixable: true, dimension: { length: 1, mass: 1, time: -2 }, factor: "1" },
+  Pa: { prefixable: true, dimension: { length: -1, mass: 1, time: -2 }, factor: "1" },
+  J: { prefixable: true, dimension: { length: 2, mass: 1, time: -2 }, factor: "1" },
+  W: { prefixable: true, dimension: { length: 2, mass: 1, time: -3 }, factor: "1" },
+  C: { prefixable: true, dimension: { time: 1, current: 1 }, factor: "1" },
+  V: { prefixable: true, dimension: { length: 2, mass: 1, time: -3, current: -1 }, factor: "1" },
+  F: { prefixable: true, dimension: { length: -2, mass: -1, time: 4, current: 2 }, factor: "1" },
+  Ω: { prefixable: true, dimension: { length: 2, mass: 1, time: -3, current: -2 }, factor: "1" },
+  ohm: { prefixable: true, dimension: { length: 2, mass: 1, time: -3, current: -2 }, factor: "1" },
+  S: { prefixable: true, dimension: { length: -2, mass: -1, time: 3, current: 2 }, factor: "1" },
+  Wb: { prefixable: true, dimension: { length: 2, mass: 1, time: -2, current: -1 }, factor: "1" },
+  T: { prefixable: true, dimension: { mass: 1, time: -2, current: -1 }, factor: "1" },
+  H: { prefixable: true, dimension: { length: 2, mass: 1, time: -2, current: -2 }, factor: "1" },
+  lm: { prefixable: true, dimension: { luminosity: 1 }, factor: "1" },
+  lx: { prefixable: true, dimension: { length: -2, luminosity: 1 }, factor: "1" },
+  Bq: { prefixable: true, dimension: { time: -1 }, factor: "1" },
+  Gy: { prefixable: true, dimension: { length: 2, time: -2 }, factor: "1" },
+  Sv: { prefixable: true, dimension: { length: 2, time: -2 }, factor: "1" },
+  kat: { prefixable: true, dimension: { time: -1, amount: 1 }, factor: "1" },
+  // Units accepted alongside SI
+  L: { prefixable: true, dimension: { length: 3 }, factor: "1/1000" },
+  l: { prefixable: true, dimension: { length: 3 }, factor: "1/1000" },
+  t: { prefixable: true, dimension: { mass: 1 }, factor: "1000" },
+  eV: { prefixable: true, dimension: { length: 2, mass: 1, time: -2 }, factor: "1.602176634e-19" },
+  bar: { prefixable: true, dimension: { length: -1, mass: 1, time: -2 }, factor: "100000" },
+  min: { prefixable: false, dimension: { time: 1 }, factor: "60" },
+  h: { prefixable: false, dimension: { time: 1 }, factor: "3600" },
+  d: { prefixable: false, dimension: { time: 1 }, factor: "86400" },
+  ha: { prefixable: false, dimension: { length: 2 }, factor: "10000" },
+  au: { prefixable: false, dimension: { length: 1 }, factor: "149597870700" },
+  deg: { prefixable: false, dimension: {} },
+  "°": { prefixable: false, dimension: {} },
+  "%": { prefixable: false, dimension: {}, factor: "1/100" },
+  // Temperatures on shifted scales
+  "°C": { prefixable: false, dimension: { temperature: 1 }, factor: "1", offset: "273.15" },
+  "°F": { prefixable: false, dimension: { temperature: 1 }, factor: "5/9", offset: "45967/180" },
+  degC: { prefixable: false, dimension: { temperature: 1 }, factor: "1", offset: "273.15" },
+  degF: { prefixable: false, dimension: { temperature: 1 }, factor: "5/9", offset: "45967/180" },
+  // Imperial and US customary units
+  in: { prefixable: false, dimension: { length: 1 }, factor: "0.0254" },
+  ft: { prefixable: false, dimension: { length: 1 }, factor: "0.3048" },
+  yd: { prefixable: false, dimension: { length: 1 }, factor: "0.9144" },
+  mi: { prefixable: false, dimension: { length: 1 }, factor: "1609.344" },
+  oz: { prefixable: false, dimension: { mass: 1 }, factor: "0.028349523125" },
+  lb: { prefixable: false, dimension: { mass: 1 }, factor: "0.45359237" },
+  gal: { prefixable: false, dimension: { length: 3 }, factor: "0.003785411784" },
+  mph: { prefixable: false, dimension: { length: 1, time: -1 }, factor: "0.44704" },
+};
+
+/**
+ * The exact value of a unit factor or offset, given as decimal or `num/den`
+ * text with an optional exponent (`"0.3048"`, `"5/9"`, `"1.602176634e-19"`)
+ * or as a number, as `{ num, den }` BigInts in lowest terms. Throws a
+ * RangeError for anything else.
+ */
+export function parseFactor(value) {
+  const text = typeof value === "number" || typeof value === "bigint" ? String(value) : value;
+  const match = typeof text === "string" && text.match(/^(-?)(\d+)(?:\.(\d+))?(?:e([+-]?\d+))?(?:\/(\d+))?$/i);
+  if (!match || /^0+$/.test(match[5] ?? "")) {
+    throw new RangeError(`Invalid unit factor ${JSON.stringify(value)}`);
+  }
+  const [, sign, whole, fraction = "", exponent = "0", den = "1"] = match;
+  const shift = Number(exponent) - fraction.length;
+  let num = BigInt(whole + fraction) * (shift > 0 ? 10n ** BigInt(shift) : 1n);
+  if (sign) num = -num;
+  return rational(num, BigInt(den) * (shift < 0 ? 10n ** BigInt(-shift) : 1n));
+}
+
+/**
+ * Check a user-defined unit, returning its definition with `prefixable`
+ * defaulting to false. The symbol must read as a single unit name, and
+ * `dimension` gives finite powers of base dimensions or of new ones such
+ * as `currency`. A `factor`, positive, and `offset` are optional and as in
+ * UNITS; a unit without a factor cannot be converted.
+ */
+export function checkUnitDefinition(symbol, definition = {}) {
+  if (typeof symbol !== "string" || !/^[\p{L}°%]+$/u.test(symbol)) {
+    throw new Error(`Unit symbol must consist of letters, ° or %, not ${JSON.stringify(symbol)}`);
+  }
+  const { dimension } = definition;
+  if (!dimension || typeof dimension !== "object" || Array.isArray(dimension)) {
+    throw new Error(`Unit ${symbol} needs a dimension such as { length: 1 }`);
+  }
+  for (const [name, power] of Object.entries(dimension)) {
+    if (typeof power !== "number" || !Number.isFinite(power)) {
+      throw new Error(`Power of ${name} in the dimension of unit ${symbol} must be a finite number`);
+    }
+  }
+  if (definition.factor !== undefined && parseFactor(definition.factor).num <= 0n) {
+    throw new RangeError(`Factor of unit ${symbol} must be positive`);
+  }
+  if (definition.offset !== undefined) {
+    parseFactor(definition.offset);
+  }
+  return { ...definition, prefixable: definition.prefixable === true, dimension: { ...dimension } };
+}
+
+/**
+ * Split a unit name into an SI prefix and a known unit symbol. A known name
+ * is never split; otherwise the longest prefix leaving a prefixable unit
+ * wins. Returns `{ prefix, symbol }`, prefix null when there is none.
+ */
+export function splitUnitName(name, units = UNITS) {
+  if (!Object.hasOwn(units, name)) {
+    // `da` comes before `d` in SI_PREFIXES
+    for (const prefix of Object.keys(SI_PREFIXES)) {
+      const symbol = name.slice(prefix.length);
+      if (name.startsWith(prefix) && units[symbol]?.prefixable) {
+        return { prefix, symbol };
+      }
+    }
+  }
+  return { prefix: null, symbol: name };
+}
+
+/**
+ * Find a unit name in `units`, as a symbol of its own or an SI prefix on a
+ * prefixable symbol. Returns `{ prefix, symbol, definition }`, or null for
+ * an unknown name.
+ */
+export function lookupUnit(name, units = UNITS) {
+  const { prefix, symbol } = splitUnitName(name, units);
+  return Object.hasOwn(units, symbol) ? { prefix, symbol, definition: units[symbol] } : null;
+}
+
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+const MULTIPLY = "*·⋅×";
+
+function isSuperscript(char) {
+  return char !== undefined && SUPERSCRIPTS.includes(char);
+}
+
+function isNameChar(char) {
+  return /[\p{L}°%]/u.test(char);
+}
+
+/**
+ * Parse the text of a scientific unit into unit nodes. `start` is the
+ * offset of `text` in the source and positions the nodes.
+ *
+ * Grammar, `*`/`·` and whitespace multiplying and `/` dividing from left
+ * to right:
+ *   unit     := factor (("*" | "·" | "/" | " ") factor)*
+ *   factor   := primary ("^" exponent | superscript)?
+ *   primary  := name | "1" | "(" unit ")"
+ *   exponent := "-"? digits | "(" "-"? digits ("/" digits)? ")"
+ *
+ * Nodes are UnitName `{ name, prefix, symbol }`, UnitProduct and
+ * UnitQuotient `{ left, right }`, UnitPower `{ base, exponent: { num,
+ * den } }` and UnitOne for the `1` of `1/s`. Throws a ParseError with code
+ * E_UNIT_SYNTAX whose offset is that of the offending character.
+ */
+export function parseUnit(text, start = 0) {
+  let i = 0;
+
+  const fail = (message, at = i, length = 1) => {
+    const offset = start + at;
+    throw new ParseError(`${message} (position ${offset})`, {
+      code: "E_UNIT_SYNTAX",
+      offset,
+      endOffset: offset + Math.max(0, Math.min(length, text.length - at)),
+      detail: message,
+    });
+  };
+  const node = (type, from, properties) => ({
+    type,
+    pos: [start + from, start + from, start + i],
+    original: text.slice(from, i),
+    ...properties,
+  });
+  const skipSpace = () => {
+    while (/\s/.test(text[i] ?? "")) i++;
+  };
+  const describe = (char) => (char === undefined ? "end of unit" : `"${char}"`);
+  const digits = () => {
+    const from = i;
+    while (/[0-9]/.test(text[i] ?? "")) i++;
+    if (i === from) fail(`Expected a digit in unit exponent, found ${describe(text[i])}`);
+    return Number(text.slice(from, i));
+  };
+
+  const exponent = () => {
+    if (isSuperscript(text[i]) || text[i] === "⁻") {
+      const negative = text[i] === "⁻";
+      if (negative) i++;
+      const from = i;
+      while (isSuperscript(text[i])) i++;
+      if (i === from) fail(`Expected a superscript digit, found ${describe(text[i])}`);
+      const value = Number(Array.from(text.slice(from, i), (char) => SUPERSCRIPTS.indexOf(char)).join(""));
+      return { num: negative ? -value : value, den: 1 };
+    }
+    i++; // '^'
+    const grouped = text[i] === "(";
+    if (grouped) i++;
+    const negative = text[i] === "-";
+    if (negative) i++;
+    const num = digits();
+    let den = 1;
+    if (grouped && text[i] === "/") {
+      i++;
+      const at = i;
+      den = digits();
+      if (den === 0) fail("Unit exponent has a zero denominator", at, i - at);
+    }
+    if (grouped) {
+      if (text[i] !== ")") fail(`Expected ")" to close unit exponent, found ${describe(text[i])}`);
+      i++;
+    }
+    return { num: negative ? -num : num, den };
+  };
+
+  const primary = () => {
+    const from = i;
+    const char = text[i];
+    if (char === "(") {
+      i++;
+      skipSpace();
+      const inner = unit();
+      skipSpace();
+      if (text[i] !== ")") fail(`Expected ")" in unit, found ${describe(text[i])}`);
+      i++;
+      return inner;
+    }
+    if (/[0-9]/.test(char ?? "")) {
+      while (/[0-9.]/.test(text[i] ?? "")) i++;
+      if (text.slice(from, i) !== "1") fail("Only 1 may stand for a number in a unit", from, i - from);
+      return node("UnitOne", from, {});
+    }
+    if (char !== undefined && isNameChar(char)) {
+      while (i < text.length && isNameChar(text[i])) i++;
+      const name = text.slice(from, i);
+      return node("UnitName", from, { name, ...splitUnitName(name) });
+    }
+    return fail(`Expected a unit, found ${describe(char)}`);
+  };
+
+  const factor = () => {
+    const from = i;
+    const base = primary();
+    if (text[i] === "^" || isSuperscript(text[i]) || text[i] === "⁻") {
+      const power = exponent();
+      return node("UnitPower", from, { base, exponent: power });
+    }
+    return base;
+  };
+
+  const unit = () => {
+    const from = i;
+    let left = factor();
+    for (;;) {
+      const before = i;
+      skipSpace();
+      const char = text[i];
+      let type;
+      if (char !== undefined && MULTIPLY.includes(char)) {
+        type = "UnitProduct";
+        i++;
+      } else if (char === "/") {
+        type = "UnitQuotient";
+        i++;
+      } else if (i > before && char !== undefined && (isNameChar(char) || char === "(")) {
+        type = "UnitProduct"; // juxtaposition: `N m`
+      } else {
+        i = before;
+        return left;
+      }
+      skipSpace();
+      const right = factor();
+      left = node(type, from, { left, right });
+    }
+  };
+
+  skipSpace();
+  if (i === text.length) fail("Empty unit", i, 0);
+  const result = unit();
+  skipSpace();
+  if (i < text.length) {
+    fail(text[i] === ")" ? 'Unmatched ")" in unit' : `Unexpected ${describe(text[i])} in unit`);
+  }
+  return result;
+}
@@ -0,0 +1,460 @@
+/**
+ * RiX AST Traversal
+ * The child keys of every node type, and visit() and transform() built on
+ * them, so that tools walking a parsed AST need not know each node's shape.
+ */
+
+/**
+ * Where each node type keeps its children, in source order. A key is a
+ * property path: `[]` steps into every item of an array and `{}` into every
+ * value of a plain object, so "arguments.positional[]" names the positional
+ * arguments of a call and "rows[][]" the cells of a matrix. Node types not
+ * listed here (such as those of later extensions) have their children found
+ * by looking at every property.
+ */
+export const CHILD_KEYS = {
+  Program: ["body[]"],
+  Statement: ["expression"],
+  Comment: [],
+  ErrorNode: [],
+
+  // Literals and names
+  Number: ["mantissa", "lo", "hi"],
+  String: [],
+  RegexLiteral: [],
+  EmbeddedLanguage: ["parsed[]"],
+  UserIdentifier: [],
+  SystemIdentifier: [],
+  SystemFunctionRef: [],
+  SystemAccess: [],
+  SystemObject: [],
+  OuterIdentifier: [],
+  PlaceHolder: [],
+  Hole: [],
+  NULL: [],
+  SelfRef: [],
+  ParentSelfRef: [],
+  KeyLiteral: [],
+  FullSlice: [],
+
+  // Operators
+  BinaryOperation: ["left", "right"],
+  UnaryOperation: ["operand"],
+  TernaryOperation: ["condition", "trueExpression", "falseExpression"],
+  ImplicitMultiplication: ["left", "right"],
+  ImplicitApplication: ["callable", "argument"],
+  Grouping: ["expression"],
+  SequenceExpression: ["expressions[]"],
+  Spread: ["expression"],
+  Transpose: ["expression"],
+  At: ["target", "arg"],
+  Ask: ["target", "arg"],
+  ScientificUnit: ["target", "unitExpression"],
+  MathematicalUnit: ["target"],
+  UnitName: [],
+  UnitProduct: ["left", "right"],
+  UnitQuotient: ["left", "right"],
+  UnitPower: ["base"],
+  UnitOne: [],
+
+  // Pipes and list operators
+  Pipe: ["left", "right"],
+  ExplicitPipe: ["left", "right"],
+  Map: ["left", "right"],
+  Filter: ["left", "right"],
+  Reduce: ["left", "init", "right"],
+  Every: ["left", "right"],
+  Some: ["left", "right"],
+  Sort: ["left", "right"],
+  Split: ["left", "right"],
+  Chunk: ["left", "right"],
+  SliceStrict: ["left", "right"],
+  SliceClamp: ["left", "right"],
+  Reverse: ["target"],
+
+  // Intervals and sequences
+  IntervalStepping: ["interval", "step"],
+  IntervalDivision: ["interval", "count"],
+  equally_spaced: ["interval", "count"],
+  IntervalPartition: ["interval", "count"],
+  IntervalRandomPartition: ["interval", "count"],
+  IntervalMediants: ["interval", "levels"],
+  IntervalMediantPartition: ["interval", "levels"],
+  IntervalRandom: ["interval", "parameters"],
+  InfiniteSequence: ["start", "step"],
+  GeneratorChain: ["start", "operators[]"],
+  GeneratorAdd: ["operand"],
+  GeneratorMultiply: ["operand"],
+  GeneratorFunction: ["operand"],
+  GeneratorFilter: ["operand"],
+  GeneratorLimit: ["operand"],
+  GeneratorLazyLimit: ["operand"],
+  GeneratorEagerLimit: ["operand"],
+  GeneratorPipe: ["operand"],
+
+  // Collections
+  Array: ["elements[]"],
+  Tuple: ["elements[]"],
+  Matrix: ["rows[][]"],
+  Tensor: ["structure[].row[]"],
+  TensorLiteral: ["header", "elements[]"],
+  WithMetadata: ["primary", "metadata{}"],
+  BlockContainer: ["elements[]"],
+  ArrayContainer: ["header", "elements[]"],
+  MapContainer: ["header", "elements[]"],
+  CaseContainer: ["elements[]"],
+  SetContainer: ["header", "elements[]"],
+  TupleContainer: ["header", "elements[]"],
+  LoopContainer: ["elements[]"],
+  MapEntry: ["key", "value"],
+  CapturedEntry: ["expression"],
+
+  // Access
+  PropertyAccess: ["object", "property"],
+  DotAccess: ["object"],
+  ExternalAccess: ["object"],
+  BracketIndex: ["object", "specs[]"],
+  SliceSpec: ["start", "end"],
+  KeySet: ["object"],
+  ValueSet: ["object"],
+  Mutation: ["target", "operations[].value"],
+
+  // Calls and functions
+  FunctionCall: ["function", "arguments.positional[]", "arguments.keyword{}"],
+  SystemCall: ["arguments.positional[]", "arguments.keyword{}"],
+  SystemCapabilityCall: ["arguments.positional[]", "arguments.keyword{}", "arguments.metadata{}"],
+  Call: ["target", "arguments.positional[]", "arguments.keyword{}"],
+  MethodCall: ["object", "arguments.positional[]", "arguments.keyword{}"],
+  ParameterList: parameterKeys("parameters"),
+  FunctionDefinition: ["name", ...parameterKeys("parameters"), "prep", "body"],
+  FunctionVariantDefinition: ["name", ...parameterKeys("parameters"), "prep", "body"],
+  FunctionLambda: [...parameterKeys("parameters"), "prep", "body"],
+  PatternMatchingFunction: [
+    "name",
+    ...parameterKeys("parameters"),
+    ...parameterKeys("patterns[].parameters"),
+    "patterns[].body",
+    "metadata{}",
+  ],
+  Derivative: ["function", "evaluation[]", "operations[]"],
+  Integral: ["function", "evaluation[]", "operations[]"],
+
+  // Control
+  ControlStructure: ["init", "condition", "increment", "thenBranch", "elseBranch", "body"],
+  BreakBlock: ["value"],
+  DeferredBlock: ["body"],
+
+  // Semantic headers and system specs
+  SemanticHeader: ["traits[]"],
+  HeaderTrait: [],
+  ValueOutfit: ["header", "expression"],
+  SemanticHas: ["expression"],
+  SemanticConvertSoft: ["expression"],
+  SemanticConvertStrict: ["expression"],
+  SystemSpecLiteral: ["statements[]"],
+  SpecAssign: ["expr"],
+  ScriptImportExpression: ["path"],
+  ScriptBindingsDeclaration: [],
+
+  // Destructuring targets
+  DestructureVariableTarget: [],
+  DestructureRestTarget: ["target"],
+  DestructureBindingModeTarget: ["target"],
+  DestructureSemanticTarget: ["header", "target"],
+  DestructureIndexedTarget: ["wholeTarget", "specs[]", "nestedTarget"],
+  DestructureArrayPattern: ["entries[]", "rest"],
+  DestructureTuplePattern: ["entries[]", "rest"],
+  DestructureMapPattern: ["entries[]", "rest"],
+  DestructureMapEntry: ["sourceKey", "wholeTarget", "nestedTarget"],
+  DestructureTensorPattern: ["rows[][]"],
+};
+
+// Parameter lists keep defaults on plain { name, defaultValue, holeDefault }
+// objects next to their conditions and metadata
+function parameterKeys(prefix) {
+  return [
+    `${prefix}.positional[].defaultValue`,
+    `${prefix}.positional[].holeDefault`,
+    `${prefix}.keyword[].defaultValue`,
+    `${prefix}.keyword[].holeDefault`,
+    `${prefix}.conditionals[]`,
+    `${prefix}.metadata{}`,
+  ];
+}
+
+// Properties that never hold child nodes
+const NON_CHILD_KEYS = new Set([
+  "type",
+  "pos",
+  "original",
+  "systemInfo",
+  "operatorInfo",
+  "leadingTrivia",
+  "trailingTrivia",
+  "tokens",
+  "tokenRange",
+]);
+
+/**
+ * The child keys of a node: its CHILD_KEYS entry, or for an unlisted type
+ * the paths at which its properties hold nodes
+ */
+export function childKeys(node) {
+  const keys = CHILD_KEYS[node.type];
+  if (keys) return keys;
+  const found = new Set();
+  const discover = (value, path) => {
+    if (isNode(value)) {
+      found.add(path);
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => discover(item, `${path}[]`));
+    } else if (isRecord(value)) {
+      for (const [key, inner] of Object.entries(value)) discover(inner, `${path}.${key}`);
+    }
+  };
+  for (const [key, value] of Object.entries(node)) {
+    if (!NON_CHILD_KEYS.has(key)) discover(value, key);
+  }
+  return [...found];
+}
+
+/**
+ * The direct children of a node, in the order of its child keys
+ */
+export function childNodes(node) {
+  return childSlots(node).map(({ container, index }) => container[index]);
+}
+
+// Every place holding a child of `node`, as { key, container, index, step }
+// with container[index] the child and `step` the "[]" or "{}" that reached
+// it, if any
+function childSlots(node) {
+  const slots = [];
+  for (const key of childKeys(node)) {
+    collectSlots(node, parseKey(key), 0, key, slots);
+  }
+  return slots;
+}
+
+function collectSlots(holder, segments, depth, key, slots) {
+  const { name, steps } = segments[depth];
+  const last = steps[steps.length - 1] ?? null;
+  // Follow the "[]" and "{}" steps of the segment from container[index]
+  const reach = (container, index, step) => {
+    const value = container[index];
+    if (step < steps.length) {
+      if (steps[step] === "[]") {
+        if (Array.isArray(value)) value.forEach((_, i) => reach(value, i, step + 1));
+      } else if (isRecord(value)) {
+        for (const k of Object.keys(value)) reach(value, k, step + 1);
+      }
+    } else if (depth < segments.length - 1) {
+      if (isRecord(value)) collectSlots(value, segments, depth + 1, key, slots);
+    } else if (isNode(value)) {
+      slots.push({ key, container, index, step: last });
+    }
+  };
+  reach(holder, name, 0);
+}
+
+// Child keys split into their segments, parsed once each
+const parsedKeys = new Map();
+
+function parseKey(key) {
+  let segments = parsedKeys.get(key);
+  if (!segments) {
+    segments = key.split(".").map(parseSegment);
+    parsedKeys.set(key, segments);
+  }
+  return segments;
+}
+
+function parseSegment(segment) {
+  const [, name, steps] = /^(.*?)((?:\[\]|\{\})*)$/.exec(segment);
+  return { name, steps: steps.match(/\[\]|\{\}/g) ?? [] };
+}
+
+/**
+ * Walk an AST (a node or a list of statements) depth first, calling
+ * visitors on the way in and out of each node. `visitors` is a function
+ * called on entering every node, or an object with `enter` and `leave` for
+ * every node and entries per node type, each a function (on entering) or
+ * { enter, leave }:
+ *
+ *   visit(ast, {
+ *     FunctionCall(path) { ... },
+ *     Grouping: { leave(path) { path.replace(path.node.expression); } },
+ *   });
+ *
+ * Visitors receive a path { node, parent, parentPath, key, container,
+ * index } whose `key` is the child key the node was reached by, with
+ * - replace(node): put a node in its place, in the tree itself; the
+ *   replacement's children are visited next when replaced on entering
+ * - remove(): take it out of its list, or set its property to null
+ * - skip(): do not visit its children
+ * - stop(): end the walk
+ * Returns the AST, which differs from the one passed only when its root
+ * node was replaced.
+ */
+export function visit(ast, visitors) {
+  const { enter, leave, types } = normalizeVisitors(visitors);
+  let stopped = false;
+
+  const walk = (path) => {
+    const typed = types[path.node.type];
+    for (const callback of [enter, typed?.enter]) {
+      if (callback && !path.removed) callback(path);
+      if (stopped) return;
+    }
+    if (!path.removed && !path.skipped) {
+      walkChildren(path);
+      if (stopped) return;
+    }
+    for (const callback of [typed?.leave, leave]) {
+      if (callback && !path.removed) callback(path);
+      if (stopped) return;
+    }
+  };
+
+  const walkChildren = (parentPath) => {
+    const removals = [];
+    for (const slot of childSlots(parentPath.node)) {
+      const path = createPath(slot.container[slot.index], parentPath, slot, {
+        stop: () => (stopped = true),
+        removed: () => removals.push(slot),
+      });
+      walk(path);
+      if (stopped) break;
+    }
+    applyRemovals(removals);
+  };
+
+  if (Array.isArray(ast)) {
+    walkChildren({ node: { type: "Program", body: ast }, root: true });
+    return ast;
+  }
+  const root = createPath(ast, null, { key: null, container: null, index: null }, {
+    stop: () => (stopped = true),
+    removed: () => {},
+  });
+  walk(root);
+  return root.removed ? null : root.node;
+}
+
+function normalizeVisitors(visitors) {
+  if (typeof visitors === "function") {
+    return { enter: visitors, leave: null, types: {} };
+  }
+  const { enter = null, leave = null, ...byType } = visitors ?? {};
+  const types = {};
+  for (const [type, visitor] of Object.entries(byType)) {
+    types[type] = typeof visitor === "function" ? { enter: visitor } : visitor;
+  }
+  return { enter, leave, types };
+}
+
+function createPath(node, parentPath, { key, container, index }, hooks) {
+  const path = {
+    node,
+    parent: parentPath?.root ? null : parentPath?.node ?? null,
+    parentPath: parentPath?.root ? null : parentPath,
+    key,
+    container,
+    index,
+    skipped: false,
+    removed: false,
+    replace(replacement) {
+      if (container) container[index] = replacement;
+      path.node = replacement;
+    },
+    remove() {
+      path.removed = true;
+      hooks.removed();
+    },
+    skip() {
+      path.skipped = true;
+    },
+    stop() {
+      hooks.stop();
+    },
+  };
+  return path;
+}
+
+// Take removed children out once their siblings have been visited, so that
+// list indices stay valid during the walk
+function applyRemovals(removals) {
+  for (const { container, index, step } of removals.reverse()) {
+    if (step === "[]") container.splice(index, 1);
+    else if (step === "{}") delete container[index];
+    else container[index] = null;
+  }
+}
+
+/**
+ * Rebuild an AST bottom up without changing it: `fn(node, path)` is called
+ * on each node after its children, with those children already transformed,
+ * and returns a replacement node, null to remove the node, or undefined to
+ * keep it. `path` is { node, parent, parentPath, key } as in visit(), with
+ * `parent` the original parent. Nodes whose subtree is unchanged are reused.
+ */
+export function transform(ast, fn) {
+  const rebuild = (node, parentPath, key) => {
+    const path = {
+      node,
+      parent: parentPath?.node ?? null,
+      parentPath,
+      key,
+    };
+    let result = node;
+    for (const childKey of childKeys(node)) {
+      result = mapKey(result, childKey.split("."), (child) => rebuild(child, path, childKey));
+    }
+    path.node = result;
+    const replacement = fn(result, path);
+    return replacement === undefined ? result : replacement;
+  };
+
+  if (Array.isArray(ast)) {
+    return ast.map((node) => rebuild(node, null, null)).filter((node) => node !== null);
+  }
+  return rebuild(ast, null, null);
+}
+
+// Copy of `holder` with every node under the key path mapped; a null from
+// `map` removes the node from its list or object
+function mapKey(holder, segments, map) {
+  const [segment, ...rest] = segments;
+  const { name, steps } = parseSegment(segment);
+  if (!(name in holder)) return holder;
+  const leaf = (value) => {
+    if (rest.length > 0) return isRecord(value) ? mapKey(value, rest, map) : value;
+    return isNode(value) ? map(value) : value;
+  };
+  const value = mapSteps(holder[name], steps, leaf);
+  return value === holder[name] ? holder : { ...holder, [name]: value };
+}
+
+function mapSteps(value, steps, leaf) {
+  if (steps.length === 0) return leaf(value);
+  const [step, ...more] = steps;
+  if (step === "[]" && Array.isArray(value)) {
+    const mapped = value.map((item) => mapSteps(item, more, leaf));
+    if (mapped.every((item, i) => item === value[i])) return value;
+    return mapped.filter((item, i) => item !== null || value[i] === null);
+  }
+  if (step === "{}" && isRecord(value)) {
+    const entries = Object.entries(value).map(([k, item]) => [k, mapSteps(item, more, leaf)]);
+    if (entries.every(([k, item]) => item === value[k])) return value;
+    return Object.fromEntries(entries.filter(([k, item]) => item !== null || value[k] === null));
+  }
+  return value;
+}
+
+function isNode(value) {
+  return value !== null && typeof value === "object" && typeof value.type === "string";
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value) && !isNode(value);
+}
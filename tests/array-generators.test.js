@@ -1,5 +1,6 @@
 import { tokenize } from "../src/tokenizer.js";
 import { parse } from "../src/parser.js";
+import { withoutDecodedParts } from './helpers.js';
 
 // Test system lookup function
 function testSystemLookup(name) {
@@ -26,6 +27,7 @@ function stripMetadata(obj) {
     return obj.map(stripMetadata);
   }
   if (obj && typeof obj === 'object') {
+    if (obj.type === 'Number') obj = withoutDecodedParts(obj);
     const cleaned = {};
     for (const [key, value] of Object.entries(obj)) {
       if (key !== 'pos' && key !== 'original') {
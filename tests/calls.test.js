@@ -0,0 +1,73 @@
+import { describe, test, expect } from "bun:test";
+import { parse, checkCalls } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+function check(source, systemLoader = new SystemLoader()) {
+  const systemLookup = systemLoader.createParserLookup();
+  return checkCalls(parse(source, { systemLookup }), { systemLookup, source });
+}
+
+describe("checking system calls", () => {
+  test("positional arguments are counted against the arity", () => {
+    expect(check("y := SIN(x, 2) + MAX(1, 2, 3) + SQRT();")).toEqual([
+      { severity: "error", code: "E_ARITY", message: "SIN takes 1 argument, got 2", span: [5, 8], line: 1, col: 6 },
+      { severity: "error", code: "E_ARITY", message: "SQRT takes 1 argument, got 0", span: [32, 36], line: 1, col: 33 },
+    ]);
+    expect(check("@_ABS(1, 2);").map((d) => d.message)).toEqual(["ABS takes 1 argument, got 2"]);
+  });
+
+  test("calls parsed without a lookup are checked against the default loader", () => {
+    expect(checkCalls(parse("SIN(1, 2);")).map((d) => d.message)).toEqual(["SIN takes 1 argument, got 2"]);
+    expect(checkCalls(parse("y := MAX(1, 2, 3) + COS(x; n := 2);"))).toEqual([]);
+  });
+
+  test("keyword arguments must be declared parameters", () => {
+    expect(check("SIN(x; n := 4);")).toEqual([]);
+    expect(check("COS(x; m := 3) + ABS(x; n);")).toEqual([
+      {
+        severity: "error",
+        code: "E_UNKNOWN_KEYWORD_ARG",
+        message: "COS has no keyword parameter m; it takes n",
+        span: [12, 13],
+        line: 1,
+        col: 13,
+      },
+      expect.objectContaining({ message: "ABS has no keyword parameter n; it takes none", span: [24, 25] }),
+    ]);
+  });
+
+  test("registered functions declare their own parameters", () => {
+    const systemLoader = new SystemLoader();
+    systemLoader.registerSystem("ROUND", { type: "function", arity: 1, keywordParams: ["digits"] });
+    systemLoader.registerSystem("PLOT", { type: "function", arity: -1 });
+    expect(check("ROUND(x; digits := 2) + PLOT(f, g; color := 1);", systemLoader)).toEqual([]);
+    expect(check("ROUND(x, y; places := 2);", systemLoader).map((d) => d.code)).toEqual([
+      "E_ARITY",
+      "E_UNKNOWN_KEYWORD_ARG",
+    ]);
+    expect(() => systemLoader.registerSystem("BAD", { type: "function", keywordParams: "n" })).toThrow(
+      "Function keywordParams must be a list of names",
+    );
+  });
+
+  test("calls nested anywhere are checked, unknown names are not", () => {
+    expect(check("f := (x) -> [TAN(x, 1), {; QUUX(1, 2) }];").map((d) => d.message)).toEqual([
+      "TAN takes 1 argument, got 2",
+    ]);
+  });
+
+  test("constants cannot be called", () => {
+    expect(check("y := 2 * PI(2) + @_EX();")).toEqual([
+      {
+        severity: "error",
+        code: "E_NOT_CALLABLE",
+        message: "PI is a constant and cannot be called",
+        span: [9, 11],
+        line: 1,
+        col: 10,
+      },
+      expect.objectContaining({ code: "E_NOT_CALLABLE", message: "EX is a constant and cannot be called" }),
+    ]);
+    expect(check("y := 2 * PI;")).toEqual([]);
+  });
+});
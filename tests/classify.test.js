@@ -0,0 +1,129 @@
+import { describe, test, expect } from "bun:test";
+import { classify, encodeSemanticTokens, SEMANTIC_TOKEN_TYPES } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+// [text, type] for every range
+function classified(source, options) {
+  return classify(source, options).map((range) => [source.slice(range.start, range.end), range.type]);
+}
+
+describe("semantic token classification", () => {
+  test("tells the number forms apart", () => {
+    expect(classified("1:5; 3.~7~15; 0xFF; 1/2; 1..3/4; 3.14#2; -2")).toEqual([
+      ["1:5", "interval"],
+      ["3.~7~15", "continuedFraction"],
+      ["0xFF", "baseNumber"],
+      ["1/2", "rational"],
+      ["1..3/4", "rational"],
+      ["3.14#2", "number"],
+      ["-2", "number"],
+    ]);
+  });
+
+  test("resolves capitalized identifiers through the system loader", () => {
+    expect(classified("SIN(PI) AND IF LIST Foo x @y _1")).toEqual([
+      ["SIN", "systemFunction"],
+      ["PI", "systemConstant"],
+      ["AND", "keywordOperator"],
+      ["IF", "keyword"],
+      ["LIST", "systemConstructor"],
+      ["Foo", "systemIdentifier"],
+      ["x", "variable"],
+      ["@y", "outerVariable"],
+      ["_1", "placeholder"],
+    ]);
+
+    const systemLoader = new SystemLoader();
+    systemLoader.registerSystem("FOO", { type: "constant", value: 1 });
+    expect(classified("Foo", { systemLoader })).toEqual([["Foo", "systemConstant"]]);
+  });
+
+  test("container sigils and their closers, pipes and other operators", () => {
+    expect(classified("{;b; x := 1 } {= a = 1 } {| 1 |} (2) |>> f ||> g [1 |+ 2]")).toEqual([
+      ["{;b;", "containerSigil"],
+      ["x", "variable"],
+      [":=", "operator"],
+      ["1", "number"],
+      ["}", "containerSigil"],
+      ["{=", "containerSigil"],
+      ["a", "variable"],
+      ["=", "operator"],
+      ["1", "number"],
+      ["}", "containerSigil"],
+      ["{|", "containerSigil"],
+      ["1", "number"],
+      ["|}", "containerSigil"],
+      ["2", "number"],
+      ["|>>", "pipeOperator"],
+      ["f", "variable"],
+      ["||>", "pipeOperator"],
+      ["g", "variable"],
+      ["1", "number"],
+      ["|+", "pipeOperator"],
+      ["2", "number"],
+    ]);
+  });
+
+  test("a unit postfix is a unit through its closing bracket", () => {
+    expect(classified("9.8~[m/s^2] + 2~{kg}")).toEqual([
+      ["9.8", "number"],
+      ["~[", "unit"],
+      ["m", "unit"],
+      ["/", "unit"],
+      ["s", "unit"],
+      ["^", "unit"],
+      ["2", "unit"],
+      ["]", "unit"],
+      ["+", "operator"],
+      ["2", "number"],
+      ["~{", "unit"],
+      ["kg", "unit"],
+      ["}", "unit"],
+    ]);
+  });
+
+  test("splits embedded languages into header and body", () => {
+    expect(classified("`P(x, y):x^2 + y` ``a `b` `` `plain`")).toEqual([
+      ["`P(x, y):", "embeddedLanguage"],
+      ["x^2 + y", "embedded"],
+      ["`", "embeddedLanguage"],
+      ["``", "embeddedLanguage"],
+      ["a `b` ", "embedded"],
+      ["``", "embeddedLanguage"],
+      ["`", "embeddedLanguage"],
+      ["plain", "embedded"],
+      ["`", "embeddedLanguage"],
+    ]);
+  });
+
+  test("strings, comments and regexes; multi-line tokens give a range per line", () => {
+    const source = 'x := "one\r\ntwo"; ## note\n{/a+/g}';
+    expect(classify(source).map(({ line, character, length, type }) => [line, character, length, type])).toEqual([
+      [0, 0, 1, "variable"],
+      [0, 2, 2, "operator"],
+      [0, 5, 4, "string"],
+      [1, 0, 4, "string"],
+      [1, 6, 7, "comment"],
+      [2, 0, 7, "regexp"],
+    ]);
+  });
+
+  test("skips text the tokenizer rejects", () => {
+    expect(classified('x := "open')).toEqual([
+      ["x", "variable"],
+      [":=", "operator"],
+      ["open", "variable"],
+    ]);
+  });
+
+  test("encodes ranges as LSP semantic token data", () => {
+    const data = encodeSemanticTokens(classify("x := PI;\n  @y"));
+    const type = (name) => SEMANTIC_TOKEN_TYPES.indexOf(name);
+    expect(data).toEqual([
+      0, 0, 1, type("variable"), 0,
+      0, 2, 2, type("operator"), 0,
+      0, 3, 2, type("systemConstant"), 0,
+      1, 2, 2, type("outerVariable"), 0,
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, test, expect } from "bun:test";
+import { SystemLoader, ConfigError } from "../src/system-loader.js";
+import { CONFIG_SCHEMA, CONFIG_VERSION, migrateConfig, validateConfig } from "../src/config.js";
+
+function customized() {
+  const loader = new SystemLoader();
+  loader.registerSystem("MEAN", { type: "function", arity: -1, category: "statistics" });
+  loader.registerKeyword("UNLESS", { type: "control", structure: "conditional", precedence: 5 });
+  loader.registerOperator("⊕", { precedence: 80, associativity: "right" });
+  loader.registerBase("0A", "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwx");
+  loader.registerUnit("furlong", { dimension: { length: 1 }, factor: "201.168" });
+  loader.registerExtension("phi", { minimalPolynomial: "x^2 - x - 1" });
+  loader.createContext("physics");
+  loader.withContext("physics", () => loader.registerSystem("NEWTON", { type: "constant" }));
+  return loader;
+}
+
+describe("versioned system configs", () => {
+  test("export is plain, sorted data that round-trips", () => {
+    const config = customized().exportConfig();
+    expect(config).toEqual({
+      format: "rix-system-config",
+      version: CONFIG_VERSION,
+      settings: { allowUserOverrides: false, strictMode: false },
+      systems: { MEAN: { type: "function", arity: -1, category: "statistics" } },
+      keywords: { UNLESS: { type: "control", structure: "conditional", precedence: 5 } },
+      operators: {
+        "⊕": { type: "operator", precedence: 80, associativity: "right", operatorType: "infix" },
+      },
+      bases: { A: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwx" },
+      units: { furlong: { dimension: { length: 1 }, factor: "201.168", prefixable: false } },
+      extensions: { phi: { minimalPolynomial: "x^2 - x - 1" } },
+      contexts: { physics: { parent: null, systems: { NEWTON: { type: "constant" } }, operators: {} } },
+    });
+
+    const copy = new SystemLoader().importConfig(JSON.parse(JSON.stringify(config)));
+    expect(copy.exportConfig()).toEqual(config);
+    expect(copy.lookup("NEWTON", "physics").type).toBe("constant");
+    expect(copy.diffConfig(customized())).toEqual([]);
+  });
+
+  test("invalid configs are rejected whole with every problem listed", () => {
+    const loader = new SystemLoader({ strictMode: true });
+    const config = {
+      format: "rix-system-config",
+      version: 2,
+      systems: {
+        SIN: { type: "function", arity: 1 },
+        AND: { type: "function", arity: 2 },
+        SPREAD: { type: "functor", arity: 1.5 },
+      },
+      operators: {
+        "<~>": { type: "operator", precedence: 500 },
+        abc: { type: "operator", precedence: 50 },
+      },
+      units: { m: { dimension: { length: 1 } }, rod: { dimension: "length" } },
+      extensions: { sqrt2: {}, psi: "x^2 - 2" },
+      contexts: { lab: { parent: "campus" } },
+    };
+    expect(validateConfig(config, loader).map(({ path }) => path)).toEqual([
+      "systems.SIN",
+      "systems.AND",
+      "systems.SPREAD.type",
+      "systems.SPREAD.arity",
+      "operators.<~>.precedence",
+      "operators.abc",
+      "units.m",
+      "units.rod",
+      "extensions.sqrt2",
+      "extensions.psi",
+      "contexts.lab.parent",
+    ]);
+    expect(() => loader.importConfig(config)).toThrow(ConfigError);
+    expect(() => loader.importConfig(config)).toThrow("Cannot override core system symbol: SIN (and 10 more)");
+    expect(loader.lookup("SPREAD").source).toBe("unknown");
+    expect(loader.contexts.has("lab")).toBe(false);
+  });
+
+  test("every export imports again", () => {
+    const loader = new SystemLoader();
+    expect(() => loader.registerOperator("<=>", { precedence: 500 })).toThrow("Precedence must be a number from 1 to 200");
+    expect(() => loader.registerSystem("MEAN", { type: "function", precedence: 0 })).toThrow("Precedence must be a number from 1 to 200");
+    loader.registerOperator("<=>", { precedence: 200 });
+    expect(new SystemLoader().importConfig(loader.exportConfig()).exportConfig()).toEqual(loader.exportConfig());
+
+    const config = { format: "rix-system-config", version: 2, contexts: { lab: {}, global: {} } };
+    expect(validateConfig(config, loader)).toEqual([
+      { path: "contexts.global", message: 'Context name must be a non-empty string other than "global"' },
+    ]);
+    expect(() => loader.importConfig(config)).toThrow(ConfigError);
+    expect(loader.contexts.has("lab")).toBe(false);
+  });
+
+  test("unversioned exports migrate to the current version", () => {
+    const legacy = {
+      core: [["SIN", { type: "function", arity: 1, source: "core" }]],
+      system: [["MEAN", { type: "function", arity: -1, source: "system", registered: 1 }]],
+      keywords: [["UNLESS", { type: "control", precedence: 5, source: "keyword" }]],
+      operators: [["⊕", { type: "operator", precedence: 80, source: "operator" }]],
+      bases: [["B", { alphabet: "01", base: 2 }]],
+      config: { strictMode: true, moduleLoader: null },
+    };
+    expect(migrateConfig(legacy)).toEqual({
+      format: "rix-system-config",
+      version: 2,
+      settings: { strictMode: true },
+      systems: { MEAN: { type: "function", arity: -1 } },
+      keywords: { UNLESS: { type: "control", precedence: 5 } },
+      operators: { "⊕": { type: "operator", precedence: 80 } },
+      bases: { B: "01" },
+      units: {},
+      extensions: {},
+      contexts: {},
+    });
+    expect(() => migrateConfig({ version: 9 })).toThrow("Unsupported config version 9");
+  });
+
+  test("diffConfig lists added, removed and changed entries", () => {
+    const before = customized();
+    const after = customized();
+    after.registerSystem("MEAN", { type: "function", arity: 1 });
+    after.registerSystem("MEDIAN", { type: "function", arity: -1 });
+    after.withContext("physics", () => after.registerOperator("⊗", { precedence: 90 }));
+    after.registerExtension("psi", { minimalPolynomial: "x^3 - 2" });
+    const config = after.exportConfig();
+    delete config.bases.A;
+
+    expect(before.diffConfig(config)).toEqual([
+      {
+        path: "systems.MEAN",
+        change: "changed",
+        before: { type: "function", arity: -1, category: "statistics" },
+        after: { type: "function", arity: 1 },
+      },
+      { path: "systems.MEDIAN", change: "added", after: { type: "function", arity: -1 } },
+      {
+        path: "bases.A",
+        change: "removed",
+        before: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwx",
+      },
+      { path: "extensions.psi", change: "added", after: { minimalPolynomial: "x^3 - 2" } },
+      {
+        path: "contexts.physics.operators.⊗",
+        change: "added",
+        after: { type: "operator", precedence: 90, associativity: "left", operatorType: "infix" },
+      },
+    ]);
+  });
+
+  test("the schema describes the exported format", () => {
+    expect(CONFIG_SCHEMA.properties.version.const).toBe(CONFIG_VERSION);
+    expect(Object.keys(CONFIG_SCHEMA.properties)).toEqual(Object.keys(customized().exportConfig()));
+  });
+});
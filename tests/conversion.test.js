@@ -0,0 +1,72 @@
+import { describe, test, expect } from "bun:test";
+import { parse, convert, validateAst, literalToRational } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import { convertRational, unitScale } from "../src/conversion.js";
+import { parseFactor } from "../src/units.js";
+
+function quantity(source) {
+  return parse(`${source};`)[0].expression;
+}
+
+function converted(source, toUnit, fromUnit = null) {
+  return convert(quantity(source), fromUnit, toUnit).original;
+}
+
+describe("unit conversion", () => {
+  test("exact factors, prefixes and compound units", () => {
+    expect(converted("100~[m]", "ft", "m")).toBe("125000/381~[ft]");
+    expect(converted("1~[mi]", "in")).toBe("63360~[in]");
+    expect(converted("1~[km/h]", "m/s")).toBe("5/18~[m/s]");
+    expect(converted("3~[mm^3]", "L")).toBe("3/1000000~[L]");
+    expect(converted("1~[kW*h]", "MJ")).toBe("18/5~[MJ]");
+    expect(converted("1/2~[µs]", "ns")).toBe("500~[ns]");
+    expect(converted("1~[eV]", "J")).toBe("801088317/5000000000000000000000000000~[J]");
+  });
+
+  test("temperatures on shifted scales", () => {
+    expect(converted("20~[°C]", "°F")).toBe("68~[°F]");
+    expect(converted("-40~[°F]", "°C")).toBe("-40~[°C]");
+    expect(converted("0~[K]", "°C")).toBe("-5463/20~[°C]");
+    expect(converted("212~[degF]", "K")).toBe("7463/20~[K]");
+    // A rate of change measures differences, without the offset
+    expect(converted("1~[°C/s]", "K/min")).toBe("60~[K/min]");
+  });
+
+  test("gives a ScientificUnit node of an exact Number", () => {
+    const result = convert(quantity("100~[m]"), "m", "ft");
+    expect(validateAst(result)).toEqual([]);
+    expect(literalToRational(result.target)).toEqual({ num: 125000n, den: 381n });
+    expect(result.unitExpression).toMatchObject({ type: "UnitName", name: "ft", pos: [12, 12, 14] });
+    expect(convert(quantity("3"), "ft", "in").original).toBe("36~[in]");
+  });
+
+  test("convertRational and unitScale work on exact values", () => {
+    expect(convertRational({ num: 3n, den: 2n }, "h", "min")).toEqual({ num: 90n, den: 1n });
+    expect(unitScale("lb")).toEqual({ factor: { num: 45359237n, den: 100000000n }, offset: { num: 0n, den: 1n }, dimension: { mass: 1 } });
+    expect(unitScale("m^(1/2)").factor).toEqual({ num: 1n, den: 1n });
+    expect(parseFactor("1.602176634e-19")).toEqual({ num: 801088317n, den: 5000000000000000000000000000n });
+  });
+
+  test("incompatible and unconvertible units throw", () => {
+    expect(() => converted("2~[m]", "s")).toThrow("Cannot convert m (length) to s (time)");
+    expect(() => converted("2~[s]", "ft", "m")).toThrow("Cannot convert a time value from m (length)");
+    expect(() => converted("100~[km]", "ft", "m")).toThrow("Cannot convert a value in km from m; its unit is the source");
+    expect(() => converted("20~[°C]", "°F", "K")).toThrow("Cannot convert a value in °C from K");
+    expect(converted("2~[L]", "mL", "dm^3")).toBe("2000~[mL]");
+    expect(() => converted("2~[furlong]", "m")).toThrow("Unknown unit furlong");
+    expect(() => converted("1~[deg]", "rad")).toThrow("Unit deg has no exact conversion factor");
+    expect(() => converted("4~[km^(1/2)]", "m^(1/2)")).toThrow("Factor of km^(1/2) is not rational");
+    expect(() => converted("x~[m]", "ft")).toThrow("convert needs a number literal");
+  });
+
+  test("registered units convert with their factors", () => {
+    const loader = new SystemLoader();
+    loader.registerUnit("furlong", { dimension: { length: 1 }, factor: "201.168" });
+    const units = loader.unitTable();
+    expect(convert(quantity("1~[furlong]"), null, "ft", { units }).original).toBe("660~[ft]");
+    expect(() => loader.registerUnit("chain", { dimension: { length: 1 }, factor: "0" })).toThrow("must be positive");
+    expect(() => loader.registerUnit("chain", { dimension: { length: 1 }, factor: "about 20" })).toThrow(
+      "Invalid unit factor",
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, test, expect } from "bun:test";
+import { parse, print, printCST } from "../index.js";
+
+function systemLookup(name) {
+  return { type: "identifier", name };
+}
+
+function cstParse(code) {
+  return parse(code, { systemLookup, cst: true });
+}
+
+function triviaText(pieces) {
+  return pieces.map((piece) => piece.text).join("");
+}
+
+describe("concrete syntax tree", () => {
+  test("round-trips source byte for byte", () => {
+    const samples = [
+      "x := 1;",
+      "  x  :=\t1 ;  \n\n",
+      "## header\nf := {;\n  ## inside\n  a := 1; /* why */ b := a + 2 ; ## note\n};\n",
+      "##doc## several\nlines ##doc##\ng(x) :-> x^2   ## end",
+      "m := {= a = 1, b = [1, (2)] }; F(x)[1] |>> (v) -> v * 2;",
+      "x := 1;\r\n## windows\r\ny := 2\r\n",
+      "",
+      "   ",
+      "## only a comment",
+    ];
+    for (const code of samples) {
+      expect(printCST(cstParse(code))).toBe(code);
+    }
+  });
+
+  test("returns a Program whose statements own their tokens", () => {
+    const program = cstParse("a := 1; b := 2;");
+    expect(program.type).toBe("Program");
+    expect(program.body).toHaveLength(2);
+    const [first] = program.body;
+    expect(first.type).toBe("Statement");
+    expect(first.tokens.map((token) => token.text)).toEqual([";"]);
+    expect(first.expression.tokens.map((token) => token.text)).toEqual([":="]);
+    expect(first.tokenRange).toEqual([0, 3]);
+    expect(printCST(first.expression.right)).toBe("1");
+  });
+
+  test("comments inside blocks stay with the nodes they sit next to", () => {
+    const program = cstParse("f := {;\n  ## first\n  a := 1;\n  b := 2 ## last\n};");
+    const block = program.body[0].expression.right;
+    expect(block.type).toBe("BlockContainer");
+    const [a, b] = block.elements;
+    expect(triviaText(a.leadingTrivia)).toBe("\n  ## first\n  ");
+    expect(a.leadingTrivia.map((piece) => piece.type)).toEqual([
+      "Whitespace",
+      "LineComment",
+      "Whitespace",
+    ]);
+    expect(triviaText(b.trailingTrivia)).toBe(" ## last");
+    expect(program.body.some((node) => node.type === "Comment")).toBe(false);
+  });
+
+  test("the outermost node starting at a token holds its leading trivia", () => {
+    const program = cstParse("/* lead */ x + y;");
+    const statement = program.body[0];
+    expect(statement.leadingTrivia).toEqual([
+      { type: "BlockComment", text: "/* lead */" },
+      { type: "Whitespace", text: " " },
+    ]);
+    expect(statement.expression.leadingTrivia).toEqual([]);
+    expect(statement.expression.left.leadingTrivia).toEqual([]);
+  });
+
+  test("trivia after the last statement belongs to the Program", () => {
+    const program = cstParse("x;\n## done\n");
+    expect(triviaText(program.trailingTrivia)).toBe("\n## done\n");
+  });
+
+  test("recover mode keeps skipped text as trivia", () => {
+    const code = 'x := 1; y := "oops; z := 3;';
+    const { ast, diagnostics } = parse(code, { cst: true, recover: true });
+    expect(diagnostics).toHaveLength(1);
+    expect(printCST(ast)).toBe(code);
+  });
+
+  test("the pretty printer accepts a Program", () => {
+    expect(print(cstParse("x:=1;## note\ny:=2;"))).toBe("x := 1;\ny := 2;");
+  });
+
+  test("default mode still returns comment statements", () => {
+    const ast = parse("## note\nx;", systemLookup);
+    expect(ast[0].type).toBe("Comment");
+    expect(ast[0].leadingTrivia).toBeUndefined();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, print, classify, createDocument } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+function loader() {
+  const systemLoader = new SystemLoader();
+  systemLoader.registerOperator("<=>", { precedence: 60 });
+  systemLoader.registerOperator("⊕", { precedence: 80, associativity: "right" });
+  systemLoader.registerOperator("√", { precedence: 110, operatorType: "prefix" });
+  systemLoader.registerOperator("!!", { precedence: 120, operatorType: "postfix" });
+  return systemLoader;
+}
+
+function parseWith(systemLoader, code) {
+  return parse(code, { operators: systemLoader.operatorDefinitions() })[0].expression;
+}
+
+// Operator tree as nested arrays: [operator, ...operands]
+function shape(node) {
+  if (node.type === "BinaryOperation") return [node.operator, shape(node.left), shape(node.right)];
+  if (node.type === "UnaryOperation") return [node.operator, shape(node.operand)];
+  if (node.type === "Grouping") return shape(node.expression);
+  return node.name ?? node.value;
+}
+
+describe("registered custom operators", () => {
+  test("join maximal munch ahead of shorter built-in symbols", () => {
+    const operators = loader().operatorDefinitions();
+    expect(tokenize("a <=> b <= c ⊕ d", { operators }).map((t) => t.value)).toEqual([
+      "a", "<=>", "b", "<=", "c", "⊕", "d", null,
+    ]);
+    expect(tokenize("a <=> b").map((t) => t.value)).toEqual(["a", "<=", ">", "b", null]);
+  });
+
+  test("infix operators follow their precedence and associativity", () => {
+    const systemLoader = loader();
+    expect(shape(parseWith(systemLoader, "a <=> b + 1;"))).toEqual(["<=>", "a", ["+", "b", "1"]]);
+    expect(shape(parseWith(systemLoader, "a ⊕ b ⊕ c * 2;"))).toEqual(["⊕", "a", ["⊕", "b", ["*", "c", "2"]]]);
+    expect(shape(parseWith(systemLoader, "a < b <=> c;"))).toEqual(["<=>", ["<", "a", "b"], "c"]);
+  });
+
+  test("nodes carry the registered definition", () => {
+    const node = parseWith(loader(), "a <=> b;");
+    expect(node).toMatchObject({
+      type: "BinaryOperation",
+      operator: "<=>",
+      operatorInfo: { type: "operator", precedence: 60, associativity: "left", operatorType: "infix" },
+    });
+  });
+
+  test("prefix and postfix operators produce UnaryOperation nodes", () => {
+    const systemLoader = loader();
+    const node = parseWith(systemLoader, "√(a ⊕ b)!! + 1;");
+    expect(shape(node)).toEqual(["+", ["√", ["!!", ["⊕", "a", "b"]]], "1"]);
+    expect(node.left.operatorInfo.operatorType).toBe("prefix");
+    expect(node.left.operand).toMatchObject({ type: "UnaryOperation", fixity: "postfix" });
+    expect(print(parse("x := √(a ⊕ b)!!;", { operators: systemLoader.operatorDefinitions() }))).toBe(
+      "x := √(a ⊕ b)!!;",
+    );
+  });
+
+  test("documents and highlighting use the loader's operators", () => {
+    const systemLoader = loader();
+    const document = createDocument("a <=> b;", { operators: systemLoader.operatorDefinitions() });
+    expect(document.diagnostics).toEqual([]);
+    expect(document.ast[0].expression.operator).toBe("<=>");
+    expect(classify("a <=> b", { systemLoader }).map((range) => range.type)).toEqual([
+      "variable",
+      "operator",
+      "variable",
+    ]);
+  });
+});
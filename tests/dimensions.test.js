@@ -0,0 +1,97 @@
+import { describe, test, expect } from "bun:test";
+import { parse, checkDimensions } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import { parseUnit } from "../src/units.js";
+import { formatDimension, unitExpressionDimension } from "../src/dimensions.js";
+
+function check(source, systemLoader = new SystemLoader()) {
+  const systemLookup = systemLoader.createParserLookup();
+  return checkDimensions(parse(source, { systemLookup }), { units: systemLoader.unitTable(), source });
+}
+
+function dimensionOf(unit) {
+  return formatDimension(unitExpressionDimension(parseUnit(unit)));
+}
+
+describe("unit dimensions", () => {
+  test("derived units reduce to base dimensions", () => {
+    expect(dimensionOf("kg*m/s^2")).toBe("length·mass·time^-2");
+    expect(dimensionOf("N*m")).toBe(dimensionOf("J"));
+    expect(dimensionOf("km/h")).toBe("length·time^-1");
+    expect(dimensionOf("1/s")).toBe(dimensionOf("Hz"));
+    expect(dimensionOf("m^(1/2)")).toBe("length^0.5");
+    expect(dimensionOf("rad/rad")).toBe("dimensionless");
+  });
+});
+
+describe("checking dimensions", () => {
+  test("sums and comparisons of different dimensions are mismatches", () => {
+    expect(check("3~[m] + 2~[s];")).toEqual([
+      {
+        severity: "error",
+        code: "E_DIMENSION_MISMATCH",
+        message: "Dimension mismatch: length + time",
+        span: [0, 13],
+        line: 1,
+        col: 1,
+      },
+    ]);
+    expect(check("1~[km] - 3~[ft] + 2~[mi]; 2~[N] < 1~[kg*m/s^2];")).toEqual([]);
+    expect(check("(2~[m])^2 >= 3~[m^3];").map((d) => d.message)).toEqual(["Dimension mismatch: length^2 >= length^3"]);
+  });
+
+  test("products, quotients and assigned names carry dimensions", () => {
+    const source = "v := 3~[m/s];\nt := 2~[s];\nd := v*t + 1~[km];\nd + t;";
+    expect(check(source)).toEqual([
+      expect.objectContaining({ message: "Dimension mismatch: length + time", span: [45, 50], line: 4, col: 1 }),
+    ]);
+    expect(check("x := 4~[m^2]^(1/2); x + 1~[m]; y + 1~[s]; SQRT(x) + 1~[s];")).toEqual([]);
+  });
+
+  test("CONVERT needs compatible units and a value in the source unit", () => {
+    expect(check('CONVERT(100~[m], "m", "ft");')).toEqual([]);
+    expect(check('CONVERT(100~[m], "m", "s");')).toEqual([
+      expect.objectContaining({
+        code: "E_INCOMPATIBLE_UNITS",
+        message: "Cannot convert m (length) to s (time)",
+        span: [0, 26],
+      }),
+    ]);
+    expect(check('CONVERT(1~[s], "m", "ft") + 1~[m];')).toEqual([
+      expect.objectContaining({
+        code: "E_DIMENSION_MISMATCH",
+        message: "Cannot convert a time value from m (length)",
+        span: [8, 13],
+      }),
+    ]);
+    expect(check('CONVERT(x, "km/h", "m/s^") + 1~[s];')).toEqual([
+      expect.objectContaining({ code: "E_UNIT_SYNTAX", span: [24, 24] }),
+    ]);
+  });
+
+  test("unknown units are warnings and leave the dimension unknown", () => {
+    expect(check("1~[furlong] + 2~[s];")).toEqual([
+      { severity: "warning", code: "E_UNKNOWN_UNIT", message: "Unknown unit furlong", span: [3, 10], line: 1, col: 4 },
+    ]);
+  });
+});
+
+describe("registering units", () => {
+  test("registered units join the table, with prefixes when prefixable", () => {
+    const systemLoader = new SystemLoader();
+    systemLoader.registerUnit("furlong", { dimension: { length: 1 } });
+    systemLoader.registerUnit("USD", { dimension: { currency: 1 }, prefixable: true });
+    expect(check("1~[furlong] + 2~[m]; 3~[kUSD/h] + 1~[USD/min];", systemLoader)).toEqual([]);
+    expect(check("1~[furlong] + 2~[USD];", systemLoader).map((d) => d.message)).toEqual([
+      "Dimension mismatch: length + currency",
+    ]);
+  });
+
+  test("registerUnit rejects bad symbols and dimensions", () => {
+    const systemLoader = new SystemLoader({ strictMode: true });
+    expect(() => systemLoader.registerUnit("m/s", { dimension: { length: 1 } })).toThrow("Unit symbol");
+    expect(() => systemLoader.registerUnit("furlong", {})).toThrow("needs a dimension");
+    expect(() => systemLoader.registerUnit("furlong", { dimension: { length: "1" } })).toThrow("finite number");
+    expect(() => systemLoader.registerUnit("m", { dimension: { length: 1 } })).toThrow("built-in unit");
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, createDocument } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+function systemLookup(name) {
+  return { type: "identifier", name };
+}
+
+function edit(doc, from, to, text) {
+  return doc.applyEdit({ start: from, end: to, text });
+}
+
+function expectMatchesFullParse(doc, options = { systemLookup }) {
+  const full = parse(doc.text, { ...options, recover: true });
+  expect(doc.ast).toEqual(full.ast);
+  expect(doc.diagnostics).toEqual(full.diagnostics);
+}
+
+describe("incremental documents", () => {
+  test("re-parses only the statement an edit touches", () => {
+    const doc = createDocument("a := 1;\nb := 2;\nc := 3;", { systemLookup });
+    const [a, b, c] = doc.ast;
+    const { ast, changed, removed } = edit(doc, 13, 14, "20");
+    expect(doc.text).toBe("a := 1;\nb := 20;\nc := 3;");
+    expect(removed).toEqual([b]);
+    expect(changed).toHaveLength(1);
+    expect(changed[0].expression.right.value).toBe("20");
+    expect(ast[0]).toBe(a);
+    expect(ast[2]).toBe(c);
+    expectMatchesFullParse(doc);
+  });
+
+  test("moves the positions of later statements", () => {
+    const doc = createDocument("x := 1; y := 2;", { systemLookup });
+    const y = doc.ast[1];
+    const before = [...y.expression.left.pos];
+    edit(doc, 0, 0, "w := 0; ");
+    expect(doc.ast[2]).toBe(y);
+    expect(y.expression.left.pos).toEqual(before.map((offset) => offset + 8));
+    expect(doc.tokens).toEqual(tokenize(doc.text));
+    expectMatchesFullParse(doc);
+  });
+
+  test("an unclosed brace takes in the statements it runs into", () => {
+    const doc = createDocument("a := 1;\nb := 2;\nc := 3;", { systemLookup });
+    const { changed, removed } = edit(doc, 5, 6, "{; 1");
+    expect(removed).toHaveLength(3);
+    expect(changed).toHaveLength(1);
+    expect(doc.diagnostics.map((diagnostic) => diagnostic.code)).toEqual(["E_UNCLOSED_BRACE"]);
+    expectMatchesFullParse(doc);
+
+    edit(doc, doc.text.length, doc.text.length, " };");
+    expect(doc.diagnostics).toEqual([]);
+    expectMatchesFullParse(doc);
+  });
+
+  test("keeps tokenizer diagnostics in step with the text", () => {
+    const doc = createDocument('x := 1;\ny := "open;\nz := 3;', { systemLookup });
+    expect(doc.diagnostics.map((diagnostic) => diagnostic.code)).toContain("E_UNCLOSED_STRING");
+    edit(doc, 0, 0, "\n\n");
+    expectMatchesFullParse(doc);
+    edit(doc, doc.text.indexOf("open") + 4, doc.text.indexOf("open") + 4, '"');
+    expect(doc.diagnostics).toEqual([]);
+    expectMatchesFullParse(doc);
+  });
+
+  test("matches a full parse after a series of edits", () => {
+    const doc = createDocument("f(x) :-> x^2; ## square\ng := [1, 2, 3] |>> f;\nh := {= a = 1 };", {
+      systemLookup,
+    });
+    const edits = [
+      [0, 1, "F"],
+      [14, 14, "/* note */ "],
+      [30, 32, ""],
+      [40, 40, "(x"],
+      [41, 43, ""],
+      [5, 5, ";"],
+    ];
+    for (const [from, to, text] of edits) {
+      edit(doc, from, to, text);
+      expectMatchesFullParse(doc);
+    }
+    expect(doc.version).toBe(edits.length);
+  });
+
+  test("a recovered statement does not take in the statements after it", () => {
+    const doc = createDocument('3.5{; a := 1; b := 2 }/* b */}zz"s"');
+    edit(doc, 16, 20, "3.5");
+    expect(doc.ast[0].original).toBe("3.5{; a := 1;");
+    expectMatchesFullParse(doc, {});
+  });
+
+  test("parses with every parse option", () => {
+    const loader = new SystemLoader({ strictMode: true });
+    const options = {
+      // Without the lookup time, which differs between the two parses
+      systemLookup: (name) => {
+        const { resolvedAt, ...info } = loader.lookup(name);
+        return info;
+      },
+      unknownSystem: "warn",
+      extensionLookup: loader.createExtensionLookup(),
+      functionalForms: loader.createFunctionalFormTransform(),
+    };
+    const doc = createDocument("x := SQTR(2);\ny := 2~{psi};\nWHILE(c, b);", options);
+    expect(doc.diagnostics.map(({ severity, code }) => [severity, code])).toEqual([
+      ["warning", "E_UNKNOWN_SYSTEM"],
+      ["error", "E_UNKNOWN_EXTENSION"],
+    ]);
+    expect(doc.ast[2].expression.type).toBe("ControlStructure");
+    edit(doc, 5, 9, "SQRT");
+    expect(doc.diagnostics.map(({ code }) => code)).toEqual(["E_UNKNOWN_EXTENSION"]);
+    expectMatchesFullParse(doc, options);
+  });
+
+  test("rejects ranges outside the text", () => {
+    const doc = createDocument("x;");
+    expect(() => edit(doc, 1, 5, "")).toThrow(RangeError);
+    expect(() => edit(doc, 2, 1, "")).toThrow(RangeError);
+    expect(doc.version).toBe(0);
+  });
+});
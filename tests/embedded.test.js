@@ -0,0 +1,123 @@
+import { describe, test, expect } from "bun:test";
+import { parse, printCST, validateAst } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import { parseFraction } from "../src/embedded.js";
+
+function embedded(source, options) {
+  return parse(`${source};`, options)[0].expression;
+}
+
+// Source text a node covers, from its value start
+function text(source, node) {
+  return source.slice(node.pos[1], node.pos[2]);
+}
+
+function failure(source) {
+  try {
+    parse(source);
+  } catch (error) {
+    return { code: error.code, detail: error.detail, line: error.line, col: error.col };
+  }
+  return null;
+}
+
+describe("built-in embedded languages", () => {
+  test("polynomial bodies parse to an expression positioned in the source", () => {
+    const source = "a := 1;\nb := `P(x):2x^2 + 3x + 1`;";
+    const node = parse(source)[1].expression.right;
+    expect(node.parsed).toHaveLength(1);
+    expect(node.parsed[0]).toMatchObject({ type: "BinaryOperation", operator: "+", pos: [19, 19, 32] });
+    expect(text(source, node.parsed[0].left.right)).toBe("3x");
+    expect(node.parsed[0].loc).toEqual({ start: { line: 2, col: 12 }, end: { line: 2, col: 25 } });
+  });
+
+  test("fraction bodies give a rational Number", () => {
+    expect(embedded("`F: 6/8`").parsed).toEqual([
+      expect.objectContaining({ type: "Number", value: "6/8", format: "rational", num: "6", den: "8", pos: [4, 4, 7] }),
+    ]);
+    expect(parseFraction("-3/4")).toMatchObject({ negative: true, num: "3", den: "4" });
+  });
+
+  test("RiX bodies parse recursively, nested literals included", () => {
+    const source = "``RiX: `F:5/3` + x ``;";
+    const [sum] = parse(source)[0].expression.parsed;
+    expect(sum).toMatchObject({ type: "BinaryOperation", operator: "+", right: { type: "UserIdentifier", name: "x" } });
+    expect(text(source, sum.left.parsed[0])).toBe("5/3");
+    expect(embedded("`NoColon`").parsed).toEqual([
+      expect.objectContaining({ type: "SystemIdentifier", name: "NOCOLON", original: "NoColon", pos: [1, 1, 8] }),
+    ]);
+  });
+
+  test("languages without a handler stay unparsed", () => {
+    expect(embedded("`SQL():SELECT * FROM users`").parsed).toBeNull();
+    expect(validateAst(parse("`P(x):x^2`; `F:1/2`; ``RiX:1 + `F:1/3` ``; `JS: a[b]`;"))).toEqual([]);
+    const source = "`P(x): x^2 + 1` + ``RiX: `F:6/8` ``;";
+    expect(printCST(parse(source, { cst: true }))).toBe(source);
+  });
+});
+
+describe("errors in embedded bodies", () => {
+  test("are located in the outer source", () => {
+    expect(failure("x;\n  `P(x): x^2 + y`;")).toEqual({
+      code: "E_EMBEDDED_SYNTAX",
+      detail: "y is not a variable of the polynomial in x",
+      line: 2,
+      col: 16,
+    });
+    expect(failure("x;\n``RiX: (1 + ``;")).toMatchObject({ code: "E_UNEXPECTED_TOKEN", line: 2, col: 13 });
+    expect(failure("`P(x):x^-1`;")?.detail).toBe("Powers in a polynomial must be non-negative integers");
+    expect(failure("`P(x):SIN(x)`;")?.detail).toBe("Not a term of a polynomial");
+    expect(failure("`F:6/0`;")?.detail).toBe("Fraction has a zero denominator");
+  });
+
+  test("are diagnostics when recovering", () => {
+    const { ast, diagnostics } = parse("`F: nope`; 1 + 2;", { recover: true });
+    expect(diagnostics).toEqual([
+      {
+        severity: "error",
+        code: "E_EMBEDDED_SYNTAX",
+        message: "Expected a fraction such as 6/8",
+        span: [4, 8],
+        line: 1,
+        col: 5,
+      },
+    ]);
+    expect(ast[0].expression.parsed).toBeNull();
+    expect(ast).toHaveLength(2);
+  });
+
+  test("plain text without a header stays unparsed", () => {
+    expect(embedded("q := `Hello, world!`").right).toMatchObject({ language: "RiX-String", body: "Hello, world!", parsed: null });
+    expect(embedded("`a ) b`").parsed).toBeNull();
+    expect(parse("`a ) b`; 1;", { recover: true }).diagnostics).toEqual([
+      expect.objectContaining({ severity: "warning", span: [3, 4] }),
+    ]);
+    expect(failure("``RiX: a ) b ``;")?.line).toBe(1);
+  });
+});
+
+describe("registering embedded languages", () => {
+  const json = (body) => {
+    const value = JSON.parse(body);
+    const start = body.length - body.trimStart().length;
+    return { type: "String", pos: [start, start, body.trimEnd().length], original: body.trim(), value: JSON.stringify(value), kind: "quote" };
+  };
+
+  test("registered parsers handle their language", () => {
+    const loader = new SystemLoader();
+    loader.registerEmbeddedLanguage("JSON", json);
+    const embeddedLanguages = loader.embeddedLanguages();
+    expect(embedded('`JSON: {"a": 1}`', { embeddedLanguages }).parsed).toEqual([
+      expect.objectContaining({ type: "String", value: '{"a":1}', pos: [7, 7, 15] }),
+    ]);
+    expect(embeddedLanguages.has("P")).toBe(true);
+    expect(() => parse('`JSON:{"a": }`;', { embeddedLanguages })).toThrow("Cannot parse JSON body:");
+  });
+
+  test("registerEmbeddedLanguage checks names and parsers", () => {
+    const loader = new SystemLoader({ strictMode: true });
+    expect(() => loader.registerEmbeddedLanguage("a:b", json)).toThrow("Invalid embedded language name: a:b");
+    expect(() => loader.registerEmbeddedLanguage("JSON", "json")).toThrow("needs a parser function");
+    expect(() => loader.registerEmbeddedLanguage("P", json)).toThrow("Cannot override built-in embedded language: P");
+  });
+});
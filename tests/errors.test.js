@@ -0,0 +1,82 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, RixSyntaxError, ParseError, TokenizeError } from "../index.js";
+
+function systemLookup(name) {
+  return { type: "identifier", name };
+}
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("expected an error to be thrown");
+}
+
+describe("structured syntax errors", () => {
+  test("parse errors are ParseError instances with location fields", () => {
+    const error = catchError(() => parse("a\n  := [1, 2", systemLookup));
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error).toBeInstanceOf(RixSyntaxError);
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.name).toBe("ParseError");
+    expect(error).toMatchObject({
+      code: "E_UNCLOSED_BRACKET",
+      line: 2,
+      col: 11,
+      offset: 12,
+      endOffset: 12,
+      expected: ["]"],
+      detail: "Expected closing bracket",
+    });
+    expect(error.token.type).toBe("End");
+  });
+
+  test("message wording is unchanged", () => {
+    expect(() => parse("x := (1 + 2", systemLookup)).toThrow(
+      "Parse error at line 1, column 12 (position 11): Expected closing parenthesis",
+    );
+  });
+
+  test("unclosed braces report E_UNCLOSED_BRACE", () => {
+    const error = catchError(() => parse("x := {; a := 1", systemLookup));
+    expect(error.code).toBe("E_UNCLOSED_BRACE");
+    expect(error.expected).toEqual(["}"]);
+  });
+
+  test("offending token is attached with its span", () => {
+    const error = catchError(() => parse("{#x:p,p# p = x };", systemLookup));
+    expect(error.code).toBe("E_SPEC_DUP_OUTPUT");
+    expect(error.token.value).toBe("{#");
+    expect([error.offset, error.endOffset]).toEqual([0, 8]);
+  });
+
+  test("tokenizer errors are TokenizeError instances", () => {
+    const error = catchError(() => tokenize("y := {@:abc@ x}"));
+    expect(error).toBeInstanceOf(TokenizeError);
+    expect(error).toBeInstanceOf(RixSyntaxError);
+    expect(error).toMatchObject({
+      code: "E_LOOP_MAX",
+      line: 1,
+      col: 6,
+      offset: 5,
+      endOffset: 8,
+      token: null,
+    });
+  });
+
+  test("unterminated strings report the opening delimiter", () => {
+    const error = catchError(() => tokenize('x := ""abc'));
+    expect(error.code).toBe("E_UNCLOSED_STRING");
+    expect([error.offset, error.endOffset]).toEqual([5, 7]);
+    expect(error.expected).toEqual(['""']);
+  });
+
+  test("tokens passed without source still carry offsets", () => {
+    const error = catchError(() => parse(tokenize("(1 + 2"), systemLookup));
+    expect(error.code).toBe("E_UNCLOSED_PAREN");
+    expect(error.line).toBeNull();
+    expect(error.offset).toBe(6);
+  });
+});
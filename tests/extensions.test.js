@@ -0,0 +1,137 @@
+import { describe, test, expect } from "bun:test";
+import { parse, extensionField, validateAst } from "../index.js";
+import { SystemLoader } from "../src/system-loader.js";
+import { ConfigError } from "../src/config.js";
+import { isExtensionName, parseExtension } from "../src/extensions.js";
+
+function expression(source, options) {
+  return parse(`${source};`, options)[0].expression;
+}
+
+function syntaxError(text) {
+  try {
+    parseExtension(text, 10);
+  } catch (error) {
+    return { code: error.code, detail: error.detail, span: [error.offset, error.endOffset] };
+  }
+  return null;
+}
+
+describe("parsing mathematical units", () => {
+  test("roots, the imaginary unit and constants become descriptors", () => {
+    expect(parseExtension("i")).toEqual({ kind: "imaginary", generator: "i", field: "Q(i)" });
+    expect(parseExtension("sqrt2")).toEqual({ kind: "radical", index: 2, radicand: 2, generator: "√2", field: "Q(√2)" });
+    expect(parseExtension("sqrt[3]")).toEqual(parseExtension("√3"));
+    expect(parseExtension("cbrt(2)")).toMatchObject({ index: 3, radicand: 2, generator: "∛2" });
+    expect(parseExtension("zeta5")).toEqual({ kind: "rootOfUnity", order: 5, generator: "ζ5", field: "Q(ζ5)" });
+    expect(parseExtension("pi")).toEqual({ kind: "transcendental", generator: "π", field: "Q(π)" });
+    expect(parseExtension(" phi ")).toEqual({ kind: "named", name: "phi", generator: "phi", field: "Q(phi)" });
+  });
+
+  test("radicands lose their square and cube factors", () => {
+    expect(parseExtension("sqrt8")).toEqual({ kind: "radical", index: 2, radicand: 8, generator: "√2", field: "Q(√2)" });
+    expect(parseExtension("cbrt[54]")).toMatchObject({ radicand: 54, generator: "∛2" });
+    expect(parseExtension("√12").generator).toBe("√3");
+    expect(parseExtension("sqrt4")).toEqual({ kind: "radical", index: 2, radicand: 4, generator: null, field: "Q" });
+    expect(parseExtension("∛8").field).toBe("Q");
+    expect(parseExtension("zeta1")).toEqual({ kind: "rootOfUnity", order: 1, generator: null, field: "Q" });
+    expect(parseExtension("ζ2").field).toBe("Q");
+    // 2 * 10007^2: the square of a prime above the trial division limit stays
+    expect(parseExtension("sqrt200280098").generator).toBe("√200280098");
+    expect(parseExtension("sqrt9007199254740991").radicand).toBe(9007199254740991);
+  });
+
+  test("roots of unity generating the same field share a generator", () => {
+    expect(parseExtension("zeta4")).toEqual({ kind: "rootOfUnity", order: 4, generator: "i", field: "Q(i)" });
+    expect(parseExtension("ζ6").generator).toBe("ζ3");
+    expect(parseExtension("zeta10").generator).toBe("ζ5");
+    expect(parseExtension("zeta12").generator).toBe("ζ12");
+    expect(parseExtension("zeta[8]").generator).toBe("ζ8");
+  });
+
+  test("malformed units are E_EXTENSION_SYNTAX at the offending character", () => {
+    expect(syntaxError("sqrt")).toEqual({
+      code: "E_EXTENSION_SYNTAX",
+      detail: "Expected a radicand, found end of unit",
+      span: [14, 14],
+    });
+    expect(syntaxError("sqrt1").detail).toBe("Expected a radicand of at least 2");
+    expect(syntaxError("sqrt[2").span).toEqual([16, 16]);
+    expect(syntaxError(" a-b").span).toEqual([12, 13]);
+    expect(syntaxError("").detail).toBe("Empty mathematical unit");
+    expect(() => parse("1 + 2~{sqrt2x};")).toThrow('Unexpected "x" in mathematical unit');
+    expect(parse("1 + 2~{sqrt};", { recover: true }).diagnostics).toEqual([
+      expect.objectContaining({ code: "E_EXTENSION_SYNTAX", span: [11, 11], line: 1, col: 12 }),
+    ]);
+  });
+
+  test("the parser attaches the descriptor to the node", () => {
+    const node = expression("3~{sqrt2}");
+    expect(node).toMatchObject({ type: "MathematicalUnit", unit: "sqrt2", extension: { generator: "√2" } });
+    expect(validateAst(parse("1 + 3~{sqrt2}; 2~{zeta3}; 1~{phi};"))).toEqual([]);
+  });
+});
+
+describe("extension fields", () => {
+  test("arithmetic on mathematical units lies in the field they generate", () => {
+    expect(extensionField(expression("1+3~{sqrt2}"))).toEqual({
+      generators: [parseExtension("sqrt2")],
+      field: "Q(√2)",
+    });
+    expect(extensionField(expression("(1 + 2~{sqrt2}) * (3 - 1~{i})^2 / 4 + 3~{√2}")).field).toBe("Q(√2, i)");
+    expect(extensionField(expression("-1/2 + 3"))).toEqual({ generators: [], field: "Q" });
+    expect(extensionField(expression("3~{sqrt8} + 1~{sqrt2}"))).toEqual({
+      generators: [parseExtension("sqrt8")],
+      field: "Q(√2)",
+    });
+    expect(extensionField(expression("2~{sqrt4} * 1~{zeta2} - 1~{cbrt27}"))).toEqual({ generators: [], field: "Q" });
+    expect(extensionField(expression("1~{i} + 1~{zeta4}")).field).toBe("Q(i)");
+    expect(extensionField(expression("1~{zeta3} * 1~{ζ6}")).field).toBe("Q(ζ3)");
+  });
+
+  test("other expressions lie in no field", () => {
+    expect(extensionField(expression("x + 2~{i}"))).toBeNull();
+    expect(extensionField(expression("2~{i}^(1/2)"))).toBeNull();
+    expect(extensionField(expression("SQRT(2) + 1"))).toBeNull();
+  });
+});
+
+describe("registering extensions", () => {
+  test("strict loaders reject names not registered", () => {
+    const loader = new SystemLoader({ strictMode: true });
+    loader.registerExtension("phi", { minimalPolynomial: "x^2 - x - 1" });
+    const extensionLookup = loader.createExtensionLookup();
+    expect(expression("1 + 2~{phi}", { extensionLookup }).right.extension).toMatchObject({ kind: "named", name: "phi" });
+    expect(() => parse("1 + 2~{ psi };", { extensionLookup })).toThrow("Unknown mathematical unit extension psi");
+    expect(parse("1 + 2~{ psi };", { extensionLookup, recover: true }).diagnostics).toEqual([
+      {
+        severity: "error",
+        code: "E_UNKNOWN_EXTENSION",
+        message: "Unknown mathematical unit extension psi",
+        span: [8, 11],
+        line: 1,
+        col: 9,
+      },
+    ]);
+  });
+
+  test("other loaders allow any name, and only free names register", () => {
+    const extensionLookup = new SystemLoader().createExtensionLookup();
+    expect(expression("2~{psi}", { extensionLookup }).extension.field).toBe("Q(psi)");
+    expect(isExtensionName("phi")).toBe(true);
+    expect(isExtensionName("i")).toBe(false);
+    expect(isExtensionName("sqrt2")).toBe(false);
+    expect(() => new SystemLoader().registerExtension("2phi")).toThrow("Invalid extension name: 2phi");
+  });
+
+  test("definitions are checked when registered and when imported", () => {
+    const loader = new SystemLoader();
+    expect(() => loader.registerExtension("phi", "x^2 - x - 1")).toThrow("Extension phi needs an object definition");
+    expect(() => loader.registerExtension("phi", { minimalPolynomial: 2 })).toThrow(
+      'Minimal polynomial of extension phi must be text such as "x^2 - 2"',
+    );
+    const config = { format: "rix-system-config", version: 2, extensions: { phi: { minimalPolynomial: ["x^2"] } } };
+    expect(() => loader.importConfig(config)).toThrow(ConfigError);
+    expect(loader.extensionRegistry.has("phi")).toBe(false);
+  });
+});
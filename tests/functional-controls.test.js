@@ -1,6 +1,6 @@
 import { test, expect, describe } from "bun:test";
 import { SystemLoader } from "../src/system-loader.js";
-import { parse, tokenize } from "../index.js";
+import { parse, print, tokenize, ParseError } from "../index.js";
 
 describe("Functional Control Structures", () => {
   test("SystemLoader enables functional form for control keywords", () => {
@@ -407,3 +407,115 @@ describe("Real-world functional control usage", () => {
     expect(rightSide.operator).toBe("+");
   });
 });
+
+describe("Functional form transformation", () => {
+  const systemLoader = new SystemLoader();
+  [
+    ["WHILE", "loop"],
+    ["IF", "conditional", [2, 3]],
+    ["FOR", "loop"],
+    ["DO", "loop_body"],
+  ].forEach(([keyword, structure, functionalArity]) => {
+    systemLoader.registerKeyword(keyword, {
+      type: "control",
+      structure,
+      ...(functionalArity ? { functionalArity } : {}),
+      precedence: 5,
+      category: "control",
+    });
+  });
+  const options = {
+    systemLookup: systemLoader.createParserLookup(),
+    functionalForms: systemLoader.createFunctionalFormTransform(),
+  };
+  const statements = (code) =>
+    parse(code, options).map((stmt) => (stmt.type === "Statement" ? stmt.expression : stmt));
+
+  test("control calls become ControlStructure nodes", () => {
+    const [loop, assignment] = statements("WHILE(i < 5, i := i + 1); r := IF(x > 0, x, -x)");
+    expect(loop).toMatchObject({
+      type: "ControlStructure",
+      keyword: "WHILE",
+      structure: "while_loop",
+      functionalOrigin: true,
+      condition: { type: "BinaryOperation", operator: "<" },
+      body: { type: "BinaryOperation", operator: ":=" },
+    });
+    expect(assignment.right).toMatchObject({
+      type: "ControlStructure",
+      keyword: "IF",
+      condition: { operator: ">" },
+      thenBranch: { name: "x" },
+      elseBranch: { type: "UnaryOperation", operator: "-" },
+    });
+
+    const [forLoop] = statements("FOR(i := 0, i < n, i := i + 1, s := s + i)");
+    expect(forLoop).toMatchObject({ type: "ControlStructure", keyword: "FOR", structure: "for_loop" });
+    expect(forLoop.increment.right).toMatchObject({ operator: "+" });
+  });
+
+  test("nested controls and other calls", () => {
+    const [node, sin, body] = statements("IF(n > 0, WHILE(i < n, i := i + 1)); SIN(x); DO(x)");
+    expect(node.thenBranch).toMatchObject({ type: "ControlStructure", keyword: "WHILE" });
+    expect(node.elseBranch).toBeUndefined();
+    expect(sin.type).toBe("FunctionCall");
+    expect(body.type).toBe("FunctionCall");
+  });
+
+  test("wrong argument counts are errors", () => {
+    expect(() => parse("FOR(i := 0, i < n)", options)).toThrow(
+      "FOR takes 4 arguments in functional form, got 2",
+    );
+    expect(() => parse("WHILE(x)", options)).toThrow("WHILE takes 2 arguments");
+    expect(() => parse("IF(a, b, c, d)", options)).toThrow("IF takes 2 or 3 arguments");
+
+    const { diagnostics } = parse("FOR(a, b); y := 1", { ...options, recover: true });
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ code: "E_CONTROL_ARITY" });
+  });
+
+  test("keywords registered later are checked by their functional arity", () => {
+    const loader = new SystemLoader();
+    loader.registerKeyword("UNLESS", { type: "control", structure: "conditional", functionalArity: [2, 3] });
+    const lookup = { systemLookup: loader.createParserLookup(), functionalForms: loader.createFunctionalFormTransform() };
+    expect(() => parse("IF(a, b, c, d)", lookup)).toThrow("IF takes 2 or 3 arguments");
+    expect(() => parse("UNLESS(a)", lookup)).toThrow("UNLESS takes 2 or 3 arguments in functional form, got 1");
+    expect(parse("UNLESS(a, b, c)", lookup)[0].type).toBe("FunctionCall");
+    expect(() => loader.registerKeyword("UNTIL", { type: "control", structure: "loop", functionalArity: [3, 2] })).toThrow(
+      "Functional arity must be a number of arguments or a [min, max] pair",
+    );
+  });
+
+  test("other transform errors keep their own code", () => {
+    const failure = new Error("transform failed");
+    const failing = {
+      ...options,
+      functionalForms: () => {
+        throw failure;
+      },
+    };
+    expect(() => parse("WHILE(c, b)", failing)).toThrow(failure);
+
+    const rejecting = {
+      ...options,
+      functionalForms: () => {
+        throw new ParseError("WHILE is disabled", { code: "E_DISABLED" });
+      },
+    };
+    const { diagnostics } = parse("WHILE(c, b); y := 1", { ...rejecting, recover: true });
+    expect(diagnostics).toEqual([expect.objectContaining({ code: "E_DISABLED", message: "WHILE is disabled", span: [0, 5] })]);
+  });
+
+  test("keyword arguments are errors", () => {
+    expect(() => parse("WHILE(c, b; n := 2)", options)).toThrow(
+      "WHILE takes no keyword arguments in functional form, got n",
+    );
+    const { diagnostics } = parse("IF(a, b; c := 1); y := 1", { ...options, recover: true });
+    expect(diagnostics).toEqual([expect.objectContaining({ code: "E_UNKNOWN_KEYWORD_ARG", span: [14, 15] })]);
+  });
+
+  test("control structures print in functional form", () => {
+    const source = "WHILE(i < 5, i := i + 1);\nr := IF(x > 0, x, -x) + IF(y, 1);\nFOR(i := 0, i < n, i := i + 1, s := s + i);";
+    expect(print(parse(source, options))).toBe(source);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Helpers shared by the test files
+ */
+
+import { decodeNumber } from "../src/numbers.js";
+
+// A Number node without the parts decodeNumber() adds to it, which
+// numbers.test.js checks; any other field stays
+export function withoutDecodedParts(node) {
+  const decoded = decodeNumber(node.value, 0, node.alphabet);
+  return Object.fromEntries(Object.entries(node).filter(([key]) => !Object.hasOwn(decoded, key)));
+}
@@ -0,0 +1,215 @@
+import { describe, test, expect } from "bun:test";
+import { spawn } from "node:child_process";
+import { PassThrough } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { startServer } from "../src/lsp.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+const SERVER = fileURLToPath(new URL("../bin/rix-lsp.js", import.meta.url));
+const URI = "file:///test.rix";
+
+// Speaks the base protocol to a server over a pair of streams
+class FakeClient {
+  constructor(input, output) {
+    this.input = input;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.waiters = [];
+    let buffer = Buffer.alloc(0);
+    output.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const headerEnd = buffer.indexOf("\r\n\r\n");
+        if (headerEnd === -1) return;
+        const length = Number(/Content-Length: (\d+)/.exec(buffer.subarray(0, headerEnd).toString())[1]);
+        if (buffer.length < headerEnd + 4 + length) return;
+        const message = JSON.parse(buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString());
+        buffer = buffer.subarray(headerEnd + 4 + length);
+        this.receive(message);
+      }
+    });
+  }
+
+  receive(message) {
+    if (message.id !== undefined && this.pending.has(message.id)) {
+      this.pending.get(message.id)(message);
+      this.pending.delete(message.id);
+      return;
+    }
+    this.waiters = this.waiters.filter((waiter) => !waiter(message));
+  }
+
+  write(message) {
+    const json = JSON.stringify({ jsonrpc: "2.0", ...message });
+    this.input.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  }
+
+  request(method, params) {
+    const id = this.nextId++;
+    const reply = new Promise((resolve) => this.pending.set(id, resolve));
+    this.write({ id, method, params });
+    return reply;
+  }
+
+  notify(method, params) {
+    this.write({ method, params });
+  }
+
+  // Resolves with the next notification of `method`
+  next(method) {
+    return new Promise((resolve) => {
+      this.waiters.push((message) => {
+        if (message.method !== method) return false;
+        resolve(message.params);
+        return true;
+      });
+    });
+  }
+}
+
+function connect(options) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  startServer(input, output, options);
+  return new FakeClient(input, output);
+}
+
+async function open(client, text) {
+  const published = client.next("textDocument/publishDiagnostics");
+  client.notify("textDocument/didOpen", {
+    textDocument: { uri: URI, languageId: "rix", version: 1, text },
+  });
+  return published;
+}
+
+const at = (line, character) => ({ textDocument: { uri: URI }, position: { line, character } });
+
+describe("rix-lsp", () => {
+  test("initialize announces the supported features", async () => {
+    const client = connect();
+    const { result } = await client.request("initialize", { capabilities: {} });
+    expect(result.capabilities).toMatchObject({
+      hoverProvider: true,
+      definitionProvider: true,
+      documentSymbolProvider: true,
+    });
+    expect(result.capabilities.textDocumentSync.change).toBe(2);
+  });
+
+  test("publishes diagnostics on open and after edits", async () => {
+    const client = connect();
+    const { diagnostics } = await open(client, 'x := 1;\ny := "open;');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({
+      code: "E_UNCLOSED_STRING",
+      severity: 1,
+      range: { start: { line: 1, character: 5 }, end: { line: 1, character: 6 } },
+    });
+
+    const published = client.next("textDocument/publishDiagnostics");
+    client.notify("textDocument/didChange", {
+      textDocument: { uri: URI, version: 2 },
+      contentChanges: [{ range: { start: { line: 1, character: 10 }, end: { line: 1, character: 10 } }, text: '"' }],
+    });
+    expect(await published).toEqual({ uri: URI, version: 2, diagnostics: [] });
+  });
+
+  test("a statement missing its ';' still opens with a diagnostic", async () => {
+    const client = connect();
+    const { diagnostics } = await open(client, "x\nf(x) :-> x;");
+    expect(diagnostics.map((d) => d.code)).toEqual(["E_FUNCTION_SIGNATURE"]);
+    const { result } = await client.request("textDocument/documentSymbol", { textDocument: { uri: URI } });
+    expect(result).toEqual([]);
+  });
+
+  test("diagnostics follow the parse options", async () => {
+    const client = connect({ parseOptions: { unknownSystem: "warn" } });
+    const { diagnostics } = await open(client, "y := SQTR(x);");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ code: "E_UNKNOWN_SYSTEM", severity: 2, message: expect.stringContaining("did you mean SQRT?") }),
+    ]);
+  });
+
+  test("a document that fails to build stays open", async () => {
+    const systemLoader = new SystemLoader();
+    systemLoader.baseAlphabets = () => new Map([["Z", "aa"]]);
+    const client = connect({ systemLoader });
+    const { diagnostics } = await open(client, "x := 1;");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ code: "E_INTERNAL", message: expect.stringContaining("Cannot analyze document") }),
+    ]);
+    const hover = await client.request("textDocument/hover", at(0, 0));
+    expect(hover.error).toBeUndefined();
+    expect(hover.result).toBeNull();
+  });
+
+  test("hover shows the category and arity of system identifiers", async () => {
+    const client = connect();
+    await open(client, "y := SIN(x) + MAX(1, 2);");
+    const { result } = await client.request("textDocument/hover", at(0, 6));
+    expect(result.contents.value).toBe("**SIN** — function, category: trigonometric, arity: 1");
+    expect(result.range).toEqual({ start: { line: 0, character: 5 }, end: { line: 0, character: 8 } });
+    const max = await client.request("textDocument/hover", at(0, 14));
+    expect(max.result.contents.value).toContain("arity: variadic");
+    expect((await client.request("textDocument/hover", at(0, 0))).result).toBeNull();
+  });
+
+  test("goes to assignments and function definitions", async () => {
+    const client = connect();
+    await open(client, "f(x) :-> x^2;\nrate := 3;\nf(rate);");
+    const fn = await client.request("textDocument/definition", at(2, 0));
+    expect(fn.result).toEqual([
+      { uri: URI, range: { start: { line: 0, character: 0 }, end: { line: 0, character: 1 } } },
+    ]);
+    const rate = await client.request("textDocument/definition", at(2, 6));
+    expect(rate.result[0].range.start).toEqual({ line: 1, character: 0 });
+  });
+
+  test("lists named containers as document symbols", async () => {
+    const client = connect();
+    await open(client, "{;outer; {@loop@ i += 1; i < 3 }; x := 1 };\n{= a = 1 };");
+    const { result } = await client.request("textDocument/documentSymbol", { textDocument: { uri: URI } });
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ name: "outer", detail: "BlockContainer" });
+    expect(result[0].children.map((symbol) => symbol.name)).toEqual(["loop"]);
+    expect(result[0].range).toEqual({ start: { line: 0, character: 0 }, end: { line: 0, character: 42 } });
+  });
+
+  test("completes system identifiers and keywords", async () => {
+    const client = connect();
+    const { result } = await client.request("textDocument/completion", at(0, 0));
+    const labels = result.items.map((item) => item.label);
+    expect(labels).toContain("SIN");
+    expect(labels).toContain("PI");
+    expect(result.items.find((item) => item.label === "WHILE").kind).toBe(14);
+  });
+
+  test("serves semantic tokens from classify()", async () => {
+    const client = connect();
+    const { result } = await client.request("initialize", { capabilities: {} });
+    const { tokenTypes } = result.capabilities.semanticTokensProvider.legend;
+    await open(client, "r := 1:5;\nSIN(@r)");
+    const tokens = await client.request("textDocument/semanticTokens/full", { textDocument: { uri: URI } });
+    const types = [];
+    for (let i = 3; i < tokens.result.data.length; i += 5) types.push(tokenTypes[tokens.result.data[i]]);
+    expect(types).toEqual(["variable", "operator", "interval", "systemFunction", "outerVariable"]);
+  });
+
+  test("answers unknown requests with MethodNotFound", async () => {
+    const client = connect();
+    const reply = await client.request("workspace/unknown", {});
+    expect(reply.error.code).toBe(-32601);
+  });
+
+  test("serves over stdio and exits after shutdown", async () => {
+    const child = spawn(process.execPath, [SERVER], { stdio: ["pipe", "pipe", "inherit"] });
+    const client = new FakeClient(child.stdin, child.stdout);
+    const exited = new Promise((resolve) => child.on("exit", resolve));
+    await client.request("initialize", { capabilities: {} });
+    const { diagnostics } = await open(client, "x := [1;");
+    expect(diagnostics.map((diagnostic) => diagnostic.code)).toEqual(["E_UNCLOSED_BRACKET"]);
+    await client.request("shutdown");
+    client.notify("exit");
+    expect(await exited).toBe(0);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SystemLoader, createNodeSystemLoader, ModuleLoadError } from "../src/system-loader.js";
+import { readManifest, checkManifest } from "../src/manifest.js";
+
+const STATS = {
+  name: "statistics",
+  version: "1.0.0",
+  systems: {
+    MEAN: { type: "function", arity: -1 },
+    MEDIAN: { type: "function", arity: -1 },
+  },
+  keywords: {
+    UNLESS: { type: "control", structure: "conditional", precedence: 5 },
+  },
+  operators: {
+    "±": { precedence: 80, operatorType: "infix" },
+  },
+  categories: { statistics: ["MEAN", "MEDIAN"] },
+  aliases: { AVG: "MEAN", SINE: "SIN" },
+};
+
+describe("extension manifests", () => {
+  test("apply registers every section", () => {
+    const loader = new SystemLoader();
+    const result = loader.applyManifest(STATS);
+    expect(result).toEqual({
+      name: "statistics",
+      systems: ["MEAN", "MEDIAN"],
+      keywords: ["UNLESS"],
+      operators: ["±"],
+      aliases: ["AVG", "SINE"],
+    });
+    expect(loader.lookup("MEAN")).toMatchObject({ type: "function", category: "statistics" });
+    expect(loader.lookup("AVG")).toMatchObject({ type: "function", category: "statistics", aliasOf: "MEAN" });
+    expect(loader.lookup("SINE")).toMatchObject({ type: "function", arity: 1, aliasOf: "SIN" });
+    expect(loader.lookup("UNLESS").controlType).toBe("control");
+    expect(loader.operatorDefinitions().get("±").precedence).toBe(80);
+  });
+
+  test("RiX map literals read like JSON", () => {
+    const manifest = readManifest(`{=
+      name = "units",
+      systems = {= Newton = {= type = "constant", value = 1, description = "SI force" } },
+      operators = {= ("⊗") = {= precedence = 90, operatorType = "infix" } },
+      categories = {= physics = ["NEWTON"] }
+    }`);
+    expect(manifest).toEqual({
+      name: "units",
+      systems: { Newton: { type: "constant", value: 1, description: "SI force" } },
+      operators: { "⊗": { precedence: 90, operatorType: "infix" } },
+      categories: { physics: ["NEWTON"] },
+    });
+    expect(() => readManifest("{= name = f(x) }")).toThrow(ModuleLoadError);
+  });
+
+  test("problems are collected with their paths and nothing is applied", () => {
+    const loader = new SystemLoader();
+    const manifest = {
+      name: "bad",
+      license: "MIT",
+      systems: {
+        PI: { type: "constant" },
+        RANK: { type: "operator", precedence: -3, operatorType: "infix" },
+        SPREAD: { type: "function", unit: "m" },
+      },
+      aliases: { MID: "NOWHERE" },
+    };
+    expect(checkManifest(manifest, loader)).toEqual([
+      { code: "E_UNKNOWN_FIELD", path: "license", message: 'Unknown manifest field "license"' },
+      { code: "E_CORE_COLLISION", path: "systems.PI", message: "PI collides with the core system symbol PI" },
+      {
+        code: "E_INVALID_PRECEDENCE",
+        path: "systems.RANK.precedence",
+        message: "Precedence of RANK must be a number from 1 to 200",
+      },
+      { code: "E_UNKNOWN_FIELD", path: "systems.SPREAD.unit", message: 'Unknown field "unit" in definition of SPREAD' },
+      { code: "E_UNKNOWN_NAME", path: "aliases.MID", message: "Alias target NOWHERE is not defined" },
+    ]);
+    expect(() => loader.applyManifest(manifest)).toThrow(ModuleLoadError);
+    expect(loader.lookup("SPREAD").type).toBe("identifier");
+  });
+
+  test("a manifest that fails while registering leaves nothing behind", () => {
+    const loader = new SystemLoader();
+    loader.registerSystem("MEAN", { type: "function", arity: -1 });
+    loader.pushContext("lab");
+    const manifest = { name: "lab", systems: { AAA: { type: "constant" }, MEAN: { type: "function", arity: 2 } } };
+    expect(() => loader.applyManifest(manifest)).toThrow('Context "lab" cannot shadow system symbol: MEAN');
+    expect(loader.lookup("AAA", "lab").source).toBe("unknown");
+    expect(loader.contexts.get("lab").symbols.size).toBe(0);
+  });
+
+  test("manifest numbers are single rational values", () => {
+    expect(readManifest("{= a = - 3, b = -1/2, c = 0x10 }")).toEqual({ a: -3, b: -0.5, c: 16 });
+    const problem = (source) => {
+      try {
+        readManifest(source);
+      } catch (error) {
+        return error.errors;
+      }
+      return null;
+    };
+    expect(problem("{= systems = {= RANK = {= precedence = 2:5 } } }")).toEqual([
+      {
+        code: "E_INVALID_MANIFEST",
+        path: "systems.RANK.precedence",
+        message: "Numbers in a manifest must be single values, not the interval 2:5 (at systems.RANK.precedence)",
+      },
+    ]);
+    expect(problem("{= a = 0Zxy }")[0].message).toBe(
+      "Cannot read the number 0Zxy: Base prefix 0Z has no registered alphabet (at a)",
+    );
+  });
+});
+
+describe("loading modules", () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await mkdtemp(join(tmpdir(), "rix-modules-"));
+    await writeFile(join(directory, "stats.json"), JSON.stringify(STATS));
+    await writeFile(join(directory, "geometry.rix"), '{= name = "geometry", systems = {= AREA = {= type = "function", arity = 1 } } }');
+    await writeFile(join(directory, "broken.json"), JSON.stringify({ name: "broken", operators: { "<~>": { precedence: "high" } } }));
+  });
+
+  afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test("the Node loader reads JSON and RiX manifests from its directory", async () => {
+    const loader = createNodeSystemLoader({ moduleDirectory: directory });
+    const loaded = [];
+    loader.registerHook("module-loaded", ({ moduleSpec }) => loaded.push(moduleSpec));
+
+    await loader.loadModule("stats");
+    await loader.loadModule("geometry");
+    expect(loaded).toEqual(["stats", "geometry"]);
+    expect(loader.lookup("MEDIAN").category).toBe("statistics");
+    expect(loader.lookup("AREA").arity).toBe(1);
+  });
+
+  test("failures reach the module-load-error hook as structured errors", async () => {
+    const loader = createNodeSystemLoader({ moduleDirectory: directory });
+    const reports = [];
+    loader.registerHook("module-load-error", (report) => reports.push(report));
+
+    await expect(loader.loadModule("broken")).rejects.toThrow(ModuleLoadError);
+    await expect(loader.loadModule("missing")).rejects.toThrow("No module missing");
+    await expect(loader.loadModule("../outside")).rejects.toThrow("is outside");
+    expect(reports.map(({ moduleSpec, error }) => [moduleSpec, error.code])).toEqual([
+      ["broken", "E_INVALID_PRECEDENCE"],
+      ["missing", "E_MODULE_NOT_FOUND"],
+      ["../outside", "E_MODULE_NOT_FOUND"],
+    ]);
+    expect(reports[0].errors).toEqual([
+      {
+        code: "E_INVALID_PRECEDENCE",
+        path: "operators.<~>.precedence",
+        message: "Precedence of <~> must be a number from 1 to 200",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, test, expect } from "bun:test";
+import { parse, tokenize, decodeNumber, literalToRational, TokenizeError } from "../index.js";
+
+function parseNumber(code) {
+  return parse(`${code};`)[0].expression;
+}
+
+describe("number literal decoding", () => {
+  test("decimal formats", () => {
+    expect(decodeNumber("42")).toEqual({ format: "integer", negative: false, base: 10, digits: "42" });
+    expect(decodeNumber("-3.14")).toEqual({
+      format: "decimal",
+      negative: true,
+      base: 10,
+      whole: "3",
+      fraction: "14",
+    });
+    expect(decodeNumber(".5")).toMatchObject({ format: "decimal", whole: "0", fraction: "5" });
+    expect(decodeNumber("0.12#45")).toMatchObject({ format: "repeating", whole: "0", fraction: "12", repeat: "45" });
+    expect(decodeNumber("7#3")).toMatchObject({ format: "repeating", whole: "7", fraction: "", repeat: "3" });
+    expect(decodeNumber("3/4")).toMatchObject({ format: "rational", num: "3", den: "4" });
+    expect(decodeNumber("1..3/4")).toEqual({
+      format: "mixed",
+      negative: false,
+      base: 10,
+      whole: "1",
+      num: "3",
+      den: "4",
+    });
+  });
+
+  test("base prefixes", () => {
+    expect(decodeNumber("0xA")).toEqual({ format: "integer", negative: false, base: 16, prefix: "0x", digits: "A" });
+    expect(decodeNumber("0z[23]13FA")).toMatchObject({ base: 23, prefix: "0z[23]", digits: "13FA" });
+    expect(decodeNumber("-0xA..0xB/0xC")).toMatchObject({
+      format: "mixed",
+      negative: true,
+      base: 16,
+      whole: "A",
+      num: "B",
+      den: "C",
+    });
+    expect(decodeNumber("0b1.01")).toMatchObject({ format: "decimal", base: 2, whole: "1", fraction: "01" });
+    expect(decodeNumber("0a12").base).toBeNull();
+  });
+
+  test("continued fractions keep the sign on the first term", () => {
+    expect(decodeNumber("3.~7~15")).toEqual({ format: "cf", base: 10, terms: ["3", "7", "15"] });
+    expect(decodeNumber("~-1.~2").terms).toEqual(["-1", "2"]);
+    expect(decodeNumber("0b101.~11~10")).toEqual({
+      format: "cf",
+      base: 2,
+      prefix: "0b",
+      terms: ["101", "11", "10"],
+    });
+  });
+
+  test("user-defined base literals", () => {
+    expect(decodeNumber("0A4A.F")).toEqual({ format: "custom", negative: false, prefix: "0A", digits: "4A.F" });
+    expect(decodeNumber('0A"a\\"b"')).toEqual({ format: "quoted", negative: false, prefix: "0A", digits: 'a"b' });
+  });
+
+  test("decimal intervals", () => {
+    expect(decodeNumber("1.23[56:67]")).toEqual({
+      format: "decimalInterval",
+      negative: false,
+      whole: "1",
+      fraction: "23",
+      lower: "56",
+      upper: "67",
+    });
+    expect(decodeNumber("1.23[+5,-6]")).toMatchObject({ plus: "5", minus: "6" });
+  });
+
+  test("Number nodes carry their decoded parts", () => {
+    const node = parseNumber("x := 1..3/4");
+    expect(node.right).toMatchObject({
+      type: "Number",
+      value: "1..3/4",
+      format: "mixed",
+      whole: "1",
+      num: "3",
+      den: "4",
+    });
+  });
+
+  test("interval ends are Number nodes at their own positions", () => {
+    const node = parseNumber("  -1:0x5");
+    expect(node.format).toBe("interval");
+    expect(node.lo).toMatchObject({ type: "Number", value: "-1", format: "integer", negative: true, pos: [2, 2, 4] });
+    expect(node.hi).toMatchObject({ type: "Number", value: "0x5", base: 16, digits: "5", pos: [5, 5, 8] });
+  });
+
+  test("radix shifts decode their mantissa", () => {
+    const node = parseNumber("1_000.5_^-3");
+    expect(node).toMatchObject({ format: "radixShift", exponent: "-3" });
+    expect(node.mantissa).toMatchObject({ value: "1_000.5", format: "decimal", whole: "1000", fraction: "5" });
+  });
+});
+
+describe("exact values of number literals", () => {
+  const value = (text) => {
+    const { num, den } = literalToRational(text);
+    return `${num}/${den}`;
+  };
+
+  test("decimal formats reduce to lowest terms", () => {
+    expect(value("42")).toBe("42/1");
+    expect(value("-3.14")).toBe("-157/50");
+    expect(value("0.12#45")).toBe("137/1100");
+    expect(value("7#3")).toBe("22/3");
+    expect(value("-1..3/4")).toBe("-7/4");
+    expect(value("6/4")).toBe("3/2");
+  });
+
+  test("radix shifts and continued fractions", () => {
+    expect(value("1_^2")).toBe("100/1");
+    expect(value("2.5_^-1")).toBe("1/4");
+    expect(value("~1.~2~3")).toBe("10/7");
+    expect(value("~-1.~2")).toBe("-1/2");
+    expect(value("0b101.~11~10")).toBe("37/7");
+  });
+
+  test("bases, including base 60 and custom bases", () => {
+    expect(value("0xff")).toBe("255/1");
+    expect(value("0x1.8")).toBe("3/2");
+    expect(value("0z[23]13FA")).toBe("14109/1");
+    expect(value("0m1a")).toBe("96/1");
+    expect(value("0mA0")).toBe("600/1");
+    expect(value("0y@&")).toBe("4031/1");
+    expect(value("0xA/0b11")).toBe("10/3");
+  });
+
+  test("intervals give a pair", () => {
+    const node = parse("1:3/2;")[0].expression;
+    expect(literalToRational(node)).toEqual({ lo: { num: 1n, den: 1n }, hi: { num: 3n, den: 2n } });
+    expect(literalToRational("1.23[56:67]")).toEqual({
+      lo: { num: 3089n, den: 2500n },
+      hi: { num: 12367n, den: 10000n },
+    });
+    expect(literalToRational("1.23[+5,-6]")).toEqual({
+      lo: { num: 153n, den: 125n },
+      hi: { num: 247n, den: 200n },
+    });
+  });
+
+  test("rejects digits outside the base and unknown alphabets", () => {
+    expect(() => literalToRational("0b12")).toThrow(RangeError);
+    expect(() => literalToRational("1/0")).toThrow(RangeError);
+    expect(() => literalToRational("0a1")).toThrow(RangeError);
+    expect(() => literalToRational("0A12")).toThrow(RangeError);
+  });
+
+  test("rejects nodes other than numbers", () => {
+    const [scientific, grouped] = parse("5E6; 1_000;").map((statement) => statement.expression);
+    expect(scientific.type).toBe("ImplicitMultiplication");
+    expect(() => literalToRational(scientific)).toThrow(
+      new TypeError("Expected a Number node or literal text, not ImplicitMultiplication"),
+    );
+    expect(() => literalToRational(grouped)).toThrow(TypeError);
+    expect(() => literalToRational(null)).toThrow("Expected a Number node or literal text, not object");
+  });
+});
+
+describe("user-defined base alphabets", () => {
+  const SEXAGESIMAL = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwx";
+  const bases = { A: SEXAGESIMAL, "0C": "𒁹𒈫𒐈" };
+
+  test("tokens in a registered base carry its base and alphabet", () => {
+    const [token] = tokenize("0A1a.U", { bases });
+    expect(token).toMatchObject({ type: "Number", value: "0A1a.U", base: 60, alphabet: SEXAGESIMAL });
+    expect(tokenize("0A1~[m]", { bases }).map((t) => t.value)).toEqual(["0A1", "~[", "m", "]", null]);
+  });
+
+  test("digits outside the alphabet are a tokenizer error", () => {
+    expect(() => tokenize("x := 0A1y", { bases })).toThrow(TokenizeError);
+    try {
+      tokenize("x := 0A1y", { bases });
+    } catch (error) {
+      expect(error).toMatchObject({ code: "E_INVALID_DIGIT", offset: 8, endOffset: 9 });
+    }
+    expect(() => tokenize('0C"𒁹7"', { bases })).toThrow(/Invalid digit "7"/);
+  });
+
+  test("Number nodes decode and evaluate in the registered base", () => {
+    const node = parse("0A1a.U;", { bases })[0].expression;
+    expect(node).toMatchObject({ format: "decimal", base: 60, prefix: "0A", whole: "1a", fraction: "U" });
+    expect(literalToRational(node)).toEqual({ num: 193n, den: 2n });
+    const cf = parse("0A1.~2~3;", { bases })[0].expression;
+    expect(literalToRational(cf)).toEqual({ num: 10n, den: 7n });
+  });
+
+  test("quoted literals take Unicode digits", () => {
+    const node = parse('-0C"𒈫𒁹𒐈";', { bases })[0].expression;
+    expect(node).toMatchObject({ format: "integer", negative: true, base: 3, digits: "𒈫𒁹𒐈" });
+    expect(literalToRational(node)).toEqual({ num: -11n, den: 1n });
+  });
+
+  test("unregistered capital prefixes still lex as before", () => {
+    expect(parse("0A1y;")[0].expression).toMatchObject({ format: "custom", digits: "1y" });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from "bun:test";
+import { parse } from "../src/parser.js";
+
+function systemLookup(name) {
+  return { type: "identifier", name };
+}
+
+function recoverParse(code) {
+  return parse(code, { systemLookup, recover: true });
+}
+
+describe("error-recovering parse mode", () => {
+  test("valid input returns the same AST with no diagnostics", () => {
+    const code = "x := 1; y := x + 2;";
+    const { ast, diagnostics } = recoverParse(code);
+    expect(diagnostics).toEqual([]);
+    expect(ast).toEqual(parse(code, systemLookup));
+  });
+
+  test("accepts a bare systemLookup function as before", () => {
+    const ast = parse("SIN(x);", systemLookup);
+    expect(Array.isArray(ast)).toBe(true);
+    expect(ast[0].expression.type).toBe("FunctionCall");
+  });
+
+  test("synchronizes at ';' and keeps later statements", () => {
+    const { ast, diagnostics } = recoverParse("x := 1; y := (2 + ; z := 3;");
+    expect(ast.map((node) => node.type)).toEqual(["Statement", "ErrorNode", "Statement"]);
+    expect(ast[1].original).toBe(" y := (2 + ;");
+    expect(ast[2].expression.left.name).toBe("z");
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({
+      severity: "error",
+      code: "E_EXPECTED_IDENTIFIER",
+      span: [14, 15],
+      line: 1,
+      col: 15,
+    });
+  });
+
+  test("reports every error instead of only the first", () => {
+    const { ast, diagnostics } = recoverParse("a := ); b := 2; c := ]; d := 4;");
+    expect(diagnostics).toHaveLength(2);
+    expect(diagnostics.map((d) => d.span)).toEqual([[5, 6], [21, 22]]);
+    expect(ast.filter((node) => node.type === "ErrorNode")).toHaveLength(2);
+    expect(ast.filter((node) => node.type === "Statement")).toHaveLength(2);
+  });
+
+  test("recovers inside nested {; ... } blocks", () => {
+    const { ast, diagnostics } = recoverParse("f := {; a := 1; b := ) ; c := 3 }; d := 4;");
+    expect(diagnostics).toHaveLength(1);
+    const block = ast[0].expression.right;
+    expect(block.type).toBe("BlockContainer");
+    expect(block.elements.map((node) => node.type)).toEqual([
+      "BinaryOperation",
+      "ErrorNode",
+      "BinaryOperation",
+    ]);
+    expect(ast[1].expression.left.name).toBe("d");
+  });
+
+  test("a stray closing brace is skipped together with its ';'", () => {
+    const { ast, diagnostics } = recoverParse("x := 1; }; y := 2;");
+    expect(diagnostics).toHaveLength(1);
+    expect(ast.map((node) => node.type)).toEqual(["Statement", "ErrorNode", "Statement"]);
+  });
+
+  test("unclosed block reports a diagnostic at end of input", () => {
+    const { ast, diagnostics } = recoverParse("{; a := 1 ");
+    expect(ast).toHaveLength(1);
+    expect(ast[0].type).toBe("ErrorNode");
+    expect(diagnostics[0].span).toEqual([10, 10]);
+    expect(diagnostics[0].message).toContain("Expected closing }");
+  });
+
+  test("tokenizer errors become diagnostics and scanning resumes", () => {
+    const { ast, diagnostics } = recoverParse('x := 1; y := "oops; z := 3;');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].span).toEqual([13, 14]);
+    expect(diagnostics[0].message).toContain("Delimiter unmatched");
+    expect(ast.length).toBeGreaterThan(1);
+  });
+
+  test("a missing ';' before a function definition is a diagnostic", () => {
+    const { ast, diagnostics } = recoverParse("x\nf(x) :-> x;\ny := 1;");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ code: "E_FUNCTION_SIGNATURE", span: [7, 10], line: 2, col: 6 }),
+    ]);
+    expect(ast.map((node) => node.type)).toEqual(["ErrorNode", "Statement"]);
+    expect(() => parse("x\nf(x) :-> x;", systemLookup)).toThrow("Function definition requires a signature");
+  });
+
+  test("other errors while parsing a statement are recovered from too", () => {
+    const failingLookup = (name) => {
+      if (name === "BOOM") throw new TypeError("lookup failed");
+      return { type: "identifier", name };
+    };
+    const { ast, diagnostics } = parse("BOOM + 1; y := 2;", { systemLookup: failingLookup, recover: true });
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ code: "E_INTERNAL", message: "Internal parser error: lookup failed" }),
+    ]);
+    expect(ast.map((node) => node.type)).toEqual(["ErrorNode", "Statement"]);
+  });
+
+  test("non-recover mode still throws on the first error", () => {
+    expect(() => parse("x := (1 + ;", systemLookup)).toThrow(/Parse error at line 1/);
+  });
+});
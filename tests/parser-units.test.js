@@ -1,5 +1,6 @@
 import { tokenize } from "../src/tokenizer.js";
 import { parse } from "../src/parser.js";
+import { withoutDecodedParts } from "./helpers.js";
 
 // Test system lookup function
 function testSystemLookup(name) {
@@ -23,7 +24,10 @@ function stripMetadata(obj) {
     return obj.map(stripMetadata);
   }
   if (obj && typeof obj === "object") {
-    const { pos, original, ...rest } = obj;
+    if (obj.type === "Number") obj = withoutDecodedParts(obj);
+    // Parsed unit expressions are checked in units.test.js and extensions
+    // in extensions.test.js
+    const { pos, original, unitExpression, extension, ...rest } = obj;
     const result = {};
     for (const [key, value] of Object.entries(rest)) {
       result[key] = stripMetadata(value);
@@ -327,18 +331,8 @@ describe("RiX Parser - Unit Operators", () => {
       );
     });
 
-    test("different bracket types in scientific units", () => {
-      const ast = parseCode("x~[m{2}];");
-      expect(stripMetadata(ast)).toEqual([
-        {
-          type: "Statement",
-          expression: {
-            type: "ScientificUnit",
-            target: { type: "UserIdentifier", name: "x" },
-            unit: "m{2}",
-          },
-        },
-      ]);
+    test("other brackets in scientific units should error", () => {
+      expect(() => parseCode("x~[m{2}];")).toThrow('Unexpected "{" in unit');
     });
 
     test("nested braces in mathematical units should error", () => {
@@ -1,5 +1,6 @@
 import { tokenize } from "../src/tokenizer.js";
 import { parse } from "../src/parser.js";
+import { withoutDecodedParts } from "./helpers.js";
 
 // Test system lookup function
 function testSystemLookup(name) {
@@ -51,7 +52,9 @@ function stripMetadata(obj) {
     return obj.map(stripMetadata);
   }
   if (obj && typeof obj === "object") {
-    const { pos, original, sigil, ...rest } = obj;
+    if (obj.type === "Number") obj = withoutDecodedParts(obj);
+    // Parsed embedded bodies are checked in embedded.test.js
+    const { pos, original, sigil, parsed, ...rest } = obj;
     const result = {};
     for (const [key, value] of Object.entries(rest)) {
       if (key === "prep" && value === null) continue;
@@ -1,5 +1,6 @@
 import { tokenize } from "../src/tokenizer.js";
 import { parse } from "../src/parser.js";
+import { withoutDecodedParts } from "./helpers.js";
 
 function testSystemLookup(name) {
   const systemSymbols = {
@@ -20,6 +21,7 @@ function parseCode(code) {
 function stripMetadata(obj) {
   if (Array.isArray(obj)) return obj.map(stripMetadata);
   if (obj && typeof obj === "object") {
+    if (obj.type === "Number") obj = withoutDecodedParts(obj);
     const { pos, original, ...rest } = obj;
     const result = {};
     for (const [key, value] of Object.entries(rest)) {
@@ -0,0 +1,110 @@
+import { describe, test, expect } from "bun:test";
+import { parse, print } from "../index.js";
+
+function systemLookup(name) {
+  return { type: "identifier", name };
+}
+
+// Drop source positions so ASTs from different texts can be compared
+function stripMetadata(node) {
+  if (Array.isArray(node)) {
+    return node.map(stripMetadata);
+  }
+  if (node && typeof node === "object") {
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== "pos" && key !== "original" && key !== "systemInfo" && key !== "end") {
+        result[key] = stripMetadata(value);
+      }
+    }
+    return result;
+  }
+  return node;
+}
+
+function expectRoundTrip(code, options) {
+  const ast = parse(code, systemLookup);
+  const printed = print(ast, options);
+  expect(stripMetadata(parse(printed, systemLookup))).toEqual(stripMetadata(ast));
+  expect(print(parse(printed, systemLookup), options)).toBe(printed);
+  return printed;
+}
+
+describe("print", () => {
+  test("prints canonical spacing", () => {
+    expect(print(parse("x:=a+b*c;y:=[1,2,  3];", systemLookup))).toBe(
+      "x := a + b * c;\ny := [1, 2, 3];",
+    );
+  });
+
+  test("keeps source parentheses", () => {
+    expect(expectRoundTrip("(a+b)*c - (d-e) - (f*g);")).toBe("(a + b) * c - (d - e) - (f * g);");
+    expect(expectRoundTrip("-(a + b); f(x)(y);")).toBe("-(a + b);\nf(x)(y);");
+  });
+
+  test("adds parentheses only where precedence requires them in built trees", () => {
+    const id = (name) => ({ type: "UserIdentifier", name });
+    const op = (operator, left, right) => ({ type: "BinaryOperation", operator, left, right });
+    expect(print(op("*", op("+", id("a"), id("b")), id("c")))).toBe("(a + b) * c");
+    expect(print(op("-", id("a"), op("-", id("b"), id("c"))))).toBe("a - (b - c)");
+    expect(print(op("-", op("-", id("a"), id("b")), op("*", id("c"), id("d"))))).toBe(
+      "a - b - c * d",
+    );
+    expect(print(op("^", id("a"), op("^", id("b"), id("c"))))).toBe("a ^ b ^ c");
+    expect(print(op("^", op("^", id("a"), id("b")), id("c")))).toBe("(a ^ b) ^ c");
+    expect(print({ type: "UnaryOperation", operator: "-", operand: op("+", id("a"), id("b")) })).toBe(
+      "-(a + b)",
+    );
+  });
+
+  test("accepts a single node", () => {
+    const [statement] = parse("SIN(x) + 1;", systemLookup);
+    expect(print(statement.expression)).toBe("SIN(x) + 1");
+  });
+
+  test("round-trips functions, containers and pipes", () => {
+    const samples = [
+      "f(x, y; n ?= 2) :-> x + y * n;",
+      "g := (x ? x > 0) -> x ^ 2;",
+      "fact :=> [(0) -> 1, (n) -> n * fact(n - 1)];",
+      "{; a := 1; b := {? a > 0 ? 1; 2 } };",
+      "{@i:10@ i += 1; i < 5 };",
+      "m := {= a = 1, b = [1, 2] }; s := {| 1, 2 };",
+      "{+ 1, 2, 3}; {:2x2: 1, 2; 3, 4 };",
+      "[1, 2, 3] |>> (x) -> x * 2 |>? (x) -> x > 2;",
+      "1:5 :+ 1; x ?? 1 ?: 2; v ~: :Int;",
+      "obj.method(1).field[2]; a.|; a[:key];",
+      "`P(x):x^2`; {/a+b/gi}; 5~[m/s];",
+      '""say "hi" now"";',
+    ];
+    for (const code of samples) {
+      expectRoundTrip(code);
+    }
+  });
+
+  test("keeps comments", () => {
+    expect(print(parse("## header\nx := 1;", systemLookup))).toBe("## header\nx := 1;");
+  });
+
+  test("spaceAroundOperators: false keeps tokens apart", () => {
+    const printed = expectRoundTrip("x := a + b * -c; y := a - 3;", {
+      spaceAroundOperators: false,
+    });
+    expect(printed).toBe("x:=a+b*-c;\ny:=a - 3;");
+  });
+
+  test("breaks long containers using the indent option", () => {
+    const printed = expectRoundTrip("f := {; a := 1; b := [1, 2, 3] };", {
+      lineWidth: 20,
+      indent: 4,
+    });
+    expect(printed).toBe("f := {;\n    a := 1;\n    b := [1, 2, 3]\n};");
+    expect(print(parse("[1, 2]", systemLookup), { lineWidth: 4, indent: "\t" })).toBe(
+      "[\n\t1,\n\t2\n]",
+    );
+  });
+
+  test("rejects unknown node types", () => {
+    expect(() => print({ type: "Mystery" })).toThrow("Cannot print node of type Mystery");
+  });
+});
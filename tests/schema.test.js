@@ -0,0 +1,82 @@
+import { describe, test, expect } from "bun:test";
+import { readFileSync } from "fs";
+import { parse, validateAst } from "../index.js";
+import { AST_SCHEMA, childPaths, generateTypes } from "../src/schema.js";
+import { CHILD_KEYS, visit } from "../src/visit.js";
+import { SystemLoader } from "../src/system-loader.js";
+
+const loader = new SystemLoader();
+const systemLookup = loader.createParserLookup();
+
+// Together these produce every node type in the schema
+const SAMPLES = [
+  "## a comment",
+  'x := -2.5 + 0x1F + 1..3/4 + 0.1#6 + 2:5 + 1_^2 + 1.~2~3 + "s" + :word;',
+  "{/ab+/g}; `LANG(ctx): body`;",
+  "F(a, , ...xs; n := _1) + SIN x + @_SIN + .Name + . + @+ + .SIN(y) + @@ z + @x + $ + $$ + _;",
+  "m[::, 1] + m[1, 2:3] + obj[:key] + obj.name + obj.name(x) + obj.. + obj.| + obj|. + $(x);",
+  "c ?? 2x ?: (a + b) + m^^ + x@(0.01) + x?(I) + 3~[m/s] + 3~[kg*m^2/s²] + 3~[1/s] + 2~{i};",
+  "xs |> f; (a, b) ||> f(_2, _1); xs |>> f; xs |>? p; xs |>: f; xs |:> 0 >: f; xs |>&& p; xs |>|| p;",
+  "xs |<> f; xs |>/| p; xs |>#| 2; xs |>/ 2; xs |>// 2; xs |><;",
+  "1:10 :+ 2; 1:2 :: 5; 1:2 :/: 4; 1:2 :/% 4; 1:2 :~ 3; 1:2 :~/ 3; 1:2 :% 5; 1 ::+ 2;",
+  "[1 |+ 2 |* 3 |: f |? p |^ 5]; [1 |+ 1 |^: 4]; [1 |+ 1 |; 3]; [|+ 1 |> g];",
+  "[1, 2; 3, 4]; [1, 2;; 3, 4]; {:2x2: 1, 2; 3, 4}; [x, name := 1]; (1, 2);",
+  "{; <a~x> a, b }; {.. 1, 2 }; {= /#p ::Point :sorted/ a=1, :=b }; {? x < 0 ? -1; 1 }; {| 1, 2 |}; {: 1, 2 };",
+  "{@:100@ i := 0; i < 1; i; i += 1 }; {@ ;; }; obj{= +a=1, -.b }; obj{! +a=1 };",
+  "f(x, n ?= 5; a ?= 0) :-> (x-a)^n; F(x) ?- [x > 0] /Positive/ => x; (x) -> x^2; (x; n);",
+  "g :=> [ (x ? x < 0) -> -x, (x) -> x ]; f'; 'f; {! x }; {!@ x }; @{; a; b };",
+  '{^ /::Point/ x }; x ? :rational; x ~: :rational; x ~!: :rational; {# p = x + 1 }; <"path" /+Group/ a, b; c>; <a, b>;',
+  "[a, :=b, ...rest] := src; (a, b) := t; {= a, b=c } := m; {:2x2: a, b; c, d} := m;",
+  "[a[1:3], b[2], [2:4] = [x, y]] = src; [{^ /::Point/ a }] := src;",
+];
+
+describe("AST schema", () => {
+  test("parser output of every node type conforms", () => {
+    const trees = [
+      ...SAMPLES.map((source) => parse(source, systemLookup)),
+      parse("WHILE(c, d);", { systemLookup, functionalForms: loader.createFunctionalFormTransform() }),
+      parse("x := ;", { recover: true }).ast,
+      parse("x + 1; ## done", { cst: true }),
+    ];
+    const seen = new Set();
+    for (const ast of trees) {
+      expect(validateAst(ast)).toEqual([]);
+      visit(ast, ({ node }) => seen.add(node.type));
+    }
+    expect(Object.keys(AST_SCHEMA.nodes).filter((type) => !seen.has(type))).toEqual([]);
+  });
+
+  test("validateAst reports each problem with its path", () => {
+    const ast = parse("x := F(a; n := [1, 2]) + {= /::Point :sorted/ a=1 };", systemLookup);
+    const { left, right } = ast[0].expression.right;
+    ast[0].expression.left.extra = 1;
+    left.function.name = 3;
+    left.arguments.keyword.n.elements[1] = { type: "Bogus" };
+    right.header.traits[0].order = "1";
+    delete right.elements[0].value;
+
+    expect(validateAst(ast)).toEqual([
+      { path: "0.expression.left.extra", message: 'Unexpected field "extra" on UserIdentifier' },
+      { path: "0.expression.right.left.function.name", message: "Expected a string, got number 3" },
+      { path: "0.expression.right.left.arguments.keyword.n.elements.1", message: 'Unknown node type "Bogus"' },
+      { path: "0.expression.right.right.header.traits.0.order", message: 'Expected a number, got string "1"' },
+      { path: "0.expression.right.right.elements.0.value", message: 'Missing required field "value"' },
+    ]);
+    expect(validateAst({ type: "Statement", pos: [0, 0, 2], original: "x", expression: "x" })).toEqual([
+      { path: "expression", message: 'Expected a node, got string "x"' },
+    ]);
+  });
+
+  test("node fields agree with the child keys of visit()", () => {
+    for (const type of Object.keys(AST_SCHEMA.nodes)) {
+      expect([type, ...childPaths(type).sort()]).toEqual([type, ...CHILD_KEYS[type].slice().sort()]);
+    }
+  });
+
+  test("index.d.ts is generated from the schema", () => {
+    const declarations = readFileSync(new URL("../index.d.ts", import.meta.url), "utf8");
+    expect(declarations).toContain(generateTypes());
+    expect(declarations).toContain('export interface BinaryOperationNode {\n  type: "BinaryOperation";');
+    expect(declarations).toContain("  | EquallySpacedNode\n");
+  });
+});
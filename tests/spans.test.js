@@ -0,0 +1,94 @@
+import { describe, test, expect } from "bun:test";
+import { parse, createDocument, visit } from "../index.js";
+
+// Source text of a node without the whitespace before it
+function text(source, node) {
+  return source.slice(node.pos[1], node.pos[2]);
+}
+
+function expression(source) {
+  return parse(source)[0].expression;
+}
+
+describe("node spans", () => {
+  test("containers, sigils and literals cover their closing brackets", () => {
+    const cases = [
+      "{; a := 1; b }",
+      "{= a = 1, b = 2 }",
+      "{+ 1, 2, 3 }",
+      "{# p = x + 1 }",
+      "{:2x2: 1, 2; 3, 4 }",
+      "[1, 2; 3, 4]",
+      "F(a, b; n := 2)",
+      "obj.name(x)",
+      "m[1, 2:3]",
+      "obj{= +a = 1 }",
+      "3~[m/s]",
+    ];
+    for (const source of cases) {
+      const node = expression(source + ";");
+      expect([node.type, text(source, node)]).toEqual([node.type, source]);
+      expect(node.original).toBe(source);
+    }
+  });
+
+  test("every node lies within its parent and ends where its source does", () => {
+    const source = "x := F(a, {; b; c }) + [1 |+ 2 |^ 5] * .SIN(y);\n[p, :=q, ...r] := {= k = obj[:k] };";
+    visit(parse(source), ({ node, parent }) => {
+      if (parent) {
+        expect(node.pos[1]).toBeGreaterThanOrEqual(parent.pos[1]);
+        expect(node.pos[2]).toBeLessThanOrEqual(parent.pos[2]);
+      }
+      expect(node.original).toBe(source.slice(node.pos[0], node.pos[2]));
+    });
+    const [first, second] = parse(source);
+    const sum = first.expression.right;
+    expect(text(source, sum.left)).toBe("F(a, {; b; c })");
+    expect(text(source, sum.right.left.elements[0].operators[0])).toBe("|+ 2");
+    expect(text(source, sum.right.right)).toBe(".SIN(y)");
+    expect(second.expression.left.entries.map((entry) => text(source, entry))).toEqual(["p", ":=q"]);
+    expect(text(source, second.expression.left.rest)).toBe("...r");
+
+    // A bracket left open when recovering does not pull siblings into a statement
+    const broken = '3.5{; a := 1; b := 2 }/* b */}zz"s"';
+    const { ast } = parse(broken, { recover: true });
+    ast.slice(1).forEach((node, i) => expect(node.pos[0]).toBeGreaterThanOrEqual(ast[i].pos[2]));
+    expect(ast[0].original).toBe("3.5{; a := 1;");
+  });
+
+  test("a statement includes its semicolon", () => {
+    const source = "a + b ;";
+    expect(text(source, parse(source)[0])).toBe("a + b ;");
+  });
+
+  test("error nodes keep the source they skipped, brackets balanced or not", () => {
+    const source = "a := [b [> 0]; c := 1; 3]\nd;";
+    const { ast } = parse(source, { recover: true });
+    const errors = ast.filter((node) => node.type === "ErrorNode");
+    expect(errors.map((node) => [node.pos, node.original])).toEqual([
+      [[0, 0, 14], "a := [b [> 0];"],
+      [[24, 24, 28], "]\nd;"],
+    ]);
+    const doc = createDocument(source);
+    doc.applyEdit({ start: 0, end: 0, text: " " });
+    expect(doc.ast).toEqual(parse(doc.text, { recover: true }).ast);
+  });
+});
+
+describe("loc", () => {
+  test("gives 1-based lines and columns of a node's text", () => {
+    const source = "a := 1;\nb := F(x,\n  y);";
+    const [, statement] = parse(source);
+    expect(statement.loc).toEqual({ start: { line: 2, col: 1 }, end: { line: 3, col: 6 } });
+    expect(statement.expression.right.loc).toEqual({ start: { line: 2, col: 6 }, end: { line: 3, col: 5 } });
+    expect(Object.keys(statement)).not.toContain("loc");
+  });
+
+  test("follows statements moved by a document edit", () => {
+    const doc = createDocument("a := 1;\nb := 2;\n");
+    const moved = doc.ast[1];
+    doc.applyEdit({ start: 0, end: 0, text: "z := 0;\n\n" });
+    expect(doc.ast[2]).toBe(moved);
+    expect(moved.loc.start).toEqual({ line: 4, col: 1 });
+  });
+});
@@ -5,18 +5,16 @@ import { parse, tokenize } from '../index.js';
 describe('SystemLoader', () => {
     test('initializes with default core registry', () => {
         const systemLoader = new SystemLoader();
-        const config = systemLoader.exportConfig();
-        expect(config.core.length).toBeGreaterThan(0);
-        expect(config.core.some(([name]) => name === 'SIN')).toBe(true);
-        expect(config.core.some(([name]) => name === 'PI')).toBe(true);
+        expect(systemLoader.coreRegistry.size).toBeGreaterThan(0);
+        expect(systemLoader.coreRegistry.has('SIN')).toBe(true);
+        expect(systemLoader.coreRegistry.has('PI')).toBe(true);
     });
 
     test('initializes with default keywords', () => {
         const systemLoader = new SystemLoader();
-        const config = systemLoader.exportConfig();
-        expect(config.keywords.some(([name]) => name === 'AND')).toBe(true);
-        expect(config.keywords.some(([name]) => name === 'OR')).toBe(true);
-        expect(config.keywords.some(([name]) => name === 'NOT')).toBe(true);
+        expect(systemLoader.keywordRegistry.has('AND')).toBe(true);
+        expect(systemLoader.keywordRegistry.has('OR')).toBe(true);
+        expect(systemLoader.keywordRegistry.has('NOT')).toBe(true);
     });
 
     test('lookup returns core symbols', () => {
@@ -74,7 +72,24 @@ describe('SystemLoader', () => {
         });
 
         const config = systemLoader.exportConfig();
-        expect(config.operators.some(([symbol]) => symbol === '<<')).toBe(true);
+        expect(config.operators['<<']).toMatchObject({ type: 'operator', precedence: 70 });
+    });
+
+    test('registerOperator fills in defaults and rejects word symbols', () => {
+        const systemLoader = new SystemLoader();
+        systemLoader.registerOperator('->', { precedence: 25, meaning: 'chemical_reaction' });
+        expect(systemLoader.operatorDefinitions().get('->')).toMatchObject({
+            type: 'operator',
+            precedence: 25,
+            associativity: 'left',
+            operatorType: 'infix',
+            meaning: 'chemical_reaction'
+        });
+
+        expect(() => systemLoader.registerOperator('xor', { precedence: 30 }))
+            .toThrow('must not contain letters, digits or whitespace');
+        expect(() => systemLoader.registerOperator('%%', { operatorType: 'ternary' }))
+            .toThrow('Operator type must be infix, prefix or postfix');
     });
 
     test('validates definition structure', () => {
@@ -181,16 +196,16 @@ describe('SystemLoader', () => {
 
         const config = systemLoader.exportConfig();
         
-        expect(config).toHaveProperty('core');
-        expect(config).toHaveProperty('system');
-        expect(config).toHaveProperty('keywords');
-        expect(config).toHaveProperty('operators');
-        expect(config).toHaveProperty('config');
-
-        expect(config.system.some(([name]) => name === 'EXPORT_TEST')).toBe(true);
+        expect(config).toMatchObject({ format: 'rix-system-config', version: 2 });
+        expect(Object.keys(config)).toEqual([
+            'format', 'version', 'settings', 'systems', 'keywords', 'operators', 'bases', 'units', 'extensions', 'contexts'
+        ]);
+        expect(config.systems.EXPORT_TEST).toEqual({ type: 'function', arity: 1 });
+        // Unchanged default keywords are not exported
+        expect(config.keywords).toEqual({});
     });
 
-    test('importConfig loads configuration', () => {
+    test('importConfig migrates unversioned configuration', () => {
         const systemLoader = new SystemLoader();
         const config = {
             system: [['IMPORTED_FUNC', { type: 'function', arity: 2 }]],
@@ -203,6 +218,30 @@ describe('SystemLoader', () => {
         expect(systemLoader.lookup('IMPORTED_OP').type).toBe('operator');
     });
 
+    test('registerBase declares the alphabet of a user-defined base', () => {
+        const systemLoader = new SystemLoader();
+        const events = [];
+        systemLoader.registerHook('base-registered', (event) => events.push(event));
+        systemLoader.registerBase('0A', '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwx');
+
+        expect(events).toEqual([{ prefix: '0A', alphabet: expect.any(String) }]);
+        expect(Object.keys(systemLoader.exportConfig().bases)).toEqual(['A']);
+        const [token] = tokenize('0A1a', { bases: systemLoader.baseAlphabets() });
+        expect(token.base).toBe(60);
+
+        const copy = new SystemLoader();
+        copy.importConfig(systemLoader.exportConfig());
+        expect(copy.baseAlphabets()).toEqual(systemLoader.baseAlphabets());
+    });
+
+    test('registerBase rejects bad prefixes and alphabets', () => {
+        const systemLoader = new SystemLoader();
+        expect(() => systemLoader.registerBase('a', '01')).toThrow();
+        expect(() => systemLoader.registerBase('B', '0')).toThrow();
+        expect(() => systemLoader.registerBase('B', '0.1')).toThrow();
+        expect(() => systemLoader.registerBase('B', '0110')).toThrow();
+    });
+
     test('getSymbolsByCategory filters correctly', () => {
         const systemLoader = new SystemLoader();
         systemLoader.registerSystem('MATH_FUNC', {
@@ -216,6 +255,84 @@ describe('SystemLoader', () => {
     });
 });
 
+describe('Scoped contexts', () => {
+    test('registrations inside a context stay in it and its children', () => {
+        const loader = new SystemLoader();
+        loader.withContext('alice', () => {
+            loader.registerSystem('FOO', { type: 'constant', value: 1 });
+            loader.pushContext('alice-cell');
+            loader.registerSystem('BAR', { type: 'function', arity: 1 });
+            expect(loader.getCurrentContext()).toBe('alice-cell');
+            expect(loader.popContext()).toBe('alice-cell');
+        });
+
+        expect(loader.getCurrentContext()).toBe('global');
+        expect(loader.lookup('FOO').type).toBe('identifier');
+        expect(loader.lookup('FOO', 'alice')).toMatchObject({ type: 'constant', source: 'context', context: 'alice' });
+        expect(loader.lookup('FOO', 'alice-cell').type).toBe('constant');
+        expect(loader.lookup('BAR', 'alice-cell').type).toBe('function');
+        expect(loader.lookup('BAR', 'alice').type).toBe('identifier');
+        expect(loader.contexts.get('alice-cell').parent).toBe('alice');
+    });
+
+    test('children shadow their parents', () => {
+        const loader = new SystemLoader();
+        loader.createContext('team');
+        loader.createContext('member', 'team');
+        loader.withContext('team', () => loader.registerSystem('RATE', { type: 'constant', value: 1 }));
+        loader.withContext('member', () => loader.registerSystem('RATE', { type: 'function', arity: 1 }));
+        expect(loader.lookup('RATE', 'team').type).toBe('constant');
+        expect(loader.lookup('RATE', 'member').type).toBe('function');
+    });
+
+    test('context names are not reused', () => {
+        const loader = new SystemLoader();
+        loader.createContext('team');
+        loader.withContext('team', () => loader.registerSystem('RATE', { type: 'constant', value: 1 }));
+        expect(() => loader.createContext('team')).toThrow('Context already exists: team');
+        expect(() => loader.createContext('global')).toThrow('Context name must be a non-empty string other than "global"');
+        expect(loader.lookup('RATE', 'team').type).toBe('constant');
+
+        loader.contexts.delete('team');
+        expect(loader.createContext('team').symbols.size).toBe(0);
+    });
+
+    test('shadowing global symbols needs allowUserOverrides', () => {
+        const strict = new SystemLoader();
+        expect(() => strict.withContext('u', () => strict.registerSystem('SIN', { type: 'constant' })))
+            .toThrow('Context "u" cannot shadow system symbol: SIN');
+        expect(strict.getCurrentContext()).toBe('global');
+
+        const open = new SystemLoader({ allowUserOverrides: true });
+        open.withContext('u', () => open.registerSystem('SIN', { type: 'constant' }));
+        expect(open.lookup('SIN', 'u').type).toBe('constant');
+        expect(open.lookup('SIN').type).toBe('function');
+    });
+
+    test('contexts select the vocabulary parse() sees', () => {
+        const loader = new SystemLoader();
+        loader.withContext('cell-1', () => {
+            loader.registerSystem('FOO', { type: 'operator', precedence: 40, operatorType: 'infix' });
+            loader.registerOperator('⊕', { precedence: 80 });
+        });
+        const options = (context) => ({
+            systemLookup: loader.createParserLookup(),
+            operators: loader.operatorDefinitions(context),
+            context,
+        });
+
+        const [inCell] = parse('a FOO b ⊕ c;', options('cell-1'));
+        expect(inCell.expression).toMatchObject({
+            type: 'BinaryOperation',
+            operator: 'FOO',
+            right: { operator: '⊕', operatorInfo: { source: 'context' } },
+        });
+        expect(loader.operatorDefinitions().has('⊕')).toBe(false);
+        expect(() => loader.lookup('X', 'missing')).toThrow('Unknown context: missing');
+        expect(() => loader.popContext()).toThrow('No context to pop');
+    });
+});
+
 describe('Factory functions', () => {
     test('createWebPageSystemLoader creates browser-optimized loader', () => {
         const loader = createWebPageSystemLoader();
@@ -353,4 +470,62 @@ describe('Real-world usage scenarios', () => {
         expect(systemCalls).toContain('FACTORIAL');
         expect(systemCalls).toContain('GCD');
     });
-});
\ No newline at end of file
+});
+describe('Unknown system identifiers', () => {
+    const systemLookup = new SystemLoader().createParserLookup();
+
+    test('lookup misses suggest close spellings', () => {
+        const loader = new SystemLoader();
+        expect(loader.lookup('SQTR').suggestions).toEqual(['SQRT']);
+        expect(loader.suggest('TNA')).toEqual(['TAN']);
+        expect(loader.suggest('F')).toEqual([]);
+        loader.withContext('physics', () => loader.registerSystem('NEWTON', { type: 'constant' }));
+        expect(loader.suggest('NEWTOM', 'physics')).toEqual(['NEWTON']);
+        expect(loader.suggest('NEWTOM')).toEqual([]);
+    });
+
+    test('"warn" reports each unknown identifier with its span', () => {
+        const { ast, diagnostics } = parse('y := SQTR(x) + Sin(PI) + QUUX;', { systemLookup, unknownSystem: 'warn' });
+        expect(ast[0].expression.right.left.left.function.name).toBe('SQTR');
+        expect(diagnostics).toEqual([
+            {
+                severity: 'warning',
+                code: 'E_UNKNOWN_SYSTEM',
+                message: 'Unknown system identifier SQTR; did you mean SQRT?',
+                span: [5, 9],
+                line: 1,
+                col: 6,
+                suggestions: ['SQRT'],
+            },
+            expect.objectContaining({ message: 'Unknown system identifier QUUX', span: [25, 29] }),
+        ]);
+        expect(parse('@_SQTR(x); @_SQRT(x);', { systemLookup, unknownSystem: 'warn' }).diagnostics).toEqual([
+            expect.objectContaining({ message: 'Unknown system identifier SQTR; did you mean SQRT?', span: [0, 6] }),
+        ]);
+    });
+
+    test('"error" throws unless recovering', () => {
+        expect(() => parse('y := SQTR(x);', { systemLookup, unknownSystem: 'error' })).toThrow(
+            'Unknown system identifier SQTR; did you mean SQRT?'
+        );
+        const { diagnostics } = parse('y := SQTR(x); z := COSS(1);', { systemLookup, unknownSystem: 'error', recover: true });
+        expect(diagnostics.map(({ severity, code, span }) => [severity, code, span])).toEqual([
+            ['error', 'E_UNKNOWN_SYSTEM', [5, 9]],
+            ['error', 'E_UNKNOWN_SYSTEM', [19, 23]],
+        ]);
+        expect(parse('y := SQTR(x);', { systemLookup })).toHaveLength(1);
+    });
+
+    test('thrown errors and diagnostics give the same location', () => {
+        const options = { systemLookup, unknownSystem: 'error' };
+        let thrown;
+        try {
+            parse('x AND2 y;', options);
+        } catch (error) {
+            thrown = error;
+        }
+        expect(thrown.message).toStartWith('Parse error at line 1, column 3 (position 2):');
+        expect(thrown).toMatchObject({ line: 1, col: 3, offset: 2 });
+        expect(parse('x AND2 y;', { ...options, recover: true }).diagnostics[0]).toMatchObject({ line: 1, col: 3, span: [2, 6] });
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, test, expect } from "bun:test";
 import { tokenize } from "../src/tokenizer.js";
 import { parse } from "../src/parser.js";
+import { withoutDecodedParts } from "./helpers.js";
 
 function testSystemLookup(name) {
   return { type: "identifier", name };
@@ -13,6 +14,7 @@ function parseCode(code) {
 function stripMetadata(obj) {
   if (Array.isArray(obj)) return obj.map(stripMetadata);
   if (obj && typeof obj === "object") {
+    if (obj.type === "Number") obj = withoutDecodedParts(obj);
     const { pos, original, ...rest } = obj;
     const result = {};
     for (const [key, value] of Object.entries(rest)) {
@@ -0,0 +1,102 @@
+import { describe, test, expect } from "bun:test";
+import { parse, ParseError } from "../index.js";
+import { parseUnit, splitUnitName } from "../src/units.js";
+
+// A unit expression as nested arrays: names, ["*", a, b], ["/", a, b], ["^", a, "n/d"]
+function shape(node) {
+  switch (node.type) {
+    case "UnitName":
+      return node.prefix ? `${node.prefix}|${node.symbol}` : node.name;
+    case "UnitOne":
+      return 1;
+    case "UnitProduct":
+      return ["*", shape(node.left), shape(node.right)];
+    case "UnitQuotient":
+      return ["/", shape(node.left), shape(node.right)];
+    case "UnitPower":
+      return ["^", shape(node.base), `${node.exponent.num}/${node.exponent.den}`];
+  }
+}
+
+function unitOf(source) {
+  return parse(source)[0].expression.unitExpression;
+}
+
+describe("unit expressions", () => {
+  test("products, quotients and powers", () => {
+    expect(shape(parseUnit("kg*m/s^2"))).toEqual(["/", ["*", "k|g", "m"], ["^", "s", "2/1"]]);
+    expect(shape(parseUnit("mm^3"))).toEqual(["^", "m|m", "3/1"]);
+    expect(shape(parseUnit("1/s"))).toEqual(["/", 1, "s"]);
+    expect(shape(parseUnit("N m"))).toEqual(["*", "N", "m"]);
+    expect(shape(parseUnit("m·s^-1"))).toEqual(["*", "m", ["^", "s", "-1/1"]]);
+    expect(shape(parseUnit("J/(mol*K)"))).toEqual(["/", "J", ["*", "mol", "K"]]);
+    expect(shape(parseUnit("(m/s)^2"))).toEqual(["^", ["/", "m", "s"], "2/1"]);
+  });
+
+  test("rational and superscript exponents", () => {
+    expect(shape(parseUnit("Hz^(1/2)"))).toEqual(["^", "Hz", "1/2"]);
+    expect(shape(parseUnit("m^(-3/2)"))).toEqual(["^", "m", "-3/2"]);
+    expect(shape(parseUnit("µm²·s⁻¹"))).toEqual(["*", ["^", "µ|m", "2/1"], ["^", "s", "-1/1"]]);
+  });
+
+  test("SI prefixes split only from known prefixable units", () => {
+    expect(splitUnitName("km")).toEqual({ prefix: "k", symbol: "m" });
+    expect(splitUnitName("dam")).toEqual({ prefix: "da", symbol: "m" });
+    expect(splitUnitName("GHz")).toEqual({ prefix: "G", symbol: "Hz" });
+    for (const name of ["min", "Pa", "cd", "ft", "mi", "h", "nmi", "furlong"]) {
+      expect(splitUnitName(name)).toEqual({ prefix: null, symbol: name });
+    }
+  });
+
+  test("nodes are positioned in the source", () => {
+    const source = "9.8~[ kg*m / s^2 ];";
+    const unit = unitOf(source);
+    const text = (node) => source.slice(node.pos[1], node.pos[2]);
+    expect(text(unit)).toBe("kg*m / s^2");
+    expect(text(unit.left.right)).toBe("m");
+    expect(text(unit.right)).toBe("s^2");
+    expect(unit.right.original).toBe("s^2");
+    expect(unit.right.base.loc).toEqual({ start: { line: 1, col: 14 }, end: { line: 1, col: 15 } });
+  });
+});
+
+describe("unit syntax errors", () => {
+  test("point at the offending character", () => {
+    const cases = [
+      ["3~[m^];", 5, "Expected a digit in unit exponent, found end of unit"],
+      ["3~[kg*/s];", 6, 'Expected a unit, found "/"'],
+      ["3~[2m];", 3, "Only 1 may stand for a number in a unit"],
+      ["3~[m^(1/0)];", 8, "Unit exponent has a zero denominator"],
+      ["3~[m/s)];", 6, 'Unmatched ")" in unit'],
+      ["3~[(m/s];", 7, 'Expected ")" in unit, found end of unit'],
+      ["3~[m{2}];", 4, 'Unexpected "{" in unit'],
+    ];
+    for (const [source, offset, detail] of cases) {
+      let error;
+      try {
+        parse(source);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(ParseError);
+      expect([source, error.code, error.offset, error.detail]).toEqual([source, "E_UNIT_SYNTAX", offset, detail]);
+      expect(error.col).toBe(offset + 1);
+    }
+  });
+
+  test("are diagnostics when recovering", () => {
+    const { ast, diagnostics } = parse("a := 3~[m^x];\nb := 2~[s];", { recover: true });
+    expect(diagnostics).toEqual([
+      {
+        severity: "error",
+        code: "E_UNIT_SYNTAX",
+        message: 'Expected a digit in unit exponent, found "x"',
+        span: [10, 11],
+        line: 1,
+        col: 11,
+      },
+    ]);
+    expect(ast[0].expression.right).toMatchObject({ type: "ScientificUnit", unit: "m^x", unitExpression: null });
+    expect(ast[1].expression.right.unitExpression).toMatchObject({ type: "UnitName", name: "s" });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect } from "bun:test";
+import { parse, print, visit, transform } from "../index.js";
+import { childNodes, childKeys } from "../src/visit.js";
+
+function expression(code) {
+  return parse(code)[0].expression;
+}
+
+// Names and numbers of a subtree, depth first
+function leaves(ast) {
+  const found = [];
+  visit(ast, ({ node }) => {
+    if (node.type === "UserIdentifier" || node.type === "SystemIdentifier") found.push(node.name);
+    if (node.type === "Number") found.push(node.value);
+  });
+  return found;
+}
+
+describe("child keys", () => {
+  test("reach children nested in arguments, parameters and operations", () => {
+    expect(leaves(expression("F(a, b; n := c);"))).toEqual(["F", "a", "b", "c"]);
+    expect(leaves(expression("f(x, n ?= 5; a ?= 0) :-> (x-a)^n;"))).toEqual(["f", "5", "0", "x", "a", "n"]);
+    expect(leaves(expression("obj{= +a=3, +b=y };"))).toEqual(["obj", "3", "y"]);
+    expect(leaves(expression("[[1, 2; 3, 4]];"))).toEqual(["1", "2", "3", "4"]);
+    expect(leaves(expression("{# p = x + 1 };"))).toEqual(["x", "1"]);
+  });
+
+  test("unlisted node types have their children discovered", () => {
+    const node = {
+      type: "Custom",
+      pos: [0, 0, 0],
+      body: { type: "Number", value: "1" },
+      parts: [{ label: "a", value: { type: "Number", value: "2" } }],
+    };
+    expect(childKeys(node)).toEqual(["body", "parts[].value"]);
+    expect(childNodes(node).map((child) => child.value)).toEqual(["1", "2"]);
+  });
+});
+
+describe("visit", () => {
+  test("calls enter and leave visitors in depth-first order with parent paths", () => {
+    const events = [];
+    visit(parse("a + F(b);"), {
+      enter: ({ node }) => events.push(`enter ${node.type}`),
+      leave: ({ node }) => events.push(`leave ${node.type}`),
+      UserIdentifier: {
+        enter: ({ node, parent, key }) => events.push(`${node.name} in ${parent.type}.${key}`),
+      },
+    });
+    expect(events).toEqual([
+      "enter Statement",
+      "enter BinaryOperation",
+      "enter UserIdentifier",
+      "a in BinaryOperation.left",
+      "leave UserIdentifier",
+      "enter FunctionCall",
+      "enter SystemIdentifier",
+      "leave SystemIdentifier",
+      "enter UserIdentifier",
+      "b in FunctionCall.arguments.positional[]",
+      "leave UserIdentifier",
+      "leave FunctionCall",
+      "leave BinaryOperation",
+      "leave Statement",
+    ]);
+  });
+
+  test("replace and remove change the tree in place", () => {
+    const ast = parse("x := ((a)) + [1, b, 2];");
+    visit(ast, {
+      Grouping: { leave: (path) => path.replace(path.node.expression) },
+      UserIdentifier(path) {
+        if (path.node.name === "b") path.remove();
+      },
+    });
+    expect(print(ast)).toBe("x := a + [1, 2];");
+
+    const root = visit(expression("(y);"), { Grouping: (path) => path.replace(path.node.expression) });
+    expect(root).toMatchObject({ type: "UserIdentifier", name: "y" });
+  });
+
+  test("skip leaves out a subtree and stop ends the walk", () => {
+    const seen = [];
+    visit(parse("F(a) + b; c; d;"), (path) => {
+      if (path.node.type === "FunctionCall") path.skip();
+      if (path.node.name === "c") path.stop();
+      if (path.node.type === "UserIdentifier") seen.push(path.node.name);
+    });
+    expect(seen).toEqual(["b", "c"]);
+  });
+});
+
+describe("transform", () => {
+  test("rebuilds bottom up without changing the original", () => {
+    const ast = parse("x := 2 * (y + 0); SIN(z; n := 0 + 4);");
+    const simplified = transform(ast, (node) => {
+      if (node.type === "Grouping") return node.expression;
+      if (node.type === "BinaryOperation" && node.operator === "+" && node.right.value === "0") return node.left;
+      if (node.type === "BinaryOperation" && node.operator === "+" && node.left.value === "0") return node.right;
+    });
+    expect(print(simplified)).toBe("x := 2 * y;\nSIN(z; n := 4);");
+    expect(print(ast)).toBe("x := 2 * (y + 0);\nSIN(z; n := 0 + 4);");
+    expect(simplified[0].expression.left).toBe(ast[0].expression.left);
+  });
+
+  test("null removes nodes from lists and statements", () => {
+    const ast = parse("[1, 2, 3]; drop; F(4, 5);");
+    const kept = transform(ast, (node, path) => {
+      if (node.type === "Number" && node.value === "2") return null;
+      if (node.type === "Number" && path.parent.type === "FunctionCall" && node.value === "5") return null;
+      if (node.type === "Statement" && node.expression.name === "drop") return null;
+    });
+    expect(print(kept)).toBe("[1, 3];\nF(4);");
+  });
+});